@@ -14,10 +14,24 @@ export default class Reservation {
    * @param {number}          params.quantity        - Number of parts reserved
    * @param {string}          params.currency        - Chosen payment currency (e.g., "ETH", "SOL")
    * @param {string}          params.buyerWallet     - Wallet address on the chosen chain (payer)
+   * @param {string}           [params.buyerWalletProof] - SOL buyerWallet's signature binding it to the reserver (utils/paymentMatching.js)
    * @param {string}          params.sellerWallet    - Wallet address on the chosen chain (recipient)
-   * @param {{currency: string, amount: string}} params.totalPriceCrypto - Full price in chosen crypto
+   * @param {{currency: string, amount: string, fee?: string}} params.totalPriceCrypto - Full price in chosen crypto (fee included)
    * @param {Date}            [params.timestamp]     - Creation time
    * @param {string}           [params.status]        - Reservation status (default: PENDING)
+   * @param {string}           [params.offerId]       - Accepted offer this reservation settles
+   * @param {Date}             [params.expiresAt]     - Expiry (older reservations without one expire 60s after timestamp)
+   * @param {Date}             [params.quoteExpiresAt] - Until when totalPriceCrypto holds; caps extensions
+   * @param {Date}             [params.extendedAt]    - When the one allowed extension was used
+   * @param {string}           [params.pricePerPart]  - YRT price per part locked at reservation time
+   * @param {string}           [params.cartId]        - Cart this reservation belongs to
+   * @param {number[]}         [params.partNos]       - Part numbers the buyer picked (otherwise any parts)
+   * @param {string}           [params.reserverIp]    - Client IP the reservation was made from (reservation limits)
+   * @param {string}           [params.signature]     - Reserver's request signature (signs the purchase the payment watcher records)
+   * @param {number}           [params.paymentTag]    - ETH amount tag added to the seller leg (payment watcher)
+   * @param {string}           [params.paymentMemo]   - Memo a SOL payment must carry (payment watcher)
+   * @param {Array<{role: string, wallet: string, amount: string}>} [params.paymentLegs] - Split of totalPriceCrypto (seller, creator royalty, store fee)
+   * @param {Object}           [params.priceQuote]    - Signed quote of the rates totalPriceCrypto was converted at (utils/priceQuote.js)
    */
   constructor({
     listingId,
@@ -25,10 +39,24 @@ export default class Reservation {
     quantity,
     currency,
     buyerWallet,
+    buyerWalletProof,
     sellerWallet,
     totalPriceCrypto,
     timestamp,
     status,
+    offerId,
+    expiresAt,
+    quoteExpiresAt,
+    extendedAt,
+    pricePerPart,
+    paymentLegs,
+    cartId,
+    partNos,
+    reserverIp,
+    signature,
+    paymentTag,
+    paymentMemo,
+    priceQuote,
   }) {
     if (!listingId) throw new Error("Reservation missing listingId");
     if (!reserver) throw new Error("Reservation missing reserver");
@@ -52,12 +80,29 @@ export default class Reservation {
     this.quantity = quantity;
     this.currency = currency.toUpperCase();
     this.buyerWallet = buyerWallet;
+    this.buyerWalletProof = buyerWalletProof ? String(buyerWalletProof) : null;
     this.sellerWallet = sellerWallet;
     this.totalPriceCrypto = {
       currency: this.currency,
       amount: String(totalPriceCrypto.amount),
+      fee: totalPriceCrypto.fee != null ? String(totalPriceCrypto.fee) : "0",
     };
     this.timestamp = timestamp || new Date();
     this.status = status || RESERVATION_STATUS.PENDING;
+    this.offerId = offerId ? String(offerId) : null;
+    this.expiresAt = expiresAt ? new Date(expiresAt) : null;
+    this.quoteExpiresAt = quoteExpiresAt ? new Date(quoteExpiresAt) : null;
+    this.extendedAt = extendedAt ? new Date(extendedAt) : null;
+    this.pricePerPart = pricePerPart !== undefined && pricePerPart !== null ? String(pricePerPart) : null;
+    this.cartId = cartId ? String(cartId) : null;
+    this.reserverIp = reserverIp ? String(reserverIp) : null;
+    this.signature = signature ? String(signature) : null;
+    this.paymentTag = Number.isInteger(paymentTag) ? paymentTag : null;
+    this.paymentMemo = paymentMemo ? String(paymentMemo) : null;
+    this.priceQuote = priceQuote || null;
+    this.partNos = Array.isArray(partNos) && partNos.length > 0 ? partNos.map(Number) : null;
+    this.paymentLegs = Array.isArray(paymentLegs) && paymentLegs.length > 0
+      ? paymentLegs.map((leg) => ({ role: String(leg.role), wallet: String(leg.wallet), amount: String(leg.amount) }))
+      : [{ role: "seller", wallet: sellerWallet, amount: this.totalPriceCrypto.amount }];
   }
 }
@@ -1,57 +1,217 @@
 // cleanup.js
 import connectDB from './db.js';
 import { cleanupOldSignatures } from './utils/verifySignature.js';
-import { RESERVATION_STATUS } from './utils/statusConstants.js';
-import { recalculateAvailableQuantity } from './services/listingService.js';
+import { RESERVATION_STATUS, OFFER_STATUS, LISTING_STATUS, CART_STATUS } from './utils/statusConstants.js';
+import { recalculateAvailableQuantity, expireListing } from './services/listingService.js';
+import { releaseOfferListing } from './services/offerService.js';
+import { handleExpiredAuctionReservation } from './services/auctionService.js';
+import { expireCart } from './services/cartService.js';
+import { recordExpiredReservation } from './services/abuseService.js';
+import { getPaymentGraceMs } from './utils/paymentMatching.js';
 
 
 export async function cleanupExpiredReservations() {
-  const db = await connectDB();
-  const now = new Date();
-  const cutoff = new Date(now.getTime() - 60 * 1000); // 60 seconds ago
-
-  // find expired reservations - only PENDING status can be expired
-  // PROCESSING, PAID, and COMPLETED reservations are never deleted by cleanup
-  const expired = await db
-    .collection("reservations")
-    .find({ 
-      timestamp: { $lt: cutoff },
-      status: RESERVATION_STATUS.PENDING  // Only delete PENDING reservations
-    })
-    .toArray();
-
-  if (expired.length > 0) {
-    console.log(
-      `[RESERVATION CLEANUP] Found ${expired.length} expired reservations before ${cutoff.toISOString()}`
-    );
+  try {
+    const db = await connectDB();
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - 60 * 1000); // 60 seconds ago, for reservations without expiresAt
+
+    // find expired reservations - only PENDING status can be expired
+    // PROCESSING, PAID, and COMPLETED reservations are never deleted by cleanup
+    // Reservations carry their own expiresAt (currency TTL, cart or auction payment deadline);
+    // older reservations without one use the 60s cutoff. Reservations the payment watcher is
+    // watching get a grace period, so a payment sent just before expiry is still finalized.
+    const graceCutoff = new Date(now.getTime() - getPaymentGraceMs());
+    const expired = await db
+      .collection("reservations")
+      .find({ 
+        status: RESERVATION_STATUS.PENDING,  // Only delete PENDING reservations
+        $or: [
+          { expiresAt: null, timestamp: { $lt: cutoff } },
+          { expiresAt: { $lt: now }, paymentTag: null, paymentMemo: null },
+          { expiresAt: { $lt: graceCutoff } },
+        ],
+      })
+      .toArray();
+
+    if (expired.length > 0) {
+      console.log(
+        `[RESERVATION CLEANUP] Found ${expired.length} expired reservations before ${cutoff.toISOString()}`
+      );
+    }
+
+    for (const reservation of expired) {
+      try {
+        await releaseExpiredReservation(db, reservation);
+      } catch (err) {
+        console.error(`[RESERVATION CLEANUP] Failed to clean reservation ${reservation._id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error("[RESERVATION CLEANUP] Error:", err.message);
+  }
+}
+
+async function releaseExpiredReservation(db, reservation) {
+  const reservationId = reservation._id;
+  const listingId = reservation.listingId;
+
+  console.log(`[RESERVATION CLEANUP] Cleaning reservation ${reservationId}`);
+
+  // 1. Free parts: remove reservation flag from all parts tied to this reservation
+  const resetRes = await db.collection("parts").updateMany(
+    { reservation: reservationId.toString() },
+    { $unset: { reservation: "" } }
+  );
+  console.log(
+    `[RESERVATION CLEANUP] Cleared reservation from ${resetRes.modifiedCount} parts (reservation ${reservationId})`
+  );
+
+  // 2. Recalculate availableQuantity after parts were freed
+  // Note: quantity field is constant (initial quantity), only availableQuantity changes
+  // This ensures the cached value is accurate and prevents race conditions
+  const availableQty = await recalculateAvailableQuantity(listingId);
+  console.log(
+    `[RESERVATION CLEANUP] Recalculated availableQuantity for listing ${listingId}: ${availableQty}`
+  );
+
+  // 3. Remove the reservation record itself
+  await db.collection("reservations").deleteOne({ _id: reservationId });
+  console.log(`[RESERVATION CLEANUP] Reservation ${reservationId} deleted`);
+
+  // 4. An unpaid auction win closes the auction (the reservation is gone: a failure here is
+  // logged, not retried, and must not skip the next step)
+  try {
+    await handleExpiredAuctionReservation(reservation);
+  } catch (err) {
+    console.error(`[RESERVATION CLEANUP] Failed to close the auction of reservation ${reservationId}:`, err.message);
   }
 
-  for (const reservation of expired) {
-    const reservationId = reservation._id;
-    const listingId = reservation.listingId;
-
-    console.log(`[RESERVATION CLEANUP] Cleaning reservation ${reservationId}`);
-
-    // 1. Free parts: remove reservation flag from all parts tied to this reservation
-    const resetRes = await db.collection("parts").updateMany(
-      { reservation: reservationId.toString() },
-      { $unset: { reservation: "" } }
-    );
-    console.log(
-      `[RESERVATION CLEANUP] Cleared reservation from ${resetRes.modifiedCount} parts (reservation ${reservationId})`
-    );
-
-    // 2. Recalculate availableQuantity after parts were freed
-    // Note: quantity field is constant (initial quantity), only availableQuantity changes
-    // This ensures the cached value is accurate and prevents race conditions
-    const availableQty = await recalculateAvailableQuantity(listingId);
-    console.log(
-      `[RESERVATION CLEANUP] Recalculated availableQuantity for listing ${listingId}: ${availableQty}`
-    );
-
-    // 3. Remove the reservation record itself
-    await db.collection("reservations").deleteOne({ _id: reservationId });
-    console.log(`[RESERVATION CLEANUP] Reservation ${reservationId} deleted`);
+  // 5. Count towards the reserver's cooldown (expired carts are counted once, by expireCart)
+  if (!reservation.cartId) {
+    try {
+      await recordExpiredReservation({ ...reservation, reservationId });
+    } catch (err) {
+      console.error(`[RESERVATION CLEANUP] Failed to record the expiry of reservation ${reservationId}:`, err.message);
+    }
+  }
+}
+
+export async function cleanupExpiredOffers() {
+  try {
+    const db = await connectDB();
+    const now = new Date();
+
+    // Open offers past their expiry; accepted offers keep their listing until expiry too
+    const expired = await db
+      .collection("offers")
+      .find({
+        expiresAt: { $lt: now },
+        status: { $in: [OFFER_STATUS.PENDING, OFFER_STATUS.COUNTERED, OFFER_STATUS.ACCEPTED] },
+      })
+      .toArray();
+
+    if (expired.length > 0) {
+      console.log(`[OFFER CLEANUP] Found ${expired.length} expired offers before ${now.toISOString()}`);
+    }
+
+    for (const offer of expired) {
+      try {
+        if (await expireOffer(db, offer, now)) {
+          console.log(`[OFFER CLEANUP] Offer ${offer._id} expired`);
+        }
+      } catch (err) {
+        console.error(`[OFFER CLEANUP] Failed to expire offer ${offer._id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error("[OFFER CLEANUP] Error:", err.message);
+  }
+}
+
+async function expireOffer(db, offer, now) {
+  const offerId = offer._id.toString();
+
+  // Never expire an offer while the buyer is paying for it
+  const inFlight = await db.collection("reservations").findOne({
+    offerId,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.PROCESSING, RESERVATION_STATUS.PAID] },
+  });
+  if (inFlight) {
+    console.log(`[OFFER CLEANUP] Offer ${offerId} has reservation ${inFlight._id} in progress, skipping`);
+    return false;
+  }
+
+  const res = await db.collection("offers").updateOne(
+    { _id: offer._id, status: offer.status },
+    { $set: { status: OFFER_STATUS.EXPIRED, time_updated: now } }
+  );
+  if (res.modifiedCount === 0) return false;
+
+  await releaseOfferListing(offer);
+  return true;
+}
+
+export async function cleanupExpiredListings() {
+  try {
+    const db = await connectDB();
+    const now = new Date();
+
+    const expired = await db
+      .collection("listings")
+      .find({
+        status: LISTING_STATUS.ACTIVE,
+        expiresAt: { $lt: now },
+      })
+      .toArray();
+
+    if (expired.length > 0) {
+      console.log(`[LISTING CLEANUP] Found ${expired.length} expired listings before ${now.toISOString()}`);
+    }
+
+    for (const listing of expired) {
+      try {
+        if (await expireListing(listing)) {
+          console.log(`[LISTING CLEANUP] Listing ${listing._id} expired`);
+        }
+      } catch (err) {
+        console.error(`[LISTING CLEANUP] Failed to expire listing ${listing._id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error("[LISTING CLEANUP] Error:", err.message);
+  }
+}
+
+export async function cleanupExpiredCarts() {
+  try {
+    const db = await connectDB();
+    const now = new Date();
+
+    // Unpaid carts past their expiry; releasing them frees every listing in the cart
+    const expired = await db
+      .collection("carts")
+      .find({
+        status: CART_STATUS.PENDING,
+        expiresAt: { $lt: now },
+      })
+      .toArray();
+
+    if (expired.length > 0) {
+      console.log(`[CART CLEANUP] Found ${expired.length} expired carts before ${now.toISOString()}`);
+    }
+
+    for (const cart of expired) {
+      try {
+        if (await expireCart(cart)) {
+          console.log(`[CART CLEANUP] Cart ${cart._id} expired`);
+        }
+      } catch (err) {
+        console.error(`[CART CLEANUP] Failed to expire cart ${cart._id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error("[CART CLEANUP] Error:", err.message);
   }
 }
 
@@ -36,4 +36,13 @@ async function connectDB() {
   return db;
 }
 
+/**
+ * Use another database instead of MongoDB, e.g. an in-memory one in tests;
+ * null connects to MongoDB again on the next connectDB().
+ * @param {Object|null} database - Object with the Db `collection(name)` API
+ */
+export function setDatabase(database) {
+  db = database;
+}
+
 export default connectDB;
\ No newline at end of file
@@ -9,6 +9,18 @@
  * - parts.parent_hash + owner        → "all parts of NFT X owned by Y"
  * - reservations.listingId           → lookups by listing (cleanup, tx finalize)
  * - partialtransactions.part         → transaction history for a part
+ * - offers.listingId / nftId+seller  → offers on a listing, seller's offer inbox
+ * - bids.listingId                   → auction bid history
+ * - reservations.cartId / carts      → cart reservations, open carts per buyer, expiry
+ * - reservations.reserver/reserverIp → reservation limits per address and IP
+ * - abuse_log                        → cooldowns, admin abuse report (90 day TTL)
+ * - carts.status+time_updated        → stuck checkouts for reconciliation
+ * - reconciliation_reports           → admin reconciliation reports by date
+ * - reservations.currency+status     → open reservations for the payment watcher, tags in use
+ * - reservations.payment.txs         → unique: a chain payment is claimed by one reservation
+ * - transactions.chainTx (NFT_BUY)   → unique: a chain payment records one purchase
+ * - refunds.seller / buyer           → orphaned payments owed by a seller or to a buyer
+ * - refunds.refund.chainTx           → unique: a chain transaction pays one refund
  *
  * Usage:
  *   node initIndexes.js
@@ -17,6 +29,7 @@
  */
 
 import connectDB from "./db.js";
+import { TX_TYPES } from "./utils/transactionTypes.js";
 
 export async function initIndexes() {
   const db = await connectDB();
@@ -27,10 +40,40 @@ export async function initIndexes() {
   await db.collection("parts").createIndex({ listing: 1 });
   await db.collection("parts").createIndex({ reservation: 1 }); // For atomic reservation locking
   await db.collection("parts").createIndex({ parent_hash: 1, owner: 1 }); // compound
+  await db.collection("parts").createIndex({ listing: 1, part_no: 1 }); // For picking parts by number
 
   // Reservations collection
   await db.collection("reservations").createIndex({ listingId: 1 });
   await db.collection("reservations").createIndex({ reserver: 1, timestamp: 1 }); // For checking existing reservations
+  await db.collection("reservations").createIndex({ cartId: 1 });
+  // Reservation limits: PENDING reservations per address and per IP
+  await db.collection("reservations").createIndex({ reserver: 1, status: 1 });
+  await db.collection("reservations").createIndex({ reserverIp: 1, status: 1 }, { sparse: true });
+  // Payment watcher: open reservations per currency, amount tags in use per seller wallet
+  await db.collection("reservations").createIndex({ currency: 1, status: 1, sellerWallet: 1 });
+  // One chain payment can only be claimed by one reservation (payment.txs lists all of its legs)
+  await db.collection("reservations").createIndex(
+    { "payment.txs": 1 },
+    { unique: true, partialFilterExpression: { "payment.txs": { $exists: true } } }
+  );
+  // Refunds of orphaned payments: seller and buyer lists, payments and refunds in use
+  await db.collection("refunds").createIndex({ seller: 1, status: 1 });
+  await db.collection("refunds").createIndex({ buyer: 1, status: 1 });
+  await db.collection("refunds").createIndex({ "payment.txs": 1 });
+  await db.collection("refunds").createIndex(
+    { "refund.chainTx": 1 },
+    { unique: true, partialFilterExpression: { "refund.chainTx": { $type: "string" } } }
+  );
+
+  // Abuse log: cooldown lookups per address, admin report by date
+  await db.collection("abuse_log").createIndex({ address: 1, type: 1, timestamp: -1 });
+  await db.collection("abuse_log").createIndex({ timestamp: -1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+  // Carts collection
+  await db.collection("carts").createIndex({ reserver: 1, status: 1 });
+  await db.collection("carts").createIndex({ status: 1, expiresAt: 1 }); // For cart cleanup
+  await db.collection("carts").createIndex({ status: 1, time_updated: 1 }); // Stuck checkouts (reconciliation)
+  await db.collection("reconciliation_reports").createIndex({ time_created: -1 });
 
   // Partial transactions collection
   await db.collection("partialtransactions").createIndex({ part: 1 });
@@ -53,10 +96,41 @@ export async function initIndexes() {
   // Compound index for getUserListings() - user's listings page
   await db.collection("listings").createIndex({ seller: 1, status: 1, time_created: -1 });
 
+  // Offers collection
+  await db.collection("offers").createIndex({ listingId: 1, time_created: -1 });
+  await db.collection("offers").createIndex({ nftId: 1, seller: 1, status: 1 });
+  await db.collection("offers").createIndex({ nftId: 1, status: 1 }); // Order book bids
+  await db.collection("offers").createIndex({ buyer: 1 });
+  await db.collection("offers").createIndex({ status: 1, expiresAt: 1 }); // For expiry cleanup
+  await db.collection("reservations").createIndex({ offerId: 1 });
+
+  // Auctions: bid history and settlement job
+  await db.collection("bids").createIndex({ listingId: 1, time_created: -1 });
+  await db.collection("listings").createIndex({ "auction.status": 1, "auction.endTime": 1 }, { sparse: true });
+  await db.collection("reservations").createIndex({ status: 1, expiresAt: 1 });
+  // Listing expiry job
+  await db.collection("listings").createIndex({ status: 1, expiresAt: 1 });
+  // Store search (getActiveListings): price and quantity sorting, type and NFT filters
+  await db.collection("listings").createIndex({ status: 1, priceYrt: 1 });
+  await db.collection("listings").createIndex({ status: 1, availableQuantity: -1 });
+  await db.collection("listings").createIndex({ status: 1, type: 1, time_created: -1 });
+  await db.collection("listings").createIndex({ nftId: 1, status: 1 });
+
   // Transactions collection - CRITICAL for transaction lookups and creation
   await db.collection("transactions").createIndex({ transaction_number: 1 });
   await db.collection("transactions").createIndex({ timestamp: -1 });
   await db.collection("transactions").createIndex({ chainTx: 1 });
+  // One chain payment records one purchase. Cart purchases share their cart's payment, so only
+  // standalone NFT_BUYs are covered (assertPaymentUnused checks carts against them)
+  const standalonePurchase = { type: TX_TYPES.NFT_BUY, cartId: { $type: "null" } };
+  await db.collection("transactions").createIndex(
+    { chainTx: 1, type: 1 },
+    { unique: true, partialFilterExpression: { ...standalonePurchase, chainTx: { $type: "string" } } }
+  );
+  await db.collection("transactions").createIndex(
+    { "paymentLegs.chainTx": 1 },
+    { unique: true, partialFilterExpression: { ...standalonePurchase, "paymentLegs.chainTx": { $exists: true } } }
+  );
   await db.collection("transactions").createIndex({ arweaveTxId: 1 });
   await db.collection("transactions").createIndex({ type: 1 });
   await db.collection("transactions").createIndex({ buyer: 1 });
@@ -70,6 +144,12 @@ export async function initIndexes() {
   await db.collection("transactions").createIndex({ type: 1, seller: 1, timestamp: -1 });
   await db.collection("transactions").createIndex({ type: 1, giver: 1, timestamp: -1 });
   await db.collection("transactions").createIndex({ type: 1, receiver: 1, timestamp: -1 });
+  // Order book last trade per NFT
+  await db.collection("transactions").createIndex({ type: 1, nftId: 1, timestamp: -1 });
+  // Market stats sync (NFT_BUY by transaction number) and price history reads
+  await db.collection("transactions").createIndex({ type: 1, transaction_number: 1 });
+  await db.collection("nftsales").createIndex({ nftId: 1, timestamp: -1 });
+  await db.collection("nftsales").createIndex({ timestamp: -1 });
 
   // Partial transactions collection
   await db.collection("partialtransactions").createIndex({ transaction: 1 });
@@ -86,6 +166,8 @@ export async function initIndexes() {
   // NFTs collection - for lookups by creator
   await db.collection("nfts").createIndex({ creator: 1 });
   await db.collection("nfts").createIndex({ time_created: -1 });
+  // Store search by NFT name and description
+  await db.collection("nfts").createIndex({ name: "text", description: "text" });
 
   console.log("[initIndexes] Indexes ensured successfully");
 }
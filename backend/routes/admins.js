@@ -1,6 +1,11 @@
 import express from "express";
-import { isAdmin } from "../services/adminService.js";
+import { isAdmin, isSuperAdmin, getFeeRevenue } from "../services/adminService.js";
+import { changePeg } from "../services/yrtPegService.js";
 import { normalizeAddress } from "../utils/addressUtils.js";
+import { verifySignature } from "../utils/verifySignature.js";
+import { getAbuseReport } from "../services/abuseService.js";
+import { getReconciliationReports } from "../services/reconciliationService.js";
+import { getOwedRefunds, settleOwedLegs } from "../services/refundService.js";
 
 const router = express.Router();
 
@@ -16,7 +21,7 @@ router.get("/check/:address", async (req, res) => {
 });
 
 // GET /api/admins/superadmin/:address - Deprecated: kept for backward compatibility, just checks if admin
-// All admins can review uploads (no separate superadmin role)
+// All admins can review uploads (the superadmin only differs in changing the YRT peg)
 router.get("/superadmin/:address", async (req, res) => {
   try {
     const address = req.params.address;
@@ -29,4 +34,98 @@ router.get("/superadmin/:address", async (req, res) => {
   }
 });
 
+// POST /api/admins/fees/revenue - Store fee revenue over a date range (signed, admins only)
+// Body: { from?: ISO date, to?: ISO date }
+router.post("/fees/revenue", verifySignature, async (req, res) => {
+  try {
+    if (!(await isAdmin(req.verifiedAddress))) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    const { from, to } = req.verifiedData || {};
+    const report = await getFeeRevenue({ from, to });
+    res.json(report);
+  } catch (err) {
+    console.error(`[POST /api/admins/fees/revenue] Error:`, err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/admins/abuse - Addresses and IPs hitting the reservation limits, and unpaid expiries (signed, admins only)
+// Body: { from?: ISO date, to?: ISO date }
+router.post("/abuse", verifySignature, async (req, res) => {
+  try {
+    if (!(await isAdmin(req.verifiedAddress))) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    const { from, to } = req.verifiedData || {};
+    const report = await getAbuseReport({ from, to });
+    res.json(report);
+  } catch (err) {
+    console.error(`[POST /api/admins/abuse] Error:`, err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/admins/reconciliation - Reports of the stuck-purchase reconciliation job, and purchases
+// waiting for manual review (signed, admins only)
+// Body: { from?: ISO date, to?: ISO date }
+router.post("/reconciliation", verifySignature, async (req, res) => {
+  try {
+    if (!(await isAdmin(req.verifiedAddress))) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    const { from, to } = req.verifiedData || {};
+    const report = await getReconciliationReports({ from, to });
+    res.json(report);
+  } catch (err) {
+    console.error(`[POST /api/admins/reconciliation] Error:`, err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/admins/refunds - Orphaned payments whose royalty and fee legs are still owed to
+// the buyer (signed, admins only)
+router.post("/refunds", verifySignature, async (req, res) => {
+  try {
+    if (!(await isAdmin(req.verifiedAddress))) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    const refunds = await getOwedRefunds();
+    res.json({ refunds });
+  } catch (err) {
+    console.error(`[POST /api/admins/refunds] Error:`, err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/admins/refunds/:id/settle - Record how the owed legs were paid back (signed, admins only)
+// Body: { refundId: string, chainTxs: string[] }
+router.post("/refunds/:id/settle", verifySignature, async (req, res) => {
+  try {
+    if (!(await isAdmin(req.verifiedAddress))) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    const refund = await settleOwedLegs(req.params.id, req.verifiedData, req.verifiedAddress);
+    res.json({ refund });
+  } catch (err) {
+    console.error(`[POST /api/admins/refunds/:id/settle] Error:`, err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/admins/peg - Change the YRT peg (signed, superadmin only), published as RATE_CHANGE
+// Body: { yrtEur: string, previousVersion: number }
+router.post("/peg", verifySignature, async (req, res) => {
+  try {
+    if (!isSuperAdmin(req.verifiedAddress)) {
+      return res.status(403).json({ error: "Superadmin access required" });
+    }
+    const peg = await changePeg(req.verifiedData, req.verifiedAddress, req.signature);
+    res.json({ peg });
+  } catch (err) {
+    console.error(`[POST /api/admins/peg] Error:`, err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,51 @@
+import express from "express";
+import { verifySignature } from "../utils/verifySignature.js";
+import { checkMaintenanceMode } from "../utils/checkMaintenanceMode.js";
+import { addressesMatch } from "../utils/addressUtils.js";
+import { createCart, getCartById, checkoutCart } from "../services/cartService.js";
+
+const router = express.Router();
+
+// POST /api/carts - Reserve parts across several listings (signed by the reserver, like /api/reservations)
+router.post("/", verifySignature, checkMaintenanceMode, async (req, res) => {
+  try {
+    const data = req.verifiedData || {};
+    if (!addressesMatch(data.reserver, req.verifiedAddress)) {
+      return res.status(403).json({ error: "Reserver must match the signing address" });
+    }
+    const cart = await createCart(data, { ip: req.ip });
+    res.json({ cart });
+  } catch (err) {
+    res.status(err.statusCode || 400).json({ error: err.message });
+  }
+});
+
+// GET /api/carts/:id
+router.get("/:id", async (req, res) => {
+  try {
+    const cart = await getCartById(req.params.id);
+    if (!cart) {
+      return res.status(404).json({ error: "Cart not found" });
+    }
+    res.json({ cart });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/carts/:id/checkout - Verify the cart's payments and record the purchases
+router.post("/:id/checkout", verifySignature, checkMaintenanceMode, async (req, res) => {
+  try {
+    const result = await checkoutCart(
+      { ...req.verifiedData, cartId: req.params.id },
+      req.verifiedAddress,
+      req.signature
+    );
+    // Not confirmed yet: the checkout is finished in the background once it is
+    res.status(result.status === "pending" ? 202 : 200).json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+export default router;
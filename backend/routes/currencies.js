@@ -0,0 +1,49 @@
+// backend/routes/currencies.js
+/**
+ * Payment currencies (utils/currencies.js), for wallets building payments, and the YRT peg
+ */
+
+import express from "express";
+import { getCurrency, listCurrencies } from "../utils/currencies.js";
+import { getQuoteSignerAddress } from "../utils/priceQuote.js";
+import { getCurrentPeg, getPegHistory } from "../services/yrtPegService.js";
+
+const router = express.Router();
+
+// GET /api/currencies
+// { currencies: [{ code, chain, decimals, precision, token: { address } | null }], quoteSigner }
+// token.address is the ERC-20 contract (chain "ETH") or the SPL mint (chain "SOL");
+// quoteSigner is the address signing the price quotes recorded on purchases (utils/priceQuote.js)
+router.get("/", (req, res) => {
+  try {
+    const currencies = listCurrencies().map((code) => {
+      const { chain, decimals, precision, token } = getCurrency(code);
+      return { code, chain, decimals, precision, token };
+    });
+    res.json({ currencies, quoteSigner: getQuoteSignerAddress() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/currencies/peg
+// { peg: { version, yrtEur, effectiveFrom, transactionId, changedBy } } - EUR per YRT in force
+router.get("/peg", async (req, res) => {
+  try {
+    res.json({ peg: await getCurrentPeg() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/currencies/peg/history
+// { pegs: [...] } - every peg version, newest first (each change is a RATE_CHANGE transaction)
+router.get("/peg/history", async (req, res) => {
+  try {
+    res.json({ pegs: await getPegHistory() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -4,7 +4,8 @@ import {
     getETHBalance,
     getGasPriceData,
     getNonce,
-    broadcastTransaction
+    broadcastTransaction,
+    getTokenBalance
 } from "../services/ethService.js";
 
 const router = express.Router();
@@ -22,6 +23,19 @@ router.get("/balance/:address", async (req, res) => {
     }
 });
 
+// GET /api/eth/token-balance/:currency/:address
+router.get("/token-balance/:currency/:address", async (req, res) => {
+    try {
+        const balance = await getTokenBalance(req.params.currency, req.params.address);
+        res.json({ balance });
+    } catch (err) {
+        console.error("[GET /api/eth/token-balance] Error:", err);
+        // Return 503 if it's a service unavailable error, 400 for an unknown token, otherwise 500
+        const statusCode = err.statusCode || (/Unsupported currency|is not a token/.test(err.message) ? 400 : 500);
+        res.status(statusCode).json({ error: err.message });
+    }
+});
+
 // GET /api/eth/gas-price
 router.get("/gas-price", async (req, res) => {
     try {
@@ -66,6 +66,7 @@ function formatTransaction(transaction) {
     listingId: transaction.listingId !== null && transaction.listingId !== undefined ? String(transaction.listingId) : null,
     reservationId: transaction.reservationId !== null && transaction.reservationId !== undefined ? String(transaction.reservationId) : null,
     giftId: transaction.giftId !== null && transaction.giftId !== undefined ? String(transaction.giftId) : null,
+    offerId: transaction.offerId !== null && transaction.offerId !== undefined ? String(transaction.offerId) : null,
     // NFT/Part fields
     nftId: transaction.nftId !== null && transaction.nftId !== undefined ? String(transaction.nftId) : null,
     quantity: transaction.quantity !== undefined ? Number(transaction.quantity) : 0,
@@ -86,6 +87,40 @@ function formatTransaction(transaction) {
     bundleSale: transaction.bundleSale !== null && transaction.bundleSale !== undefined
       ? (transaction.bundleSale === true || transaction.bundleSale === "true")
       : null,
+    expiresAt: transaction.expiresAt ? formatTimestamp(transaction.expiresAt) : null,
+    auction: (transaction.auction && typeof transaction.auction === 'object' && Object.keys(transaction.auction).length > 0)
+      ? transaction.auction
+      : null,
+    priceSchedule: (transaction.priceSchedule && typeof transaction.priceSchedule === 'object' && Object.keys(transaction.priceSchedule).length > 0)
+      ? transaction.priceSchedule
+      : null,
+    partPrices: (transaction.partPrices && typeof transaction.partPrices === 'object' && Object.keys(transaction.partPrices).length > 0)
+      ? transaction.partPrices
+      : null,
+    priceTiers: Array.isArray(transaction.priceTiers) && transaction.priceTiers.length > 0
+      ? transaction.priceTiers
+      : null,
+    allowedBuyers: Array.isArray(transaction.allowedBuyers) && transaction.allowedBuyers.length > 0
+      ? transaction.allowedBuyers
+      : null,
+    // Listing update fields
+    previousPrice: transaction.previousPrice !== null && transaction.previousPrice !== undefined ? String(transaction.previousPrice) : null,
+    previousQuantity: transaction.previousQuantity !== null && transaction.previousQuantity !== undefined ? Number(transaction.previousQuantity) : null,
+    previousSellerWallets: (transaction.previousSellerWallets && typeof transaction.previousSellerWallets === 'object' && Object.keys(transaction.previousSellerWallets).length > 0)
+      ? transaction.previousSellerWallets
+      : null,
+    // Purchase payment split
+    paymentLegs: Array.isArray(transaction.paymentLegs) && transaction.paymentLegs.length > 0
+      ? transaction.paymentLegs
+      : null,
+    fee: transaction.fee !== null && transaction.fee !== undefined ? String(transaction.fee) : null,
+    priceQuote: transaction.priceQuote && typeof transaction.priceQuote === 'object' ? transaction.priceQuote : null,
+    pegVersion: transaction.pegVersion !== null && transaction.pegVersion !== undefined ? Number(transaction.pegVersion) : null,
+    // Cart checkout fields
+    cartId: transaction.cartId !== null && transaction.cartId !== undefined ? String(transaction.cartId) : null,
+    transactionIds: Array.isArray(transaction.transactionIds) && transaction.transactionIds.length > 0
+      ? transaction.transactionIds
+      : null,
     // Upload-specific fields
     uploadId: transaction.uploadId !== null && transaction.uploadId !== undefined ? String(transaction.uploadId) : null,
     uploadedimageurl: (transaction.uploadedimageurl !== null && transaction.uploadedimageurl !== undefined && String(transaction.uploadedimageurl).trim() !== "") 
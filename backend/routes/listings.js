@@ -5,13 +5,21 @@ import {
   createListing,
   getActiveListings,
   deleteListing,
+  updateListing,
   getUserListings,
   getCompletedUserListings,
   getListingById,
 } from "../services/listingService.js";
+import { placeBid, getBids } from "../services/auctionService.js";
+import { parseListingSearch } from "../utils/listingSearch.js";
+import { getCurrentPeg } from "../services/yrtPegService.js";
+import { listingOffersRouter } from "./offers.js";
 
 const router = express.Router();
 
+// /api/listings/:id/offers
+router.use("/:id/offers", listingOffersRouter);
+
 // POST /api/listings
 router.post("/", verifySignature, checkMaintenanceMode, async (req, res) => {
   try {
@@ -22,6 +30,26 @@ router.post("/", verifySignature, checkMaintenanceMode, async (req, res) => {
   }
 });
 
+// POST /api/listings/:id/bids
+router.post("/:id/bids", verifySignature, checkMaintenanceMode, async (req, res) => {
+  try {
+    const result = await placeBid(req.params.id, req.verifiedData, req.verifiedAddress, req.signature);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/listings/:id/bids
+router.get("/:id/bids", async (req, res) => {
+  try {
+    const result = await getBids(req.params.id);
+    res.json(result);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
 // GET /api/listings/user/:address/completed (must come before /user/:address)
 router.get("/user/:address/completed", async (req, res) => {
   try {
@@ -65,12 +93,20 @@ router.get("/:id", async (req, res) => {
 });
 
 // GET /api/listings?skip=0&limit=50 (least specific, comes last)
+// Optional filters: q, seller, minPrice, maxPrice, priceCurrency, currency, type, minQuantity, sort
 router.get("/", async (req, res) => {
+  let filters;
+  try {
+    filters = await parseListingSearch(req.query, (await getCurrentPeg()).yrtEur);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   try {
     const skip = Math.max(0, parseInt(req.query.skip || "0", 10));
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "50", 10)));
     
-    const result = await getActiveListings({ skip, limit });
+    const result = await getActiveListings({ skip, limit, filters });
     res.json({
       items: result.items,
       total: result.total,
@@ -82,6 +118,16 @@ router.get("/", async (req, res) => {
   }
 });
 
+// PATCH /api/listings/:id
+router.patch("/:id", verifySignature, checkMaintenanceMode, async (req, res) => {
+  try {
+    const listing = await updateListing(req.params.id, req.verifiedData, req.verifiedAddress, req.signature);
+    res.json({ success: true, listing });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // DELETE /api/listings/:id
 router.delete("/:id", verifySignature, checkMaintenanceMode, async (req, res) => {
   try {
@@ -0,0 +1,21 @@
+// backend/routes/market.js
+/**
+ * Market-wide statistics endpoints
+ */
+
+import express from "express";
+import { getMarketSummary } from "../services/statsService.js";
+
+const router = express.Router();
+
+// GET /api/market/summary - Volumes, top NFTs and recent sales
+router.get("/summary", async (req, res) => {
+  try {
+    const summary = await getMarketSummary();
+    res.json(summary);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,23 @@
+// backend/routes/network.js
+/**
+ * Network the store runs on (utils/network.js), for wallets and explorer links
+ */
+
+import express from "express";
+import { getPublicNetwork } from "../utils/network.js";
+
+const router = express.Router();
+
+// GET /api/network
+// { name, eth: { chainName, chainId, explorerTxUrl, confirmations },
+//   sol: { cluster, rpcUrl, explorerTxUrl, commitment } }
+// `{tx}` in an explorerTxUrl is the transaction id; explorerTxUrl is null without an explorer
+router.get("/", (req, res) => {
+  try {
+    res.json(getPublicNetwork());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -8,11 +8,17 @@ import {
   getPartsByNFT,
   countPartsByNFT,
 } from "../services/nftService.js";
+import { getOrderBook } from "../services/orderBookService.js";
+import { getNFTStats } from "../services/statsService.js";
 import { verifySignature } from "../utils/verifySignature.js";
 import { checkMaintenanceMode } from "../utils/checkMaintenanceMode.js";
+import { nftOffersRouter } from "./offers.js";
 
 const router = express.Router();
 
+// /api/nfts/:id/offers
+router.use("/:id/offers", nftOffersRouter);
+
 // GET /api/nfts
 router.get("/", async (req, res) => {
   try {
@@ -55,6 +61,28 @@ router.get("/:id", async (req, res) => {
 });
 
 
+// GET /api/nfts/:id/orderbook
+router.get("/:id/orderbook", async (req, res) => {
+  try {
+    const orderBook = await getOrderBook(req.params.id);
+    res.json(orderBook);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// GET /api/nfts/:id/stats?days=30
+router.get("/:id/stats", async (req, res) => {
+  try {
+    const stats = await getNFTStats(req.params.id, { days: req.query.days });
+    if (!stats) return res.status(404).json({ error: "NFT not found" });
+    res.json(stats);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET /api/nfts/:id/parts?skip=0&limit=50
 router.get("/:id/parts", async (req, res) => {
   try {
@@ -0,0 +1,93 @@
+import express from "express";
+import { verifySignature } from "../utils/verifySignature.js";
+import { checkMaintenanceMode } from "../utils/checkMaintenanceMode.js";
+import {
+  createOffer,
+  getOffersForListing,
+  getOffersForNFT,
+  getOfferById,
+  acceptOffer,
+  rejectOffer,
+  counterOffer,
+  cancelOffer,
+} from "../services/offerService.js";
+
+/**
+ * Offers router, mounted under both:
+ * - /api/listings/:id/offers  (offers on a listing)
+ * - /api/nfts/:id/offers      (offers made directly to a holder of an NFT)
+ *
+ * @param {"listing"|"nft"} scope
+ */
+function createOffersRouter(scope) {
+  const router = express.Router({ mergeParams: true });
+  const scopeField = scope === "listing" ? "listingId" : "nftId";
+
+  // Ensure :offerId belongs to the listing/NFT in the URL
+  async function loadScopedOffer(req, res, next) {
+    const offer = await getOfferById(req.params.offerId);
+    if (!offer || String(offer[scopeField]) !== String(req.params.id)) {
+      return res.status(404).json({ error: "Offer not found" });
+    }
+    next();
+  }
+
+  // POST /api/{listings|nfts}/:id/offers
+  router.post("/", verifySignature, checkMaintenanceMode, async (req, res) => {
+    try {
+      const offerId = await createOffer(
+        { [scopeField]: req.params.id },
+        req.verifiedData,
+        req.verifiedAddress,
+        req.signature
+      );
+      res.json({ success: true, id: offerId });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // GET /api/listings/:id/offers?buyer=...
+  // GET /api/nfts/:id/offers?seller=...&buyer=...
+  router.get("/", async (req, res) => {
+    try {
+      const offers =
+        scope === "listing"
+          ? await getOffersForListing(req.params.id, { buyer: req.query.buyer })
+          : await getOffersForNFT(req.params.id, { seller: req.query.seller, buyer: req.query.buyer });
+      res.json(offers);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  const actions = {
+    accept: acceptOffer,
+    reject: rejectOffer,
+    counter: counterOffer,
+    cancel: cancelOffer,
+  };
+
+  // POST /api/{listings|nfts}/:id/offers/:offerId/{accept|reject|counter|cancel}
+  // The signed body names the offer and the action, so a signature cannot be replayed
+  // against another offer or turned into another action
+  for (const [action, handler] of Object.entries(actions)) {
+    router.post(`/:offerId/${action}`, verifySignature, checkMaintenanceMode, loadScopedOffer, async (req, res) => {
+      const { offerId: signedOfferId, action: signedAction } = req.verifiedData || {};
+      if (String(signedOfferId) !== String(req.params.offerId) || signedAction !== action) {
+        return res.status(400).json({ error: "Signed offerId and action do not match this request" });
+      }
+      try {
+        const offer = await handler(req.params.offerId, req.verifiedData, req.verifiedAddress, req.signature);
+        res.json({ success: true, offer });
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+  }
+
+  return router;
+}
+
+export const listingOffersRouter = createOffersRouter("listing");
+export const nftOffersRouter = createOffersRouter("nft");
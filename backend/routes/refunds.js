@@ -0,0 +1,46 @@
+import express from "express";
+import { verifySignature } from "../utils/verifySignature.js";
+import { checkMaintenanceMode } from "../utils/checkMaintenanceMode.js";
+import { getRefunds, getRefundById, submitRefund } from "../services/refundService.js";
+
+const router = express.Router();
+
+// GET /api/refunds?seller=...&buyer=...&status=... - Orphaned payments owed by a seller or to a buyer
+router.get("/", async (req, res) => {
+  try {
+    const refunds = await getRefunds({
+      seller: req.query.seller,
+      buyer: req.query.buyer,
+      status: req.query.status,
+    });
+    res.json({ refunds });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/refunds/:id (same id as the reservation that was paid)
+router.get("/:id", async (req, res) => {
+  try {
+    const refund = await getRefundById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ error: "Refund not found" });
+    }
+    const { payment: { signature: _signature, ...payment }, ...rest } = refund;
+    res.json({ refund: { ...rest, payment } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/refunds/:id/pay - Seller submits the chain transaction refunding the buyer
+router.post("/:id/pay", verifySignature, checkMaintenanceMode, async (req, res) => {
+  try {
+    const refund = await submitRefund(req.params.id, req.verifiedData, req.verifiedAddress, req.signature);
+    res.json({ success: true, refund });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+export default router;
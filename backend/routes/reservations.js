@@ -1,16 +1,66 @@
 import express from "express";
-import { createReservation } from "../services/reservationService.js";
+import { verifySignature } from "../utils/verifySignature.js";
+import { checkMaintenanceMode } from "../utils/checkMaintenanceMode.js";
+import { addressesMatch } from "../utils/addressUtils.js";
+import {
+  createReservation,
+  getReservationById,
+  extendReservation,
+  toPublicReservation,
+} from "../services/reservationService.js";
+import { getPaymentStatus } from "../services/paymentWatcher.js";
 
 const router = express.Router();
 
-// POST /api/reservations
-router.post("/", async (req, res) => {
+// POST /api/reservations (signed by the reserver)
+router.post("/", verifySignature, checkMaintenanceMode, async (req, res) => {
   try {
-    const reservation = await createReservation(req.body);
+    const data = req.verifiedData || {};
+    if (!addressesMatch(data.reserver, req.verifiedAddress)) {
+      return res.status(403).json({ error: "Reserver must match the signing address" });
+    }
+    const reservation = await createReservation(data, { ip: req.ip, signature: req.signature });
+    res.json({ reservation });
+  } catch (err) {
+    res.status(err.statusCode || 400).json({ error: err.message });
+  }
+});
+
+// POST /api/reservations/:id/extend - Hold the reservation a little longer, once (signed by the reserver)
+router.post("/:id/extend", verifySignature, checkMaintenanceMode, async (req, res) => {
+  try {
+    const reservation = await extendReservation(req.params.id, req.verifiedAddress);
     res.json({ reservation });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// GET /api/reservations/:id/payment - Whether the payment watcher has seen the payment yet
+router.get("/:id/payment", async (req, res) => {
+  try {
+    const payment = await getPaymentStatus(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: "Reservation not found" });
+    }
+    res.json({ payment });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/reservations/:id (e.g. an auction winner's payment reservation); unauthenticated,
+// so only the fields needed to pay it are returned
+router.get("/:id", async (req, res) => {
+  try {
+    const reservation = await getReservationById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ error: "Reservation not found" });
+    }
+    res.json({ reservation: toPublicReservation(reservation) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 export default router;
@@ -14,6 +14,8 @@ const router = express.Router();
 router.post("/", verifySignature, checkMaintenanceMode, async (req, res) => {
   try {
     const txId = await createTransaction(req.verifiedData, req.verifiedAddress, req.signature);
+    // Not confirmed yet: the purchase is recorded in the background once it is
+    if (!txId) return res.status(202).json({ success: true, status: "pending" });
     res.json({ success: true, transactionId: txId });
   } catch (err) {
     res.status(400).json({ error: err.message });
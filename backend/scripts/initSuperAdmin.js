@@ -2,7 +2,8 @@
 /**
  * Initialize admin from environment variable
  * Run this on server startup or manually to set up an admin
- * Note: All admins can review uploads (no separate superadmin role)
+ * Note: All admins can review uploads; only this admin (the superadmin) can change the
+ * YRT peg (services/yrtPegService.js)
  */
 
 import { addAdmin } from "../services/adminService.js";
@@ -18,6 +18,12 @@ import nftsRouter from "./routes/nfts.js";
 import partsRouter from "./routes/parts.js";
 import listingsRouter from "./routes/listings.js";
 import reservationsRouter from "./routes/reservations.js";
+import cartsRouter from "./routes/carts.js";
+import refundsRouter from "./routes/refunds.js";
+import currenciesRouter from "./routes/currencies.js";
+import networkRouter from "./routes/network.js";
+import { getNetwork, assertNetworkConfig } from "./utils/network.js";
+import { getQuoteSignerAddress } from "./utils/priceQuote.js";
 import transactionsRouter from "./routes/transactions.js";
 import explorerRouter from "./routes/explorer.js";
 import giftsRouter from "./routes/gifts.js";
@@ -26,15 +32,35 @@ import ethRouter from "./routes/eth.js";
 import statusRouter from "./routes/status.js";
 import profileRouter from "./routes/profile.js";
 import uploadsRouter from "./routes/uploads.js";
+import marketRouter from "./routes/market.js";
 import { initIndexes } from "./initIndexes.js";
 
 import {
   cleanupExpiredReservations,
+  cleanupExpiredOffers,
+  cleanupExpiredListings,
+  cleanupExpiredCarts,
   cleanupOldSignatures
 } from "./cleanup.js";
 import { initSuperAdmin } from "./scripts/initSuperAdmin.js";
 
 import { startWorker as startArweaveRetryWorker } from "./scripts/arweaveRetryWorker.js";
+import { settleEndedAuctions } from "./services/auctionService.js";
+import { refreshListingPrices } from "./services/listingService.js";
+import { syncMarketStats } from "./services/statsService.js";
+import { reconcileStuckPurchases } from "./services/reconciliationService.js";
+import { validateReconcileConfig } from "./utils/reconciliation.js";
+import { watchPayments } from "./services/paymentWatcher.js";
+
+// Settings that are only read when a purchase or a background job needs them: check them
+// now so a missing key or a bad value stops the server instead of failing later
+function validateConfig() {
+  assertNetworkConfig();     // NETWORK profile and Ethereum RPC (INFURA_API_KEY or ETH_RPC_URL)
+  getQuoteSignerAddress();   // PRICE_QUOTE_SIGNER_KEY, signs the price quotes of reservations
+  validateReconcileConfig(); // RECONCILE_*, read by the reconciliation job on every run
+}
+
+validateConfig();
 
 const app = express();
 
@@ -85,6 +111,13 @@ app.use('/api/explorer', (req, res, next) => {
 });
 console.log('[CORS] Explorer API routes allow all origins (public read-only endpoints)');
 
+// Behind Nginx: read the client IP from X-Forwarded-For (per-IP reservation limits).
+// TRUST_PROXY is a hop count ("1") or an Express trust proxy value ("loopback").
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Increase body parser limit for large uploads (10MB image = ~13.3MB base64)
 app.use(express.json({ limit: '15mb' }));
 
@@ -162,6 +195,10 @@ app.use("/api/nfts", nftsRouter);
 app.use("/api/parts", partsRouter);
 app.use("/api/listings", listingsRouter);
 app.use("/api/reservations", reservationsRouter);
+app.use("/api/carts", cartsRouter);
+app.use("/api/refunds", refundsRouter);
+app.use("/api/currencies", currenciesRouter);
+app.use("/api/network", networkRouter);
 app.use("/api/transactions", transactionsRouter);
 app.use("/api/explorer", explorerRouter);
 app.use("/api/gifts", giftsRouter);
@@ -170,9 +207,18 @@ app.use("/api/eth", ethRouter);
 app.use("/api/status", statusRouter);
 app.use("/api/profile", profileRouter);
 app.use("/api/uploads", uploadsRouter);
+app.use("/api/market", marketRouter);
 
 // Background jobs
 setInterval(cleanupExpiredReservations, 10 * 1000);   // every 10s (more frequent to catch expired reservations quickly)
+setInterval(cleanupExpiredOffers, 60 * 1000);         // every 1min
+setInterval(cleanupExpiredListings, 60 * 1000);       // every 1min
+setInterval(cleanupExpiredCarts, 30 * 1000);          // every 30s
+setInterval(settleEndedAuctions, 10 * 1000);          // every 10s (winner reservation created on settlement)
+setInterval(refreshListingPrices, 60 * 1000);         // every 1min (declining prices for store price filters)
+setInterval(syncMarketStats, 30 * 1000);              // every 30s (new sales into price history)
+setInterval(reconcileStuckPurchases, 60 * 1000);      // every 1min (purchases stuck PROCESSING/PAID)
+setInterval(watchPayments, 15 * 1000);                // every 15s (on-chain payments for open reservations)
 setInterval(cleanupOldSignatures, 10 * 60 * 1000);    // every 10min
 
 // Start Arweave retry worker
@@ -191,6 +237,8 @@ app.listen(PORT, "0.0.0.0", async () => {
   try {
     // Only run init on first worker to avoid duplicate operations
     if (isFirstWorker) {
+      const network = getNetwork();
+      console.log(`[Worker ${workerId}] Network: ${network.name} (${network.eth.chainName} ${network.eth.chainId}, Solana ${network.sol.cluster})`);
       console.log(`[Worker ${workerId}] Running initialization (indexes, super admin)...`);
       await initIndexes();
       await initSuperAdmin();
@@ -0,0 +1,163 @@
+// backend/services/abuseService.js
+/**
+ * Service: Reservation abuse limits and the abuse log
+ *
+ * Exports:
+ * - ABUSE_EVENTS: event types written to the `abuse_log` collection
+ * - enforceReservationLimits({ reserver, ip, reservations, parts }): Promise<void>
+ *     Throws (statusCode 429) when the reserver is cooling down or the request would
+ *     exceed a limit in utils/reservationLimits.js; the rejection is logged.
+ * - recordExpiredReservation({ reserver, reserverIp, listingId, quantity, reservationId, cartId }): Promise<void>
+ * - getAbuseReport({ from, to }): Promise<{ from, to, addresses, ips, recent }>
+ *
+ * Notes:
+ * - Usage counts PENDING reservations only; a reservation being paid no longer holds a slot.
+ * - The client IP comes from `req.ip` (set TRUST_PROXY when running behind Nginx).
+ * - Abuse log entries are removed after 90 days (TTL index in initIndexes.js).
+ */
+
+import connectDB from "../db.js";
+import { RESERVATION_STATUS } from "../utils/statusConstants.js";
+import { logInfo } from "../utils/logger.js";
+import {
+  getReservationLimitConfig,
+  findLimitViolation,
+  getCooldownEnd,
+} from "../utils/reservationLimits.js";
+
+export const ABUSE_EVENTS = {
+  RESERVATION_LIMIT: "RESERVATION_LIMIT",       // request rejected by a per-address or per-IP limit
+  RESERVATION_COOLDOWN: "RESERVATION_COOLDOWN", // request rejected during a cooldown
+  EXPIRED_UNPAID: "EXPIRED_UNPAID",             // reservation or cart expired without payment
+};
+
+const REPORT_LIMIT = 50;
+
+async function logAbuse(db, entry) {
+  await db.collection("abuse_log").insertOne({ ...entry, timestamp: new Date() });
+}
+
+function limitError(message) {
+  const err = new Error(message);
+  err.statusCode = 429;
+  return err;
+}
+
+/**
+ * PENDING reservations and reserved parts held by an address or IP.
+ */
+async function getUsage(reservationsCol, field, value) {
+  const [row] = await reservationsCol.aggregate([
+    { $match: { [field]: value, status: RESERVATION_STATUS.PENDING } },
+    { $group: { _id: null, reservations: { $sum: 1 }, parts: { $sum: "$quantity" } } },
+  ]).toArray();
+  return { reservations: row?.reservations || 0, parts: row?.parts || 0 };
+}
+
+export async function enforceReservationLimits({ reserver, ip, reservations = 1, parts = 0 }) {
+  const config = getReservationLimitConfig();
+  const db = await connectDB();
+  const address = String(reserver).toLowerCase();
+  const now = new Date();
+
+  if (config.cooldownSeconds) {
+    const since = new Date(now.getTime() - config.cooldownWindowMinutes * 60 * 1000);
+    const expired = await db.collection("abuse_log")
+      .find({ address, type: ABUSE_EVENTS.EXPIRED_UNPAID, timestamp: { $gt: since } })
+      .project({ timestamp: 1 })
+      .toArray();
+    const cooldownEnd = getCooldownEnd(expired.map((e) => e.timestamp), now, config);
+    if (cooldownEnd) {
+      await logAbuse(db, { type: ABUSE_EVENTS.RESERVATION_COOLDOWN, address, ip: ip || null, details: { until: cooldownEnd } });
+      const seconds = Math.ceil((cooldownEnd.getTime() - now.getTime()) / 1000);
+      throw limitError(`Too many unpaid reservations expired. Please wait ${seconds}s before reserving again.`);
+    }
+  }
+
+  const reservationsCol = db.collection("reservations");
+  const usage = {
+    address: await getUsage(reservationsCol, "reserver", address),
+    ip: ip ? await getUsage(reservationsCol, "reserverIp", ip) : null,
+  };
+  const violation = findLimitViolation(usage, { reservations, parts }, config);
+  if (violation) {
+    await logAbuse(db, {
+      type: ABUSE_EVENTS.RESERVATION_LIMIT,
+      address,
+      ip: ip || null,
+      details: { ...violation, held: usage[violation.scope][violation.limit], requested: { reservations, parts } },
+    });
+    const what = violation.limit === "parts" ? "reserved parts" : "open reservations";
+    const who = violation.scope === "ip" ? "this network" : "this address";
+    throw limitError(`Too many ${what} for ${who} (limit ${violation.max}). Complete or wait for them to expire.`);
+  }
+}
+
+export async function recordExpiredReservation({ reserver, reserverIp, listingId, quantity, reservationId, cartId }) {
+  if (!reserver) return;
+  const db = await connectDB();
+  await logAbuse(db, {
+    type: ABUSE_EVENTS.EXPIRED_UNPAID,
+    address: String(reserver).toLowerCase(),
+    ip: reserverIp || null,
+    details: {
+      listingId: listingId ? String(listingId) : null,
+      quantity: quantity ?? null,
+      reservationId: reservationId ? String(reservationId) : null,
+      cartId: cartId ? String(cartId) : null,
+    },
+  });
+  logInfo(`[recordExpiredReservation] Unpaid ${cartId ? `cart ${cartId}` : `reservation ${reservationId}`} expired for ${reserver}`);
+}
+
+/**
+ * Addresses and IPs with the most abuse log events in [from, to), plus the latest events.
+ */
+export async function getAbuseReport({ from, to } = {}) {
+  const range = {};
+  if (from) {
+    const start = new Date(from);
+    if (isNaN(start.getTime())) throw new Error("Invalid 'from' date");
+    range.$gte = start;
+  }
+  if (to) {
+    const end = new Date(to);
+    if (isNaN(end.getTime())) throw new Error("Invalid 'to' date");
+    range.$lt = end;
+  }
+  const match = Object.keys(range).length > 0 ? { timestamp: range } : {};
+
+  const groupBy = (field) => [
+    { $match: { [field]: { $ne: null } } },
+    { $group: { _id: { key: `$${field}`, type: "$type" }, count: { $sum: 1 }, lastSeen: { $max: "$timestamp" } } },
+    {
+      $group: {
+        _id: "$_id.key",
+        events: { $push: { k: "$_id.type", v: "$count" } },
+        total: { $sum: "$count" },
+        lastSeen: { $max: "$lastSeen" },
+      },
+    },
+    { $sort: { total: -1, lastSeen: -1 } },
+    { $limit: REPORT_LIMIT },
+    { $project: { _id: 0, [field]: "$_id", events: { $arrayToObject: "$events" }, total: 1, lastSeen: 1 } },
+  ];
+
+  const db = await connectDB();
+  const [report] = await db.collection("abuse_log").aggregate([
+    { $match: match },
+    {
+      $facet: {
+        addresses: groupBy("address"),
+        ips: groupBy("ip"),
+        recent: [{ $sort: { timestamp: -1 } }, { $limit: REPORT_LIMIT }, { $project: { _id: 0 } }],
+      },
+    },
+  ]).toArray();
+
+  return {
+    from: range.$gte || null,
+    to: range.$lt || null,
+    ...report,
+  };
+}
@@ -1,5 +1,6 @@
 import connectDB from "../db.js";
 import { normalizeAddress } from "../utils/addressUtils.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
 
 // check if address is in admins collection
 export async function isAdmin(address) {
@@ -11,6 +12,13 @@ export async function isAdmin(address) {
   return !!admin;
 }
 
+// the superadmin is the admin named by SUPERADMIN_ADDRESS (see scripts/initSuperAdmin.js);
+// only it can change store-wide settings such as the YRT peg (yrtPegService)
+export function isSuperAdmin(address) {
+  const superAdmin = normalizeAddress(process.env.SUPERADMIN_ADDRESS);
+  return !!superAdmin && normalizeAddress(address) === superAdmin;
+}
+
 // add an admin (optional helper)
 export async function addAdmin(address) {
   const db = await connectDB();
@@ -21,3 +29,47 @@ export async function addAdmin(address) {
     { upsert: true }
   );
 }
+
+// store fee revenue from NFT_BUY transactions in [from, to), grouped by currency
+export async function getFeeRevenue({ from, to } = {}) {
+  const range = {};
+  if (from) {
+    const start = new Date(from);
+    if (isNaN(start.getTime())) throw new Error("Invalid 'from' date");
+    range.$gte = start;
+  }
+  if (to) {
+    const end = new Date(to);
+    if (isNaN(end.getTime())) throw new Error("Invalid 'to' date");
+    range.$lt = end;
+  }
+  if (range.$gte && range.$lt && range.$gte >= range.$lt) {
+    throw new Error("'from' must be before 'to'");
+  }
+
+  const match = { type: TX_TYPES.NFT_BUY, fee: { $nin: [null, "0"] } };
+  if (Object.keys(range).length > 0) match.timestamp = range;
+
+  const db = await connectDB();
+  const rows = await db.collection("transactions").aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$currency",
+        total: { $sum: { $toDecimal: "$fee" } },
+        sales: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]).toArray();
+
+  return {
+    from: range.$gte || null,
+    to: range.$lt || null,
+    revenue: rows.map((row) => ({
+      currency: row._id,
+      total: row.total.toString(),
+      sales: row.sales,
+    })),
+  };
+}
@@ -442,11 +442,19 @@ export async function _uploadTransactionToArweaveInternal(transactionData, trans
  * - MINT: NFT minting transactions
  * - LISTING_CREATE: Creating a listing for sale
  * - LISTING_CANCEL: Cancelling a listing
+ * - LISTING_EXPIRE: Server cancelling a listing past its expiry
+ * - LISTING_UPDATE: Changing a listing's price, currencies or quantity
  * - NFT_BUY: Purchasing from a listing
+ * - CART_CHECKOUT: Paying for several listings at once (groups their NFT_BUY records)
  * - GIFT_CREATE: Creating a gift
  * - GIFT_CLAIM: Claiming a gift
  * - GIFT_REFUSE: Refusing a gift
  * - GIFT_CANCEL: Cancelling a gift
+ * - OFFER_CREATE / OFFER_ACCEPT / OFFER_REJECT / OFFER_COUNTER / OFFER_CANCEL: Offer lifecycle
+ * - AUCTION_BID: Placing a bid on an auction listing
+ * - AUCTION_SETTLE: Closing an ended auction (winner, or no sale)
+ * - REFUND: Seller returning a payment whose purchase could not be recorded
+ * - RATE_CHANGE: Superadmin changing the YRT peg
  * 
  * If upload fails:
  * - Transaction is queued for retry
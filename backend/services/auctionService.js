@@ -0,0 +1,477 @@
+// backend/services/auctionService.js
+/**
+ * Service: English auctions for BUNDLE listings
+ *
+ * Exports:
+ * - parseAuctionConfig(auction, reservePrice): AuctionConfig
+ *   Signed as part of the createListing body:
+ *     {
+ *       ...listing fields (price = reserve price, bundleSale: true),
+ *       auction: {
+ *         startTime?: string,        // ISO date, defaults to now
+ *         endTime: string,           // ISO date
+ *         minIncrement: string,      // YRT per part
+ *         extensionSeconds?: number  // anti-sniping window, default 300
+ *       }
+ *     }
+ * - placeBid(listingId, data, verifiedAddress, signature): Promise<{ bidId, endTime }>
+ *   Signed body:
+ *     {
+ *       bidder: string,        // ETH addr (canonical)
+ *       amount: string,        // YRT per part
+ *       currency: "ETH" | "SOL" | "USDC" | "USDT",
+ *       buyerWallet: string,   // wallet the winner will pay from
+ *       buyerWalletProof?: string // SOL wallets: signature of getSolWalletProofMessage(bidder)
+ *     }
+ * - getBids(listingId): Promise<{ auction, bids }>
+ * - settleEndedAuctions(): Promise<void>                       // background job
+ * - handleExpiredAuctionReservation(reservation): Promise<void> // called by reservation cleanup
+ *
+ * Notes:
+ * - Bids, like listing prices, are in YRT per part. The first bid must meet the reserve price,
+ *   every following bid must beat the highest bid by at least minIncrement.
+ * - A bid placed within extensionSeconds of the end pushes the end out to now + extensionSeconds.
+ * - On settlement the winner gets a reservation that expires after AUCTION_PAYMENT_TTL_MS; its
+ *   payment is picked up by the payment watcher like any other reservation. It is priced with
+ *   a signed price quote (utils/priceQuote.js), like any other reservation.
+ * - Every bid (AUCTION_BID) and the settlement (AUCTION_SETTLE) are recorded as transactions.
+ */
+
+import { ObjectId } from "mongodb";
+import connectDB from "../db.js";
+import Reservation from "../Reservation.js";
+import { hashObject, hashableTransaction } from "../utils/hash.js";
+import { getNextTransactionInfo, uploadTransactionToArweave } from "./arweaveService.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { createTransactionDoc } from "../utils/transactionBuilder.js";
+import { logInfo } from "../utils/logger.js";
+import { yrtToCrypto } from "../utils/currency.js";
+import { createPriceQuote } from "../utils/priceQuote.js";
+import { getCurrentPeg } from "./yrtPegService.js";
+import { buildPaymentLegs, isRoyaltyDue, getRoyaltyWallet } from "../utils/paymentLegs.js";
+import { applyPlatformFee } from "../utils/platformFee.js";
+import { AUCTION_STATUS, LISTING_STATUS } from "../utils/statusConstants.js";
+import { normalizeAddress, addressesMatch } from "../utils/addressUtils.js";
+import { getListingById, recalculateAvailableQuantity } from "./listingService.js";
+import { assignPaymentReference } from "./paymentWatcher.js";
+import { isBuyerWallet } from "../utils/paymentMatching.js";
+
+export const AUCTION_PAYMENT_TTL_MS = 24 * 60 * 60 * 1000; // winner has 24h to pay
+const DEFAULT_EXTENSION_SECONDS = 300;
+const MAX_EXTENSION_SECONDS = 3600;
+const MIN_AUCTION_DURATION_MS = 5 * 60 * 1000;
+const MAX_AUCTION_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Validate and normalize auction settings from a createListing body.
+ *
+ * @param {Object} auction
+ * @param {string|number} reservePrice - Listing price, used as the reserve (minimum opening bid)
+ * @returns {{reservePrice: string, minIncrement: string, startTime: Date, endTime: Date, extensionSeconds: number}}
+ */
+export function parseAuctionConfig(auction, reservePrice) {
+  if (!auction || typeof auction !== "object") throw new Error("Invalid auction settings");
+
+  const reserve = Number(reservePrice);
+  if (!Number.isFinite(reserve) || reserve <= 0) throw new Error("Invalid reserve price");
+
+  const minIncrement = Number(auction.minIncrement);
+  if (!Number.isFinite(minIncrement) || minIncrement <= 0) throw new Error("Invalid minimum bid increment");
+
+  const now = Date.now();
+  const startTime = auction.startTime ? new Date(auction.startTime) : new Date(now);
+  const endTime = new Date(auction.endTime);
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) throw new Error("Invalid auction start or end time");
+  if (endTime.getTime() <= now) throw new Error("Auction end time must be in the future");
+
+  const duration = endTime.getTime() - startTime.getTime();
+  if (duration < MIN_AUCTION_DURATION_MS) throw new Error("Auction must run for at least 5 minutes");
+  if (duration > MAX_AUCTION_DURATION_MS) throw new Error("Auction cannot run longer than 30 days");
+
+  const extensionSeconds = auction.extensionSeconds === undefined || auction.extensionSeconds === null
+    ? DEFAULT_EXTENSION_SECONDS
+    : parseInt(auction.extensionSeconds, 10);
+  if (!Number.isFinite(extensionSeconds) || extensionSeconds < 0 || extensionSeconds > MAX_EXTENSION_SECONDS) {
+    throw new Error("Invalid auction extension");
+  }
+
+  return {
+    reservePrice: String(reservePrice),
+    minIncrement: String(auction.minIncrement),
+    startTime,
+    endTime,
+    extensionSeconds,
+  };
+}
+
+/**
+ * Create an AUCTION_* transaction and upload it to Arweave.
+ * @returns {Promise<string>} transaction id
+ */
+async function recordAuctionTransaction(type, listing, overrides, signer, signature, logTag) {
+  const db = await connectDB();
+  const txCol = db.collection("transactions");
+
+  const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+
+  const txDoc = createTransactionDoc({
+    type,
+    transaction_number: transactionNumber,
+    signer,
+    signature,
+    overrides: {
+      listingId: listing._id.toString(),
+      nftId: String(listing.nftId),
+      seller: listing.seller,
+      quantity: Number(listing.quantity),
+      ...overrides,
+    },
+  });
+
+  const txId = hashObject(hashableTransaction(txDoc));
+  txDoc._id = txId;
+
+  await txCol.insertOne(txDoc);
+  logInfo(`[${logTag}] Created ${type} transaction: ${txId}`);
+
+  // Fetch NFT imageUrl for Arweave upload (not part of hash)
+  const nft = await db.collection("nfts").findOne({ _id: String(listing.nftId) });
+  const imageUrl = nft?.imageurl || null;
+
+  try {
+    const arweaveTxId = await uploadTransactionToArweave(txDoc, transactionNumber, previousArweaveTxId, imageUrl);
+    await txCol.updateOne({ _id: txId }, { $set: { arweaveTxId: arweaveTxId } });
+    logInfo(`[${logTag}] ${type} transaction uploaded to Arweave: ${arweaveTxId}`);
+  } catch (error) {
+    logInfo(`[${logTag}] Warning: Failed to upload ${type} to Arweave: ${error.message}`);
+  }
+
+  return txId;
+}
+
+/**
+ * Place a bid on an open auction.
+ *
+ * @param {string} listingId
+ * @param {Object} data
+ * @param {string} data.bidder
+ * @param {string|number} data.amount - YRT per part
+ * @param {string} data.currency
+ * @param {string} data.buyerWallet
+ * @param {string} [data.buyerWalletProof]
+ * @param {string} verifiedAddress - Address verified via signature
+ * @param {string} signature - Signature from frontend
+ * @returns {Promise<{bidId: string, endTime: Date}>}
+ */
+export async function placeBid(listingId, data, verifiedAddress, signature) {
+  const { bidder, amount, currency, buyerWallet, buyerWalletProof } = data;
+
+  if (!bidder || !amount || !buyerWallet) throw new Error("Missing required bid fields");
+  if (!addressesMatch(bidder, verifiedAddress)) throw new Error("Bidder address mismatch");
+
+  const bid = Number(amount);
+  if (!Number.isFinite(bid) || bid <= 0) throw new Error("Invalid bid amount");
+
+  const listing = await getListingById(listingId);
+  if (!listing) throw new Error("Listing not found");
+  const auction = listing.auction;
+  if (!auction) throw new Error("Listing is not an auction");
+  if (listing.status !== LISTING_STATUS.ACTIVE || auction.status !== AUCTION_STATUS.OPEN) {
+    throw new Error("Auction is not open");
+  }
+  if (addressesMatch(bidder, listing.seller)) throw new Error("Cannot bid on your own auction");
+
+  const chosenCurrency = String(currency || "ETH").toUpperCase();
+  if (!listing.sellerWallets?.[chosenCurrency]) {
+    throw new Error(`Listing does not accept currency ${chosenCurrency}`);
+  }
+  if (!isBuyerWallet(chosenCurrency, String(buyerWallet).trim(), bidder, buyerWalletProof)) {
+    throw new Error(`${chosenCurrency} payments must come from the bidder's own wallet`);
+  }
+  const db = await connectDB();
+  const nft = await db.collection("nfts").findOne({ _id: listing.nftId });
+  if (isRoyaltyDue(nft, listing.seller) && !getRoyaltyWallet(nft.royalty, chosenCurrency)) {
+    throw new Error(`This NFT's creator royalty cannot be paid in ${chosenCurrency}`);
+  }
+
+  const now = new Date();
+  if (now < new Date(auction.startTime)) throw new Error("Auction has not started yet");
+  if (now >= new Date(auction.endTime)) throw new Error("Auction has ended");
+
+  const minimum = auction.highestBid !== null && auction.highestBid !== undefined
+    ? Number(auction.highestBid) + Number(auction.minIncrement)
+    : Number(auction.reservePrice);
+  if (bid < minimum) throw new Error(`Bid must be at least ${minimum} YRT per part`);
+
+  // Anti-sniping: late bids push the end out
+  const extensionMs = Number(auction.extensionSeconds || 0) * 1000;
+  let endTime = new Date(auction.endTime);
+  if (extensionMs > 0 && endTime.getTime() - now.getTime() < extensionMs) {
+    endTime = new Date(now.getTime() + extensionMs);
+  }
+
+  const listingsCol = db.collection("listings");
+
+  // Only succeeds if nobody outbid us since we read the listing
+  const updated = await listingsCol.findOneAndUpdate(
+    {
+      _id: listing._id,
+      "auction.status": AUCTION_STATUS.OPEN,
+      "auction.highestBid": auction.highestBid ?? null,
+      "auction.endTime": { $gt: now },
+    },
+    {
+      $set: {
+        "auction.highestBid": String(amount),
+        "auction.highestBidder": normalizeAddress(bidder),
+        "auction.endTime": endTime,
+        time_updated: now,
+      },
+      $inc: { "auction.bidCount": 1 },
+    },
+    { returnDocument: "after" }
+  );
+  if (!updated) throw new Error("You were outbid by a concurrent bid, please try again");
+
+  const bidId = new ObjectId();
+  await db.collection("bids").insertOne({
+    _id: bidId,
+    listingId: listing._id.toString(),
+    bidder: normalizeAddress(bidder),
+    amount: String(amount),
+    currency: chosenCurrency,
+    buyerWallet: String(buyerWallet).trim(),
+    buyerWalletProof: buyerWalletProof || null,
+    time_created: now,
+  });
+  logInfo("[placeBid] Bid placed:", { listingId: listing._id.toString(), bidder, amount: String(amount), endTime });
+
+  await recordAuctionTransaction(
+    TX_TYPES.AUCTION_BID,
+    listing,
+    {
+      buyer: bidder,
+      price: String(amount),
+      currency: chosenCurrency,
+      expiresAt: endTime,
+    },
+    verifiedAddress,
+    signature,
+    "placeBid"
+  );
+
+  return { bidId: bidId.toString(), endTime };
+}
+
+/**
+ * Get auction state and bid history (newest first) for a listing.
+ * @param {string} listingId
+ * @returns {Promise<{auction: Object|null, bids: Array}>}
+ */
+export async function getBids(listingId) {
+  const listing = await getListingById(listingId);
+  if (!listing) throw new Error("Listing not found");
+
+  const db = await connectDB();
+  const bids = await db
+    .collection("bids")
+    .find({ listingId: listing._id.toString() })
+    .project({ buyerWallet: 0, buyerWalletProof: 0 })
+    .sort({ time_created: -1 })
+    .toArray();
+
+  return { auction: listing.auction || null, bids };
+}
+
+/**
+ * Release the parts of an auction that did not sell and cancel its listing.
+ */
+async function closeUnsold(listing) {
+  const db = await connectDB();
+  const releaseResult = await db.collection("parts").updateMany(
+    { listing: listing._id.toString(), owner: listing.seller },
+    { $set: { listing: null }, $unset: { reservation: "" } }
+  );
+  await db.collection("listings").updateOne(
+    { _id: listing._id },
+    { $set: { status: LISTING_STATUS.CANCELED, availableQuantity: 0, time_canceled: new Date(), time_updated: new Date() } }
+  );
+  logInfo(`[closeUnsold] Released ${releaseResult.modifiedCount} parts from auction ${listing._id}`);
+}
+
+async function settleAuction(listing) {
+  const db = await connectDB();
+  const listingsCol = db.collection("listings");
+  const auction = listing.auction;
+  const now = new Date();
+
+  if (!auction.highestBidder) {
+    const claimed = await listingsCol.findOneAndUpdate(
+      { _id: listing._id, "auction.status": AUCTION_STATUS.OPEN },
+      { $set: { "auction.status": AUCTION_STATUS.UNSOLD, "auction.settledAt": now } }
+    );
+    if (!claimed) return; // settled by another worker
+
+    await closeUnsold(listing);
+    await recordAuctionTransaction(TX_TYPES.AUCTION_SETTLE, listing, {}, listing.seller, null, "settleAuction");
+    logInfo(`[settleAuction] Auction ${listing._id} ended without bids`);
+    return;
+  }
+
+  // Winning bid carries the currency and wallet the winner pays with
+  const winningBid = await db.collection("bids").findOne(
+    { listingId: listing._id.toString(), bidder: auction.highestBidder, amount: auction.highestBid },
+    { sort: { time_created: -1 } }
+  );
+  if (!winningBid) {
+    logInfo(`[settleAuction] Warning: winning bid not found for auction ${listing._id}`);
+    return;
+  }
+
+  const sellerWallet = listing.sellerWallets?.[winningBid.currency];
+  const totalYrt = Number(auction.highestBid) * Number(listing.quantity);
+  const paymentDueAt = new Date(now.getTime() + AUCTION_PAYMENT_TTL_MS);
+  // Convert before claiming so a rate outage only delays settlement
+  const priceQuote = await createPriceQuote(winningBid.currency, paymentDueAt, await getCurrentPeg(), now);
+  const amountCrypto = await yrtToCrypto(totalYrt, winningBid.currency, priceQuote);
+  const nft = await db.collection("nfts").findOne({ _id: listing.nftId });
+  const quote = await applyPlatformFee({
+    totalYrt,
+    currency: winningBid.currency,
+    amount: String(amountCrypto),
+    paymentLegs: buildPaymentLegs({
+      amount: String(amountCrypto),
+      currency: winningBid.currency,
+      seller: listing.seller,
+      sellerWallet: String(sellerWallet).trim(),
+      nft,
+    }),
+    quote: priceQuote,
+  });
+  const reservationId = new ObjectId();
+  const { totalPriceCrypto, paymentLegs, paymentTag, paymentMemo } = await assignPaymentReference({
+    currency: winningBid.currency,
+    sellerWallet: String(sellerWallet).trim(),
+    ...quote,
+  }, reservationId);
+
+  const claimed = await listingsCol.findOneAndUpdate(
+    { _id: listing._id, "auction.status": AUCTION_STATUS.OPEN },
+    {
+      $set: {
+        "auction.status": AUCTION_STATUS.AWAITING_PAYMENT,
+        "auction.winner": auction.highestBidder,
+        "auction.reservationId": reservationId.toString(),
+        "auction.settledAt": now,
+        "auction.paymentDueAt": paymentDueAt,
+      },
+    }
+  );
+  if (!claimed) return; // settled by another worker
+
+  // Nobody else can reserve an auction listing, so all of its parts are free to lock
+  const lockResult = await db.collection("parts").updateMany(
+    {
+      parent_hash: listing.nftId,
+      owner: listing.seller,
+      listing: listing._id.toString(),
+      $or: [{ reservation: null }, { reservation: { $exists: false } }],
+    },
+    { $set: { reservation: reservationId.toString() } }
+  );
+
+  const reservationDoc = new Reservation({
+    listingId: listing._id,
+    reserver: auction.highestBidder,
+    quantity: Number(listing.quantity),
+    currency: winningBid.currency,
+    buyerWallet: winningBid.buyerWallet,
+    buyerWalletProof: winningBid.buyerWalletProof,
+    sellerWallet: String(sellerWallet).trim(),
+    totalPriceCrypto,
+    timestamp: now,
+    expiresAt: paymentDueAt,
+    pricePerPart: String(auction.highestBid),
+    paymentLegs,
+    paymentTag,
+    paymentMemo,
+    priceQuote,
+  });
+  await db.collection("reservations").insertOne({ ...reservationDoc, _id: reservationId });
+  await recalculateAvailableQuantity(listing._id);
+
+  logInfo("[settleAuction] Auction settled:", {
+    listingId: listing._id.toString(),
+    winner: auction.highestBidder,
+    price: auction.highestBid,
+    reservationId: reservationId.toString(),
+    lockedParts: lockResult.modifiedCount,
+  });
+
+  await recordAuctionTransaction(
+    TX_TYPES.AUCTION_SETTLE,
+    listing,
+    {
+      reservationId: reservationId.toString(),
+      buyer: auction.highestBidder,
+      price: String(auction.highestBid),
+      currency: winningBid.currency,
+      amount: String(amountCrypto),
+      expiresAt: paymentDueAt,
+    },
+    listing.seller,
+    null,
+    "settleAuction"
+  );
+}
+
+/**
+ * Settle every open auction whose end time has passed.
+ * Safe to run from several workers: each auction is claimed atomically.
+ */
+export async function settleEndedAuctions() {
+  try {
+    const db = await connectDB();
+    const ended = await db
+      .collection("listings")
+      .find({
+        status: LISTING_STATUS.ACTIVE,
+        "auction.status": AUCTION_STATUS.OPEN,
+        "auction.endTime": { $lte: new Date() },
+      })
+      .toArray();
+
+    for (const listing of ended) {
+      try {
+        await settleAuction(listing);
+      } catch (err) {
+        console.error(`[settleEndedAuctions] Failed to settle auction ${listing._id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error("[settleEndedAuctions] Error:", err.message);
+  }
+}
+
+/**
+ * Called when a PENDING reservation is cleaned up. If it was an auction winner's
+ * payment reservation, the auction is closed as unsold and the parts go back to the seller.
+ *
+ * @param {Object} reservation - The expired reservation document
+ */
+export async function handleExpiredAuctionReservation(reservation) {
+  const db = await connectDB();
+  const listing = await db.collection("listings").findOne({ _id: new ObjectId(String(reservation.listingId)) });
+  if (!listing?.auction) return;
+  if (listing.auction.status !== AUCTION_STATUS.AWAITING_PAYMENT) return;
+  if (listing.auction.reservationId !== reservation._id.toString()) return;
+
+  const claimed = await db.collection("listings").findOneAndUpdate(
+    { _id: listing._id, "auction.status": AUCTION_STATUS.AWAITING_PAYMENT },
+    { $set: { "auction.status": AUCTION_STATUS.UNSOLD } }
+  );
+  if (!claimed) return;
+
+  await closeUnsold(listing);
+  logInfo(`[handleExpiredAuctionReservation] Winner did not pay for auction ${listing._id}, closed as unsold`);
+}
@@ -0,0 +1,560 @@
+// backend/services/cartService.js
+/**
+ * Service: Multi-listing cart checkout
+ *
+ * Exports:
+ * - createCart(data, { ip }): Promise<Cart>
+ *   Signed body (like reservations, `reserver` must be the signing address):
+ *     {
+ *       reserver: string,           // ETH addr (canonical)
+ *       currency: "ETH" | "SOL" | "USDC" | "USDT",
+ *       buyerWallet: string,
+ *       buyerWalletProof?: string,  // SOL wallets: signature of getSolWalletProofMessage(reserver)
+ *       items: [{ listingId: string, quantity?: number, partNos?: Array<number|string> }]
+ *     }
+ * - getCartById(cartId): Promise<Cart|null>
+ * - checkoutCart(data, verifiedAddress, signature): Promise<{status, transactionId, transactionIds, refundIds}>
+ *   status is "pending" (nothing recorded yet) while the payment is not confirmed, else "completed".
+ *   Signed body:
+ *     {
+ *       cartId: string,
+ *       buyer: string,              // ETH address (canonical identity)
+ *       chainTxs: string[],         // chainTxs[i] pays cart.paymentLegs[i]
+ *       timestamp?: number
+ *     }
+ * - expireCart(cart): Promise<boolean>
+ * - releaseCart(cart, status): Promise<void>
+ * - verifyCartPayment(cart, chainTxs) / markCartPaid(cart, paidLegs) / completeCartCheckout(cart)
+ *     The steps of a checkout after the cart is claimed, also used by the reconciliation job.
+ *
+ * Notes:
+ * - Each listing in the cart gets its own reservation (tagged with `cartId`); they share the cart's expiry.
+ * - The reservation limits (abuseService) are checked once for the whole cart; an expired
+ *   unpaid cart counts as one expired reservation towards the reserver's cooldown.
+ * - Payment legs are combined across listings by role and wallet, so a seller with several
+ *   listings in the cart is paid by one chain transaction (a SOL transaction can pay every leg).
+ * - If reserving any listing fails, every reservation in the cart is released. So is the cart
+ *   (FAILED) when its payment fails verification at checkout (missing transaction, wrong
+ *   recipient or amount); a payment that is only not confirmed yet leaves it PROCESSING for
+ *   the reconciliation job.
+ * - A paid reservation whose listing closed before checkout is handed to the refund flow
+ *   (refundService.js); the rest of the cart is still recorded.
+ * - A successful checkout writes one NFT_BUY per listing, then a CART_CHECKOUT linking them.
+ * - The signed payment is stored on the cart (`payment`) when it is claimed, and the verified
+ *   legs (`paidLegs`) once paid, so an interrupted checkout can be finished later.
+ * - Payments must come from the cart's buyerWallet and cannot have paid any other purchase
+ *   (assertPaymentUnused in transactionService).
+ */
+
+import { ObjectId } from "mongodb";
+import connectDB from "../db.js";
+import { hashObject, hashableTransaction } from "../utils/hash.js";
+import { getNextTransactionInfo, uploadTransactionToArweave } from "./arweaveService.js";
+import { logInfo } from "../utils/logger.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { createTransactionDoc } from "../utils/transactionBuilder.js";
+import { verifyChainTransaction, isPaymentPending } from "../utils/verifyChainTransaction.js";
+import { addCryptoAmounts, getPaymentLegs } from "../utils/paymentLegs.js";
+import { CART_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+import { addressesMatch } from "../utils/addressUtils.js";
+import { createReservation } from "./reservationService.js";
+import { recordPurchase, assertPaymentUnused, getPurchaseBlocker } from "./transactionService.js";
+import { orphanPayment } from "./refundService.js";
+import { recalculateAvailableQuantity, getListingById } from "./listingService.js";
+import { enforceReservationLimits, recordExpiredReservation } from "./abuseService.js";
+import { parsePartNos } from "../utils/partPricing.js";
+import { normalizeChainTx, isBuyerWallet } from "../utils/paymentMatching.js";
+import { getCurrency } from "../utils/currencies.js";
+
+export const MAX_CART_ITEMS = 10;
+// Longer than a single reservation: an ETH cart needs one wallet transaction per payee
+const CART_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Sum amounts that may be zero (addCryptoAmounts only takes positive amounts).
+ */
+function sumAmounts(amounts, currency) {
+  const positive = amounts.filter((amount) => Number(amount) > 0);
+  return positive.length > 0 ? addCryptoAmounts(positive, currency) : "0";
+}
+
+/**
+ * Combine the payment legs of every reservation by role and wallet.
+ * @param {Array<Object>} reservations
+ * @param {string} currency
+ * @returns {Array<{role: string, wallet: string, amount: string}>}
+ */
+function combinePaymentLegs(reservations, currency) {
+  const combined = new Map();
+  for (const reservation of reservations) {
+    for (const leg of getPaymentLegs(reservation)) {
+      const key = `${leg.role}:${String(leg.wallet).toLowerCase()}`;
+      const existing = combined.get(key);
+      if (existing) {
+        existing.amount = addCryptoAmounts([existing.amount, leg.amount], currency);
+      } else {
+        combined.set(key, { role: leg.role, wallet: leg.wallet, amount: String(leg.amount) });
+      }
+    }
+  }
+  return [...combined.values()];
+}
+
+function legKey(leg) {
+  return `${leg.role}:${String(leg.wallet).toLowerCase()}`;
+}
+
+/**
+ * Release every reservation of a cart (parts unlocked, reservation deleted) and set the cart status.
+ * PAID and COMPLETED reservations are never released.
+ * @param {Object} cart
+ * @param {string} status - CART_STATUS.FAILED or CART_STATUS.EXPIRED
+ */
+export async function releaseCart(cart, status) {
+  const db = await connectDB();
+  const cartId = cart._id.toString();
+  const reservations = await db.collection("reservations").find({
+    cartId,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.PROCESSING] },
+  }).toArray();
+
+  for (const reservation of reservations) {
+    await db.collection("parts").updateMany(
+      { reservation: reservation._id.toString() },
+      { $unset: { reservation: "" } }
+    );
+    await db.collection("reservations").deleteOne({ _id: reservation._id });
+    await recalculateAvailableQuantity(reservation.listingId);
+  }
+
+  await db.collection("carts").updateOne(
+    { _id: cart._id },
+    { $set: { status, time_updated: new Date() } }
+  );
+  logInfo(`[releaseCart] Cart ${cartId} ${status}: released ${reservations.length} reservations`);
+}
+
+/**
+ * Reserve parts across several listings at once.
+ * @param {Object} data - See module header
+ * @param {{ip?: string}} [options] - Client IP for the per-IP reservation limits
+ * @returns {Promise<Object>} Cart with its reservations
+ */
+export async function createCart({ reserver, currency, buyerWallet, buyerWalletProof, items }, { ip = null } = {}) {
+  if (!reserver || !Array.isArray(items) || items.length === 0) {
+    throw new Error("Missing required fields");
+  }
+  if (items.length > MAX_CART_ITEMS) {
+    throw new Error(`A cart can hold at most ${MAX_CART_ITEMS} listings`);
+  }
+  if (!/^0x[a-fA-F0-9]{40}$/.test(reserver)) {
+    throw new Error("Invalid reserver address (ETH)");
+  }
+  const buyerWalletAddr = String(buyerWallet || "").trim();
+  if (!buyerWalletAddr) throw new Error("Missing buyerWallet");
+  const chosenCurrency = String(currency || "ETH").toUpperCase();
+  if (!isBuyerWallet(chosenCurrency, buyerWalletAddr, reserver, buyerWalletProof)) {
+    throw new Error(`${chosenCurrency} payments must come from the reserver's own wallet`);
+  }
+
+  const listingIds = items.map((item) => String(item?.listingId || ""));
+  if (listingIds.some((id) => !ObjectId.isValid(id))) {
+    throw new Error("Invalid listingId in cart");
+  }
+  if (new Set(listingIds).size !== listingIds.length) {
+    throw new Error("Each listing can only appear once in a cart");
+  }
+
+  const db = await connectDB();
+  const cartsCol = db.collection("carts");
+  const reserverLower = String(reserver).toLowerCase();
+  const now = new Date();
+
+  const openCart = await cartsCol.findOne({
+    reserver: reserverLower,
+    status: { $in: [CART_STATUS.PENDING, CART_STATUS.PROCESSING] },
+    expiresAt: { $gt: now },
+  });
+  if (openCart) {
+    throw new Error("You already have an open cart. Please complete or wait for it to expire.");
+  }
+  await enforceReservationLimits({
+    reserver: reserverLower,
+    ip,
+    reservations: items.length,
+    parts: items.reduce(
+      (sum, item) => sum + (item.partNos ? parsePartNos(item.partNos).length : parseInt(item.quantity, 10) || 0),
+      0
+    ),
+  });
+
+  const cartId = new ObjectId();
+  const expiresAt = new Date(now.getTime() + CART_TTL_MS);
+  const cartDoc = {
+    _id: cartId,
+    reserver: reserverLower,
+    currency: chosenCurrency,
+    buyerWallet: buyerWalletAddr,
+    buyerWalletProof: buyerWalletProof || null,
+    reserverIp: ip,
+    reservationIds: [],
+    totalPriceCrypto: null,
+    paymentLegs: [],
+    status: CART_STATUS.PENDING,
+    timestamp: now,
+    expiresAt,
+  };
+  // Inserted first so a failed reservation can be traced back to its cart
+  await cartsCol.insertOne(cartDoc);
+
+  const reservations = [];
+  for (const item of items) {
+    try {
+      const reservation = await createReservation(
+        {
+          listingId: String(item.listingId),
+          reserver: reserverLower,
+          quantity: item.quantity,
+          partNos: item.partNos,
+          currency: chosenCurrency,
+          buyerWallet: buyerWalletAddr,
+          buyerWalletProof,
+        },
+        { cartId: cartId.toString(), expiresAt, ip }
+      );
+      reservations.push(reservation);
+    } catch (err) {
+      await releaseCart(cartDoc, CART_STATUS.FAILED);
+      throw new Error(`Listing ${item.listingId}: ${err.message}`);
+    }
+  }
+
+  const totalPriceCrypto = {
+    currency: chosenCurrency,
+    amount: sumAmounts(reservations.map((r) => r.totalPriceCrypto.amount), chosenCurrency),
+    fee: sumAmounts(reservations.map((r) => r.totalPriceCrypto.fee || "0"), chosenCurrency),
+  };
+  const paymentLegs = combinePaymentLegs(reservations, chosenCurrency);
+
+  await cartsCol.updateOne(
+    { _id: cartId },
+    {
+      $set: {
+        reservationIds: reservations.map((r) => r._id.toString()),
+        totalPriceCrypto,
+        paymentLegs,
+      },
+    }
+  );
+  logInfo(`[createCart] Cart ${cartId} reserved ${reservations.length} listings for ${reserverLower}`);
+
+  return getCartById(cartId);
+}
+
+/**
+ * Get a cart with its reservations.
+ * @param {string|ObjectId} cartId
+ * @returns {Promise<Object|null>}
+ */
+export async function getCartById(cartId) {
+  if (!ObjectId.isValid(String(cartId))) return null;
+  const db = await connectDB();
+  const cart = await db.collection("carts").findOne({ _id: new ObjectId(String(cartId)) });
+  if (!cart) return null;
+
+  const reservations = await db.collection("reservations")
+    .find({ cartId: cart._id.toString() })
+    .toArray();
+  return { ...cart, reservations };
+}
+
+/**
+ * Verify the cart's payments and record every purchase.
+ * @param {Object} data - Signed body (see module header)
+ * @param {string} verifiedAddress
+ * @param {string} signature
+ * @returns {Promise<{transactionId: string, transactionIds: string[], refundIds: string[]}>}
+ */
+export async function checkoutCart(data, verifiedAddress, signature) {
+  const { cartId, buyer, timestamp } = data;
+  let { chainTxs } = data;
+
+  if (!cartId || !buyer || !Array.isArray(chainTxs)) {
+    throw new Error("Missing required fields");
+  }
+  if (!addressesMatch(verifiedAddress, buyer)) {
+    throw new Error("Buyer address mismatch");
+  }
+  if (!ObjectId.isValid(String(cartId))) throw new Error("Invalid cartId");
+
+  const db = await connectDB();
+  const cartsCol = db.collection("carts");
+  const reservationsCol = db.collection("reservations");
+
+  const existing = await cartsCol.findOne({ _id: new ObjectId(String(cartId)) });
+  if (!existing) throw new Error("Cart not found");
+  if (!addressesMatch(existing.reserver, buyer)) {
+    throw new Error("Cart does not belong to buyer");
+  }
+  if (chainTxs.length !== existing.paymentLegs.length) {
+    throw new Error(`Expected ${existing.paymentLegs.length} chain transactions, got ${chainTxs.length}`);
+  }
+  if (!isBuyerWallet(existing.currency, existing.buyerWallet, buyer, existing.buyerWalletProof)) {
+    throw new Error("Payment must come from the buyer's own wallet");
+  }
+  chainTxs = chainTxs.map((tx) => normalizeChainTx(tx, existing.currency));
+  await assertPaymentUnused(chainTxs, { cartId: existing._id.toString() });
+
+  // Claim the cart so concurrent checkouts and cleanup leave it alone. The payment is kept on
+  // the cart so the reconciliation job can finish the checkout if this request dies.
+  const now = new Date();
+  const cart = await cartsCol.findOneAndUpdate(
+    { _id: existing._id, status: CART_STATUS.PENDING, expiresAt: { $gt: now } },
+    {
+      $set: {
+        status: CART_STATUS.PROCESSING,
+        time_updated: now,
+        payment: {
+          chainTxs: chainTxs.map(String),
+          buyer,
+          signer: verifiedAddress,
+          signature,
+          timestamp: timestamp ?? null,
+          startedAt: now,
+        },
+      },
+    },
+    { returnDocument: "after" }
+  );
+  if (!cart) throw new Error(`Cart is ${existing.status === CART_STATUS.PENDING ? "expired" : existing.status}`);
+
+  const claimed = await reservationsCol.updateMany(
+    { cartId: cart._id.toString(), status: RESERVATION_STATUS.PENDING },
+    { $set: { status: RESERVATION_STATUS.PROCESSING } }
+  );
+  if (claimed.modifiedCount !== cart.reservationIds.length) {
+    await releaseCart(cart, CART_STATUS.FAILED);
+    throw new Error("Some cart reservations have expired");
+  }
+
+  // A payment that is not confirmed yet is not waited for: the cart stays PROCESSING and the
+  // reconciliation job finishes the checkout once it is. Any other failure (no such
+  // transaction, wrong recipient or amount) will not fix itself, so the cart is released.
+  let paidLegs;
+  try {
+    paidLegs = await verifyCartPayment(cart, chainTxs);
+  } catch (err) {
+    if (isPaymentPending(err)) {
+      logInfo(`[checkoutCart] Payment for cart ${cartId} not confirmed yet, left for reconciliation: ${err.message}`);
+      return { status: "pending", transactionId: null, transactionIds: [], refundIds: [] };
+    }
+    await releaseCart(cart, CART_STATUS.FAILED);
+    logInfo(`[checkoutCart] Verification failed for cart ${cartId}, cart released: ${err.message}`);
+    throw new Error(`Chain transaction verification failed: ${err.message}. The cart has been released.`);
+  }
+
+  // Payment confirmed; listings that closed meanwhile are refunded by completeCartCheckout
+  await markCartPaid(cart, paidLegs);
+  const result = await completeCartCheckout({ ...cart, paidLegs });
+  if (!result.transactionId) {
+    throw new Error("Every listing in the cart has closed. Your payment was recorded and the sellers have been asked to refund it (royalties and store fees are refunded by the store).");
+  }
+  return { status: "completed", ...result };
+}
+
+/**
+ * Verify every combined payment leg of a cart, sent from the cart's buyerWallet; ETH and
+ * token transfers have one recipient, so each leg needs its own transaction.
+ * @param {Object} cart
+ * @param {string[]} chainTxs - chainTxs[i] pays cart.paymentLegs[i]
+ * @returns {Promise<Array<{role: string, wallet: string, amount: string, chainTx: string}>>}
+ */
+export async function verifyCartPayment(cart, chainTxs) {
+  const currency = cart.currency;
+  const paidLegs = [];
+  const usedEthTxs = new Set();
+  for (let i = 0; i < cart.paymentLegs.length; i++) {
+    const leg = cart.paymentLegs[i];
+    const legTx = String(chainTxs[i] || "");
+    if (!legTx) throw new Error(`Missing chain transaction for ${leg.role} ${leg.wallet}`);
+    if (getCurrency(currency).chain === "ETH") {
+      if (usedEthTxs.has(legTx)) {
+        throw new Error(`${currency} transaction ${legTx} cannot pay more than one leg`);
+      }
+      usedEthTxs.add(legTx);
+    }
+    await verifyChainTransaction(legTx, leg.amount, currency, leg.wallet, cart.buyerWallet);
+    paidLegs.push({ ...leg, chainTx: legTx });
+  }
+  return paidLegs;
+}
+
+/**
+ * Mark a cart and its reservations PAID, keeping the verified legs for completion.
+ * @param {Object} cart
+ * @param {Array<Object>} paidLegs - Result of verifyCartPayment
+ */
+export async function markCartPaid(cart, paidLegs) {
+  const db = await connectDB();
+  await db.collection("reservations").updateMany(
+    { cartId: cart._id.toString(), status: { $in: [RESERVATION_STATUS.PROCESSING, RESERVATION_STATUS.PAID] } },
+    { $set: { status: RESERVATION_STATUS.PAID } }
+  );
+  await db.collection("carts").updateOne(
+    { _id: cart._id },
+    { $set: { status: CART_STATUS.PAID, paidLegs, time_updated: new Date() } }
+  );
+}
+
+/**
+ * Record the purchases of a PAID cart: one NFT_BUY per listing, then the CART_CHECKOUT.
+ * Listings that closed meanwhile get a refund instead; if all did, the cart is FAILED and
+ * transactionId is null.
+ * Safe to run again on a cart whose checkout was interrupted: purchases and the
+ * CART_CHECKOUT already recorded are not written twice.
+ * @param {Object} cart - Cart with `paidLegs` and `payment`
+ * @returns {Promise<{transactionId: string|null, transactionIds: string[], refundIds: string[]}>}
+ */
+export async function completeCartCheckout(cart) {
+  const db = await connectDB();
+  const cartsCol = db.collection("carts");
+  const txCollection = db.collection("transactions");
+  const cartId = cart._id.toString();
+  const { buyer, signer, signature, timestamp } = cart.payment;
+  const currency = cart.currency;
+  const paidLegs = cart.paidLegs;
+
+  // Reservations whose purchase is recorded are deleted (or kept as COMPLETED)
+  const reservations = await db.collection("reservations")
+    .find({ cartId, status: RESERVATION_STATUS.PAID })
+    .toArray();
+
+  const txByLeg = new Map(paidLegs.map((leg) => [legKey(leg), leg.chainTx]));
+  for (const reservation of reservations) {
+    const listing = await getListingById(reservation.listingId);
+    const nft = listing ? await db.collection("nfts").findOne({ _id: listing.nftId }) : null;
+
+    const paymentLegs = getPaymentLegs(reservation);
+    const verifiedLegs = paymentLegs.map((leg) => ({ ...leg, chainTx: txByLeg.get(legKey(leg)) }));
+    const sellerLeg = verifiedLegs.find((leg) => leg.role === "seller") || verifiedLegs[0];
+
+    // Paid for a listing that closed meanwhile: its seller owes the buyer a refund
+    const recorded = await txCollection.findOne(
+      { type: TX_TYPES.NFT_BUY, reservationId: reservation._id.toString() },
+      { projection: { _id: 1 } }
+    );
+    const blocker = recorded ? null : await getPurchaseBlocker(listing, nft);
+    if (blocker) {
+      const payment = {
+        ...cart.payment,
+        chainTx: sellerLeg.chainTx,
+        txs: [...new Set(verifiedLegs.map((leg) => leg.chainTx))],
+        verifiedLegs,
+      };
+      await orphanPayment({ ...reservation, payment }, listing, blocker);
+      continue;
+    }
+    if (!listing) throw new Error(`Listing ${reservation.listingId} not found`);
+    if (!nft) throw new Error("NFT not found");
+
+    await recordPurchase({
+      reservation,
+      listing,
+      nft,
+      buyer,
+      chainTx: sellerLeg.chainTx,
+      paymentLegs,
+      verifiedLegs,
+      signer,
+      signature,
+      timestamp,
+      cartId,
+    });
+  }
+
+  const purchases = await txCollection
+    .find({ type: TX_TYPES.NFT_BUY, cartId })
+    .project({ _id: 1, quantity: 1 })
+    .sort({ transaction_number: 1 })
+    .toArray();
+  const transactionIds = purchases.map((tx) => tx._id);
+  const refunds = await db.collection("refunds")
+    .find({ reservationId: { $in: cart.reservationIds } })
+    .project({ _id: 1 })
+    .toArray();
+  const refundIds = refunds.map((refund) => refund._id.toString());
+
+  // Every listing closed before checkout: nothing was bought, the payment is being refunded
+  if (transactionIds.length === 0) {
+    await cartsCol.updateOne(
+      { _id: cart._id },
+      { $set: { status: CART_STATUS.FAILED, refundIds, time_updated: new Date() } }
+    );
+    logInfo(`[checkoutCart] Cart ${cartId} paid, but every listing closed: ${refundIds.length} refunds`);
+    return { transactionId: null, transactionIds, refundIds };
+  }
+
+  // Grouped record linking the per-listing NFT_BUY transactions
+  let transactionId = (await txCollection.findOne({ type: TX_TYPES.CART_CHECKOUT, cartId }, { projection: { _id: 1 } }))?._id;
+  if (!transactionId) {
+    const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+    const txDoc = createTransactionDoc({
+      type: TX_TYPES.CART_CHECKOUT,
+      transaction_number: transactionNumber,
+      signer,
+      signature,
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      overrides: {
+        cartId,
+        buyer,
+        quantity: purchases.reduce((sum, tx) => sum + tx.quantity, 0),
+        chainTx: paidLegs[0].chainTx,
+        currency,
+        amount: cart.totalPriceCrypto.amount,
+        fee: cart.totalPriceCrypto.fee,
+        paymentLegs: paidLegs,
+        transactionIds,
+      },
+    });
+    transactionId = hashObject(hashableTransaction(txDoc));
+    txDoc._id = transactionId;
+    await txCollection.insertOne(txDoc);
+
+    try {
+      const arweaveTxId = await uploadTransactionToArweave(txDoc, transactionNumber, previousArweaveTxId);
+      await txCollection.updateOne({ _id: transactionId }, { $set: { arweaveTxId } });
+      logInfo(`[checkoutCart] Transaction ${transactionId} uploaded to Arweave: ${arweaveTxId}`);
+    } catch (error) {
+      logInfo(`[checkoutCart] Warning: Failed to upload to Arweave: ${error.message}`);
+    }
+  }
+
+  await cartsCol.updateOne(
+    { _id: cart._id },
+    { $set: { status: CART_STATUS.COMPLETED, transactionId, transactionIds, refundIds, time_updated: new Date() } }
+  );
+  logInfo(`[checkoutCart] Cart ${cartId} completed with ${transactionIds.length} purchases, ${refundIds.length} refunds`);
+
+  return { transactionId, transactionIds, refundIds };
+}
+
+/**
+ * Expire an unpaid cart and release its reservations.
+ * @param {Object} cart - Cart document with `expiresAt` in the past
+ * @returns {Promise<boolean>} false if another worker (or a checkout) claimed it first
+ */
+export async function expireCart(cart) {
+  const db = await connectDB();
+  const claimed = await db.collection("carts").findOneAndUpdate(
+    { _id: cart._id, status: CART_STATUS.PENDING, expiresAt: { $lte: new Date() } },
+    { $set: { status: CART_STATUS.EXPIRED, time_updated: new Date() } }
+  );
+  if (!claimed) return false;
+  await releaseCart(claimed, CART_STATUS.EXPIRED);
+  await recordExpiredReservation({
+    reserver: claimed.reserver,
+    reserverIp: claimed.reserverIp,
+    cartId: claimed._id,
+  });
+  return true;
+}
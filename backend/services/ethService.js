@@ -7,18 +7,32 @@
  * - getGasPriceData(): Promise<object>
  * - getNonce(address: string): Promise<number>
  * - broadcastTransaction(signedTransaction: string): Promise<string>
+ * - getTokenBalance(currency: string, address: string): Promise<string>
  *
  * Notes:
- * - All operations use Infura mainnet provider
+ * - All operations use the Ethereum RPC of the network profile (utils/network.js)
  * - Handles gas price estimation and transaction broadcasting
+ * - Tokens are the ERC-20 currencies of utils/currencies.js (USDC, USDT)
  */
 
 import { ethers } from "ethers";
+import { getCurrency } from "../utils/currencies.js";
+import { getNetwork } from "../utils/network.js";
 
-// Create a provider for mainnet
-const provider = new ethers.JsonRpcProvider(
-    'https://mainnet.infura.io/v3/e81c5a9ece954b7d9c39bbbf0a17afa7'
-);
+const ERC20_BALANCE_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+
+let provider = null;
+let providerKey = null;
+
+// Provider for the current network, created on first use (after the environment is loaded)
+function getProvider() {
+    const { rpcUrl, chainId } = getNetwork().eth;
+    if (!provider || providerKey !== `${chainId}:${rpcUrl}`) {
+        provider = new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+        providerKey = `${chainId}:${rpcUrl}`;
+    }
+    return provider;
+}
 
 /**
  * Get ETH balance for an address
@@ -26,7 +40,7 @@ const provider = new ethers.JsonRpcProvider(
  */
 export async function getETHBalance(address) {
     try {
-        const balance = await provider.getBalance(address);
+        const balance = await getProvider().getBalance(address);
         return ethers.formatEther(balance);
     } catch (error) {
         // Check if it's an external service error (503, network issues, etc.)
@@ -47,7 +61,7 @@ export async function getETHBalance(address) {
  */
 export async function getGasPriceData() {
     try {
-        const feeData = await provider.getFeeData();
+        const feeData = await getProvider().getFeeData();
         if (!feeData.gasPrice && !feeData.maxFeePerGas) {
             throw new Error('Failed to fetch gas data');
         }
@@ -81,11 +95,12 @@ export async function getGasPriceData() {
 
 /**
  * Get nonce for an address
+ * Counts pending transactions so back-to-back payments (seller + royalty) get distinct nonces.
  * @throws {Error} If the external service (Infura) is unavailable or returns an error
  */
 export async function getNonce(address) {
     try {
-        return await provider.getTransactionCount(address);
+        return await getProvider().getTransactionCount(address, "pending");
     } catch (error) {
         // Check if it's an external service error (503, network issues, etc.)
         if (error.code === 'SERVER_ERROR' || error.code === 'NETWORK_ERROR' || error.code === 'TIMEOUT') {
@@ -105,7 +120,7 @@ export async function getNonce(address) {
  */
 export async function broadcastTransaction(signedTransaction) {
     try {
-        const txResponse = await provider.broadcastTransaction(signedTransaction);
+        const txResponse = await getProvider().broadcastTransaction(signedTransaction);
         return txResponse.hash;
     } catch (error) {
         // Check if it's an external service error (503, network issues, etc.)
@@ -119,3 +134,27 @@ export async function broadcastTransaction(signedTransaction) {
         throw error;
     }
 }
+
+/**
+ * Get the balance of an ERC-20 currency (e.g. "USDC") for an address
+ * @throws {Error} If the currency is not a token, or the external service (Infura) is unavailable
+ */
+export async function getTokenBalance(currency, address) {
+    const { code, token, decimals, chain } = getCurrency(currency);
+    if (!token || chain !== "ETH") throw new Error(`${code} is not a token on Ethereum`);
+    try {
+        const contract = new ethers.Contract(token.address, ERC20_BALANCE_ABI, getProvider());
+        const balance = await contract.balanceOf(address);
+        return ethers.formatUnits(balance, decimals);
+    } catch (error) {
+        // Check if it's an external service error (503, network issues, etc.)
+        if (error.code === 'SERVER_ERROR' || error.code === 'NETWORK_ERROR' || error.code === 'TIMEOUT') {
+            const serviceError = new Error('Ethereum service temporarily unavailable. Please try again later.');
+            serviceError.code = 'SERVICE_UNAVAILABLE';
+            serviceError.statusCode = 503;
+            throw serviceError;
+        }
+        // Re-throw other errors as-is
+        throw error;
+    }
+}
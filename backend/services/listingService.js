@@ -9,17 +9,42 @@
  *       price: string,                   // YRT per part
  *       nftId: string,                   // NFT ID
  *       seller: string,                  // ETH addr (canonical)
- *       sellerWallets?: Record<string,string>,
+ *       sellerWallets?: Record<string,string>, // payout wallet per accepted currency (ETH, SOL, USDC, USDT)
  *       quantity: number,                 // how many parts to list
- *       bundleSale?: boolean              // true => "BUNDLE" type
+ *       bundleSale?: boolean,             // true => "BUNDLE" type
+ *       auction?: AuctionSettings,        // bundle only, see auctionService (price = reserve price)
+ *       priceSchedule?: {                 // declining price, see utils/priceSchedule.js (price = start price)
+ *         floorPrice: string,
+ *         startTime?: string,
+ *         endTime: string,
+ *         stepSeconds?: number
+ *       },
+ *       expiresAt?: string,               // ISO date, listing is canceled automatically afterwards
+ *       partPrices?: Record<string,string>, // part_no -> premium YRT price (partial, fixed-price listings)
+ *       priceTiers?: Array<{ minQuantity: number, price: string }>, // volume pricing, see utils/priceTiers.js
+ *       allowedBuyers?: string[]          // private listing: only these ETH addresses can reserve it
  *     }
- * - getActiveListings(): Promise<Listing[]>
+ * - getActiveListings({ skip, limit, filters }): Promise<{items, total}>  // store search, see utils/listingSearch.js
+ * - refreshListingPrices(): Promise<number>  // background job keeping `priceYrt` current
  * - deleteListing(listingId, data, verifiedAddress): Promise<void>
+ * - updateListing(listingId, data, verifiedAddress, signature): Promise<Listing>
+ *   Signed body:
+ *     {
+ *       seller: string,
+ *       price?: string,                   // new YRT per part (not for auctions or declining-price listings)
+ *       sellerWallets?: Record<string,string>,  // replaces accepted currencies
+ *       quantity?: number                 // new total listed quantity, including parts already sold
+ *     }
+ * - expireListing(listing): Promise<boolean>  // background job, see cleanup.js
  *
  * Notes:
  * - No longer requires passing `parts[]`. The service itself locks N available parts.
  * - Listing docs store `quantity` instead of full parts array.
  * - Actual parts are marked with `listing: listingId`.
+ * - Listings returned to clients carry `currentPrice` (equal to `price` unless a schedule applies).
+ * - Premium parts (`partPrices`) are always listed and only sold when a buyer picks them by part number.
+ * - Private listings (`allowedBuyers`) are hidden from the store and reachable by direct link only.
+ * - `pegVersion` is the YRT peg (yrtPegService) in force when the YRT price was last set.
  */
 
 import { ObjectId } from "mongodb";
@@ -28,9 +53,20 @@ import { logInfo } from "../utils/logger.js";
 import { TX_TYPES } from "../utils/transactionTypes.js";
 import { createTransactionDoc } from "../utils/transactionBuilder.js";
 import { hashObject, hashableTransaction } from "../utils/hash.js";
-import { LISTING_STATUS } from "../utils/statusConstants.js";
+import { LISTING_STATUS, AUCTION_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
 import { normalizeAddress, addressesMatch } from "../utils/addressUtils.js";
 import { getNextTransactionInfo, uploadTransactionToArweave } from "./arweaveService.js";
+import { parseAuctionConfig } from "./auctionService.js";
+import { parsePriceSchedule, getListingPrice } from "../utils/priceSchedule.js";
+import { parsePartPrices, getPremiumPartNos } from "../utils/partPricing.js";
+import { parsePriceTiers } from "../utils/priceTiers.js";
+import { buildListingQuery } from "../utils/listingSearch.js";
+import { isSupportedCurrency, normalizeWallet } from "../utils/currencies.js";
+import { getCurrentPeg } from "./yrtPegService.js";
+
+const MIN_LISTING_DURATION_MS = 60 * 60 * 1000;
+const MAX_LISTING_DURATION_MS = 180 * 24 * 60 * 60 * 1000;
+const MAX_ALLOWED_BUYERS = 20;
 
 /**
  * Recalculate and cache availableQuantity for a listing.
@@ -82,6 +118,73 @@ export async function recalculateAvailableQuantity(listingId) {
     return availableCount;
 }
 
+/**
+ * Normalize sellerWallets (uppercase keys, lowercase Ethereum addresses).
+ * Each key is a currency the listing accepts (utils/currencies.js), e.g. USDC paid to the
+ * seller's ETH address.
+ * @param {Record<string,string>} sellerWallets
+ * @returns {Record<string,string>}
+ */
+function normalizeSellerWallets(sellerWallets = {}) {
+    const wallets = {};
+    for (const [cur, addr] of Object.entries(sellerWallets || {})) {
+        if (!isSupportedCurrency(cur)) throw new Error(`Unsupported currency ${cur.toUpperCase()}`);
+        if (typeof addr === "string" && addr.trim() !== "") {
+            // keep Solana addresses case-sensitive
+            wallets[cur.toUpperCase()] = normalizeWallet(addr, cur);
+        }
+    }
+    return wallets;
+}
+
+/**
+ * Validate a listing expiry from a createListing body.
+ * @param {string} expiresAt - ISO date
+ * @returns {Date}
+ */
+function parseListingExpiry(expiresAt) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) throw new Error("Invalid listing expiry");
+
+    const remaining = date.getTime() - Date.now();
+    if (remaining < MIN_LISTING_DURATION_MS) throw new Error("Listing expiry must be at least 1 hour away");
+    if (remaining > MAX_LISTING_DURATION_MS) throw new Error("Listing expiry cannot be more than 180 days away");
+    return date;
+}
+
+/**
+ * Validate the allowlist of a private listing.
+ * @param {string|string[]} allowedBuyers - ETH addresses
+ * @param {string} seller
+ * @returns {string[]|null} Lowercase, unique, sorted; null for a public listing
+ */
+function parseAllowedBuyers(allowedBuyers, seller) {
+    const list = Array.isArray(allowedBuyers) ? allowedBuyers : [allowedBuyers];
+    const buyers = new Set();
+    for (const address of list) {
+        const addr = String(address || "").trim();
+        if (!/^0x[a-fA-F0-9]{40}$/.test(addr)) throw new Error(`Invalid buyer address: ${addr}`);
+        if (addressesMatch(addr, seller)) throw new Error("Cannot reserve a listing for yourself");
+        buyers.add(normalizeAddress(addr));
+    }
+    if (buyers.size > MAX_ALLOWED_BUYERS) {
+        throw new Error(`A private listing can name at most ${MAX_ALLOWED_BUYERS} buyers`);
+    }
+    return buyers.size > 0 ? [...buyers].sort() : null;
+}
+
+/**
+ * Whether an address may reserve (or make offers on) a listing.
+ * Public listings have no `allowedBuyers` and are open to everyone.
+ * @param {Object} listing
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isAllowedBuyer(listing, address) {
+    if (!Array.isArray(listing?.allowedBuyers) || listing.allowedBuyers.length === 0) return true;
+    return listing.allowedBuyers.some((b) => addressesMatch(b, address));
+}
+
 /**
  * Create a new listing for an NFT's parts.
  *
@@ -92,12 +195,18 @@ export async function recalculateAvailableQuantity(listingId) {
  * @param {Object} data.sellerWallets
  * @param {number} data.quantity
  * @param {boolean} [data.bundleSale]
+ * @param {Object} [data.auction] - Auction settings (bundle listings only)
+ * @param {Object} [data.priceSchedule] - Declining price schedule
+ * @param {string} [data.expiresAt] - ISO date after which the listing is canceled (not for auctions)
+ * @param {Object} [data.partPrices] - Premium YRT price per part number (partial, fixed-price listings)
+ * @param {Array} [data.priceTiers] - Volume tiers [{ minQuantity, price }] (partial, fixed-price listings)
+ * @param {string[]} [data.allowedBuyers] - Private listing: only these addresses can buy
  * @param {string} verifiedAddress - Address verified via signature
  * @param {string} signature - Signature from the request
  * @returns {Promise<string>} listingId
  */
 export async function createListing(data, verifiedAddress, signature) {
-    const { price, nftId, seller, sellerWallets = {}, quantity, bundleSale } = data;
+    const { price, nftId, seller, sellerWallets = {}, quantity, bundleSale, auction, priceSchedule, expiresAt, partPrices, priceTiers, allowedBuyers } = data;
     logInfo("[createListing] Called with:", { price, nftId, seller, quantity, bundleSale });
 
     if (!price || !nftId || !seller || !quantity) {
@@ -112,6 +221,43 @@ export async function createListing(data, verifiedAddress, signature) {
         throw new Error("Invalid quantity");
     }
 
+    const isBundle = bundleSale === true || bundleSale === "true";
+    let auctionConfig = null;
+    if (auction) {
+        if (!isBundle) throw new Error("Auctions are only available for bundle listings");
+        auctionConfig = parseAuctionConfig(auction, price);
+    }
+    let schedule = null;
+    if (priceSchedule) {
+        if (auctionConfig) throw new Error("A listing cannot be both an auction and a declining-price listing");
+        schedule = parsePriceSchedule(priceSchedule, price);
+    }
+    let listingExpiresAt = null;
+    if (expiresAt) {
+        if (auctionConfig) throw new Error("Auction listings end at their auction end time");
+        listingExpiresAt = parseListingExpiry(expiresAt);
+    }
+    let premiums = null;
+    if (partPrices) {
+        if (isBundle) throw new Error("Bundle listings sell all parts at one price");
+        if (schedule) throw new Error("Declining-price listings cannot have premium parts");
+        premiums = parsePartPrices(partPrices, price);
+        if (premiums && Object.keys(premiums).length > qty) {
+            throw new Error("More premium parts than listed parts");
+        }
+    }
+    let tiers = null;
+    if (priceTiers) {
+        if (isBundle) throw new Error("Bundle listings sell all parts at one price");
+        if (schedule) throw new Error("Declining-price listings cannot have volume tiers");
+        tiers = parsePriceTiers(priceTiers, price);
+    }
+    let privateBuyers = null;
+    if (allowedBuyers) {
+        if (auctionConfig) throw new Error("Auction listings cannot be private");
+        privateBuyers = parseAllowedBuyers(allowedBuyers, seller);
+    }
+
     const db = await connectDB();
     const partsCol = db.collection("parts");
     const listingsCol = db.collection("listings");
@@ -127,22 +273,32 @@ export async function createListing(data, verifiedAddress, signature) {
         throw new Error(`Seller has only ${availableCount} available parts, requested ${qty}`);
     }
 
+    // Premium parts must be among the listed parts
+    const premiumPartNos = getPremiumPartNos({ partPrices: premiums });
+    const premiumParts = premiumPartNos.length > 0
+        ? await partsCol
+            .find({
+                owner: normalizeAddress(seller),
+                listing: null,
+                parent_hash: String(nftId),
+                part_no: { $in: premiumPartNos },
+            })
+            .project({ _id: 1 })
+            .toArray()
+        : [];
+    if (premiumParts.length !== premiumPartNos.length) {
+        throw new Error("Premium parts must be free parts you own");
+    }
+
     const listingId = new ObjectId();
+    const peg = await getCurrentPeg();
 
-    // normalize sellerWallets (uppercase keys, lowercase addresses)
-    const wallets = {};
-    for (const [cur, addr] of Object.entries(sellerWallets)) {
-        if (typeof addr === "string" && addr.trim() !== "") {
-            wallets[cur.toUpperCase()] =
-                cur.toUpperCase() === "ETH"
-                    ? addr.trim().toLowerCase()
-                    : addr.trim(); // keep Solana (and others) case-sensitive
-        }
-    }
+    const wallets = normalizeSellerWallets(sellerWallets);
 
     const listingDoc = {
         _id: listingId,
         price: String(price),
+        priceYrt: Number(price), // numeric price for store filters; schedules are refreshed by refreshListingPrices
         nftId: String(nftId),
         seller: normalizeAddress(seller),
         quantity: qty,
@@ -150,6 +306,21 @@ export async function createListing(data, verifiedAddress, signature) {
         sellerWallets: wallets,
         type: bundleSale ? "BUNDLE" : "PARTIAL",
         status: LISTING_STATUS.ACTIVE,
+        auction: auctionConfig
+            ? {
+                ...auctionConfig,
+                status: AUCTION_STATUS.OPEN,
+                highestBid: null,
+                highestBidder: null,
+                bidCount: 0,
+            }
+            : null,
+        priceSchedule: schedule,
+        expiresAt: listingExpiresAt,
+        partPrices: premiums,
+        priceTiers: tiers,
+        allowedBuyers: privateBuyers,
+        pegVersion: peg.version,
         time_created: new Date(),
         time_updated: new Date(),
     };
@@ -157,16 +328,21 @@ export async function createListing(data, verifiedAddress, signature) {
     await listingsCol.insertOne(listingDoc);
     logInfo("[createListing] Inserted listing:", { id: listingId.toString() });
 
-    // Safely pick N parts to mark
-    const freeParts = await partsCol
-        .find({
-            owner: normalizeAddress(seller),
-            listing: null,
-            parent_hash: String(nftId)
-        })
-        .limit(qty)
-        .project({ _id: 1 })
-        .toArray();
+    // Safely pick N parts to mark: premium parts first, then any free parts
+    // (limit(0) would mean "no limit", so skip the query when premium parts fill the listing)
+    const otherParts = qty > premiumParts.length
+        ? await partsCol
+            .find({
+                owner: normalizeAddress(seller),
+                listing: null,
+                parent_hash: String(nftId),
+                part_no: { $nin: premiumPartNos },
+            })
+            .limit(qty - premiumParts.length)
+            .project({ _id: 1 })
+            .toArray()
+        : [];
+    const freeParts = [...premiumParts, ...otherParts];
 
 
     logInfo("[createListing] Free parts fetched:", freeParts.length);
@@ -202,7 +378,14 @@ export async function createListing(data, verifiedAddress, signature) {
             currency: "YRT", // Listing price is in YRT
             price: String(price),
             sellerWallets: wallets,
-            bundleSale: bundleSale === true || bundleSale === "true",
+            bundleSale: isBundle,
+            auction: auctionConfig,
+            priceSchedule: schedule,
+            expiresAt: listingExpiresAt,
+            partPrices: premiums,
+            priceTiers: tiers,
+            allowedBuyers: privateBuyers,
+            pegVersion: peg.version,
         },
     });
     
@@ -234,29 +417,100 @@ export async function createListing(data, verifiedAddress, signature) {
     return listingId.toString();
 }
 
-export async function getActiveListings({ skip = 0, limit = 50 } = {}) {
+/**
+ * Attach the per-part YRT price that applies right now.
+ * @param {object} listing
+ * @returns {object}
+ */
+function withCurrentPrice(listing) {
+    return { ...listing, currentPrice: getListingPrice(listing) };
+}
+
+/** NFTs matched by a store text search are capped so the listings query stays bounded. */
+const MAX_SEARCH_NFTS = 1000;
+
+/**
+ * Search active listings for the store, with the NFT summary embedded as `nft`.
+ * @param {Object} [options]
+ * @param {number} [options.skip]
+ * @param {number} [options.limit]
+ * @param {Object} [options.filters] - Normalized filters, see utils/listingSearch.js
+ * @returns {Promise<{items: Array, total: number}>}
+ */
+export async function getActiveListings({ skip = 0, limit = 50, filters = {} } = {}) {
     const db = await connectDB();
     const collection = db.collection("listings");
-    // Filter by status and availableQuantity > 0 (quantity is constant, availableQuantity shows actual availability)
-    const query = { 
-        status: { $nin: [LISTING_STATUS.CANCELED, LISTING_STATUS.COMPLETED] },
-        $or: [
-            { availableQuantity: { $gt: 0 } },
-            { availableQuantity: { $exists: false }, quantity: { $gt: 0 } } // Fallback for old listings without availableQuantity
-        ]
-    };
-    
+    const nftsCol = db.collection("nfts");
+
+    let nftIds = null;
+    if (filters.q) {
+        const matches = await nftsCol
+            .find({ $text: { $search: filters.q } }, { projection: { _id: 1 } })
+            .limit(MAX_SEARCH_NFTS)
+            .toArray();
+        if (matches.length === 0) return { items: [], total: 0 };
+        nftIds = matches.map((n) => String(n._id));
+    }
+
+    const { query, sort } = buildListingQuery(filters, nftIds);
+
     const [items, total] = await Promise.all([
         collection
             .find(query)
-            .sort({ time_created: -1 })
+            .sort(sort)
             .skip(skip)
             .limit(limit)
             .toArray(),
         collection.countDocuments(query)
     ]);
-    
-    return { items, total };
+
+    const nfts = await nftsCol
+        .find(
+            { _id: { $in: [...new Set(items.map((l) => l.nftId))] } },
+            { projection: { name: 1, description: 1, imageurl: 1, part_count: 1 } }
+        )
+        .toArray();
+    const nftById = new Map(nfts.map((n) => [String(n._id), n]));
+
+    return {
+        items: items.map((l) => ({ ...withCurrentPrice(l), nft: nftById.get(l.nftId) ?? null })),
+        total,
+    };
+}
+
+/**
+ * Keep `priceYrt` (numeric price used by store filters and sorting) in step with
+ * declining-price schedules, and backfill it on listings created before it existed.
+ * Background job, see server.js: failures are logged, not thrown.
+ * @returns {Promise<number>} Number of listings updated
+ */
+export async function refreshListingPrices() {
+    try {
+        const db = await connectDB();
+        const listingsCol = db.collection("listings");
+        const now = new Date();
+
+        const listings = await listingsCol
+            .find(
+                {
+                    status: LISTING_STATUS.ACTIVE,
+                    $or: [{ priceSchedule: { $ne: null } }, { priceYrt: { $exists: false } }],
+                },
+                { projection: { price: 1, priceSchedule: 1, priceYrt: 1 } }
+            )
+            .toArray();
+
+        const updates = listings
+            .map((l) => ({ _id: l._id, priceYrt: Number(getListingPrice(l, now)) }))
+            .filter((l, i) => l.priceYrt !== listings[i].priceYrt)
+            .map((l) => ({ updateOne: { filter: { _id: l._id }, update: { $set: { priceYrt: l.priceYrt } } } }));
+
+        if (updates.length > 0) await listingsCol.bulkWrite(updates, { ordered: false });
+        return updates.length;
+    } catch (err) {
+        console.error("[refreshListingPrices] Error:", err.message);
+        return 0;
+    }
 }
 
 /**
@@ -295,7 +549,7 @@ export async function getUserListings(sellerAddress, skip = 0, limit = 20, nftId
         listingsCol.countDocuments(query)
     ]);
     
-    return { items, total };
+    return { items: items.map(withCurrentPrice), total };
 }
 
 /**
@@ -322,13 +576,13 @@ export async function getListingById(listingId) {
             console.log(`[getListingById] Old listing detected (no availableQuantity), recalculating for ${listingId}`);
             const availableQty = await recalculateAvailableQuantity(listingObjectId);
             // Return listing with recalculated availableQuantity
-            return {
+            return withCurrentPrice({
                 ...listing,
                 availableQuantity: availableQty
-            };
+            });
         }
         
-        return listing;
+        return withCurrentPrice(listing);
     } catch (err) {
         // Invalid ObjectId format
         return null;
@@ -381,7 +635,7 @@ export async function getCompletedUserListings(sellerAddress, skip = 0, limit =
             let cancelTx = null;
             if (listing.status === LISTING_STATUS.CANCELED) {
                 cancelTx = await txCol.findOne({
-                    type: TX_TYPES.LISTING_CANCEL,
+                    type: { $in: [TX_TYPES.LISTING_CANCEL, TX_TYPES.LISTING_EXPIRE] },
                     listingId: listingIdStr,
                 });
             }
@@ -389,7 +643,7 @@ export async function getCompletedUserListings(sellerAddress, skip = 0, limit =
             return {
                 ...listing,
                 buyTransaction: buyTx ? { _id: buyTx._id, arweaveTxId: buyTx.arweaveTxId } : null,
-                cancelTransaction: cancelTx ? { _id: cancelTx._id, arweaveTxId: cancelTx.arweaveTxId } : null,
+                cancelTransaction: cancelTx ? { _id: cancelTx._id, arweaveTxId: cancelTx.arweaveTxId, type: cancelTx.type } : null,
             };
         })
     );
@@ -439,6 +693,9 @@ export async function deleteListing(listingId, data, verifiedAddress, signature)
     if (listing.status === LISTING_STATUS.COMPLETED) {
         throw new Error("Cannot cancel a completed listing");
     }
+    if (listing.auction && (listing.auction.bidCount > 0 || listing.auction.status !== AUCTION_STATUS.OPEN)) {
+        throw new Error("Cannot cancel an auction that has received bids");
+    }
     
     // Check if there are available parts (parts still locked to this listing, not reserved)
     const partsCol = db.collection("parts");
@@ -562,3 +819,253 @@ export async function deleteListing(listingId, data, verifiedAddress, signature)
 
     logInfo(`[deleteListing] Canceled listing ${listingId} by ${seller}`);
 }
+
+/**
+ * Edit an active listing in place: price, accepted currencies and/or quantity.
+ * Quantity changes lock or release unreserved parts one at a time (as createReservation
+ * does), rolling back on shortfall. Records a LISTING_UPDATE transaction with the
+ * values before and after the edit.
+ *
+ * @param {string} listingId
+ * @param {Object} data - Signed body (see module header)
+ * @param {string} verifiedAddress
+ * @param {string} signature
+ * @returns {Promise<Object>} Updated listing (with currentPrice)
+ */
+export async function updateListing(listingId, data, verifiedAddress, signature) {
+    const { seller, price, sellerWallets, quantity } = data || {};
+    if (!seller) throw new Error("Missing seller address");
+    if (!addressesMatch(seller, verifiedAddress)) throw new Error("Seller address mismatch");
+    if (price === undefined && sellerWallets === undefined && quantity === undefined) {
+        throw new Error("Nothing to update");
+    }
+
+    let listingObjectId;
+    try {
+        listingObjectId = new ObjectId(String(listingId));
+    } catch {
+        throw new Error("Invalid listing ID format");
+    }
+
+    const db = await connectDB();
+    const listingsCol = db.collection("listings");
+    const partsCol = db.collection("parts");
+
+    const listing = await listingsCol.findOne({ _id: listingObjectId });
+    if (!listing) throw new Error("Listing not found");
+    if (!addressesMatch(listing.seller, seller)) throw new Error("Not authorized to update this listing");
+    if (listing.status !== LISTING_STATUS.ACTIVE) throw new Error("Only active listings can be updated");
+    if (listing.auction) throw new Error("Auction listings cannot be updated");
+    if (listing.offerId) throw new Error("Listings created from an accepted offer cannot be updated");
+
+    const update = {};
+
+    if (price !== undefined) {
+        if (listing.priceSchedule) throw new Error("Declining-price listings cannot change price");
+        const value = Number(price);
+        if (!Number.isFinite(value) || value <= 0) throw new Error("Invalid price");
+        if (listing.priceTiers?.length && value <= Number(listing.priceTiers[0].price)) {
+            throw new Error("Price must stay above the first volume tier price");
+        }
+        update.price = String(price);
+        update.priceYrt = Number(price);
+        update.pegVersion = (await getCurrentPeg()).version;
+    }
+
+    if (sellerWallets !== undefined) {
+        const wallets = normalizeSellerWallets(sellerWallets);
+        if (Object.keys(wallets).length === 0) throw new Error("At least one accepted currency is required");
+        update.sellerWallets = wallets;
+    }
+
+    const listingIdStr = listing._id.toString();
+    const previousQuantity = Number(listing.quantity || 0);
+    let newQuantity = previousQuantity;
+
+    if (quantity !== undefined) {
+        newQuantity = parseInt(quantity, 10);
+        if (!Number.isFinite(newQuantity) || newQuantity < 1) throw new Error("Invalid quantity");
+    }
+
+    const movedPartIds = [];
+    try {
+        const delta = newQuantity - previousQuantity;
+
+        if (delta > 0) {
+            // Lock more of the seller's free parts, one at a time
+            for (let i = 0; i < delta; i++) {
+                const part = await partsCol.findOneAndUpdate(
+                    { parent_hash: listing.nftId, owner: listing.seller, listing: null },
+                    { $set: { listing: listingIdStr } }
+                );
+                if (!part) {
+                    throw new Error(`Not enough free parts to list (found ${movedPartIds.length}, need ${delta})`);
+                }
+                movedPartIds.push(part._id);
+            }
+        } else if (delta < 0) {
+            // Release unreserved parts only; reserved, sold and premium parts stay put
+            for (let i = 0; i < -delta; i++) {
+                const part = await partsCol.findOneAndUpdate(
+                    {
+                        parent_hash: listing.nftId,
+                        owner: listing.seller,
+                        listing: listingIdStr,
+                        part_no: { $nin: getPremiumPartNos(listing) },
+                        $or: [{ reservation: null }, { reservation: { $exists: false } }],
+                    },
+                    { $set: { listing: null } }
+                );
+                if (!part) {
+                    throw new Error("Cannot reduce quantity below parts already sold, reserved or premium");
+                }
+                movedPartIds.push(part._id);
+            }
+        }
+
+        if (delta !== 0) update.quantity = newQuantity;
+
+        // Only apply if nobody canceled or edited the listing while parts were moving
+        const result = await listingsCol.updateOne(
+            { _id: listing._id, status: LISTING_STATUS.ACTIVE, quantity: listing.quantity },
+            { $set: { ...update, time_updated: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            throw new Error("Listing changed while updating, please try again");
+        }
+    } catch (err) {
+        // Put moved parts back where they were
+        if (movedPartIds.length > 0) {
+            await partsCol.updateMany(
+                { _id: { $in: movedPartIds } },
+                { $set: { listing: newQuantity > previousQuantity ? null : listingIdStr } }
+            );
+        }
+        throw err;
+    }
+
+    await recalculateAvailableQuantity(listing._id);
+
+    // Create LISTING_UPDATE transaction
+    const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+
+    const updateTxDoc = createTransactionDoc({
+        type: TX_TYPES.LISTING_UPDATE,
+        transaction_number: transactionNumber,
+        signer: verifiedAddress,
+        signature: signature,
+        overrides: {
+            listingId: listingIdStr,
+            nftId: String(listing.nftId),
+            seller: listing.seller,
+            currency: "YRT",
+            price: update.price ?? listing.price,
+            quantity: newQuantity,
+            sellerWallets: update.sellerWallets ?? listing.sellerWallets,
+            previousPrice: listing.price,
+            previousQuantity: previousQuantity,
+            previousSellerWallets: listing.sellerWallets,
+            pegVersion: update.pegVersion ?? listing.pegVersion ?? null,
+        },
+    });
+
+    const updateTxId = hashObject(hashableTransaction(updateTxDoc));
+    updateTxDoc._id = updateTxId;
+
+    await db.collection("transactions").insertOne(updateTxDoc);
+    logInfo(`[updateListing] Created LISTING_UPDATE transaction: ${updateTxId}`);
+
+    const nft = await db.collection("nfts").findOne({ _id: listing.nftId });
+    const imageUrl = nft?.imageurl || null;
+
+    try {
+        const arweaveTxId = await uploadTransactionToArweave(updateTxDoc, transactionNumber, previousArweaveTxId, imageUrl);
+        await db.collection("transactions").updateOne(
+            { _id: updateTxId },
+            { $set: { arweaveTxId: arweaveTxId } }
+        );
+        logInfo(`[updateListing] LISTING_UPDATE transaction uploaded to Arweave: ${arweaveTxId}`);
+    } catch (error) {
+        logInfo(`[updateListing] Warning: Failed to upload LISTING_UPDATE to Arweave: ${error.message}`);
+    }
+
+    return getListingById(listingIdStr);
+}
+
+/**
+ * Cancel a listing whose expiry has passed.
+ * Frees its parts like deleteListing and records a server-originated LISTING_EXPIRE
+ * transaction (seller as signer, no request signature - the expiry was signed at creation).
+ * Listings with a reservation in progress are left alone until the reservation resolves.
+ *
+ * @param {Object} listing - Listing document with `expiresAt` in the past
+ * @returns {Promise<boolean>} true if this call expired the listing
+ */
+export async function expireListing(listing) {
+    const db = await connectDB();
+    const listingsCol = db.collection("listings");
+    const txCol = db.collection("transactions");
+    const listingIdStr = listing._id.toString();
+
+    // Never pull parts out from under a buyer who is paying
+    // (reservations store listingId as an ObjectId; older ones may have the string)
+    const inFlight = await db.collection("reservations").findOne({
+        listingId: { $in: [listing._id, listingIdStr] },
+        status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.PROCESSING, RESERVATION_STATUS.PAID] },
+    });
+    if (inFlight) {
+        logInfo(`[expireListing] Listing ${listingIdStr} has reservation ${inFlight._id} in progress, skipping`);
+        return false;
+    }
+
+    // Claim atomically: every cluster worker runs this job
+    const claimed = await listingsCol.findOneAndUpdate(
+        { _id: listing._id, status: LISTING_STATUS.ACTIVE, expiresAt: { $lte: new Date() } },
+        { $set: { status: LISTING_STATUS.CANCELED, time_canceled: new Date(), time_updated: new Date() } }
+    );
+    if (!claimed) return false;
+
+    const releaseResult = await db.collection("parts").updateMany(
+        { listing: listingIdStr },
+        { $set: { listing: null }, $unset: { reservation: "" } }
+    );
+    logInfo(`[expireListing] Released ${releaseResult.modifiedCount} parts from listing ${listingIdStr}`);
+
+    const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+
+    const expireTxDoc = createTransactionDoc({
+        type: TX_TYPES.LISTING_EXPIRE,
+        transaction_number: transactionNumber,
+        signer: listing.seller,
+        signature: null,
+        overrides: {
+            listingId: listingIdStr,
+            nftId: String(listing.nftId),
+            seller: listing.seller,
+            quantity: Number(listing.quantity || 0),
+            expiresAt: listing.expiresAt,
+        },
+    });
+
+    const expireTxId = hashObject(hashableTransaction(expireTxDoc));
+    expireTxDoc._id = expireTxId;
+
+    await txCol.insertOne(expireTxDoc);
+    logInfo(`[expireListing] Created LISTING_EXPIRE transaction: ${expireTxId}`);
+
+    const nft = await db.collection("nfts").findOne({ _id: listing.nftId });
+    const imageUrl = nft?.imageurl || null;
+
+    try {
+        const arweaveTxId = await uploadTransactionToArweave(expireTxDoc, transactionNumber, previousArweaveTxId, imageUrl);
+        await txCol.updateOne(
+            { _id: expireTxId },
+            { $set: { arweaveTxId: arweaveTxId } }
+        );
+        logInfo(`[expireListing] LISTING_EXPIRE transaction uploaded to Arweave: ${arweaveTxId}`);
+    } catch (error) {
+        logInfo(`[expireListing] Warning: Failed to upload LISTING_EXPIRE to Arweave: ${error.message}`);
+    }
+
+    return true;
+}
@@ -8,11 +8,14 @@
  * - getNFTById(id: string): Promise<NFT|null>
  * - getPartsByNFT(nftId: string, { skip, limit }): Promise<Part[]>
  * - mintNFT(verifiedData, verifiedAddress): Promise<{ nftId: string }>
+ *   Signed body: { name, description, parts, imageUrl, creator,
+ *                  royalty?: { percent: number, wallets?: Record<string,string> } }
  * - getNFTsByOwner(address: string): Promise<OwnedNFTSummary[]>
  *
  * Notes:
  * - getPartsByNFT now supports pagination.
  * - getNFTsByOwner aggregates ownership counts (owned + available).
+ * - Royalty terms are hashed into the NFT id, so they are fixed at mint time.
  */
 
 import crypto from "crypto";
@@ -26,6 +29,7 @@ import { NFT_STATUS } from "../utils/statusConstants.js";
 import { normalizeAddress, addressesMatch } from "../utils/addressUtils.js";
 import { createTransactionDoc } from "../utils/transactionBuilder.js";
 import { createPartialTransactionDocs } from "../utils/partialTransactionBuilder.js";
+import { parseRoyalty } from "../utils/paymentLegs.js";
 
 // --- Basic fetchers ---
 
@@ -57,7 +61,7 @@ export async function getPartsByNFT(nftId, { skip = 0, limit = 100 } = {}) {
 
 // --- Minting ---
 export async function mintNFT(verifiedData, verifiedAddress, signature) {
-  const { name, description, parts, imageUrl, creator } = verifiedData;
+  const { name, description, parts, imageUrl, creator, royalty } = verifiedData;
 
   if (!name || !description || !parts || !imageUrl || !creator) {
     throw new Error("Missing required fields");
@@ -81,6 +85,7 @@ export async function mintNFT(verifiedData, verifiedAddress, signature) {
   if (!Number.isFinite(partCount) || partCount < 1) {
     throw new Error("Invalid parts count");
   }
+  const royaltyTerms = parseRoyalty(royalty, creatorLower);
 
   const nftObj = {
     name: String(name),
@@ -92,6 +97,7 @@ export async function mintNFT(verifiedData, verifiedAddress, signature) {
     part_count: partCount,
     status: NFT_STATUS.ACTIVE,
   };
+  if (royaltyTerms) nftObj.royalty = royaltyTerms;
 
   // Use hashableNFT to ensure deterministic hashing
   const nftId = hashObject(hashableNFT(nftObj));
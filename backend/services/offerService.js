@@ -0,0 +1,603 @@
+// backend/services/offerService.js
+/**
+ * Service: Offers (price negotiation on listings and NFTs)
+ *
+ * Exports:
+ * - createOffer(target, data, verifiedAddress, signature): Promise<string>  // returns offerId
+ *   target: { listingId } or { nftId }
+ *   Signed body:
+ *     {
+ *       buyer: string,            // ETH addr (canonical)
+ *       seller?: string,          // required for NFT offers (holder the offer is made to)
+ *       price: string,            // offered YRT per part
+ *       quantity: number,
+ *       currency: "ETH" | "SOL" | "USDC" | "USDT",  // currency the buyer intends to pay with
+ *       expiresAt: string         // ISO date, max OFFER_MAX_DURATION_MS in the future
+ *     }
+ * - getOffersForListing(listingId, { buyer? }): Promise<Offer[]>
+ * - getOffersForNFT(nftId, { seller?, buyer? }): Promise<Offer[]>
+ * - getOfferById(offerId): Promise<Offer|null>
+ * - acceptOffer(offerId, data, verifiedAddress, signature): Promise<Offer>
+ *   Signed body (seller accepting a PENDING offer): { offerId, action: "accept", sellerWallets?: Record<string,string> }
+ *   Signed body (buyer accepting a COUNTERED offer): { offerId, action: "accept" }
+ * - rejectOffer(offerId, data, verifiedAddress, signature): Promise<Offer>   // seller only
+ *   Signed body: { offerId, action: "reject" }
+ * - counterOffer(offerId, data, verifiedAddress, signature): Promise<Offer>  // seller only
+ *   Signed body: { offerId, action: "counter", price: string, sellerWallets?: Record<string,string> }
+ * - cancelOffer(offerId, data, verifiedAddress, signature): Promise<Offer>   // buyer only
+ *   Signed body: { offerId, action: "cancel" }
+ *   The offers router checks `offerId` and `action` against the URL.
+ * - getReservableOffer(offerId, listing, reserver): Promise<Offer>
+ *
+ * Notes:
+ * - Offers on a listing are settled through that listing. Offers made directly on an NFT
+ *   get a dedicated listing (with `offerId` set) when accepted; those listings are hidden
+ *   from the public store and can only be reserved through their offer.
+ * - Accepting an offer does not move funds: the buyer still reserves and pays through the
+ *   regular reservation flow, passing `offerId` so the agreed price is used.
+ * - Every state change is recorded as an OFFER_* transaction.
+ */
+
+import { ObjectId } from "mongodb";
+import connectDB from "../db.js";
+import { hashObject, hashableTransaction } from "../utils/hash.js";
+import { getNextTransactionInfo, uploadTransactionToArweave } from "./arweaveService.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { createTransactionDoc } from "../utils/transactionBuilder.js";
+import { logInfo } from "../utils/logger.js";
+import { LISTING_STATUS, OFFER_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+import { normalizeAddress, addressesMatch } from "../utils/addressUtils.js";
+import { isSupportedCurrency, normalizeWallet } from "../utils/currencies.js";
+import { getListingById, recalculateAvailableQuantity, isAllowedBuyer } from "./listingService.js";
+
+export const OFFER_MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const OPEN_STATUSES = [OFFER_STATUS.PENDING, OFFER_STATUS.COUNTERED, OFFER_STATUS.ACCEPTED];
+
+function parsePrice(price) {
+  const value = Number(price);
+  if (!Number.isFinite(value) || value <= 0) throw new Error("Invalid offer price");
+  return String(price);
+}
+
+function normalizeWallets(sellerWallets = {}) {
+  const wallets = {};
+  for (const [cur, addr] of Object.entries(sellerWallets || {})) {
+    if (!isSupportedCurrency(cur)) throw new Error(`Unsupported currency ${cur.toUpperCase()}`);
+    if (typeof addr === "string" && addr.trim() !== "") {
+      wallets[cur.toUpperCase()] = normalizeWallet(addr, cur);
+    }
+  }
+  return wallets;
+}
+
+function isExpired(offer) {
+  return offer.expiresAt && new Date(offer.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Create an OFFER_* transaction for an offer state change and upload it to Arweave.
+ * @returns {Promise<string>} transaction id
+ */
+async function recordOfferTransaction(type, offer, overrides, verifiedAddress, signature, logTag) {
+  const db = await connectDB();
+  const txCol = db.collection("transactions");
+
+  const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+
+  const txDoc = createTransactionDoc({
+    type,
+    transaction_number: transactionNumber,
+    signer: verifiedAddress,
+    signature: signature,
+    overrides: {
+      offerId: offer._id.toString(),
+      listingId: offer.listingId || null,
+      nftId: String(offer.nftId),
+      buyer: offer.buyer,
+      seller: offer.seller,
+      quantity: Number(offer.quantity),
+      price: String(offer.price),
+      currency: offer.currency,
+      expiresAt: offer.expiresAt,
+      ...overrides,
+    },
+  });
+
+  const txId = hashObject(hashableTransaction(txDoc));
+  txDoc._id = txId;
+
+  await txCol.insertOne(txDoc);
+  logInfo(`[${logTag}] Created ${type} transaction: ${txId}`);
+
+  // Fetch NFT imageUrl for Arweave upload (not part of hash)
+  const nft = await db.collection("nfts").findOne({ _id: String(offer.nftId) });
+  const imageUrl = nft?.imageurl || null;
+
+  try {
+    const arweaveTxId = await uploadTransactionToArweave(txDoc, transactionNumber, previousArweaveTxId, imageUrl);
+    await txCol.updateOne({ _id: txId }, { $set: { arweaveTxId: arweaveTxId } });
+    logInfo(`[${logTag}] ${type} transaction uploaded to Arweave: ${arweaveTxId}`);
+  } catch (error) {
+    logInfo(`[${logTag}] Warning: Failed to upload ${type} to Arweave: ${error.message}`);
+  }
+
+  return txId;
+}
+
+async function loadOffer(offerId) {
+  let _id;
+  try {
+    _id = new ObjectId(offerId);
+  } catch {
+    throw new Error("Invalid offerId");
+  }
+  const db = await connectDB();
+  const offer = await db.collection("offers").findOne({ _id });
+  if (!offer) throw new Error("Offer not found");
+  return offer;
+}
+
+/**
+ * Create a new offer on a listing or directly on an NFT.
+ *
+ * @param {Object} target
+ * @param {string} [target.listingId]
+ * @param {string} [target.nftId]
+ * @param {Object} data
+ * @param {string} data.buyer
+ * @param {string} [data.seller]
+ * @param {string|number} data.price
+ * @param {number} data.quantity
+ * @param {string} data.currency
+ * @param {string} data.expiresAt
+ * @param {string} verifiedAddress - Address verified via signature
+ * @param {string} signature - Signature from frontend
+ * @returns {Promise<string>} offerId
+ */
+export async function createOffer(target, data, verifiedAddress, signature) {
+  const { buyer, seller, price, quantity, currency, expiresAt } = data;
+
+  if (!buyer || !price || !quantity || !expiresAt) {
+    throw new Error("Missing required offer fields");
+  }
+  if (!addressesMatch(buyer, verifiedAddress)) {
+    throw new Error("Buyer address mismatch");
+  }
+
+  const offerPrice = parsePrice(price);
+  const qty = parseInt(quantity, 10);
+  if (!Number.isFinite(qty) || qty < 1) throw new Error("Invalid quantity");
+
+  const chosenCurrency = String(currency || "ETH").toUpperCase();
+  if (!isSupportedCurrency(chosenCurrency)) {
+    throw new Error(`Unsupported currency ${chosenCurrency}`);
+  }
+
+  const expiry = new Date(expiresAt);
+  if (isNaN(expiry.getTime())) throw new Error("Invalid expiresAt");
+  if (expiry.getTime() <= Date.now()) throw new Error("Offer expiry must be in the future");
+  if (expiry.getTime() - Date.now() > OFFER_MAX_DURATION_MS) {
+    throw new Error("Offer expiry is too far in the future");
+  }
+
+  const db = await connectDB();
+  const offersCol = db.collection("offers");
+
+  let listingId = null;
+  let nftId;
+  let offerSeller;
+
+  if (target.listingId) {
+    const listing = await getListingById(target.listingId);
+    if (!listing) throw new Error("Listing not found");
+    if (listing.status !== LISTING_STATUS.ACTIVE) throw new Error("Listing is not active");
+    if (listing.offerId) throw new Error("Listing is reserved for an accepted offer");
+    if (listing.auction) throw new Error("Auction listings do not accept offers");
+    if (!isAllowedBuyer(listing, buyer)) throw new Error("This listing is reserved for specific buyers");
+    if (!listing.sellerWallets?.[chosenCurrency]) {
+      throw new Error(`Listing does not accept currency ${chosenCurrency}`);
+    }
+    if (listing.type === "BUNDLE" && qty !== listing.availableQuantity) {
+      throw new Error("Offers on a bundle listing must cover all remaining parts");
+    }
+    if (qty > listing.availableQuantity) {
+      throw new Error("Requested more parts than available");
+    }
+    listingId = listing._id.toString();
+    nftId = String(listing.nftId);
+    offerSeller = listing.seller;
+  } else if (target.nftId) {
+    if (!seller) throw new Error("Missing seller");
+    nftId = String(target.nftId);
+    offerSeller = normalizeAddress(seller);
+    const nft = await db.collection("nfts").findOne({ _id: nftId });
+    if (!nft) throw new Error("NFT not found");
+
+    const ownedCount = await db.collection("parts").countDocuments({
+      parent_hash: nftId,
+      owner: offerSeller,
+    });
+    if (ownedCount < qty) {
+      throw new Error(`Seller owns only ${ownedCount} parts, requested ${qty}`);
+    }
+  } else {
+    throw new Error("Offer must target a listing or an NFT");
+  }
+
+  if (addressesMatch(buyer, offerSeller)) {
+    throw new Error("Cannot make an offer to yourself");
+  }
+
+  const offerId = new ObjectId();
+  const offer = {
+    _id: offerId,
+    listingId,
+    nftId,
+    buyer: normalizeAddress(buyer),
+    seller: offerSeller,
+    price: offerPrice,
+    quantity: qty,
+    currency: chosenCurrency,
+    expiresAt: expiry,
+    status: OFFER_STATUS.PENDING,
+    counterPrice: null,
+    acceptedPrice: null,
+    time_created: new Date(),
+    time_updated: new Date(),
+  };
+
+  await offersCol.insertOne(offer);
+  logInfo("[createOffer] Inserted offer:", { id: offerId.toString(), listingId, nftId });
+
+  await recordOfferTransaction(TX_TYPES.OFFER_CREATE, offer, {}, verifiedAddress, signature, "createOffer");
+
+  return offerId.toString();
+}
+
+/**
+ * Get offers for a listing, newest first.
+ * @param {string} listingId
+ * @param {Object} [filters]
+ * @param {string} [filters.buyer] - Only offers made by this buyer
+ * @returns {Promise<Array>}
+ */
+export async function getOffersForListing(listingId, { buyer } = {}) {
+  const db = await connectDB();
+  const query = { listingId: String(listingId) };
+  if (buyer) query.buyer = normalizeAddress(buyer);
+  return db.collection("offers").find(query).sort({ time_created: -1 }).toArray();
+}
+
+/**
+ * Get offers for an NFT, newest first. Used as the seller's offer inbox.
+ * Only open offers (pending, countered, accepted) are returned.
+ * @param {string} nftId
+ * @param {Object} [filters]
+ * @param {string} [filters.seller]
+ * @param {string} [filters.buyer]
+ * @returns {Promise<Array>}
+ */
+export async function getOffersForNFT(nftId, { seller, buyer } = {}) {
+  const db = await connectDB();
+  const query = { nftId: String(nftId), status: { $in: OPEN_STATUSES } };
+  if (seller) query.seller = normalizeAddress(seller);
+  if (buyer) query.buyer = normalizeAddress(buyer);
+  return db.collection("offers").find(query).sort({ time_created: -1 }).toArray();
+}
+
+export async function getOfferById(offerId) {
+  try {
+    return await loadOffer(offerId);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lock `quantity` free parts of the seller into a dedicated listing for an accepted NFT offer.
+ * @returns {Promise<string>} listingId
+ */
+async function createOfferListing(offer, price, wallets) {
+  const db = await connectDB();
+  const partsCol = db.collection("parts");
+  const listingsCol = db.collection("listings");
+
+  if (!wallets[offer.currency]) {
+    throw new Error(`Missing seller wallet for currency ${offer.currency}`);
+  }
+
+  const freeParts = await partsCol
+    .find({ owner: offer.seller, listing: null, parent_hash: String(offer.nftId) })
+    .limit(offer.quantity)
+    .project({ _id: 1 })
+    .toArray();
+
+  if (freeParts.length < offer.quantity) {
+    throw new Error(`Seller has only ${freeParts.length} available parts, requested ${offer.quantity}`);
+  }
+
+  const listingId = new ObjectId();
+  await listingsCol.insertOne({
+    _id: listingId,
+    price: String(price),
+    priceYrt: Number(price),
+    nftId: String(offer.nftId),
+    seller: offer.seller,
+    quantity: offer.quantity,
+    availableQuantity: offer.quantity,
+    sellerWallets: wallets,
+    type: "BUNDLE",
+    status: LISTING_STATUS.ACTIVE,
+    offerId: offer._id.toString(),
+    time_created: new Date(),
+    time_updated: new Date(),
+  });
+
+  // Parts can be listed or offered elsewhere between the find and this update: only free
+  // parts are taken, and if any of them is gone the listing is undone
+  const lockResult = await partsCol.updateMany(
+    { _id: { $in: freeParts.map((p) => p._id) }, listing: null },
+    { $set: { listing: listingId.toString() } }
+  );
+  if (lockResult.modifiedCount !== offer.quantity) {
+    await partsCol.updateMany({ listing: listingId.toString() }, { $set: { listing: null } });
+    await listingsCol.deleteOne({ _id: listingId });
+    throw new Error("Seller's parts were listed concurrently, please try again");
+  }
+  await recalculateAvailableQuantity(listingId);
+
+  logInfo("[acceptOffer] Created offer listing:", {
+    offerId: offer._id.toString(),
+    listingId: listingId.toString(),
+  });
+  return listingId.toString();
+}
+
+/**
+ * Release the dedicated listing of an NFT offer (no-op for offers on regular listings).
+ * Exported for the cleanup job.
+ * @param {Object} offer
+ */
+export async function releaseOfferListing(offer) {
+  if (!offer.listingId) return;
+  const db = await connectDB();
+  const listing = await db.collection("listings").findOne({ _id: new ObjectId(offer.listingId) });
+  if (!listing || listing.offerId !== offer._id.toString()) return;
+  if (listing.status !== LISTING_STATUS.ACTIVE) return;
+
+  const releaseResult = await db.collection("parts").updateMany(
+    { listing: offer.listingId, owner: listing.seller, $or: [{ reservation: null }, { reservation: { $exists: false } }] },
+    { $set: { listing: null } }
+  );
+  await db.collection("listings").updateOne(
+    { _id: listing._id },
+    { $set: { status: LISTING_STATUS.CANCELED, availableQuantity: 0, time_updated: new Date() } }
+  );
+  logInfo(`[releaseOfferListing] Released ${releaseResult.modifiedCount} parts from offer listing ${offer.listingId}`);
+}
+
+/**
+ * Accept an offer.
+ * - PENDING offers are accepted by the seller at the offered price.
+ * - COUNTERED offers are accepted by the buyer at the counter price.
+ * For NFT offers the seller's wallets are taken from the request (or from the counter).
+ *
+ * @param {string} offerId
+ * @param {Object} data
+ * @param {Object} [data.sellerWallets]
+ * @param {string} verifiedAddress - Address verified via signature
+ * @param {string} signature - Signature from frontend
+ * @returns {Promise<Object>} updated offer
+ */
+export async function acceptOffer(offerId, data, verifiedAddress, signature) {
+  const offer = await loadOffer(offerId);
+  if (isExpired(offer)) throw new Error("Offer has expired");
+
+  let acceptedPrice;
+  if (offer.status === OFFER_STATUS.PENDING) {
+    if (!addressesMatch(verifiedAddress, offer.seller)) {
+      throw new Error("Only the seller can accept this offer");
+    }
+    acceptedPrice = offer.price;
+  } else if (offer.status === OFFER_STATUS.COUNTERED) {
+    if (!addressesMatch(verifiedAddress, offer.buyer)) {
+      throw new Error("Only the buyer can accept a counter offer");
+    }
+    acceptedPrice = offer.counterPrice;
+  } else {
+    throw new Error(`Cannot accept an offer with status ${offer.status}`);
+  }
+
+  const db = await connectDB();
+  const offersCol = db.collection("offers");
+
+  let listingId = offer.listingId;
+  let wallets = {};
+  if (!listingId) {
+    wallets = offer.sellerWallets || normalizeWallets(data?.sellerWallets);
+    listingId = await createOfferListing(offer, acceptedPrice, wallets);
+  } else {
+    const listing = await getListingById(listingId);
+    if (!listing || listing.status !== LISTING_STATUS.ACTIVE) {
+      throw new Error("Listing is no longer active");
+    }
+  }
+
+  const update = {
+    status: OFFER_STATUS.ACCEPTED,
+    acceptedPrice: String(acceptedPrice),
+    listingId,
+    time_accepted: new Date(),
+    time_updated: new Date(),
+  };
+  const result = await offersCol.findOneAndUpdate(
+    { _id: offer._id, status: offer.status },
+    { $set: update },
+    { returnDocument: "after" }
+  );
+  if (!result) {
+    await releaseOfferListing({ ...offer, listingId });
+    throw new Error("Offer was modified concurrently");
+  }
+
+  await recordOfferTransaction(
+    TX_TYPES.OFFER_ACCEPT,
+    result,
+    { price: String(acceptedPrice), sellerWallets: offer.listingId ? {} : wallets },
+    verifiedAddress,
+    signature,
+    "acceptOffer"
+  );
+
+  return result;
+}
+
+/**
+ * Counter a pending offer with a different price (seller only).
+ *
+ * @param {string} offerId
+ * @param {Object} data
+ * @param {string|number} data.price - Counter price in YRT per part
+ * @param {Object} [data.sellerWallets] - Required for NFT offers
+ * @param {string} verifiedAddress - Address verified via signature
+ * @param {string} signature - Signature from frontend
+ * @returns {Promise<Object>} updated offer
+ */
+export async function counterOffer(offerId, data, verifiedAddress, signature) {
+  const offer = await loadOffer(offerId);
+  if (offer.status !== OFFER_STATUS.PENDING) throw new Error("Only pending offers can be countered");
+  if (isExpired(offer)) throw new Error("Offer has expired");
+  if (!addressesMatch(verifiedAddress, offer.seller)) {
+    throw new Error("Only the seller can counter this offer");
+  }
+
+  const counterPrice = parsePrice(data?.price);
+  const update = {
+    status: OFFER_STATUS.COUNTERED,
+    counterPrice,
+    time_updated: new Date(),
+  };
+
+  let wallets = {};
+  if (!offer.listingId) {
+    // NFT offers need the seller's payout wallet so the buyer can accept without another seller action
+    wallets = normalizeWallets(data?.sellerWallets);
+    if (!wallets[offer.currency]) {
+      throw new Error(`Missing seller wallet for currency ${offer.currency}`);
+    }
+    update.sellerWallets = wallets;
+  }
+
+  const db = await connectDB();
+  const result = await db.collection("offers").findOneAndUpdate(
+    { _id: offer._id, status: OFFER_STATUS.PENDING },
+    { $set: update },
+    { returnDocument: "after" }
+  );
+  if (!result) throw new Error("Offer was modified concurrently");
+
+  await recordOfferTransaction(
+    TX_TYPES.OFFER_COUNTER,
+    result,
+    { price: counterPrice, sellerWallets: wallets },
+    verifiedAddress,
+    signature,
+    "counterOffer"
+  );
+
+  return result;
+}
+
+/**
+ * Reject a pending or countered offer (seller only).
+ *
+ * @param {string} offerId
+ * @param {Object} data
+ * @param {string} verifiedAddress - Address verified via signature
+ * @param {string} signature - Signature from frontend
+ * @returns {Promise<Object>} updated offer
+ */
+export async function rejectOffer(offerId, data, verifiedAddress, signature) {
+  const offer = await loadOffer(offerId);
+  if (![OFFER_STATUS.PENDING, OFFER_STATUS.COUNTERED].includes(offer.status)) {
+    throw new Error(`Cannot reject an offer with status ${offer.status}`);
+  }
+  if (!addressesMatch(verifiedAddress, offer.seller)) {
+    throw new Error("Only the seller can reject this offer");
+  }
+
+  const db = await connectDB();
+  const result = await db.collection("offers").findOneAndUpdate(
+    { _id: offer._id, status: offer.status },
+    { $set: { status: OFFER_STATUS.REJECTED, time_updated: new Date() } },
+    { returnDocument: "after" }
+  );
+  if (!result) throw new Error("Offer was modified concurrently");
+
+  await recordOfferTransaction(TX_TYPES.OFFER_REJECT, result, {}, verifiedAddress, signature, "rejectOffer");
+
+  return result;
+}
+
+/**
+ * Cancel an open offer (buyer only). Cancelling an accepted NFT offer releases its listing.
+ *
+ * @param {string} offerId
+ * @param {Object} data
+ * @param {string} verifiedAddress - Address verified via signature
+ * @param {string} signature - Signature from frontend
+ * @returns {Promise<Object>} updated offer
+ */
+export async function cancelOffer(offerId, data, verifiedAddress, signature) {
+  const offer = await loadOffer(offerId);
+  if (!OPEN_STATUSES.includes(offer.status)) {
+    throw new Error(`Cannot cancel an offer with status ${offer.status}`);
+  }
+  if (!addressesMatch(verifiedAddress, offer.buyer)) {
+    throw new Error("Only the buyer can cancel this offer");
+  }
+
+  const db = await connectDB();
+  if (offer.status === OFFER_STATUS.ACCEPTED) {
+    const activeReservation = await db.collection("reservations").findOne({
+      offerId: offer._id.toString(),
+      status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.PROCESSING, RESERVATION_STATUS.PAID] },
+    });
+    if (activeReservation) {
+      throw new Error("Offer has an active reservation");
+    }
+  }
+
+  const result = await db.collection("offers").findOneAndUpdate(
+    { _id: offer._id, status: offer.status },
+    { $set: { status: OFFER_STATUS.CANCELED, time_updated: new Date() } },
+    { returnDocument: "after" }
+  );
+  if (!result) throw new Error("Offer was modified concurrently");
+
+  await releaseOfferListing(result);
+  await recordOfferTransaction(TX_TYPES.OFFER_CANCEL, result, {}, verifiedAddress, signature, "cancelOffer");
+
+  return result;
+}
+
+/**
+ * Validate that an accepted offer can be used to reserve parts of a listing.
+ *
+ * @param {string} offerId
+ * @param {Object} listing - Listing being reserved
+ * @param {string} reserver - Reserver ETH address
+ * @returns {Promise<Object>} the accepted offer
+ */
+export async function getReservableOffer(offerId, listing, reserver) {
+  const offer = await loadOffer(offerId);
+  if (offer.status !== OFFER_STATUS.ACCEPTED) throw new Error("Offer is not accepted");
+  if (isExpired(offer)) throw new Error("Offer has expired");
+  if (offer.listingId !== listing._id.toString()) {
+    throw new Error("Offer does not belong to this listing");
+  }
+  if (!addressesMatch(reserver, offer.buyer)) {
+    throw new Error("Only the buyer of the offer can reserve with it");
+  }
+  return offer;
+}
@@ -0,0 +1,104 @@
+// backend/services/orderBookService.js
+/**
+ * Service: Per-NFT order book (market depth)
+ *
+ * Exports:
+ * - getOrderBook(nftId): Promise<OrderBook>
+ *     {
+ *       nftId: string,
+ *       asks: [{ price, quantity, orders }],   // active listings, cheapest first
+ *       bids: [{ price, quantity, orders }],   // open offers, highest first
+ *       bestAsk: string|null,
+ *       bestBid: string|null,
+ *       spread: string|null,                   // bestAsk - bestBid
+ *       lastTrade: { price, quantity, timestamp } | null
+ *     }
+ *
+ * Notes:
+ * - Prices are YRT per part. Declining-price listings are placed at their current price.
+ * - Auctions, private listings and listings created for an accepted offer are not part of the book.
+ * - Unsold premium parts (`partPrices`) sit at their own price levels.
+ * - Bids are PENDING and COUNTERED offers that have not expired, at the buyer's price.
+ */
+
+import connectDB from "../db.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { LISTING_STATUS, OFFER_STATUS } from "../utils/statusConstants.js";
+import { getListingPrice } from "../utils/priceSchedule.js";
+import { getPremiumPartNos } from "../utils/partPricing.js";
+import { groupPriceLevels, summarizeOrderBook } from "../utils/orderBook.js";
+
+/**
+ * Ask orders of one listing: its current price for regular parts,
+ * plus one order per unreserved premium part.
+ */
+async function listingAsks(partsCol, listing, now) {
+  const available = Number(listing.availableQuantity ?? 0);
+  const premiumPartNos = getPremiumPartNos(listing);
+  if (premiumPartNos.length === 0) {
+    return [{ price: getListingPrice(listing, now), quantity: available }];
+  }
+
+  const premiumParts = await partsCol
+    .find(
+      {
+        listing: listing._id.toString(),
+        part_no: { $in: premiumPartNos },
+        $or: [{ reservation: null }, { reservation: { $exists: false } }],
+      },
+      { projection: { part_no: 1 } }
+    )
+    .toArray();
+
+  return [
+    { price: getListingPrice(listing, now), quantity: available - premiumParts.length },
+    ...premiumParts.map((p) => ({ price: listing.partPrices[String(p.part_no)], quantity: 1 })),
+  ];
+}
+
+export async function getOrderBook(nftId) {
+  const db = await connectDB();
+  const id = String(nftId);
+  const now = new Date();
+
+  const [listings, offers, lastSale] = await Promise.all([
+    db.collection("listings")
+      .find({
+        nftId: id,
+        status: LISTING_STATUS.ACTIVE,
+        offerId: null,
+        allowedBuyers: null,
+        auction: null,
+        availableQuantity: { $gt: 0 },
+      })
+      .toArray(),
+    db.collection("offers")
+      .find({
+        nftId: id,
+        status: { $in: [OFFER_STATUS.PENDING, OFFER_STATUS.COUNTERED] },
+        expiresAt: { $gt: now },
+      })
+      .project({ price: 1, quantity: 1 })
+      .toArray(),
+    db.collection("transactions").findOne(
+      { type: TX_TYPES.NFT_BUY, nftId: id, price: { $ne: null } },
+      { sort: { timestamp: -1 }, projection: { price: 1, quantity: 1, timestamp: 1 } }
+    ),
+  ]);
+
+  const partsCol = db.collection("parts");
+  const askOrders = (await Promise.all(listings.map((l) => listingAsks(partsCol, l, now)))).flat();
+
+  const asks = groupPriceLevels(askOrders, "asc");
+  const bids = groupPriceLevels(offers, "desc");
+
+  return {
+    nftId: id,
+    asks,
+    bids,
+    ...summarizeOrderBook(asks, bids),
+    lastTrade: lastSale
+      ? { price: String(lastSale.price), quantity: lastSale.quantity, timestamp: lastSale.timestamp }
+      : null,
+  };
+}
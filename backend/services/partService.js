@@ -67,6 +67,7 @@ export async function getPartsByListing(listingId, { skip = 0, limit = 100 } = {
   const db = await connectDB();
   return db.collection("parts")
     .find({ listing: String(listingId) })
+    .sort({ part_no: 1 })
     .skip(skip)
     .limit(limit)
     .toArray();
@@ -0,0 +1,295 @@
+// backend/services/paymentProviders.js
+/**
+ * Service: Chain providers for the payment watcher
+ *
+ * Exports:
+ * - getPaymentProvider(currency): provider|null
+ * - setPaymentProvider(currency, provider|null): void
+ *     Replace the provider for a currency, e.g. with a local dev chain in tests;
+ *     null restores the default.
+ *
+ * - firstBlockSince(rpc, time, lastBlock): Promise<number>
+ *     First block mined at or after `time` (binary search on block timestamps).
+ *
+ * A provider lists incoming transfers to a set of wallets since its last scan:
+ *   scanTransfers({ wallets, cursor, since }) => Promise<{ transfers, cursor }>
+ *     wallets   - recipient addresses to watch
+ *     cursor    - whatever the provider returned last time (null on the first scan)
+ *     since     - creation time of the oldest watched reservation; the first scan starts there
+ *     transfers - [{ chainTx, from, to, amount, memo, time }], amount in base units (wei, lamports,
+ *                 token units)
+ *   The returned cursor must be JSON-serializable; the watcher stores it in `counters`.
+ *
+ * Notes:
+ * - RPC endpoints, the ETH confirmation depth and the SOL commitment come from the network
+ *   profile (utils/network.js).
+ * - ETH: reads whole blocks once they are the network's confirmation depth deep,
+ *   at most PAYMENT_WATCHER_MAX_BLOCKS (default 25) per scan; reverted transactions are skipped.
+ *   The first scan starts at the block of `since`, so payments mined before it are not missed.
+ * - ERC-20 tokens (USDC, USDT): read the token contract's Transfer logs to the watched wallets
+ *   over the same block window as ETH.
+ * - The default provider for a currency follows its `verifier` in utils/currencies.js.
+ * - SOL: reads each wallet's new signatures at the network's commitment
+ *   and reports every system transfer together with the transaction's memo.
+ * - SPL tokens (USDC_SOL): same, for each wallet's associated token account of the mint;
+ *   token transfers into it are reported as paid to the wallet, from the signing owner.
+ */
+
+import { ethers } from "ethers";
+import { Connection, PublicKey } from "@solana/web3.js";
+import { logInfo } from "../utils/logger.js";
+import { getCurrency, isSupportedCurrency } from "../utils/currencies.js";
+import { getNetwork } from "../utils/network.js";
+import { ERC20_TRANSFER_TOPIC, readErc20Transfer } from "../utils/paymentMatching.js";
+
+const PROVIDER_DEFAULTS = {
+  PAYMENT_WATCHER_MAX_BLOCKS: 25,
+};
+const SOL_SIGNATURE_LIMIT = 100;
+// Server and chain clocks may disagree; the first ETH scan starts this much earlier
+const BLOCK_TIME_MARGIN_MS = 60 * 1000;
+const SPL_TOKEN_PROGRAM_ID = new PublicKey("TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA");
+const SPL_ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey("ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL");
+
+function readInt(name, min) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return PROVIDER_DEFAULTS[name];
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) throw new Error(`Invalid ${name}`);
+  return value;
+}
+
+function createEthRpc() {
+  const { rpcUrl, chainId } = getNetwork().eth;
+  return new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+}
+
+export async function firstBlockSince(rpc, time, lastBlock) {
+  const target = Math.floor((new Date(time).getTime() - BLOCK_TIME_MARGIN_MS) / 1000);
+  let low = 0;
+  let high = lastBlock + 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const block = await rpc.getBlock(mid);
+    if (block && block.timestamp >= target) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+}
+
+// Blocks to read this scan, or null when no new block is deep enough yet
+async function nextBlockWindow(rpc, cursor, since) {
+  const { confirmations } = getNetwork().eth;
+  const maxBlocks = readInt("PAYMENT_WATCHER_MAX_BLOCKS", 1);
+  const safeBlock = (await rpc.getBlockNumber()) - confirmations;
+  // First scan starts where the oldest watched reservation was made: its payment may
+  // already be mined when the watcher first looks
+  let fromBlock;
+  if (cursor?.block != null) fromBlock = cursor.block + 1;
+  else fromBlock = since ? await firstBlockSince(rpc, since, safeBlock) : safeBlock;
+  if (fromBlock > safeBlock) return null;
+  return { fromBlock, toBlock: Math.min(safeBlock, fromBlock + maxBlocks - 1) };
+}
+
+function createEthProvider() {
+  const rpc = createEthRpc();
+
+  return {
+    async scanTransfers({ wallets, cursor, since }) {
+      const window = await nextBlockWindow(rpc, cursor, since);
+      if (!window) return { transfers: [], cursor };
+      const { fromBlock, toBlock } = window;
+
+      const watched = new Set(wallets.map((w) => String(w).toLowerCase()));
+      const transfers = [];
+      for (let n = fromBlock; n <= toBlock; n++) {
+        const block = await rpc.getBlock(n, true);
+        if (!block) break;
+        for (const tx of block.prefetchedTransactions) {
+          if (!tx.to || tx.value === 0n || !watched.has(tx.to.toLowerCase())) continue;
+          const receipt = await rpc.getTransactionReceipt(tx.hash);
+          if (!receipt || receipt.status !== 1) continue;
+          transfers.push({
+            chainTx: tx.hash,
+            from: tx.from.toLowerCase(),
+            to: tx.to.toLowerCase(),
+            amount: tx.value.toString(),
+            memo: null,
+            time: new Date(block.timestamp * 1000),
+          });
+        }
+      }
+      return { transfers, cursor: { block: toBlock } };
+    },
+  };
+}
+
+function createErc20Provider(currency) {
+  const rpc = createEthRpc();
+
+  return {
+    async scanTransfers({ wallets, cursor, since }) {
+      const window = await nextBlockWindow(rpc, cursor, since);
+      if (!window) return { transfers: [], cursor };
+      const { fromBlock, toBlock } = window;
+
+      // Reverted transactions emit no logs, so every Transfer log is a settled payment
+      const logs = await rpc.getLogs({
+        address: getCurrency(currency).token.address,
+        topics: [ERC20_TRANSFER_TOPIC, null, wallets.map((w) => ethers.zeroPadValue(String(w).toLowerCase(), 32))],
+        fromBlock,
+        toBlock,
+      });
+
+      const blockTimes = new Map();
+      const transfers = [];
+      for (const log of logs) {
+        const transfer = readErc20Transfer(log);
+        if (log.removed || !transfer) continue;
+        if (!blockTimes.has(log.blockNumber)) {
+          const block = await rpc.getBlock(log.blockNumber);
+          blockTimes.set(log.blockNumber, block ? new Date(block.timestamp * 1000) : null);
+        }
+        transfers.push({
+          chainTx: log.transactionHash,
+          from: transfer.from,
+          to: transfer.to,
+          amount: transfer.amount,
+          memo: null,
+          time: blockTimes.get(log.blockNumber),
+        });
+      }
+      return { transfers, cursor: { block: toBlock } };
+    },
+  };
+}
+
+function readSolTransfers(signature, tx) {
+  const instructions = tx.transaction.message.instructions || [];
+  const memoIx = instructions.find((ix) => ix.program === "spl-memo");
+  const memo = typeof memoIx?.parsed === "string" ? memoIx.parsed : null;
+  return instructions
+    .filter((ix) => ix.program === "system" && ix.parsed?.type === "transfer")
+    .map((ix) => ({
+      chainTx: signature,
+      from: ix.parsed.info.source,
+      to: ix.parsed.info.destination,
+      amount: String(ix.parsed.info.lamports),
+      memo,
+      time: tx.blockTime ? new Date(tx.blockTime * 1000) : null,
+    }));
+}
+
+// New transactions (at the connection's commitment) touching each address since the cursor, read with `readTransfers`
+async function scanSolAddresses(connection, addresses, cursor, readTransfers) {
+  const seen = { ...(cursor?.signatures || {}) };
+  const transfers = [];
+  const fetched = new Set();
+
+  for (const address of addresses) {
+    const signatures = await connection.getSignaturesForAddress(
+      new PublicKey(address),
+      { until: seen[address], limit: SOL_SIGNATURE_LIMIT },
+      connection.commitment
+    );
+    if (signatures.length === SOL_SIGNATURE_LIMIT) {
+      logInfo(`[paymentProviders] More than ${SOL_SIGNATURE_LIMIT} new SOL transactions for ${address}, older ones skipped`);
+    }
+    if (signatures.length > 0) seen[address] = signatures[0].signature;
+
+    for (const { signature, err } of signatures) {
+      if (err || fetched.has(signature)) continue;
+      fetched.add(signature);
+      const tx = await connection.getParsedTransaction(signature, {
+        commitment: connection.commitment,
+        maxSupportedTransactionVersion: 0,
+      });
+      if (!tx || tx.meta?.err) continue;
+      transfers.push(...readTransfers(signature, tx));
+    }
+  }
+  return { transfers, cursor: { signatures: seen } };
+}
+
+function createSolConnection() {
+  const { rpcUrl, commitment } = getNetwork().sol;
+  return new Connection(rpcUrl, commitment);
+}
+
+function createSolProvider() {
+  const connection = createSolConnection();
+
+  return {
+    async scanTransfers({ wallets, cursor }) {
+      return scanSolAddresses(connection, wallets, cursor, readSolTransfers);
+    },
+  };
+}
+
+// Associated token account of `owner` for `mint` (where wallets receive SPL tokens)
+function getAssociatedTokenAddress(owner, mint) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), SPL_TOKEN_PROGRAM_ID.toBuffer(), new PublicKey(mint).toBuffer()],
+    SPL_ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+  return address.toBase58();
+}
+
+function readSplTransfers(signature, tx, mint, owners) {
+  const instructions = tx.transaction.message.instructions || [];
+  const memoIx = instructions.find((ix) => ix.program === "spl-memo");
+  const memo = typeof memoIx?.parsed === "string" ? memoIx.parsed : null;
+  return instructions
+    .filter((ix) => ix.program === "spl-token" && ["transfer", "transferChecked"].includes(ix.parsed?.type))
+    .filter((ix) => owners.has(ix.parsed.info.destination))
+    // transferChecked names its mint; a plain transfer into the associated account can only be this mint
+    .filter((ix) => ix.parsed.type === "transfer" || ix.parsed.info.mint === mint)
+    .map((ix) => ({
+      chainTx: signature,
+      from: ix.parsed.info.authority ?? ix.parsed.info.multisigAuthority,
+      to: owners.get(ix.parsed.info.destination),
+      amount: String(ix.parsed.type === "transfer" ? ix.parsed.info.amount : ix.parsed.info.tokenAmount.amount),
+      memo,
+      time: tx.blockTime ? new Date(tx.blockTime * 1000) : null,
+    }));
+}
+
+function createSplProvider(currency) {
+  const connection = createSolConnection();
+
+  return {
+    async scanTransfers({ wallets, cursor }) {
+      const mint = getCurrency(currency).token.address;
+      // Transfers land in the wallets' associated token accounts, reported as paid to the wallet
+      const owners = new Map(wallets.map((wallet) => [getAssociatedTokenAddress(wallet, mint), wallet]));
+      return scanSolAddresses(connection, [...owners.keys()], cursor, (signature, tx) =>
+        readSplTransfers(signature, tx, mint, owners)
+      );
+    },
+  };
+}
+
+// Keyed by the currency's `verifier`
+const DEFAULT_PROVIDERS = {
+  "eth-native": createEthProvider,
+  erc20: createErc20Provider,
+  "sol-native": createSolProvider,
+  spl: createSplProvider,
+};
+const providers = new Map();
+
+export function getPaymentProvider(currency) {
+  const cur = String(currency).toUpperCase();
+  if (!providers.has(cur)) {
+    const create = isSupportedCurrency(cur) ? DEFAULT_PROVIDERS[getCurrency(cur).verifier] : null;
+    if (!create) return null;
+    providers.set(cur, create(cur));
+  }
+  return providers.get(cur);
+}
+
+export function setPaymentProvider(currency, provider) {
+  const cur = String(currency).toUpperCase();
+  if (provider) providers.set(cur, provider);
+  else providers.delete(cur);
+}
@@ -0,0 +1,253 @@
+// backend/services/paymentWatcher.js
+/**
+ * Service: Payment watcher
+ *
+ * Exports:
+ * - assignPaymentReference({ currency, sellerWallet, totalPriceCrypto, paymentLegs }, reservationId): Promise<Object>
+ *     Called when a reservation is created. Reservations paid on Ethereum (ETH, ERC-20 tokens) get
+ *     a `paymentTag` added to the seller leg; SOL reservations get the `paymentMemo` their
+ *     payment must carry.
+ *     Returns { totalPriceCrypto, paymentLegs, paymentTag, paymentMemo }.
+ * - watchPayments(): Promise<void>
+ *     Background job. Scans each supported currency's chain provider for transfers into the wallets of
+ *     open reservations, stores matched legs on the reservation (`detectedLegs`) and finishes
+ *     the purchase once every leg is paid.
+ * - getPaymentStatus(reservationId): Promise<{ status, detectedLegs, transactionId, reason?, ... }|null>
+ *     Status of the reservation, COMPLETED once its purchase is recorded, or the refund status
+ *     (PAYMENT_ORPHANED, REFUNDING, REFUNDED) if it was paid but could not be recorded, with the
+ *     amount the seller refunds and the royalty and fees owed by the store (`owedAmount`).
+ *
+ * Notes:
+ * - Only PENDING reservations outside carts are watched; carts are still paid by submitting
+ *   their chainTxs (POST /api/carts/:id/checkout).
+ * - A reservation finished here goes through the same PROCESSING -> PAID -> recordPurchase
+ *   steps as POST /api/transactions, so the reconciliation job can finish it if a step fails.
+ *   The NFT_BUY is signed by the reserver with the signature they created the reservation with.
+ * - A payment for a listing that closed meanwhile is handed to the refund flow (refundService.js).
+ * - Chain access goes through services/paymentProviders.js and can be replaced there.
+ * - One worker scans a currency at a time (lock and cursor in `counters`).
+ */
+
+import connectDB from "../db.js";
+import { logInfo, logError } from "../utils/logger.js";
+import { RESERVATION_STATUS } from "../utils/statusConstants.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { getPaymentLegs } from "../utils/paymentLegs.js";
+import { listCurrencies } from "../utils/currencies.js";
+import {
+  pickPaymentTag,
+  applyPaymentTag,
+  usesPaymentMemo,
+  getPaymentMemo,
+  matchPaymentTransfers,
+  fromBaseUnits,
+} from "../utils/paymentMatching.js";
+import { getPaymentProvider } from "./paymentProviders.js";
+import { recordPurchase, assertPaymentUnused, getPurchaseBlocker } from "./transactionService.js";
+import { orphanPayment, getRefundById } from "./refundService.js";
+import { getListingById } from "./listingService.js";
+import { getReservationById } from "./reservationService.js";
+
+const SCAN_LOCK_MS = 2 * 60 * 1000;
+const OPEN_STATUSES = [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.PROCESSING];
+
+const cursorId = (currency) => `paymentWatcher:${currency}`;
+
+export async function assignPaymentReference({ currency, sellerWallet, totalPriceCrypto, paymentLegs }, reservationId) {
+  const cur = String(currency).toUpperCase();
+  if (usesPaymentMemo(cur)) {
+    return { totalPriceCrypto, paymentLegs, paymentTag: null, paymentMemo: getPaymentMemo(reservationId.toString()) };
+  }
+
+  const db = await connectDB();
+  const usedTags = await db.collection("reservations").distinct("paymentTag", {
+    currency: cur,
+    sellerWallet,
+    status: { $in: OPEN_STATUSES },
+    paymentTag: { $ne: null },
+  });
+  const paymentTag = pickPaymentTag(usedTags);
+  return { ...applyPaymentTag({ totalPriceCrypto, paymentLegs }, paymentTag, cur), paymentTag, paymentMemo: null };
+}
+
+/**
+ * Claim the scan of a currency for this worker; returns its stored cursor, or undefined if
+ * another worker is scanning.
+ */
+async function claimScan(counters, currency, now) {
+  try {
+    const doc = await counters.findOneAndUpdate(
+      { _id: cursorId(currency), $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+      { $set: { lockUntil: new Date(now.getTime() + SCAN_LOCK_MS) } },
+      { upsert: true, returnDocument: "after" }
+    );
+    return doc?.cursor ?? null;
+  } catch (err) {
+    if (err.code === 11000) return undefined; // locked by another worker
+    throw err;
+  }
+}
+
+/**
+ * Take a fully paid reservation through PROCESSING and PAID and record the purchase.
+ */
+async function finalizeDetectedPayment(col, reservation, legs) {
+  const currency = String(reservation.totalPriceCrypto.currency).toUpperCase();
+  const chainTx = (legs.find((leg) => leg.role === "seller") || legs[0]).chainTx;
+  const chainTxs = Object.fromEntries(
+    legs.filter((leg) => leg.role !== "seller" && leg.chainTx !== chainTx).map((leg) => [leg.role, leg.chainTx])
+  );
+  const txs = [...new Set(legs.map((leg) => leg.chainTx))];
+  await assertPaymentUnused(txs, { reservationId: reservation._id.toString() });
+  const payment = {
+    chainTx,
+    chainTxs,
+    txs,
+    buyer: reservation.reserver,
+    signer: reservation.reserver,
+    signature: reservation.signature || null,
+    timestamp: null,
+    startedAt: new Date(),
+    source: "watcher",
+  };
+
+  // Same claim as POST /api/transactions: whoever moves it out of PENDING first finishes it
+  const claimed = await col.findOneAndUpdate(
+    { _id: reservation._id, status: RESERVATION_STATUS.PENDING },
+    { $set: { status: RESERVATION_STATUS.PROCESSING, payment } },
+    { returnDocument: "after" }
+  ).catch((err) => {
+    if (err.code === 11000) throw new Error(`Payment ${chainTx} is already claimed by another reservation`);
+    throw err;
+  });
+  if (!claimed) return null;
+
+  const verifiedLegs = legs.map((leg) => ({
+    verified: true,
+    actualAmount: fromBaseUnits(leg.receivedAmount, currency),
+    expectedAmount: leg.amount,
+    currency,
+    role: leg.role,
+    wallet: leg.wallet,
+    chainTx: leg.chainTx,
+  }));
+  const paid = await col.findOneAndUpdate(
+    { _id: reservation._id, status: RESERVATION_STATUS.PROCESSING },
+    { $set: { status: RESERVATION_STATUS.PAID, "payment.verifiedLegs": verifiedLegs, "payment.paidAt": new Date() } },
+    { returnDocument: "after" }
+  );
+  if (!paid) return null;
+  logInfo(`[paymentWatcher] Reservation ${reservation._id} paid by ${chainTx}`);
+
+  // From here on a failure is left to the reconciliation job (PAID with verified legs)
+  const listing = await getListingById(paid.listingId);
+  const nft = listing ? await (await connectDB()).collection("nfts").findOne({ _id: listing.nftId }) : null;
+  const blocker = await getPurchaseBlocker(listing, nft);
+  if (blocker) {
+    await orphanPayment(paid, listing, blocker);
+    return null;
+  }
+
+  return recordPurchase({
+    reservation: paid,
+    listing,
+    nft,
+    buyer: payment.buyer,
+    chainTx,
+    paymentLegs: getPaymentLegs(paid),
+    verifiedLegs,
+    signer: payment.signer,
+    signature: payment.signature,
+    timestamp: payment.timestamp,
+  });
+}
+
+async function watchCurrency(db, currency) {
+  const provider = getPaymentProvider(currency);
+  if (!provider) return;
+
+  const col = db.collection("reservations");
+  const counters = db.collection("counters");
+  const open = await col.find({
+    currency,
+    status: RESERVATION_STATUS.PENDING,
+    cartId: null,
+    [usesPaymentMemo(currency) ? "paymentMemo" : "paymentTag"]: { $ne: null },
+  }).toArray();
+
+  if (open.length === 0) {
+    // Nothing to watch: the next scan starts again from the oldest reservation it finds
+    await counters.deleteOne({ _id: cursorId(currency), $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }] });
+    return;
+  }
+
+  const cursor = await claimScan(counters, currency, new Date());
+  if (cursor === undefined) return;
+
+  let scan = { transfers: [], cursor };
+  try {
+    const wallets = [...new Set(open.flatMap((r) => getPaymentLegs(r).map((leg) => leg.wallet)))];
+    const times = open.map((r) => new Date(r.timestamp).getTime()).filter(Number.isFinite);
+    const since = times.length > 0 ? new Date(Math.min(...times)) : null;
+    scan = await provider.scanTransfers({ wallets, cursor, since });
+  } finally {
+    await counters.updateOne({ _id: cursorId(currency) }, { $set: { cursor: scan.cursor ?? null, lockUntil: null } });
+  }
+
+  for (const reservation of open) {
+    try {
+      const { legs, complete, changed } = matchPaymentTransfers(reservation, scan.transfers);
+      if (changed) {
+        await col.updateOne(
+          { _id: reservation._id, status: RESERVATION_STATUS.PENDING },
+          { $set: { detectedLegs: legs } }
+        );
+      }
+      if (complete) await finalizeDetectedPayment(col, reservation, legs);
+    } catch (err) {
+      logError(`[paymentWatcher] Reservation ${reservation._id}: ${err.message}`);
+    }
+  }
+}
+
+export async function watchPayments() {
+  try {
+    const db = await connectDB();
+    for (const currency of listCurrencies()) {
+      try {
+        await watchCurrency(db, currency);
+      } catch (err) {
+        logError(`[paymentWatcher] ${currency} scan failed: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logError("[paymentWatcher] Error:", err);
+  }
+}
+
+export async function getPaymentStatus(reservationId) {
+  const reservation = await getReservationById(reservationId);
+  if (reservation) {
+    return { status: reservation.status, detectedLegs: reservation.detectedLegs || [], transactionId: null };
+  }
+
+  const db = await connectDB();
+  const tx = await db.collection("transactions").findOne(
+    { type: TX_TYPES.NFT_BUY, reservationId: String(reservationId) },
+    { projection: { _id: 1 } }
+  );
+  if (tx) return { status: RESERVATION_STATUS.COMPLETED, detectedLegs: [], transactionId: tx._id.toString() };
+
+  // Paid, but the purchase could not be recorded: the seller owes a refund
+  const refund = await getRefundById(reservationId);
+  if (!refund) return null;
+  return {
+    status: refund.status,
+    detectedLegs: [],
+    transactionId: null,
+    reason: refund.reason,
+    amount: refund.amount,
+    owedAmount: refund.owedAmount ?? null,
+    currency: refund.currency,
+  };
+}
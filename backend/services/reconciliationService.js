@@ -0,0 +1,325 @@
+// backend/services/reconciliationService.js
+/**
+ * Service: Reconciliation of stuck purchases
+ *
+ * Exports:
+ * - RECONCILE_OUTCOMES: result of reconciling one reservation or cart
+ * - reconcileStuckPurchases(): Promise<Report|null>
+ *     Background job. Finds reservations and carts that stayed PROCESSING or PAID longer than
+ *     RECONCILE_AFTER_SECONDS, re-checks their payment and either finishes the purchase or
+ *     releases the parts. Writes one report per run to `reconciliation_reports`. Errors are
+ *     logged and the run returns null; RECONCILE_* settings are checked at startup
+ *     (validateReconcileConfig in utils/reconciliation.js).
+ * - getReconciliationReports({ from, to }): Promise<{ from, to, reports, needsReview }>
+ *
+ * Notes:
+ * - The signed payment is stored on the reservation (`payment`) or cart when the purchase starts;
+ *   recordPurchase and completeCartCheckout are safe to run again on a half-finished purchase.
+ * - A payment that fails verification is retried on later runs; after RECONCILE_MAX_ATTEMPTS
+ *   the reservation goes back to PENDING (cleanup releases it once expired) or the cart is FAILED.
+ *   A payment that is only waiting for confirmations is retried without counting an attempt.
+ * - A paid reservation whose listing closed meanwhile is handed to the refund flow
+ *   (refundService.js) instead of being flagged; so is each such listing of a paid cart.
+ * - Anything that cannot be settled automatically is flagged `reconcileReviewAt` and listed
+ *   under `needsReview` until an admin resolves it.
+ * - Each document is claimed with `reconcileLockUntil` so cluster workers do not race.
+ */
+
+import connectDB from "../db.js";
+import { logInfo, logError } from "../utils/logger.js";
+import { RESERVATION_STATUS, CART_STATUS } from "../utils/statusConstants.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { getPaymentLegs } from "../utils/paymentLegs.js";
+import {
+  RECONCILE_ACTIONS,
+  getReconcileConfig,
+  getReconcileAction,
+  shouldReleaseAfterFailure,
+} from "../utils/reconciliation.js";
+import { recordPurchase, verifyReservationPayment, getPurchaseBlocker } from "./transactionService.js";
+import { orphanPayment } from "./refundService.js";
+import { getListingById } from "./listingService.js";
+import { releaseCart, verifyCartPayment, markCartPaid, completeCartCheckout } from "./cartService.js";
+import { isPaymentPending } from "../utils/verifyChainTransaction.js";
+
+export const RECONCILE_OUTCOMES = {
+  COMPLETED: "COMPLETED",       // purchase recorded and parts transferred
+  RELEASED: "RELEASED",         // payment missing or invalid, parts released
+  RETRY: "RETRY",               // payment check failed, tried again on the next run
+  NEEDS_REVIEW: "NEEDS_REVIEW", // flagged for an admin
+  ORPHANED: "ORPHANED",         // paid, but the listing closed: handed to the seller for a refund
+};
+
+const BATCH_SIZE = 50;
+const LOCK_MS = 5 * 60 * 1000;
+const REPORT_LIMIT = 50;
+
+/**
+ * Claim a stuck document for this run, or null if another worker has it.
+ */
+async function claim(col, doc, now) {
+  return col.findOneAndUpdate(
+    {
+      _id: doc._id,
+      status: doc.status,
+      $or: [{ reconcileLockUntil: null }, { reconcileLockUntil: { $lte: now } }],
+    },
+    { $set: { reconcileLockUntil: new Date(now.getTime() + LOCK_MS) } },
+    { returnDocument: "after" }
+  );
+}
+
+async function flagForReview(col, doc) {
+  await col.updateOne({ _id: doc._id }, { $set: { reconcileReviewAt: new Date() } });
+}
+
+/**
+ * Record a failed payment check; true once the payment should be given up on.
+ */
+async function recordFailedAttempt(col, doc, config) {
+  const attempts = (doc.reconcileAttempts || 0) + 1;
+  await col.updateOne({ _id: doc._id }, { $set: { reconcileAttempts: attempts } });
+  return shouldReleaseAfterFailure(attempts, config);
+}
+
+/**
+ * Put a reservation whose payment never went through back to PENDING:
+ * the buyer may retry until it expires, then cleanup releases its parts.
+ */
+async function releaseReservation(col, reservation) {
+  await col.updateOne(
+    { _id: reservation._id, status: reservation.status },
+    {
+      $set: { status: RESERVATION_STATUS.PENDING },
+      $unset: { payment: "", reconcileAttempts: "", reconcileLockUntil: "" },
+    }
+  );
+}
+
+async function reconcileReservation(col, reservation, config) {
+  const payment = reservation.payment || {};
+  const item = {
+    kind: "reservation",
+    reservationId: reservation._id.toString(),
+    cartId: null,
+    listingId: String(reservation.listingId),
+    buyer: reservation.reserver,
+    status: reservation.status,
+    chainTx: payment.chainTx || null,
+  };
+
+  const action = getReconcileAction(reservation, "reservation");
+  if (action === RECONCILE_ACTIONS.REVIEW) {
+    await flagForReview(col, reservation);
+    return { ...item, outcome: RECONCILE_OUTCOMES.NEEDS_REVIEW, message: "Reservation is PAID but has no verified payment to finish with" };
+  }
+  if (action === RECONCILE_ACTIONS.RELEASE) {
+    await releaseReservation(col, reservation);
+    return { ...item, outcome: RECONCILE_OUTCOMES.RELEASED, message: "No payment was submitted" };
+  }
+
+  let paid = reservation;
+  if (action === RECONCILE_ACTIONS.VERIFY) {
+    try {
+      const verifiedLegs = await verifyReservationPayment(reservation, payment.chainTx, payment.chainTxs);
+      paid = await col.findOneAndUpdate(
+        { _id: reservation._id, status: RESERVATION_STATUS.PROCESSING },
+        { $set: { status: RESERVATION_STATUS.PAID, "payment.verifiedLegs": verifiedLegs, "payment.paidAt": new Date() } },
+        { returnDocument: "after" }
+      );
+      if (!paid) return null; // Settled by someone else meanwhile
+    } catch (err) {
+      if (isPaymentPending(err)) return { ...item, outcome: RECONCILE_OUTCOMES.RETRY, message: err.message };
+      if (await recordFailedAttempt(col, reservation, config)) {
+        await releaseReservation(col, reservation);
+        return { ...item, outcome: RECONCILE_OUTCOMES.RELEASED, message: err.message };
+      }
+      return { ...item, outcome: RECONCILE_OUTCOMES.RETRY, message: err.message };
+    }
+  }
+
+  try {
+    const db = await connectDB();
+    const listing = await getListingById(paid.listingId);
+    const nft = listing ? await db.collection("nfts").findOne({ _id: listing.nftId }) : null;
+    const blocker = await getPurchaseBlocker(listing, nft);
+    const recorded = await db.collection("transactions").findOne(
+      { type: TX_TYPES.NFT_BUY, reservationId: item.reservationId },
+      { projection: { _id: 1 } }
+    );
+    // Paid for a listing that closed meanwhile: the seller owes the buyer a refund
+    if (blocker && !recorded) {
+      await orphanPayment(paid, listing, blocker);
+      return { ...item, status: paid.status, outcome: RECONCILE_OUTCOMES.ORPHANED, message: blocker };
+    }
+    if (!listing) throw new Error("Listing not found");
+    if (!nft) throw new Error("NFT not found");
+
+    const transactionId = await recordPurchase({
+      reservation: paid,
+      listing,
+      nft,
+      buyer: payment.buyer,
+      chainTx: payment.chainTx,
+      paymentLegs: getPaymentLegs(paid),
+      verifiedLegs: paid.payment.verifiedLegs,
+      signer: payment.signer,
+      signature: payment.signature,
+      timestamp: payment.timestamp,
+    });
+    return { ...item, outcome: RECONCILE_OUTCOMES.COMPLETED, transactionId };
+  } catch (err) {
+    await flagForReview(col, paid);
+    return { ...item, status: paid.status, outcome: RECONCILE_OUTCOMES.NEEDS_REVIEW, message: `Paid, but: ${err.message}` };
+  }
+}
+
+async function reconcileCart(col, cart, config) {
+  const payment = cart.payment || {};
+  const item = {
+    kind: "cart",
+    reservationId: null,
+    cartId: cart._id.toString(),
+    listingId: null,
+    buyer: cart.reserver,
+    status: cart.status,
+    chainTx: payment.chainTxs?.[0] || null,
+  };
+
+  const action = getReconcileAction(cart, "cart");
+  if (action === RECONCILE_ACTIONS.REVIEW) {
+    await flagForReview(col, cart);
+    return { ...item, outcome: RECONCILE_OUTCOMES.NEEDS_REVIEW, message: "Cart is PAID but has no verified payment to finish with" };
+  }
+  if (action === RECONCILE_ACTIONS.RELEASE) {
+    await releaseCart(cart, CART_STATUS.FAILED);
+    return { ...item, outcome: RECONCILE_OUTCOMES.RELEASED, message: "No payment was submitted" };
+  }
+
+  let paid = cart;
+  if (action === RECONCILE_ACTIONS.VERIFY) {
+    try {
+      const paidLegs = await verifyCartPayment(cart, payment.chainTxs);
+      await markCartPaid(cart, paidLegs);
+      paid = { ...cart, status: CART_STATUS.PAID, paidLegs };
+    } catch (err) {
+      if (isPaymentPending(err)) return { ...item, outcome: RECONCILE_OUTCOMES.RETRY, message: err.message };
+      if (await recordFailedAttempt(col, cart, config)) {
+        await releaseCart(cart, CART_STATUS.FAILED);
+        return { ...item, outcome: RECONCILE_OUTCOMES.RELEASED, message: err.message };
+      }
+      return { ...item, outcome: RECONCILE_OUTCOMES.RETRY, message: err.message };
+    }
+  }
+
+  try {
+    const { transactionId } = await completeCartCheckout(paid);
+    if (!transactionId) {
+      return { ...item, outcome: RECONCILE_OUTCOMES.ORPHANED, message: "Every listing in the cart has closed" };
+    }
+    return { ...item, outcome: RECONCILE_OUTCOMES.COMPLETED, transactionId };
+  } catch (err) {
+    await flagForReview(col, paid);
+    return { ...item, status: paid.status, outcome: RECONCILE_OUTCOMES.NEEDS_REVIEW, message: `Paid, but: ${err.message}` };
+  }
+}
+
+export async function reconcileStuckPurchases() {
+  try {
+    const config = getReconcileConfig();
+    const db = await connectDB();
+    const reservationsCol = db.collection("reservations");
+    const cartsCol = db.collection("carts");
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - config.afterSeconds * 1000);
+    const unlocked = [{ reconcileLockUntil: null }, { reconcileLockUntil: { $lte: startedAt } }];
+
+    const [reservations, carts] = await Promise.all([
+      reservationsCol
+        .find({
+          status: { $in: [RESERVATION_STATUS.PROCESSING, RESERVATION_STATUS.PAID] },
+          cartId: null,
+          reconcileReviewAt: null,
+          $and: [
+            { $or: unlocked },
+            { $or: [{ "payment.startedAt": { $lt: cutoff } }, { payment: null, timestamp: { $lt: cutoff } }] },
+          ],
+        })
+        .limit(BATCH_SIZE)
+        .toArray(),
+      cartsCol
+        .find({
+          status: { $in: [CART_STATUS.PROCESSING, CART_STATUS.PAID] },
+          time_updated: { $lt: cutoff },
+          reconcileReviewAt: null,
+          $or: unlocked,
+        })
+        .limit(BATCH_SIZE)
+        .toArray(),
+    ]);
+    if (reservations.length === 0 && carts.length === 0) return null;
+
+    const items = [];
+    const run = async (col, doc, reconcile) => {
+      const claimed = await claim(col, doc, startedAt);
+      if (!claimed) return;
+      try {
+        const item = await reconcile(col, claimed, config);
+        if (item) items.push(item);
+      } catch (err) {
+        logError(`[reconcileStuckPurchases] Failed on ${doc._id}:`, err.message);
+      } finally {
+        await col.updateOne({ _id: doc._id }, { $unset: { reconcileLockUntil: "" } });
+      }
+    };
+    for (const reservation of reservations) await run(reservationsCol, reservation, reconcileReservation);
+    for (const cart of carts) await run(cartsCol, cart, reconcileCart);
+    if (items.length === 0) return null;
+
+    const counts = {};
+    for (const item of items) counts[item.outcome] = (counts[item.outcome] || 0) + 1;
+    const report = { time_created: startedAt, finishedAt: new Date(), counts, items };
+    await db.collection("reconciliation_reports").insertOne(report);
+    logInfo(`[reconcileStuckPurchases] Reconciled ${items.length} stuck purchases: ${JSON.stringify(counts)}`);
+    return report;
+  } catch (err) {
+    logError("[reconcileStuckPurchases] Error:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Reconciliation reports in [from, to), newest first, plus every purchase still waiting for an admin.
+ */
+export async function getReconciliationReports({ from, to } = {}) {
+  const range = {};
+  if (from) {
+    const start = new Date(from);
+    if (isNaN(start.getTime())) throw new Error("Invalid 'from' date");
+    range.$gte = start;
+  }
+  if (to) {
+    const end = new Date(to);
+    if (isNaN(end.getTime())) throw new Error("Invalid 'to' date");
+    range.$lt = end;
+  }
+  const match = Object.keys(range).length > 0 ? { time_created: range } : {};
+
+  const db = await connectDB();
+  const reviewProjection = { projection: { reserver: 1, listingId: 1, status: 1, payment: 1, reconcileReviewAt: 1, quantity: 1 } };
+  const [reports, reservations, carts] = await Promise.all([
+    db.collection("reconciliation_reports").find(match).sort({ time_created: -1 }).limit(REPORT_LIMIT).toArray(),
+    db.collection("reservations").find({ reconcileReviewAt: { $ne: null } }, reviewProjection).toArray(),
+    db.collection("carts").find({ reconcileReviewAt: { $ne: null } }, reviewProjection).toArray(),
+  ]);
+
+  return {
+    from: range.$gte || null,
+    to: range.$lt || null,
+    reports,
+    needsReview: [
+      ...reservations.map((r) => ({ kind: "reservation", ...r })),
+      ...carts.map((c) => ({ kind: "cart", ...c })),
+    ],
+  };
+}
@@ -0,0 +1,302 @@
+// backend/services/refundService.js
+/**
+ * Service: Refunds of orphaned payments
+ *
+ * Exports:
+ * - orphanPayment(reservation, listing, reason): Promise<Refund>
+ *     Called when a reservation's payment is verified on-chain but its purchase cannot be
+ *     recorded (listing canceled or completed in between, NFT gone). Stores the payment in
+ *     `refunds` as PAYMENT_ORPHANED, releases the reserved parts and deletes the reservation.
+ * - getRefunds({ seller, buyer, status }): Promise<Array<Refund>>
+ * - getOwedRefunds(): Promise<Array<Refund>>
+ *     Refunds whose royalty or fee legs an admin has not settled yet (POST /api/admins/refunds).
+ * - settleOwedLegs(refundId, data, adminAddress): Promise<Refund>
+ *   Signed body (by an admin):
+ *     {
+ *       refundId: string,
+ *       chainTxs: string[], // transactions paying the owed legs back to the buyer's wallet
+ *       timestamp?: number
+ *     }
+ * - getRefundById(refundId): Promise<Refund|null>
+ * - submitRefund(refundId, data, verifiedAddress, signature): Promise<Refund>
+ *   Signed body (by the seller):
+ *     {
+ *       chainTx: string,   // transaction paying the refund back to the buyer's wallet
+ *       timestamp?: number
+ *     }
+ *
+ * Notes:
+ * - A refund has the reservation's _id; the reservation's payment stays listed on it
+ *   (`payment.txs`) so it can never be cited for another purchase.
+ * - The seller is notified through their open refunds (GET /api/refunds?seller=...), shown
+ *   in the frontend navigation like pending gifts.
+ * - The seller sends `amount` from the reservation's sellerWallet to its buyerWallet; SOL
+ *   refunds must carry `refundMemo`. Only the seller leg is refunded by the seller.
+ * - The creator royalty and store fee legs went to wallets the seller cannot pay from: they are
+ *   stored as `owedLegs` (`owedAmount` in total), returned to the buyer with the refund and
+ *   listed for admins until one records how they were paid back (`owedSettled`).
+ * - A verified refund is recorded as a REFUND transaction (uploaded to Arweave) and the
+ *   refund becomes REFUNDED. A refund left REFUNDING by a failed request can be submitted
+ *   again after REFUND_CLAIM_MS.
+ * - Cart purchases are orphaned per listing (completeCartCheckout in cartService); each
+ *   refund covers the seller leg of that listing's reservation only.
+ */
+
+import { ObjectId } from "mongodb";
+import connectDB from "../db.js";
+import { hashObject, hashableTransaction } from "../utils/hash.js";
+import { getNextTransactionInfo, uploadTransactionToArweave } from "./arweaveService.js";
+import { logInfo } from "../utils/logger.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { createTransactionDoc } from "../utils/transactionBuilder.js";
+import { verifyChainTransaction } from "../utils/verifyChainTransaction.js";
+import { getPaymentLegs } from "../utils/paymentLegs.js";
+import { normalizeChainTx, usesPaymentMemo } from "../utils/paymentMatching.js";
+import { getRefundLegs, getOwedLegs, getRefundAmount, getRefundMemo } from "../utils/refunds.js";
+import { addCryptoAmounts } from "../utils/paymentLegs.js";
+import { REFUND_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+import { normalizeAddress, addressesMatch } from "../utils/addressUtils.js";
+import { assertPaymentUnused } from "./transactionService.js";
+import { recalculateAvailableQuantity } from "./listingService.js";
+
+const REFUND_CLAIM_MS = 10 * 60 * 1000;
+
+export async function orphanPayment(reservation, listing, reason) {
+  const db = await connectDB();
+  const currency = String(reservation.totalPriceCrypto.currency).toUpperCase();
+  const refundId = reservation._id;
+  const paymentLegs = getPaymentLegs(reservation);
+  const legs = getRefundLegs(paymentLegs, reservation.payment.verifiedLegs);
+  const owedLegs = getOwedLegs(paymentLegs, reservation.payment.verifiedLegs);
+  const now = new Date();
+
+  const refund = {
+    _id: refundId,
+    status: REFUND_STATUS.PAYMENT_ORPHANED,
+    reason,
+    reservationId: refundId.toString(),
+    listingId: String(reservation.listingId),
+    nftId: listing ? String(listing.nftId) : null,
+    offerId: reservation.offerId || null,
+    quantity: reservation.quantity,
+    buyer: reservation.reserver,
+    buyerWallet: reservation.buyerWallet,
+    seller: listing ? normalizeAddress(listing.seller) : null,
+    sellerWallet: reservation.sellerWallet,
+    currency,
+    amount: getRefundAmount(legs, currency),
+    refundLegs: legs,
+    owedLegs,
+    owedAmount: owedLegs.length > 0 ? addCryptoAmounts(owedLegs.map((leg) => leg.amount), currency) : null,
+    owedSettled: null,
+    refundMemo: usesPaymentMemo(currency) ? getRefundMemo(refundId.toString()) : null,
+    totalPriceCrypto: reservation.totalPriceCrypto,
+    payment: reservation.payment,
+    refund: null,
+    time_created: now,
+    time_updated: now,
+  };
+
+  // Orphaning again (e.g. by the reconciliation job after a crash) keeps the first record
+  await db.collection("refunds").insertOne(refund).catch((err) => {
+    if (err.code !== 11000) throw err;
+  });
+
+  // Parts go back to the listing (or were already released with it)
+  await db.collection("parts").updateMany(
+    { reservation: refundId.toString() },
+    { $unset: { reservation: "" } }
+  );
+  await db.collection("reservations").deleteOne({ _id: refundId, status: RESERVATION_STATUS.PAID });
+  if (listing) await recalculateAvailableQuantity(listing._id);
+
+  logInfo(
+    `[orphanPayment] Reservation ${refundId} paid by ${reservation.payment.chainTx} but not recorded (${reason}); ` +
+    `seller ${refund.seller} must refund ${refund.amount} ${currency} to ${refund.buyerWallet}` +
+    (refund.owedAmount ? `; ${refund.owedAmount} ${currency} in royalty and fees is owed by the store` : "")
+  );
+  return refund;
+}
+
+export async function getRefunds({ seller, buyer, status } = {}) {
+  const filter = {};
+  if (seller) filter.seller = normalizeAddress(seller);
+  if (buyer) filter.buyer = normalizeAddress(buyer);
+  if (status) filter.status = String(status);
+  if (!filter.seller && !filter.buyer) throw new Error("seller or buyer is required");
+
+  const db = await connectDB();
+  return db.collection("refunds")
+    .find(filter, { projection: { "payment.signature": 0 } })
+    .sort({ time_created: -1 })
+    .toArray();
+}
+
+export async function getOwedRefunds() {
+  const db = await connectDB();
+  return db.collection("refunds")
+    .find({ "owedLegs.0": { $exists: true }, owedSettled: null }, { projection: { "payment.signature": 0 } })
+    .sort({ time_created: 1 })
+    .toArray();
+}
+
+export async function getRefundById(refundId) {
+  let _id;
+  try {
+    _id = new ObjectId(String(refundId));
+  } catch {
+    return null;
+  }
+  const db = await connectDB();
+  return db.collection("refunds").findOne({ _id });
+}
+
+/**
+ * Write the REFUND transaction for a verified refund, or return the one already written.
+ */
+async function recordRefundTransaction(refund, chainTx, signer, signature, timestamp) {
+  const db = await connectDB();
+  const txCollection = db.collection("transactions");
+  const existing = await txCollection.findOne(
+    { type: TX_TYPES.REFUND, reservationId: refund.reservationId },
+    { projection: { _id: 1 } }
+  );
+  if (existing) return existing._id;
+
+  const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+  const txDoc = createTransactionDoc({
+    type: TX_TYPES.REFUND,
+    transaction_number: transactionNumber,
+    signer,
+    signature,
+    timestamp: timestamp ? new Date(timestamp) : new Date(),
+    overrides: {
+      listingId: refund.listingId,
+      reservationId: refund.reservationId,
+      offerId: refund.offerId,
+      nftId: refund.nftId,
+      quantity: refund.quantity,
+      buyer: refund.buyer,
+      seller: refund.seller,
+      chainTx,
+      currency: refund.currency,
+      amount: refund.amount,
+      // The payment legs this refund pays back
+      paymentLegs: refund.refundLegs,
+    },
+  });
+  const transactionId = hashObject(hashableTransaction(txDoc));
+  txDoc._id = transactionId;
+  await txCollection.insertOne(txDoc);
+
+  try {
+    const arweaveTxId = await uploadTransactionToArweave(txDoc, transactionNumber, previousArweaveTxId);
+    await txCollection.updateOne({ _id: transactionId }, { $set: { arweaveTxId } });
+    logInfo(`[submitRefund] Transaction ${transactionId} uploaded to Arweave: ${arweaveTxId}`);
+  } catch (error) {
+    logInfo(`[submitRefund] Warning: Failed to upload to Arweave: ${error.message}`);
+  }
+  return transactionId;
+}
+
+export async function submitRefund(refundId, data, verifiedAddress, signature) {
+  const refund = await getRefundById(refundId);
+  if (!refund) throw new Error("Refund not found");
+  if (!refund.seller || !addressesMatch(refund.seller, verifiedAddress)) {
+    throw new Error("Only the seller can refund this payment");
+  }
+  if (refund.status === REFUND_STATUS.REFUNDED) throw new Error("Payment already refunded");
+  if (!data?.chainTx) throw new Error("Missing required fields");
+
+  const chainTx = normalizeChainTx(data.chainTx, refund.currency);
+  if (refund.payment.txs?.includes(chainTx)) throw new Error("The buyer's payment cannot be its own refund");
+  await assertPaymentUnused([chainTx], { reservationId: refund.reservationId });
+
+  const db = await connectDB();
+  const refundsCol = db.collection("refunds");
+  const now = new Date();
+  const claimed = await refundsCol.findOneAndUpdate(
+    {
+      _id: refund._id,
+      $or: [
+        { status: REFUND_STATUS.PAYMENT_ORPHANED },
+        { status: REFUND_STATUS.REFUNDING, "refund.startedAt": { $lt: new Date(now.getTime() - REFUND_CLAIM_MS) } },
+      ],
+    },
+    {
+      $set: {
+        status: REFUND_STATUS.REFUNDING,
+        refund: { chainTx, signer: verifiedAddress, signature, timestamp: data.timestamp ?? null, startedAt: now },
+        time_updated: now,
+      },
+    },
+    { returnDocument: "after" }
+  ).catch((err) => {
+    // Unique `refund.chainTx`: the same transaction was already submitted for another refund
+    if (err.code === 11000) throw new Error("This transaction has already been used for another refund");
+    throw err;
+  });
+  if (!claimed) throw new Error("Refund is already being processed");
+
+  let verified;
+  try {
+    verified = await verifyChainTransaction(
+      chainTx,
+      refund.amount,
+      refund.currency,
+      refund.buyerWallet,
+      refund.sellerWallet,
+      { memo: refund.refundMemo }
+    );
+  } catch (err) {
+    await refundsCol.updateOne(
+      { _id: refund._id, status: REFUND_STATUS.REFUNDING },
+      { $set: { status: REFUND_STATUS.PAYMENT_ORPHANED, refund: null, time_updated: new Date() } }
+    );
+    throw new Error(`Refund verification failed: ${err.message}`);
+  }
+
+  const transactionId = await recordRefundTransaction(refund, chainTx, verifiedAddress, signature, data.timestamp);
+  const updated = await refundsCol.findOneAndUpdate(
+    { _id: refund._id },
+    {
+      $set: {
+        status: REFUND_STATUS.REFUNDED,
+        "refund.verified": verified,
+        "refund.transactionId": transactionId,
+        "refund.refundedAt": new Date(),
+        time_updated: new Date(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+  logInfo(`[submitRefund] Refund ${refund._id} paid by ${chainTx}, transaction ${transactionId}`);
+  return updated;
+}
+
+export async function settleOwedLegs(refundId, data, adminAddress) {
+  if (!data?.refundId || String(data.refundId) !== String(refundId)) {
+    throw new Error("Signed refundId does not match this request");
+  }
+  if (!Array.isArray(data.chainTxs) || data.chainTxs.length === 0) throw new Error("Missing required fields");
+
+  const refund = await getRefundById(refundId);
+  if (!refund) throw new Error("Refund not found");
+  if (!refund.owedLegs?.length) throw new Error("Nothing is owed beyond the seller's refund");
+
+  const chainTxs = data.chainTxs.map((chainTx) => normalizeChainTx(chainTx, refund.currency));
+  const db = await connectDB();
+  const updated = await db.collection("refunds").findOneAndUpdate(
+    { _id: refund._id, owedSettled: null },
+    {
+      $set: {
+        owedSettled: { chainTxs, admin: normalizeAddress(adminAddress), timestamp: data.timestamp ?? null, settledAt: new Date() },
+        time_updated: new Date(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+  if (!updated) throw new Error("Owed legs already settled");
+  logInfo(`[settleOwedLegs] Refund ${refund._id}: ${refund.owedAmount} ${refund.currency} paid back by ${chainTxs.join(", ")}`);
+  return updated;
+}
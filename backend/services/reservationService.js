@@ -3,29 +3,74 @@
  * Service: Reservation handling (refactored, no parts[] in payloads)
  *
  * Exports:
- * - createReservation(data): Promise<Reservation>
- *   Unsigned body:
+ * - createReservation(data, { ip, signature }): Promise<Reservation>
+ *   Signed body (`reserver` must be the signing address):
  *     {
  *       listingId: string,
  *       reserver: string,           // ETH addr (canonical)
  *       quantity: number,           // how many parts to reserve
- *       currency: "ETH" | "SOL",
- *       buyerWallet: string
+ *       currency: "ETH" | "SOL" | "USDC" | "USDT" | "USDC_SOL",
+ *       buyerWallet: string,
+ *       buyerWalletProof?: string,  // SOL wallets: signature of getSolWalletProofMessage(reserver)
+ *       offerId?: string,           // accepted offer: use its agreed price and quantity
+ *       partNos?: Array<number|string> // specific part numbers or "from-to" ranges (partial listings)
  *     }
+ * - getReservationById(reservationId): Promise<Reservation|null>
+ * - toPublicReservation(reservation): Object
+ *   The fields needed to pay a reservation, for unauthenticated reads (no reserver IP,
+ *   request signature or submitted payment).
+ * - extendReservation(reservationId, verifiedAddress): Promise<Reservation>
+ *   Extends a PENDING reservation once by RESERVATION_EXTEND_SECONDS, never past the
+ *   expiry of its frozen crypto quote (`quoteExpiresAt`).
+ *
+ * createReservation also takes `{ cartId, expiresAt }` as a second argument when called
+ * by the cart service: cart reservations skip the one-active-reservation rule and the
+ * reservation limits (the cart enforces both) and share the cart's expiry.
  *
  * Notes:
  * - Removes requirement to pass `parts[]`. Reservation just stores quantity.
+ * - Reservations expire after the TTL configured for their currency (utils/reservationTtl.js).
  * - Atomicity: marks N parts with reservationId in the parts collection.
  * - Listing doc keeps a running quantity count.
  * - Bundle listings must reserve all remaining parts.
+ * - Listings created for an accepted offer can only be reserved through that offer.
+ * - Private listings can only be reserved by the addresses in their `allowedBuyers`.
+ * - Declining-price listings lock the price that is current when the reservation is made.
+ * - Tiered listings (`priceTiers`) price the whole reservation at the tier its quantity reaches.
+ * - `partNos` locks exactly those parts (all or nothing) and prices premium parts at their
+ *   `listing.partPrices`; reservations without `partNos` never take premium parts.
+ * - Per-address and per-IP limits on PENDING reservations and reserved parts, and a cooldown
+ *   after unpaid reservations expire, are enforced by abuseService; `ip` is stored as `reserverIp`.
+ * - Auction listings are never reserved here; the winner's reservation is created on settlement.
+ * - Secondary sales of NFTs with royalty terms split the payment into a seller leg and a
+ *   creator leg (`paymentLegs`); every leg is verified before the parts transfer.
+ * - The store fee (if configured) is quoted on top of the price as `totalPriceCrypto.fee`
+ *   and paid to the store fee wallet as a "platform" leg.
+ * - Price and fee are converted with a signed price quote (utils/priceQuote.js) stored as
+ *   `priceQuote` and copied onto the NFT_BUY; it expires with `quoteExpiresAt` (cart
+ *   reservations: with the cart). Its signature is checked when the NFT_BUY is recorded.
+ * - Payments are detected on-chain by paymentWatcher: ETH reservations carry a `paymentTag`
+ *   already added to the seller leg, SOL reservations a `paymentMemo` the payment must include.
+ *   The request `signature` is kept to sign the NFT_BUY the watcher records.
  */
 
 import { ObjectId } from "mongodb";
 import connectDB from "../db.js";
 import Reservation from "../Reservation.js";
-import { LISTING_STATUS } from "../utils/statusConstants.js";
 import { yrtToCrypto } from "../utils/currency.js";
-import { recalculateAvailableQuantity, getListingById } from "./listingService.js";
+import { createPriceQuote } from "../utils/priceQuote.js";
+import { getCurrentPeg } from "./yrtPegService.js";
+import { getQuantityPrice } from "../utils/priceTiers.js";
+import { buildPaymentLegs } from "../utils/paymentLegs.js";
+import { applyPlatformFee } from "../utils/platformFee.js";
+import { parsePartNos, getPremiumPartNos, getPartsPriceYrt } from "../utils/partPricing.js";
+import { recalculateAvailableQuantity, getListingById, isAllowedBuyer } from "./listingService.js";
+import { getReservableOffer } from "./offerService.js";
+import { enforceReservationLimits } from "./abuseService.js";
+import { assignPaymentReference } from "./paymentWatcher.js";
+import { getReservationExpiry, getExtendedExpiry } from "../utils/reservationTtl.js";
+import { isBuyerWallet } from "../utils/paymentMatching.js";
+import { LISTING_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
 
 export async function createReservation({
     listingId,
@@ -33,23 +78,33 @@ export async function createReservation({
     quantity,
     currency,
     buyerWallet,
-}) {
+    buyerWalletProof,
+    offerId,
+    partNos,
+}, { cartId = null, expiresAt = null, ip = null, signature = null } = {}) {
     console.log("[createReservation] Called with:", {
         listingId,
         reserver,
         quantity,
         currency,
         buyerWallet,
+        offerId,
+        partNos,
     });
 
-    if (!listingId || !reserver || !quantity) {
+    if (!listingId || !reserver || (!quantity && !partNos)) {
         throw new Error("Missing required fields");
     }
 
-    const qty = parseInt(quantity, 10);
+    // Picked parts define the quantity
+    const pickedPartNos = partNos ? parsePartNos(partNos) : null;
+    const qty = pickedPartNos ? pickedPartNos.length : parseInt(quantity, 10);
     if (!Number.isFinite(qty) || qty < 1) {
         throw new Error("Invalid quantity");
     }
+    if (pickedPartNos && quantity && parseInt(quantity, 10) !== qty) {
+        throw new Error("Quantity does not match the selected parts");
+    }
     console.log("[createReservation] Parsed quantity:", qty);
 
     const chosenCurrency = String(currency || "ETH").toUpperCase();
@@ -58,6 +113,9 @@ export async function createReservation({
     if (!/^0x[a-fA-F0-9]{40}$/.test(reserver)) {
         throw new Error("Invalid reserver address (ETH)");
     }
+    if (!isBuyerWallet(chosenCurrency, buyerWalletAddr, reserver, buyerWalletProof)) {
+        throw new Error(`${chosenCurrency} payments must come from the reserver's own wallet`);
+    }
     console.log("[createReservation] Using currency:", chosenCurrency);
 
     const db = await connectDB();
@@ -67,21 +125,49 @@ export async function createReservation({
     // Check if user already has an active reservation (prevent spam)
     const reserverLower = String(reserver).toLowerCase();
     const now = new Date();
-    const sixtySecondsAgo = new Date(now.getTime() - 60 * 1000);
-    const existingReservation = await reservationsCol.findOne({
+    const activeReservationQuery = {
         reserver: reserverLower,
-        timestamp: { $gte: sixtySecondsAgo }, // Active reservation (within last 60 seconds)
-    });
+        cartId: null,
+        status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.PROCESSING] },
+        $or: [
+            { expiresAt: { $gt: now } },
+            { expiresAt: null, timestamp: { $gte: new Date(now.getTime() - 60 * 1000) } }, // Older reservations without expiresAt
+        ],
+    };
+    const existingReservation = cartId ? null : await reservationsCol.findOne(activeReservationQuery);
 
     if (existingReservation) {
         throw new Error("You already have an active reservation. Please complete or wait for it to expire.");
     }
+    if (!cartId) {
+        await enforceReservationLimits({ reserver: reserverLower, ip, parts: qty });
+    }
 
     // find listing using getListingById to trigger lazy initialization for old listings
     const listing = await getListingById(listingId);
     if (!listing) throw new Error("Listing not found");
     if (listing.status === LISTING_STATUS.CANCELED) throw new Error("Listing is canceled");
     if (listing.status === LISTING_STATUS.COMPLETED) throw new Error("Listing is completed");
+    if (listing.expiresAt && new Date(listing.expiresAt) <= new Date()) throw new Error("Listing has expired");
+    if (!isAllowedBuyer(listing, reserver)) throw new Error("This listing is reserved for specific buyers");
+
+    // Offer-based reservations must match the accepted offer exactly
+    let offer = null;
+    if (offerId && cartId) {
+        throw new Error("Accepted offers cannot be checked out in a cart");
+    } else if (offerId) {
+        offer = await getReservableOffer(offerId, listing, reserver);
+        if (qty !== offer.quantity) throw new Error("Quantity must match the accepted offer");
+        if (chosenCurrency !== offer.currency) throw new Error("Currency must match the accepted offer");
+    } else if (listing.offerId) {
+        throw new Error("Listing is reserved for an accepted offer");
+    }
+    if (listing.auction) {
+        throw new Error("Auction listings can only be bought by bidding");
+    }
+    if (pickedPartNos && (listing.type === "BUNDLE" || offer)) {
+        throw new Error("Specific parts can only be picked from partial listings");
+    }
     
     // Recalculate availableQuantity to ensure we have the latest accurate count
     // This prevents race conditions where multiple users try to reserve simultaneously
@@ -113,10 +199,7 @@ export async function createReservation({
 
     // Double-check for existing reservation right before locking parts
     // This prevents race conditions when multiple requests come in simultaneously
-    const existingReservationCheck = await reservationsCol.findOne({
-        reserver: reserverLower,
-        timestamp: { $gte: sixtySecondsAgo },
-    });
+    const existingReservationCheck = cartId ? null : await reservationsCol.findOne(activeReservationQuery);
     if (existingReservationCheck) {
         throw new Error("You already have an active reservation. Please complete or wait for it to expire.");
     }
@@ -133,6 +216,9 @@ export async function createReservation({
         listing: listing._id.toString(),
         $or: [{ reservation: null }, { reservation: { $exists: false } }],
     };
+    // Premium parts are only sold when picked by number
+    const premiumPartNos = getPremiumPartNos(listing);
+    if (premiumPartNos.length > 0) query.part_no = { $nin: premiumPartNos };
 
     // Helper function to unlock parts if something goes wrong
     const unlockParts = async () => {
@@ -146,8 +232,44 @@ export async function createReservation({
     };
 
     try {
+        if (pickedPartNos) {
+            // Lock exactly the picked parts, all or nothing
+            const picked = await partsCol
+                .find({
+                    parent_hash: listing.nftId,
+                    owner: listing.seller,
+                    listing: listing._id.toString(),
+                    part_no: { $in: pickedPartNos },
+                })
+                .project({ _id: 1, part_no: 1 })
+                .toArray();
+            if (picked.length !== qty) {
+                const found = new Set(picked.map((p) => p.part_no));
+                const missing = pickedPartNos.filter((n) => !found.has(n));
+                throw new Error(`Parts not in this listing: #${missing.slice(0, 10).join(", #")}`);
+            }
+
+            const pickedIds = picked.map((p) => p._id);
+            const lockResult = await partsCol.updateMany(
+                {
+                    _id: { $in: pickedIds },
+                    $or: [{ reservation: null }, { reservation: { $exists: false } }],
+                },
+                { $set: { reservation: reservationId.toString() } }
+            );
+            if (lockResult.modifiedCount !== qty) {
+                // Someone else holds some of them - release only the ones we took
+                await partsCol.updateMany(
+                    { _id: { $in: pickedIds }, reservation: reservationId.toString() },
+                    { $unset: { reservation: "" } }
+                );
+                throw new Error("Some of the selected parts are already reserved");
+            }
+            lockedPartIds.push(...pickedIds);
+        }
+
         // Atomically lock parts one by one until we have enough
-        for (let i = 0; i < qty; i++) {
+        for (let i = lockedPartIds.length; i < qty; i++) {
             const result = await partsCol.findOneAndUpdate(
                 query,
                 { $set: { reservation: reservationId.toString() } },
@@ -169,8 +291,8 @@ export async function createReservation({
         });
 
         // wallets
-        const sellerWallet =
-            listing.sellerWallets?.[chosenCurrency] || listing.sellerWallets?.ETH;
+        // sellerWallets lists the currencies the listing accepts (USDC is not implied by ETH)
+        const sellerWallet = listing.sellerWallets?.[chosenCurrency];
         if (!sellerWallet) {
             await unlockParts();
             throw new Error(`Listing does not accept currency ${chosenCurrency}`);
@@ -180,30 +302,81 @@ export async function createReservation({
             wallet: sellerWallet,
         });
 
-        // price conversion
-        const perPartYrt = Number(listing.price);
+        // price conversion (accepted offers override the listing price,
+        // declining-price listings use the price current right now, tiered listings the tier for qty)
+        const perPartYrt = Number(offer ? offer.acceptedPrice : getQuantityPrice(listing, qty, now));
         if (!isFinite(perPartYrt) || perPartYrt <= 0) {
             await unlockParts();
             throw new Error("Invalid listing price");
         }
-        const totalYrt = perPartYrt * qty;
+        const totalYrt = pickedPartNos ? getPartsPriceYrt(pickedPartNos, listing, now) : perPartYrt * qty;
         console.log("[createReservation] Total price in YRT:", totalYrt);
 
-        const amountCrypto = await yrtToCrypto(totalYrt, chosenCurrency);
+        // Cart reservations share the cart's expiry; the rest get the TTL for their currency
+        const expiry = cartId ? { expiresAt, quoteExpiresAt: null } : getReservationExpiry(chosenCurrency, now);
+
+        // Price and fee are converted at the rates locked in the quote, which holds as long
+        // as the reservation can last
+        const priceQuote = await createPriceQuote(
+            chosenCurrency,
+            expiry.quoteExpiresAt || expiry.expiresAt,
+            await getCurrentPeg(),
+            now
+        );
+        const amountCrypto = await yrtToCrypto(totalYrt, chosenCurrency, priceQuote);
         console.log("[createReservation] Converted price:", {
             currency: chosenCurrency,
             amount: amountCrypto,
+            quoteId: priceQuote.quoteId,
         });
 
+        const nft = await db.collection("nfts").findOne({ _id: listing.nftId });
+        const quote = await applyPlatformFee({
+            totalYrt,
+            currency: chosenCurrency,
+            amount: String(amountCrypto),
+            paymentLegs: buildPaymentLegs({
+                amount: String(amountCrypto),
+                currency: chosenCurrency,
+                seller: listing.seller,
+                sellerWallet: String(sellerWallet).trim(),
+                nft,
+            }),
+            quote: priceQuote,
+        });
+
+        // Reservations outside carts are paid through the payment watcher, which needs to
+        // tell their payments apart (amount tag or memo)
+        const { totalPriceCrypto, paymentLegs, paymentTag, paymentMemo } = cartId
+            ? { ...quote, paymentTag: null, paymentMemo: null }
+            : await assignPaymentReference({
+                currency: chosenCurrency,
+                sellerWallet: String(sellerWallet).trim(),
+                ...quote,
+            }, reservationId);
+
         const reservationDoc = new Reservation({
             listingId,
             reserver: String(reserver).toLowerCase(),
             quantity: qty,
             currency: chosenCurrency,
             buyerWallet: buyerWalletAddr,
+            buyerWalletProof,
             sellerWallet: String(sellerWallet).trim(),
-            totalPriceCrypto: { currency: chosenCurrency, amount: String(amountCrypto) },
-            timestamp: new Date(),
+            totalPriceCrypto,
+            timestamp: now,
+            offerId: offer ? offer._id.toString() : null,
+            pricePerPart: String(perPartYrt),
+            paymentLegs,
+            expiresAt: expiry.expiresAt,
+            quoteExpiresAt: expiry.quoteExpiresAt,
+            cartId,
+            partNos: pickedPartNos,
+            reserverIp: ip,
+            signature,
+            paymentTag,
+            paymentMemo,
+            priceQuote,
         });
 
         // Insert reservation
@@ -226,3 +399,75 @@ export async function createReservation({
         throw error;
     }
 }
+
+export async function getReservationById(reservationId) {
+    let _id;
+    try {
+        _id = new ObjectId(String(reservationId));
+    } catch {
+        return null;
+    }
+    const db = await connectDB();
+    return db.collection("reservations").findOne({ _id });
+}
+
+// What GET /api/reservations/:id shows: enough to pay, nothing about who asked or how they paid
+const PUBLIC_RESERVATION_FIELDS = [
+    "_id",
+    "listingId",
+    "offerId",
+    "cartId",
+    "status",
+    "quantity",
+    "pricePerPart",
+    "currency",
+    "sellerWallet",
+    "totalPriceCrypto",
+    "paymentLegs",
+    "paymentTag",
+    "paymentMemo",
+    "timestamp",
+    "expiresAt",
+    "quoteExpiresAt",
+    "extendedAt",
+];
+
+export function toPublicReservation(reservation) {
+    return Object.fromEntries(
+        PUBLIC_RESERVATION_FIELDS
+            .filter((field) => reservation[field] !== undefined)
+            .map((field) => [field, reservation[field]])
+    );
+}
+
+export async function extendReservation(reservationId, verifiedAddress) {
+    const reservation = await getReservationById(reservationId);
+    if (!reservation) throw new Error("Reservation not found");
+    if (reservation.reserver !== String(verifiedAddress).toLowerCase()) {
+        throw new Error("Only the reserver can extend this reservation");
+    }
+    if (reservation.status !== RESERVATION_STATUS.PENDING) {
+        throw new Error("Only pending reservations can be extended");
+    }
+
+    const now = new Date();
+    const expiresAt = getExtendedExpiry(reservation, now);
+
+    // Claim the extension atomically so it can only happen once
+    const updated = await (await connectDB()).collection("reservations").findOneAndUpdate(
+        {
+            _id: reservation._id,
+            status: RESERVATION_STATUS.PENDING,
+            extendedAt: null,
+            expiresAt: { $gt: now },
+        },
+        { $set: { expiresAt, extendedAt: now } },
+        { returnDocument: "after" }
+    );
+    if (!updated) throw new Error("Reservation can no longer be extended");
+    console.log("[extendReservation] Reservation extended:", {
+        id: updated._id.toString(),
+        expiresAt: expiresAt.toISOString(),
+    });
+    return updated;
+}
@@ -0,0 +1,235 @@
+// backend/services/statsService.js
+/**
+ * Service: NFT price history and market statistics
+ *
+ * Exports:
+ * - syncMarketStats(): Promise<number>  // background job, returns number of new sales recorded
+ *                                       // (0 when it fails: errors are logged, not thrown)
+ * - getNFTStats(nftId, { days }): Promise<NFTStats|null>
+ *     {
+ *       nftId, partCount,
+ *       lastSale: SaleRecord|null,
+ *       floorPrice: string|null,             // best ask, see orderBookService
+ *       marketCap: { yrt, eur }|null,        // floor x part_count
+ *       volume: { "24h", "7d", "30d" },      // { volumeYrt, volumeEur, sales, parts }
+ *       allTime: { volumeYrt, volumeEur, sales, parts },
+ *       series: [{ day, priceYrt, priceEur, lowYrt, highYrt, parts, volumeYrt }]
+ *     }
+ * - getMarketSummary(): Promise<MarketSummary>
+ *     { volume: { "24h", "7d", "30d" }, topNfts (by 7d volume), recentSales, activeListings }
+ *
+ * Notes:
+ * - NFT_BUY transactions are copied incrementally into `nftsales` (numeric prices, EUR at
+ *   sale time) using a transaction_number cursor in `counters`. Every run re-reads a small
+ *   overlap behind the cursor, since transaction numbers are assigned before insert and can
+ *   land out of order; records are keyed by transaction id, so re-reading is harmless.
+ * - Per-NFT all-time totals and last sale are kept in `nftstats`; windowed volumes and price
+ *   series are read from `nftsales` by index (nftId, timestamp).
+ * - Purchases without a per-part price are not recorded, nor are purchases whose price quote
+ *   signature does not verify (logged): their EUR rate cannot be trusted.
+ */
+
+import connectDB from "../db.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { LISTING_STATUS } from "../utils/statusConstants.js";
+import { yrtToEur } from "../utils/currency.js";
+import { getCurrentPeg } from "./yrtPegService.js";
+import { verifyPriceQuote } from "../utils/priceQuote.js";
+import { toSaleRecord, summarizeVolume, dailyPriceSeries, STATS_WINDOWS } from "../utils/marketStats.js";
+import { getOrderBook } from "./orderBookService.js";
+
+const STATS_CURSOR_ID = "market_stats_cursor";
+const SYNC_BATCH = 500;
+const SYNC_OVERLAP = 100;
+const MAX_SERIES_DAYS = 365;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function hasValidQuote(tx) {
+  if (!tx.priceQuote || verifyPriceQuote(tx.priceQuote)) return true;
+  console.error(`[STATS] Skipping sale ${tx._id}: price quote signature is invalid`);
+  return false;
+}
+
+async function refreshNFTStats(db, nftId) {
+  const sales = db.collection("nftsales");
+  const [lastSale, totals] = await Promise.all([
+    sales.findOne({ nftId }, { sort: { timestamp: -1 } }),
+    sales
+      .aggregate([
+        { $match: { nftId } },
+        {
+          $group: {
+            _id: null,
+            volumeYrt: { $sum: "$volumeYrt" },
+            volumeEur: { $sum: "$volumeEur" },
+            sales: { $sum: 1 },
+            parts: { $sum: "$quantity" },
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const t = totals[0] || { volumeYrt: 0, volumeEur: 0, sales: 0, parts: 0 };
+  await db.collection("nftstats").updateOne(
+    { _id: nftId },
+    {
+      $set: {
+        lastSale,
+        allTime: { volumeYrt: round2(t.volumeYrt), volumeEur: round2(t.volumeEur), sales: t.sales, parts: t.parts },
+        updatedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+}
+
+export async function syncMarketStats() {
+  try {
+    const db = await connectDB();
+    const counters = db.collection("counters");
+
+    const cursor = (await counters.findOne({ _id: STATS_CURSOR_ID }))?.value || 0;
+    const txs = await db
+      .collection("transactions")
+      .find({ type: TX_TYPES.NFT_BUY, transaction_number: { $gt: Math.max(0, cursor - SYNC_OVERLAP) } })
+      .sort({ transaction_number: 1 })
+      .limit(SYNC_BATCH)
+      .project({ nftId: 1, transaction_number: 1, timestamp: 1, quantity: 1, currency: 1, amount: 1, price: 1, priceQuote: 1 })
+      .toArray();
+    if (txs.length === 0) return 0;
+
+    const records = txs.filter(hasValidQuote).map(toSaleRecord).filter(Boolean);
+    let newRecords = [];
+    if (records.length > 0) {
+      const result = await db.collection("nftsales").bulkWrite(
+        records.map((r) => ({
+          updateOne: { filter: { _id: r._id }, update: { $setOnInsert: r }, upsert: true },
+        })),
+        { ordered: true }
+      );
+      newRecords = Object.keys(result.upsertedIds).map((i) => records[Number(i)]);
+    }
+
+    for (const nftId of new Set(newRecords.map((r) => r.nftId))) {
+      await refreshNFTStats(db, nftId);
+    }
+
+    const lastNumber = txs[txs.length - 1].transaction_number;
+    if (lastNumber > cursor) {
+      await counters.updateOne({ _id: STATS_CURSOR_ID }, { $max: { value: lastNumber } }, { upsert: true });
+    }
+
+    if (newRecords.length > 0) {
+      console.log(`[STATS] Recorded ${newRecords.length} new sales (cursor ${Math.max(cursor, lastNumber)})`);
+    }
+    return newRecords.length;
+  } catch (err) {
+    console.error("[STATS] Error:", err.message);
+    return 0;
+  }
+}
+
+export async function getNFTStats(nftId, { days = 30 } = {}) {
+  const db = await connectDB();
+  const id = String(nftId);
+  const nft = await db.collection("nfts").findOne({ _id: id }, { projection: { part_count: 1 } });
+  if (!nft) return null;
+
+  const seriesDays = Math.min(MAX_SERIES_DAYS, Math.max(1, parseInt(days, 10) || 30));
+  const now = new Date();
+  const windowMs = Math.max(STATS_WINDOWS["30d"], seriesDays * 24 * 60 * 60 * 1000);
+
+  const [stats, sales, orderBook] = await Promise.all([
+    db.collection("nftstats").findOne({ _id: id }),
+    db.collection("nftsales")
+      .find({ nftId: id, timestamp: { $gte: new Date(now.getTime() - windowMs) } })
+      .sort({ timestamp: 1 })
+      .toArray(),
+    getOrderBook(id),
+  ]);
+
+  const seriesSince = now.getTime() - seriesDays * 24 * 60 * 60 * 1000;
+  const floorPrice = orderBook.bestAsk;
+  const partCount = Number(nft.part_count || 0);
+  const marketCapYrt = floorPrice !== null ? round2(Number(floorPrice) * partCount) : null;
+  const peg = await getCurrentPeg();
+
+  return {
+    nftId: id,
+    partCount,
+    lastSale: stats?.lastSale ?? null,
+    floorPrice,
+    marketCap: marketCapYrt !== null ? { yrt: marketCapYrt, eur: round2(yrtToEur(marketCapYrt, peg.yrtEur)) } : null,
+    volume: summarizeVolume(sales, now),
+    allTime: stats?.allTime ?? { volumeYrt: 0, volumeEur: 0, sales: 0, parts: 0 },
+    series: dailyPriceSeries(sales.filter((s) => s.timestamp.getTime() >= seriesSince)),
+  };
+}
+
+export async function getMarketSummary() {
+  const db = await connectDB();
+  const sales = db.collection("nftsales");
+  const now = new Date();
+  const since30d = new Date(now.getTime() - STATS_WINDOWS["30d"]);
+  const since7d = new Date(now.getTime() - STATS_WINDOWS["7d"]);
+
+  const windowFacet = (ms) => [
+    { $match: { timestamp: { $gte: new Date(now.getTime() - ms) } } },
+    {
+      $group: {
+        _id: null,
+        volumeYrt: { $sum: "$volumeYrt" },
+        volumeEur: { $sum: "$volumeEur" },
+        sales: { $sum: 1 },
+        parts: { $sum: "$quantity" },
+      },
+    },
+  ];
+
+  const [facets] = await sales
+    .aggregate([
+      { $match: { timestamp: { $gte: since30d } } },
+      {
+        $facet: {
+          ...Object.fromEntries(Object.entries(STATS_WINDOWS).map(([name, ms]) => [name, windowFacet(ms)])),
+          topNfts: [
+            { $match: { timestamp: { $gte: since7d } } },
+            { $group: { _id: "$nftId", volumeYrt: { $sum: "$volumeYrt" }, sales: { $sum: 1 } } },
+            { $sort: { volumeYrt: -1 } },
+            { $limit: 10 },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  const recentSales = await sales.find({}).sort({ timestamp: -1 }).limit(10).toArray();
+
+  const nftIds = [...new Set([...facets.topNfts.map((t) => t._id), ...recentSales.map((s) => s.nftId)])];
+  const nfts = await db
+    .collection("nfts")
+    .find({ _id: { $in: nftIds } }, { projection: { name: 1, imageurl: 1 } })
+    .toArray();
+  const nftById = new Map(nfts.map((n) => [String(n._id), n]));
+
+  const volume = {};
+  for (const name of Object.keys(STATS_WINDOWS)) {
+    const v = facets[name][0] || { volumeYrt: 0, volumeEur: 0, sales: 0, parts: 0 };
+    volume[name] = { volumeYrt: round2(v.volumeYrt), volumeEur: round2(v.volumeEur), sales: v.sales, parts: v.parts };
+  }
+
+  return {
+    volume,
+    topNfts: facets.topNfts.map((t) => ({
+      nftId: t._id,
+      name: nftById.get(t._id)?.name ?? null,
+      imageurl: nftById.get(t._id)?.imageurl ?? null,
+      volumeYrt: round2(t.volumeYrt),
+      sales: t.sales,
+    })),
+    recentSales: recentSales.map((s) => ({ ...s, name: nftById.get(s.nftId)?.name ?? null })),
+    activeListings: await db.collection("listings").countDocuments({ status: LISTING_STATUS.ACTIVE, offerId: null, allowedBuyers: null }),
+  };
+}
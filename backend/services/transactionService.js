@@ -3,13 +3,15 @@
  * Service: Transaction handling (refactored but keeps partial transactions)
  *
  * Exports:
- * - createTransaction(data, verifiedAddress, signature): Promise<string>  // returns txId
+ * - createTransaction(data, verifiedAddress, signature): Promise<string|null>
+ *   Returns the NFT_BUY id, or null while the payment is not confirmed yet.
  *   Signed body:
  *     {
  *       listingId: string,
  *       reservationId: string,
  *       buyer: string,          // ETH address (canonical identity)
  *       chainTx: string,        // blockchain transaction hash/id
+ *       chainTxs?: Record<string,string>,  // per payment leg (e.g. { creator: "0x..." } for ETH royalties)
  *       timestamp?: number
  *     }
  *
@@ -17,10 +19,35 @@
  * - Buyer must match signature.
  * - Reservation must exist and belong to buyer.
  * - Listing + NFT existence checks.
+ * - Reservation must belong to the listing.
  * - Validates listing has not been cancelled or deleted.
- * - Creates NFT_BUY transaction with signature.
+ * - Creates NFT_BUY transaction with signature, and the reservation's `priceQuote`. A quote
+ *   whose signature does not verify was altered after it was signed: the purchase is not
+ *   recorded (the reconciliation job flags it for review).
  * - Creates N partialtransactions (one per reserved part).
  * - Bulk updates parts to new owner and clears listing/reservation pointers.
+ * - Reservations made through an accepted offer mark that offer COMPLETED.
+ * - Every payment leg of the reservation (seller, creator royalty) is verified on-chain.
+ * - The signed payment is stored on the reservation (`payment`) before verification, so a purchase
+ *   interrupted mid-way can be finished by the reconciliation job (reconciliationService.js);
+ *   recordPurchase resumes from an existing NFT_BUY instead of writing a second one.
+ * - A payment that is on-chain but not confirmed yet is not waited for: the reservation stays
+ *   PROCESSING with its payment and the reconciliation job records the purchase once confirmed.
+ * - The payment watcher (paymentWatcher.js) normally finishes reservations from on-chain
+ *   transfers; a client-submitted chainTx is still accepted and whichever claims it first wins.
+ * - One chain transaction settles at most one purchase: assertPaymentUnused() checks purchases
+ *   and open payments before a claim, and unique indexes on reservations (`payment.txs`) and
+ *   standalone NFT_BUY transactions (`chainTx`, `paymentLegs.chainTx`) back it up.
+ * - Payments must come from the reservation's buyerWallet; SOL payments must also carry the
+ *   reservation's memo (verifyReservationPayment).
+ * - The payment is verified before the listing is checked. If the listing closed meanwhile
+ *   (or the NFT is gone), the verified payment is handed to the seller for a refund
+ *   (refundService.orphanPayment) and the reservation is released.
+ *
+ * Also exported (used by the payment watcher, cart checkout and reconciliation):
+ * - assertPaymentUnused(chainTxs, { reservationId, cartId }): Promise<void>
+ * - verifyReservationPayment(reservation, chainTx, chainTxs): Promise<Array<Object>> // verified legs
+ * - getPurchaseBlocker(listing, nft): Promise<string|null> // why a paid reservation cannot be recorded
  */
 
 import { ObjectId } from "mongodb";
@@ -31,13 +58,121 @@ import { logInfo } from "../utils/logger.js";
 import { TX_TYPES } from "../utils/transactionTypes.js";
 import { createTransactionDoc } from "../utils/transactionBuilder.js";
 import { createPartialTransactionDocs } from "../utils/partialTransactionBuilder.js";
-import { verifyChainTransaction } from "../utils/verifyChainTransaction.js";
-import { LISTING_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+import { verifyPaymentLegs, isPaymentPending } from "../utils/verifyChainTransaction.js";
+import { verifyPriceQuote } from "../utils/priceQuote.js";
+import { getPaymentLegs } from "../utils/paymentLegs.js";
+import { getPaymentMemo, usesPaymentMemo, normalizeChainTx, isBuyerWallet } from "../utils/paymentMatching.js";
+import { LISTING_STATUS, RESERVATION_STATUS, OFFER_STATUS, AUCTION_STATUS, CART_STATUS } from "../utils/statusConstants.js";
 import { normalizeAddress, addressesMatch } from "../utils/addressUtils.js";
 import { recalculateAvailableQuantity, getListingById } from "./listingService.js";
+import { orphanPayment } from "./refundService.js";
+
+const PAYMENT_USED_MESSAGE = "This payment has already been used for another purchase";
+
+/**
+ * Throw if any of these chain transactions already paid, or is being used to pay, another
+ * purchase. The reservation or cart being paid is not counted against itself.
+ * @param {string[]} chainTxs - Normalized chain transaction ids
+ * @param {Object} own
+ * @param {string} [own.reservationId]
+ * @param {string} [own.cartId]
+ */
+export async function assertPaymentUnused(chainTxs, { reservationId = null, cartId = null } = {}) {
+  const txs = [...new Set(chainTxs.filter(Boolean).map(String))];
+  if (txs.length === 0) return;
+  const db = await connectDB();
+
+  const notOwn = [];
+  if (reservationId) notOwn.push({ reservationId: String(reservationId) });
+  if (cartId) notOwn.push({ cartId: String(cartId) });
+  const purchase = await db.collection("transactions").findOne(
+    {
+      type: { $in: [TX_TYPES.NFT_BUY, TX_TYPES.CART_CHECKOUT] },
+      $or: [{ chainTx: { $in: txs } }, { "paymentLegs.chainTx": { $in: txs } }],
+      ...(notOwn.length ? { $nor: notOwn } : {}),
+    },
+    { projection: { _id: 1 } }
+  );
+  const reservation = await db.collection("reservations").findOne(
+    {
+      ...(reservationId ? { _id: { $ne: new ObjectId(String(reservationId)) } } : {}),
+      $or: [{ "payment.txs": { $in: txs } }, { "detectedLegs.chainTx": { $in: txs } }],
+    },
+    { projection: { _id: 1 } }
+  );
+  const cart = await db.collection("carts").findOne(
+    {
+      ...(cartId ? { _id: { $ne: new ObjectId(String(cartId)) } } : {}),
+      status: { $ne: CART_STATUS.FAILED },
+      "payment.chainTxs": { $in: txs },
+    },
+    { projection: { _id: 1 } }
+  );
+  // Orphaned payments keep their chain transactions, and so do the refunds paying them back
+  const refund = await db.collection("refunds").findOne(
+    {
+      ...(reservationId ? { _id: { $ne: new ObjectId(String(reservationId)) } } : {}),
+      $or: [{ "payment.txs": { $in: txs } }, { "refund.chainTx": { $in: txs } }],
+    },
+    { projection: { _id: 1 } }
+  );
+  if (purchase || reservation || cart || refund) throw new Error(PAYMENT_USED_MESSAGE);
+}
+
+/**
+ * Verify every payment leg of a reservation: sent from its buyerWallet and, for SOL,
+ * carrying its memo.
+ * @param {Object} reservation
+ * @param {string} chainTx
+ * @param {Record<string,string>} [chainTxs]
+ * @returns {Promise<Array<Object>>} Verification result per leg
+ */
+export async function verifyReservationPayment(reservation, chainTx, chainTxs) {
+  const currency = String(reservation.totalPriceCrypto.currency).toUpperCase();
+  return verifyPaymentLegs(
+    getPaymentLegs(reservation),
+    chainTx,
+    chainTxs || undefined,
+    currency,
+    reservation.buyerWallet,
+    { memo: usesPaymentMemo(currency) ? reservation.paymentMemo || getPaymentMemo(reservation._id.toString()) : null }
+  );
+}
+
+/**
+ * Why a paid reservation can no longer become a purchase, or null if it still can.
+ * @param {Object|null} listing
+ * @param {Object|null} nft
+ * @returns {Promise<string|null>}
+ */
+export async function getPurchaseBlocker(listing, nft) {
+  if (!listing) return "Listing not found";
+
+  // Check if listing has been cancelled (by the seller or by expiry)
+  const db = await connectDB();
+  const cancelTx = await db.collection("transactions").findOne({
+    type: { $in: [TX_TYPES.LISTING_CANCEL, TX_TYPES.LISTING_EXPIRE] },
+    listingId: listing._id.toString(),
+  });
+  if (cancelTx) return "Cannot buy from a cancelled listing";
+
+  // Check if listing is still active
+  if (listing.status === LISTING_STATUS.CANCELED) return "Listing has been canceled";
+  if (listing.status === LISTING_STATUS.COMPLETED) return "Listing has been completed";
+  if (!nft) return "NFT not found";
+  return null;
+}
+
+/**
+ * All chain transactions of a payment, normalized, for `payment.txs`.
+ */
+function paymentTxs(chainTx, chainTxs, currency) {
+  return [...new Set([chainTx, ...Object.values(chainTxs || {})].map((tx) => normalizeChainTx(tx, currency)))];
+}
 
 export async function createTransaction(data, verifiedAddress, signature) {
-  const { listingId, reservationId, buyer, chainTx, timestamp } = data;
+  const { listingId, reservationId, buyer, timestamp } = data;
+  let { chainTx, chainTxs } = data;
 
   if (!listingId || !reservationId || !buyer || !chainTx) {
     throw new Error("Missing required fields");
@@ -48,11 +183,7 @@ export async function createTransaction(data, verifiedAddress, signature) {
 
   const db = await connectDB();
   const reservationsCol = db.collection("reservations");
-  const listingsCol = db.collection("listings");
   const nftsCol = db.collection("nfts");
-  const txCollection = db.collection("transactions");
-  const ptxCollection = db.collection("partialtransactions");
-  const partsCollection = db.collection("parts");
 
   // Validate reservation and set status to PROCESSING (prevents cleanup from deleting it)
   const reservation = await reservationsCol.findOne({
@@ -62,6 +193,9 @@ export async function createTransaction(data, verifiedAddress, signature) {
   if (!addressesMatch(reservation.reserver, buyer)) {
     throw new Error("Reserver does not match buyer");
   }
+  if (String(reservation.listingId) !== String(listingId)) {
+    throw new Error("Reservation does not belong to this listing");
+  }
   
   // Check if reservation is already being processed or completed
   if (reservation.status === RESERVATION_STATUS.PROCESSING) {
@@ -73,38 +207,46 @@ export async function createTransaction(data, verifiedAddress, signature) {
   if (reservation.status === RESERVATION_STATUS.COMPLETED) {
     throw new Error("Reservation already completed");
   }
-  
-  // Set status to PROCESSING to prevent cleanup from deleting it
-  await reservationsCol.updateOne(
-    { _id: reservation._id },
-    { $set: { status: RESERVATION_STATUS.PROCESSING } }
-  );
-  logInfo(`[createTransaction] Set reservation ${reservationId} to PROCESSING`);
+  if (!isBuyerWallet(reservation.currency, reservation.buyerWallet, buyer, reservation.buyerWalletProof)) {
+    throw new Error("Payment must come from the buyer's own wallet");
+  }
 
-  // Validate listing using getListingById to trigger lazy initialization for old listings
-  const listing = await getListingById(listingId);
-  if (!listing) throw new Error("Listing not found");
+  const currency = String(reservation.totalPriceCrypto.currency).toUpperCase();
+  chainTx = normalizeChainTx(chainTx, currency);
+  chainTxs = chainTxs
+    ? Object.fromEntries(Object.entries(chainTxs).map(([role, tx]) => [role, normalizeChainTx(tx, currency)]))
+    : chainTxs;
+  const txs = paymentTxs(chainTx, chainTxs, currency);
+  await assertPaymentUnused(txs, { reservationId: reservation._id.toString() });
   
-  // Check if listing has been cancelled
-  const cancelTx = await txCollection.findOne({
-    type: TX_TYPES.LISTING_CANCEL,
-    listingId: listingId.toString(),
+  // Set status to PROCESSING to prevent cleanup from deleting it. The payment is kept on the
+  // reservation so the reconciliation job can finish the purchase if this request dies.
+  const claimed = await reservationsCol.updateOne(
+    { _id: reservation._id, status: RESERVATION_STATUS.PENDING },
+    {
+      $set: {
+        status: RESERVATION_STATUS.PROCESSING,
+        payment: {
+          chainTx,
+          chainTxs: chainTxs || null,
+          txs,
+          buyer,
+          signer: verifiedAddress,
+          signature,
+          timestamp: timestamp ?? null,
+          startedAt: new Date(),
+        },
+      },
+    }
+  ).catch((err) => {
+    // Unique `payment.txs`: another reservation claimed the same payment meanwhile
+    if (err.code === 11000) throw new Error(PAYMENT_USED_MESSAGE);
+    throw err;
   });
-  if (cancelTx) {
-    throw new Error("Cannot buy from a cancelled listing");
-  }
-  
-  // Check if listing is still active
-  if (listing.status === LISTING_STATUS.CANCELED) {
-    throw new Error("Listing has been canceled");
-  }
-  if (listing.status === LISTING_STATUS.COMPLETED) {
-    throw new Error("Listing has been completed");
+  if (claimed.modifiedCount === 0) {
+    throw new Error("Reservation is already being processed");
   }
-
-  // Validate NFT
-  const nft = await nftsCol.findOne({ _id: listing.nftId });
-  if (!nft) throw new Error("NFT not found");
+  logInfo(`[createTransaction] Set reservation ${reservationId} to PROCESSING`);
 
   const qty = reservation.quantity;
   if (!Number.isFinite(qty) || qty < 1) {
@@ -116,100 +258,208 @@ export async function createTransaction(data, verifiedAddress, signature) {
 
   // Verify chain transaction amount BEFORE creating the transaction record
   // This prevents users from paying less than expected
-  const currency = String(reservation.totalPriceCrypto.currency).toUpperCase();
-  const expectedAmount = String(reservation.totalPriceCrypto.amount);
   const sellerWallet = reservation.sellerWallet;
   
   if (!sellerWallet) {
     throw new Error("Reservation missing sellerWallet - cannot verify chain transaction");
   }
 
+  // Seller leg, plus the creator royalty leg on secondary sales
+  const paymentLegs = getPaymentLegs(reservation);
+  let verifiedLegs;
+  let paid;
+
   try {
-    logInfo(`[createTransaction] Verifying chain transaction ${chainTx} for ${expectedAmount} ${currency} to ${sellerWallet} from ${buyer}`);
-    const verificationResult = await verifyChainTransaction(
-      chainTx,
-      expectedAmount,
-      currency,
-      sellerWallet,
-      buyer // Verify transaction was sent from the buyer
-    );
-    logInfo(`[createTransaction] Chain transaction verified: ${JSON.stringify(verificationResult)}`);
+    logInfo(`[createTransaction] Verifying chain transaction ${chainTx} for ${JSON.stringify(paymentLegs)} ${currency} from ${reservation.buyerWallet}`);
+    verifiedLegs = await verifyReservationPayment(reservation, chainTx, chainTxs);
+    logInfo(`[createTransaction] Chain transaction verified: ${JSON.stringify(verifiedLegs)}`);
     
     // Set status to PAID - payment confirmed, no rollback allowed
-    await reservationsCol.updateOne(
+    paid = await reservationsCol.findOneAndUpdate(
       { _id: reservation._id },
-      { $set: { status: RESERVATION_STATUS.PAID } }
+      { $set: { status: RESERVATION_STATUS.PAID, "payment.verifiedLegs": verifiedLegs, "payment.paidAt": new Date() } },
+      { returnDocument: "after" }
     );
     logInfo(`[createTransaction] Set reservation ${reservationId} to PAID - payment confirmed`);
   } catch (verificationError) {
+    if (isPaymentPending(verificationError)) {
+      logInfo(`[createTransaction] Payment for reservation ${reservationId} not confirmed yet, left for reconciliation: ${verificationError.message}`);
+      return null;
+    }
     // If verification fails, reset to PENDING (allows retry)
     await reservationsCol.updateOne(
       { _id: reservation._id },
-      { $set: { status: RESERVATION_STATUS.PENDING } }
+      { $set: { status: RESERVATION_STATUS.PENDING }, $unset: { payment: "" } }
     );
     logInfo(`[createTransaction] Chain transaction verification failed: ${verificationError.message}, reset reservation to PENDING`);
     throw new Error(`Chain transaction verification failed: ${verificationError.message}`);
   }
 
-  // Get next transaction number and previous Arweave transaction ID
-  const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+  // Validate listing using getListingById to trigger lazy initialization for old listings
+  const listing = await getListingById(listingId);
+  const nft = listing ? await nftsCol.findOne({ _id: listing.nftId }) : null;
+
+  // The buyer has paid: if the purchase can no longer happen, the payment goes to the seller
+  // for a refund instead of being left on a stuck reservation
+  const blocker = await getPurchaseBlocker(listing, nft);
+  if (blocker) {
+    await orphanPayment(paid, listing, blocker);
+    throw new Error(`${blocker}. Your payment was recorded and the seller has been asked to refund it.`);
+  }
 
-  // Build transaction doc (without _id first)
-  const txDoc = createTransactionDoc({
-    type: TX_TYPES.NFT_BUY,
-    transaction_number: transactionNumber,
+  return recordPurchase({
+    reservation,
+    listing,
+    nft,
+    buyer,
+    chainTx,
+    paymentLegs,
+    verifiedLegs,
     signer: verifiedAddress,
-    signature: signature,
-    timestamp: timestamp ? new Date(timestamp) : new Date(),
-    overrides: {
-      listingId: listing._id.toString(),
-      reservationId: reservation._id.toString(),
-      nftId: String(listing.nftId),
-      buyer: buyer,
-      seller: listing.seller,
-      quantity: qty,
-      chainTx: String(chainTx),
-      currency: String(reservation.totalPriceCrypto.currency).toUpperCase(),
-      amount: String(reservation.totalPriceCrypto.amount),
-    },
+    signature,
+    timestamp,
   });
+}
 
-  // Generate hash-based ID (includes transaction_number)
-  const insertedTxId = hashObject(hashableTransaction(txDoc));
-  txDoc._id = insertedTxId;
-
-  // Insert transaction to database first
-  await txCollection.insertOne(txDoc);
+/**
+ * Record a verified purchase: write the NFT_BUY transaction, transfer the reserved parts
+ * and close the reservation (and the listing or offer when they are done).
+ * The reservation must already be PAID.
+ *
+ * @param {Object} params
+ * @param {Object} params.reservation - Reservation document
+ * @param {Object} params.listing - Listing document
+ * @param {Object} params.nft - NFT document
+ * @param {string} params.buyer - Buyer ETH address
+ * @param {string} params.chainTx - Main payment transaction
+ * @param {Array<Object>} params.paymentLegs - Reservation payment legs
+ * @param {Array<Object>} params.verifiedLegs - Verification result per leg (same order, with chainTx)
+ * @param {string} params.signer - Verified signer address
+ * @param {string} params.signature - Request signature
+ * @param {number} [params.timestamp]
+ * @param {string} [params.cartId] - Cart this purchase was checked out with
+ * @returns {Promise<string>} NFT_BUY transaction id
+ */
+export async function recordPurchase({
+  reservation,
+  listing,
+  nft,
+  buyer,
+  chainTx,
+  paymentLegs,
+  verifiedLegs,
+  signer,
+  signature,
+  timestamp,
+  cartId = null,
+}) {
+  const db = await connectDB();
+  const reservationsCol = db.collection("reservations");
+  const listingsCol = db.collection("listings");
+  const txCollection = db.collection("transactions");
+  const ptxCollection = db.collection("partialtransactions");
+  const partsCollection = db.collection("parts");
+  const reservationId = reservation._id.toString();
+  const qty = reservation.quantity;
 
-  // Upload to Arweave (includes previous_arweave_tx link)
-  // Include imageUrl for display in Arweave explorer (not part of hash)
-  // NFT was already fetched during validation
-  const imageUrl = nft?.imageurl || null;
+  // A purchase interrupted after its NFT_BUY was written (see reconciliationService) resumes
+  // from that transaction instead of recording a second one
+  const existingTx = await txCollection.findOne({ type: TX_TYPES.NFT_BUY, reservationId });
+  let insertedTxId;
   let arweaveTxId = null;
-  try {
-    arweaveTxId = await uploadTransactionToArweave(txDoc, transactionNumber, previousArweaveTxId, imageUrl);
+
+  if (existingTx) {
+    insertedTxId = existingTx._id;
+    arweaveTxId = existingTx.arweaveTxId || null;
+    logInfo(`[createTransaction] Resuming purchase for reservation ${reservationId} from transaction ${insertedTxId}`);
+  } else {
+    if (reservation.priceQuote && !verifyPriceQuote(reservation.priceQuote)) {
+      throw new Error("Price quote signature is invalid");
+    }
+
+    // Get next transaction number and previous Arweave transaction ID
+    const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+
+    // Build transaction doc (without _id first)
+    const txDoc = createTransactionDoc({
+      type: TX_TYPES.NFT_BUY,
+      transaction_number: transactionNumber,
+      signer,
+      signature,
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      overrides: {
+        listingId: listing._id.toString(),
+        reservationId: reservation._id.toString(),
+        nftId: String(listing.nftId),
+        buyer: buyer,
+        seller: listing.seller,
+        quantity: qty,
+        chainTx: String(chainTx),
+        currency: String(reservation.totalPriceCrypto.currency).toUpperCase(),
+        amount: String(reservation.totalPriceCrypto.amount),
+        offerId: reservation.offerId || null,
+        price: reservation.pricePerPart ?? null,
+        paymentLegs: verifiedLegs.map((leg, i) => ({
+          role: leg.role,
+          wallet: leg.wallet,
+          amount: paymentLegs[i].amount,
+          chainTx: leg.chainTx,
+        })),
+        fee: reservation.totalPriceCrypto.fee ?? null,
+        // Rates the price was converted at (reservations made before quotes have none)
+        priceQuote: reservation.priceQuote ?? null,
+        pegVersion: reservation.priceQuote?.pegVersion ?? null,
+        cartId,
+      },
+    });
+
+    // Generate hash-based ID (includes transaction_number)
+    insertedTxId = hashObject(hashableTransaction(txDoc));
+    txDoc._id = insertedTxId;
+
+    // Insert transaction to database first (unique chainTx: a payment records one purchase)
+    await txCollection.insertOne(txDoc).catch((err) => {
+      if (err.code === 11000) throw new Error(PAYMENT_USED_MESSAGE);
+      throw err;
+    });
+
+    // Upload to Arweave (includes previous_arweave_tx link)
+    // Include imageUrl for display in Arweave explorer (not part of hash)
+    // NFT was already fetched during validation
+    const imageUrl = nft?.imageurl || null;
+    try {
+      arweaveTxId = await uploadTransactionToArweave(txDoc, transactionNumber, previousArweaveTxId, imageUrl);
     
-    // Update transaction with Arweave ID (this doesn't affect the hash)
-    await txCollection.updateOne(
-      { _id: insertedTxId },
-      { $set: { arweaveTxId: arweaveTxId } }
-    );
+      // Update transaction with Arweave ID (this doesn't affect the hash)
+      await txCollection.updateOne(
+        { _id: insertedTxId },
+        { $set: { arweaveTxId: arweaveTxId } }
+      );
     
-    logInfo(`[createTransaction] Transaction ${insertedTxId} uploaded to Arweave: ${arweaveTxId}`);
-  } catch (error) {
-    logInfo(`[createTransaction] Warning: Failed to upload to Arweave: ${error.message}`);
-    // Continue even if Arweave upload fails - transaction is still valid
+      logInfo(`[createTransaction] Transaction ${insertedTxId} uploaded to Arweave: ${arweaveTxId}`);
+    } catch (error) {
+      logInfo(`[createTransaction] Warning: Failed to upload to Arweave: ${error.message}`);
+      // Continue even if Arweave upload fails - transaction is still valid
+    }
   }
 
-  // Find reserved parts
-  const reservedParts = await partsCollection
-    .find({ reservation: reservation._id.toString() })
-    .project({ _id: 1 })
+  // Parts of this purchase: those already recorded in partial transactions (resumed purchase)
+  // plus those still reserved
+  const recordedParts = await ptxCollection
+    .find({ transaction: insertedTxId })
+    .project({ part: 1 })
     .toArray();
-
-  if (reservedParts.length !== qty) {
+  const recordedPartIds = new Set(recordedParts.map((p) => String(p.part)));
+  const reservedParts = (
+    await partsCollection
+      .find({ reservation: reservation._id.toString() })
+      .project({ _id: 1 })
+      .toArray()
+  ).filter((p) => !recordedPartIds.has(String(p._id)));
+
+  if (recordedParts.length + reservedParts.length !== qty) {
     throw new Error(
-      `Mismatch: reservation quantity=${qty} but found ${reservedParts.length} parts`
+      `Mismatch: reservation quantity=${qty} but found ${recordedParts.length + reservedParts.length} parts`
     );
   }
 
@@ -226,10 +476,11 @@ export async function createTransaction(data, verifiedAddress, signature) {
   });
 
   if (partials.length) await ptxCollection.insertMany(partials);
+  const purchasedPartIds = [...recordedParts.map((p) => p.part), ...reservedParts.map((p) => p._id)];
 
   // Transfer ownership of reserved parts in bulk
   const transferResult = await partsCollection.updateMany(
-    { reservation: reservation._id.toString() },
+    { _id: { $in: purchasedPartIds }, reservation: reservation._id.toString() },
     {
       $set: {
         owner: normalizeAddress(buyer),
@@ -258,7 +509,7 @@ export async function createTransaction(data, verifiedAddress, signature) {
   
   // VALIDATION: Verify parts are now owned by buyer
   const transferredPartsCount = await partsCollection.countDocuments({
-    _id: { $in: reservedParts.map(p => p._id) },
+    _id: { $in: purchasedPartIds },
     owner: normalizeAddress(buyer)
   });
   if (transferredPartsCount !== qty) {
@@ -289,6 +540,12 @@ export async function createTransaction(data, verifiedAddress, signature) {
       { $set: { status: LISTING_STATUS.COMPLETED, time_completed: new Date(), time_updated: new Date() } }
     );
     logInfo(`[createTransaction] Marked listing ${listing._id} as COMPLETED`);
+    if (listing.auction) {
+      await listingsCol.updateOne(
+        { _id: listing._id },
+        { $set: { "auction.status": AUCTION_STATUS.COMPLETED } }
+      );
+    }
   } else {
     await listingsCol.updateOne(
       { _id: listing._id },
@@ -296,6 +553,14 @@ export async function createTransaction(data, verifiedAddress, signature) {
     );
   }
 
+  if (reservation.offerId) {
+    await db.collection("offers").updateOne(
+      { _id: new ObjectId(reservation.offerId) },
+      { $set: { status: OFFER_STATUS.COMPLETED, time_completed: new Date(), time_updated: new Date() } }
+    );
+    logInfo(`[createTransaction] Marked offer ${reservation.offerId} as COMPLETED`);
+  }
+
   // Recalculate availableQuantity after parts were purchased and removed from listing
   // This ensures the cached value is accurate and prevents race conditions
   await recalculateAvailableQuantity(listing._id);
@@ -495,7 +760,7 @@ export async function getTransactionByArweaveTxId(arweaveTxId) {
  * Only returns transactions where ownership changes:
  * - NFT_BUY (buying/selling)
  * - GIFT_CLAIM (receiving/giving gifts)
- * Excludes: MINT, GIFT_CREATE, GIFT_REFUSE, GIFT_CANCEL, LISTING_CREATE, LISTING_CANCEL
+ * Excludes: MINT, GIFT_CREATE, GIFT_REFUSE, GIFT_CANCEL, LISTING_CREATE, LISTING_CANCEL, LISTING_EXPIRE
  * @param {string} address - User's ETH address
  * @param {Object} options - Pagination options
  * @param {number} options.skip - Number of documents to skip
@@ -0,0 +1,122 @@
+// backend/services/yrtPegService.js
+/**
+ * Service: YRT peg (how many EUR one YRT is worth)
+ *
+ * Exports:
+ * - getCurrentPeg(): Promise<Peg>
+ *     Peg: { version, yrtEur, effectiveFrom, transactionId, changedBy }
+ * - getPegHistory(): Promise<Array<Peg>>  // newest first
+ * - changePeg(data, verifiedAddress, signature): Promise<Peg>
+ *   Signed body (by the superadmin):
+ *     {
+ *       yrtEur: string,          // EUR per YRT from now on
+ *       previousVersion: number  // version being replaced (the one the superadmin saw)
+ *     }
+ *
+ * Notes:
+ * - Versions are kept in `yrt_pegs` (_id = version). Version 1 is the original fixed peg
+ *   (INITIAL_YRT_PEG) and is stored on first use.
+ * - Only the superadmin (SUPERADMIN_ADDRESS) can change the peg. Each change is published
+ *   as a RATE_CHANGE transaction (uploaded to Arweave).
+ * - A change made meanwhile rejects a request naming an older `previousVersion`.
+ * - Listings (LISTING_CREATE / LISTING_UPDATE), price quotes and NFT_BUY record the
+ *   `pegVersion` in force when they were made.
+ */
+
+import connectDB from "../db.js";
+import { hashObject, hashableTransaction } from "../utils/hash.js";
+import { getNextTransactionInfo, uploadTransactionToArweave } from "./arweaveService.js";
+import { isSuperAdmin } from "./adminService.js";
+import { logInfo } from "../utils/logger.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+import { createTransactionDoc } from "../utils/transactionBuilder.js";
+import { INITIAL_YRT_PEG, parsePegRate } from "../utils/currency.js";
+import { normalizeAddress } from "../utils/addressUtils.js";
+
+function toPeg(doc) {
+  return {
+    version: doc._id,
+    yrtEur: doc.yrtEur,
+    effectiveFrom: doc.effectiveFrom,
+    transactionId: doc.transactionId ?? null,
+    changedBy: doc.changedBy ?? null,
+  };
+}
+
+export async function getCurrentPeg() {
+  const db = await connectDB();
+  const pegs = db.collection("yrt_pegs");
+  const [latest] = await pegs.find().sort({ _id: -1 }).limit(1).toArray();
+  if (latest) return toPeg(latest);
+
+  await pegs.updateOne(
+    { _id: INITIAL_YRT_PEG.version },
+    { $setOnInsert: { yrtEur: INITIAL_YRT_PEG.yrtEur, effectiveFrom: new Date(0), transactionId: null, changedBy: null } },
+    { upsert: true }
+  );
+  return toPeg(await pegs.findOne({ _id: INITIAL_YRT_PEG.version }));
+}
+
+export async function getPegHistory() {
+  await getCurrentPeg(); // stores version 1 if the peg was never read
+  const db = await connectDB();
+  const docs = await db.collection("yrt_pegs").find().sort({ _id: -1 }).toArray();
+  return docs.map(toPeg);
+}
+
+export async function changePeg(data, verifiedAddress, signature) {
+  if (!isSuperAdmin(verifiedAddress)) throw new Error("Only the superadmin can change the YRT peg");
+  const yrtEur = parsePegRate(data?.yrtEur);
+
+  const current = await getCurrentPeg();
+  if (Number(data?.previousVersion) !== current.version) {
+    throw new Error(`The peg has changed since (current version ${current.version})`);
+  }
+  if (yrtEur === current.yrtEur) throw new Error(`The peg is already ${yrtEur} EUR`);
+
+  const version = current.version + 1;
+  const effectiveFrom = new Date();
+  const db = await connectDB();
+  const pegs = db.collection("yrt_pegs");
+  // _id is the version: a concurrent change to the same version fails here
+  await pegs.insertOne({
+    _id: version,
+    yrtEur,
+    effectiveFrom,
+    transactionId: null,
+    changedBy: normalizeAddress(verifiedAddress),
+  }).catch((err) => {
+    if (err.code === 11000) throw new Error("The peg was changed at the same time, please try again");
+    throw err;
+  });
+
+  const { transactionNumber, previousArweaveTxId } = await getNextTransactionInfo();
+  const txDoc = createTransactionDoc({
+    type: TX_TYPES.RATE_CHANGE,
+    transaction_number: transactionNumber,
+    signer: verifiedAddress,
+    signature,
+    timestamp: effectiveFrom,
+    overrides: {
+      currency: "EUR",
+      price: yrtEur,
+      previousPrice: current.yrtEur,
+      pegVersion: version,
+    },
+  });
+  const transactionId = hashObject(hashableTransaction(txDoc));
+  txDoc._id = transactionId;
+  await db.collection("transactions").insertOne(txDoc);
+  await pegs.updateOne({ _id: version }, { $set: { transactionId } });
+  logInfo(`[changePeg] YRT peg v${version}: 1 YRT = ${yrtEur} EUR (was ${current.yrtEur}), transaction ${transactionId}`);
+
+  try {
+    const arweaveTxId = await uploadTransactionToArweave(txDoc, transactionNumber, previousArweaveTxId);
+    await db.collection("transactions").updateOne({ _id: transactionId }, { $set: { arweaveTxId } });
+    logInfo(`[changePeg] Transaction ${transactionId} uploaded to Arweave: ${arweaveTxId}`);
+  } catch (error) {
+    logInfo(`[changePeg] Warning: Failed to upload to Arweave: ${error.message}`);
+  }
+
+  return toPeg(await pegs.findOne({ _id: version }));
+}
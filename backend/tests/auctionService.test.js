@@ -0,0 +1,194 @@
+// backend/tests/auctionService.test.js
+/**
+ * Auction service tests
+ *
+ * Ensures bids must meet the reserve and the minimum increment, that of two bids racing on
+ * the same highest bid only one wins, that settlement reserves the parts for the winner at
+ * the winning bid, that a winner who does not pay leaves the auction unsold, and that the
+ * settlement and reservation cleanup jobs survive failures.
+ *
+ * Run with: node --test backend/tests/auctionService.test.js
+ */
+
+import { test, before, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert";
+import { ObjectId } from "mongodb";
+import { setDatabase } from "../db.js";
+import { startDatabase, resetDatabase, stopDatabase } from "./helpers/mongo.js";
+import { seedListing } from "./helpers/fixtures.js";
+import { placeBid, settleEndedAuctions } from "../services/auctionService.js";
+import { cleanupExpiredReservations } from "../cleanup.js";
+import { AUCTION_STATUS, LISTING_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+
+const SELLER = "0x2222222222222222222222222222222222222222";
+const ALICE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const BOB = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const NFT_ID = "nft1";
+const TEST_ENV = {
+  PRICE_ORACLE_SOURCES: "fixture",
+  PRICE_QUOTE_SIGNER_KEY: "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+};
+
+let db;
+let listingId;
+
+function bid(bidder, amount) {
+  return placeBid(listingId.toString(), { bidder, amount, currency: "ETH", buyerWallet: bidder }, bidder, "0xsig");
+}
+
+async function getAuctionListing() {
+  return db.collection("listings").findOne({ _id: listingId });
+}
+
+// Move the auction end into the past
+async function endAuction() {
+  await db.collection("listings").updateOne({ _id: listingId }, { $set: { "auction.endTime": new Date(Date.now() - 1000) } });
+}
+
+before(async () => {
+  db = await startDatabase();
+});
+
+beforeEach(async () => {
+  Object.assign(process.env, TEST_ENV);
+  await resetDatabase();
+
+  const now = Date.now();
+  listingId = await seedListing(db, {
+    nftId: NFT_ID,
+    seller: SELLER,
+    quantity: 2,
+    type: "BUNDLE",
+    auction: {
+      status: AUCTION_STATUS.OPEN,
+      reservePrice: "10",
+      minIncrement: "2",
+      startTime: new Date(now - 60_000),
+      endTime: new Date(now + 3_600_000),
+      extensionSeconds: 300,
+      highestBid: null,
+      highestBidder: null,
+      bidCount: 0,
+    },
+  });
+});
+
+afterEach(() => {
+  for (const name of Object.keys(TEST_ENV)) delete process.env[name];
+});
+
+after(stopDatabase);
+
+test("Bids must meet the reserve, then beat the highest bid by the minimum increment", async () => {
+  await assert.rejects(bid(ALICE, "9"), /at least 10 YRT/);
+  await bid(ALICE, "10");
+  await assert.rejects(bid(BOB, "11"), /at least 12 YRT/);
+  await bid(BOB, "12");
+  await assert.rejects(bid(SELLER, "20"), /your own auction/);
+
+  const { auction } = await getAuctionListing();
+  assert.deepStrictEqual([auction.highestBid, auction.highestBidder, auction.bidCount], ["12", BOB, 2]);
+  assert.strictEqual(await db.collection("bids").countDocuments({}), 2);
+});
+
+test("Late bids extend the auction", async () => {
+  const soon = new Date(Date.now() + 60_000);
+  await db.collection("listings").updateOne({ _id: listingId }, { $set: { "auction.endTime": soon } });
+
+  const { endTime } = await bid(ALICE, "10");
+  assert.ok(endTime.getTime() >= Date.now() + 299_000);
+});
+
+test("Of two bids on the same highest bid only one is accepted", async () => {
+  const results = await Promise.allSettled([bid(ALICE, "10"), bid(BOB, "10")]);
+  const rejected = results.filter((r) => r.status === "rejected");
+  assert.strictEqual(rejected.length, 1);
+  assert.match(rejected[0].reason.message, /outbid by a concurrent bid/);
+
+  const { auction } = await getAuctionListing();
+  assert.strictEqual(auction.bidCount, 1);
+  assert.strictEqual(await db.collection("bids").countDocuments({}), 1);
+});
+
+test("Settlement reserves the parts for the winner at the winning bid", async () => {
+  await bid(ALICE, "10");
+  await bid(BOB, "12");
+  await endAuction();
+
+  await settleEndedAuctions();
+  await settleEndedAuctions(); // already settled: no second reservation
+
+  const { auction, availableQuantity } = await getAuctionListing();
+  assert.strictEqual(auction.status, AUCTION_STATUS.AWAITING_PAYMENT);
+  assert.strictEqual(auction.winner, BOB);
+  assert.strictEqual(availableQuantity, 0);
+
+  const reservations = await db.collection("reservations").find({}).toArray();
+  assert.strictEqual(reservations.length, 1);
+  const [reservation] = reservations;
+  assert.strictEqual(reservation._id.toString(), auction.reservationId);
+  assert.strictEqual(reservation.reserver, BOB);
+  assert.strictEqual(reservation.pricePerPart, "12");
+  assert.strictEqual(reservation.status, RESERVATION_STATUS.PENDING);
+  assert.strictEqual(reservation.priceQuote.currency, "ETH");
+  assert.strictEqual(await db.collection("parts").countDocuments({ reservation: auction.reservationId }), 2);
+
+  const types = (await db.collection("transactions").find({}).toArray()).map((tx) => tx.type);
+  assert.deepStrictEqual(types, ["AUCTION_BID", "AUCTION_BID", "AUCTION_SETTLE"]);
+});
+
+test("Auctions without bids close unsold", async () => {
+  await endAuction();
+  await settleEndedAuctions();
+
+  const listing = await getAuctionListing();
+  assert.strictEqual(listing.auction.status, AUCTION_STATUS.UNSOLD);
+  assert.strictEqual(listing.status, LISTING_STATUS.CANCELED);
+  assert.strictEqual(await db.collection("parts").countDocuments({ listing: null }), 2);
+});
+
+test("A winner who does not pay leaves the auction unsold", async () => {
+  await bid(ALICE, "10");
+  await endAuction();
+  await settleEndedAuctions();
+
+  await db.collection("reservations").updateMany({}, { $set: { expiresAt: new Date(Date.now() - 24 * 3_600_000) } });
+  await cleanupExpiredReservations();
+
+  const listing = await getAuctionListing();
+  assert.strictEqual(listing.auction.status, AUCTION_STATUS.UNSOLD);
+  assert.strictEqual(listing.status, LISTING_STATUS.CANCELED);
+  assert.strictEqual(await db.collection("reservations").countDocuments({}), 0);
+  const parts = await db.collection("parts").find({}).toArray();
+  assert.deepStrictEqual(parts.map((p) => [p.listing, p.reservation]), [[null, undefined], [null, undefined]]);
+});
+
+test("A reservation that fails to clean up does not stop the others", async () => {
+  await bid(ALICE, "10");
+  await endAuction();
+  await settleEndedAuctions();
+  const reservations = db.collection("reservations");
+  await reservations.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 24 * 3_600_000) } });
+  const [winner] = await reservations.find({}).toArray();
+  // Listed first, with a listing id nothing can be looked up by
+  await reservations.deleteMany({});
+  await reservations.insertMany([
+    { ...winner, _id: new ObjectId(), listingId: "not-a-listing-id" },
+    winner,
+  ]);
+
+  await cleanupExpiredReservations();
+
+  assert.strictEqual((await getAuctionListing()).auction.status, AUCTION_STATUS.UNSOLD);
+  assert.strictEqual(await reservations.countDocuments({ _id: winner._id }), 0);
+});
+
+test("The auction settlement and reservation cleanup jobs log failures instead of throwing", async () => {
+  setDatabase({
+    collection() {
+      throw new Error("database unavailable");
+    },
+  });
+  await settleEndedAuctions();
+  await cleanupExpiredReservations();
+});
@@ -0,0 +1,188 @@
+// backend/tests/cartService.test.js
+/**
+ * Cart checkout tests
+ *
+ * Ensures a verified cart payment records one purchase per listing, that a payment which
+ * is not confirmed yet is left to the reconciliation job instead of blocking the checkout,
+ * that a payment which cannot verify releases the cart at once,
+ * that listings closed before checkout are refunded rather than dropped, and that a
+ * purchase whose price quote was altered is not recorded.
+ *
+ * Run with: node --test backend/tests/cartService.test.js
+ */
+
+import { test, before, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert";
+import { ObjectId } from "mongodb";
+import { setDatabase } from "../db.js";
+import { startDatabase, resetDatabase, stopDatabase } from "./helpers/mongo.js";
+import { seedListing } from "./helpers/fixtures.js";
+import { setChainVerifier, PAYMENT_PENDING } from "../utils/verifyChainTransaction.js";
+import { createCart, checkoutCart } from "../services/cartService.js";
+import { reconcileStuckPurchases } from "../services/reconciliationService.js";
+import { cleanupExpiredCarts } from "../cleanup.js";
+import { CART_STATUS, LISTING_STATUS, RESERVATION_STATUS, REFUND_STATUS } from "../utils/statusConstants.js";
+
+const BUYER = "0x1111111111111111111111111111111111111111";
+const SELLERS = ["0x2222222222222222222222222222222222222222", "0x3333333333333333333333333333333333333333"];
+const TEST_ENV = {
+  PRICE_ORACLE_SOURCES: "fixture",
+  PRICE_QUOTE_SIGNER_KEY: "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+};
+
+let db;
+let listingIds;
+let paymentConfirmed;
+let wrongRecipient;
+
+async function reserveCart() {
+  const items = listingIds.map((listingId) => ({ listingId: listingId.toString(), quantity: 1 }));
+  return createCart({ reserver: BUYER, currency: "ETH", buyerWallet: BUYER, items });
+}
+
+function checkout(cart) {
+  const chainTxs = cart.paymentLegs.map((_, i) => `0x${String(i + 1).padStart(64, "0")}`);
+  return checkoutCart({ cartId: cart._id.toString(), buyer: BUYER, chainTxs }, BUYER, "0xsig");
+}
+
+async function cancelListing(listingId) {
+  await db.collection("listings").updateOne({ _id: listingId }, { $set: { status: LISTING_STATUS.CANCELED } });
+}
+
+async function getCart(cart) {
+  return db.collection("carts").findOne({ _id: cart._id });
+}
+
+before(async () => {
+  db = await startDatabase();
+});
+
+beforeEach(async () => {
+  Object.assign(process.env, TEST_ENV);
+  await resetDatabase();
+  listingIds = [];
+  for (const [i, seller] of SELLERS.entries()) {
+    listingIds.push(await seedListing(db, { nftId: `nft${i}`, seller }));
+  }
+  paymentConfirmed = true;
+  wrongRecipient = false;
+  setChainVerifier("eth-native", async (chainTx, amount, currency, to) => {
+    if (wrongRecipient) throw new Error(`Transaction recipient mismatch: expected ${to}`);
+    if (!paymentConfirmed) {
+      throw Object.assign(new Error(`Transaction ${chainTx} is not confirmed yet`), { code: PAYMENT_PENDING });
+    }
+    return { valid: true, actualAmount: amount };
+  });
+});
+
+afterEach(() => {
+  setChainVerifier("eth-native", null);
+  for (const name of Object.keys(TEST_ENV)) delete process.env[name];
+});
+
+after(stopDatabase);
+
+test("A verified cart records one purchase per listing", async () => {
+  const cart = await reserveCart();
+  assert.strictEqual(cart.reservations.length, 2);
+
+  const { status, transactionId, transactionIds, refundIds } = await checkout(cart);
+  assert.strictEqual(status, "completed");
+  assert.strictEqual(transactionIds.length, 2);
+  assert.deepStrictEqual(refundIds, []);
+  assert.strictEqual((await getCart(cart)).status, CART_STATUS.COMPLETED);
+
+  const checkoutTx = await db.collection("transactions").findOne({ _id: transactionId });
+  assert.strictEqual(checkoutTx.type, "CART_CHECKOUT");
+  assert.deepStrictEqual(checkoutTx.transactionIds, transactionIds);
+  assert.strictEqual(await db.collection("parts").countDocuments({ owner: BUYER }), 2);
+});
+
+test("An unconfirmed payment leaves the cart for reconciliation", async () => {
+  const cart = await reserveCart();
+  paymentConfirmed = false;
+
+  assert.deepStrictEqual(await checkout(cart), { status: "pending", transactionId: null, transactionIds: [], refundIds: [] });
+  assert.strictEqual((await getCart(cart)).status, CART_STATUS.PROCESSING);
+  const reservations = await db.collection("reservations").find({ cartId: cart._id.toString() }).toArray();
+  assert.deepStrictEqual(reservations.map((r) => r.status), [RESERVATION_STATUS.PROCESSING, RESERVATION_STATUS.PROCESSING]);
+  assert.strictEqual(await db.collection("parts").countDocuments({ reservation: { $exists: true } }), 2);
+
+  // Waiting for confirmations does not count as a failed check
+  await db.collection("carts").updateOne({ _id: cart._id }, { $set: { time_updated: new Date(0) } });
+  assert.deepStrictEqual((await reconcileStuckPurchases()).counts, { RETRY: 1 });
+  assert.strictEqual((await getCart(cart)).reconcileAttempts, undefined);
+
+  // Once confirmed, the reconciliation job finishes the checkout
+  paymentConfirmed = true;
+  await db.collection("carts").updateOne({ _id: cart._id }, { $set: { time_updated: new Date(0), reconcileLockUntil: null } });
+  const report = await reconcileStuckPurchases();
+  assert.deepStrictEqual(report.counts, { COMPLETED: 1 });
+  assert.strictEqual((await getCart(cart)).status, CART_STATUS.COMPLETED);
+  assert.strictEqual(await db.collection("parts").countDocuments({ owner: BUYER }), 2);
+});
+
+test("A payment that cannot verify releases the cart at once", async () => {
+  const cart = await reserveCart();
+  wrongRecipient = true;
+
+  await assert.rejects(checkout(cart), /recipient mismatch.*cart has been released/);
+  assert.strictEqual((await getCart(cart)).status, CART_STATUS.FAILED);
+  assert.strictEqual(await db.collection("reservations").countDocuments({ cartId: cart._id.toString() }), 0);
+  assert.strictEqual(await db.collection("parts").countDocuments({ reservation: { $exists: true } }), 0);
+  const listings = await db.collection("listings").find({}).toArray();
+  assert.deepStrictEqual(listings.map((l) => l.availableQuantity), [1, 1]);
+});
+
+test("A listing closed before checkout is refunded, the rest is bought", async () => {
+  const cart = await reserveCart();
+  await cancelListing(listingIds[1]);
+
+  const { transactionIds, refundIds } = await checkout(cart);
+  assert.strictEqual(transactionIds.length, 1);
+  assert.strictEqual(refundIds.length, 1);
+  assert.deepStrictEqual((await getCart(cart)).refundIds, refundIds);
+
+  const refund = await db.collection("refunds").findOne({ _id: new ObjectId(refundIds[0]) });
+  assert.strictEqual(refund.status, REFUND_STATUS.PAYMENT_ORPHANED);
+  assert.strictEqual(refund.listingId, listingIds[1].toString());
+  assert.strictEqual(refund.seller, SELLERS[1]);
+  assert.deepStrictEqual(refund.refundLegs.map((leg) => leg.wallet), [SELLERS[1]]);
+  assert.strictEqual(await db.collection("reservations").countDocuments({ listingId: listingIds[1] }), 0);
+  assert.strictEqual(await db.collection("parts").countDocuments({ owner: BUYER }), 1);
+});
+
+test("A cart whose listings all closed fails with every payment refunded", async () => {
+  const cart = await reserveCart();
+  await cancelListing(listingIds[0]);
+  await cancelListing(listingIds[1]);
+
+  await assert.rejects(checkout(cart), /sellers have been asked to refund it/);
+  const stored = await getCart(cart);
+  assert.strictEqual(stored.status, CART_STATUS.FAILED);
+  assert.strictEqual(stored.refundIds.length, 2);
+  assert.strictEqual(await db.collection("transactions").countDocuments({ type: "CART_CHECKOUT" }), 0);
+});
+
+test("A purchase whose price quote was altered is not recorded", async () => {
+  const cart = await reserveCart();
+  await db.collection("reservations").updateOne(
+    { _id: cart.reservations[0]._id },
+    { $set: { "priceQuote.rate": "1" } }
+  );
+
+  await assert.rejects(checkout(cart), /Price quote signature is invalid/);
+  assert.strictEqual(
+    await db.collection("transactions").countDocuments({ type: "NFT_BUY", reservationId: cart.reservations[0]._id.toString() }),
+    0
+  );
+});
+
+test("The cart cleanup job logs failures instead of throwing", async () => {
+  setDatabase({
+    collection() {
+      throw new Error("database unavailable");
+    },
+  });
+  await cleanupExpiredCarts();
+});
@@ -0,0 +1,133 @@
+// backend/tests/currencies.test.js
+/**
+ * Currency registry tests
+ *
+ * Ensures every currency's amounts, wallets and transaction ids follow its registry
+ * entry, that ERC-20 tokens behave like ETH apart from their decimals, and that token
+ * payments are read from Transfer event logs. SPL tokens follow Solana's rules (memo,
+ * case-sensitive addresses).
+ *
+ * Run with: node --test backend/tests/currencies.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { ethers } from "ethers";
+import { getCurrency, isSupportedCurrency, listCurrencies, normalizeWallet } from "../utils/currencies.js";
+import { addCryptoAmounts, getRoyaltyWallet } from "../utils/paymentLegs.js";
+import { getPlatformFeeConfig } from "../utils/platformFee.js";
+import {
+  toBaseUnits,
+  applyPaymentTag,
+  usesPaymentMemo,
+  normalizeChainTx,
+  isBuyerWallet,
+  matchPaymentTransfers,
+  readErc20Transfer,
+  ERC20_TRANSFER_TOPIC,
+} from "../utils/paymentMatching.js";
+
+const BUYER = "0x1111111111111111111111111111111111111111";
+const SELLER = "0x2222222222222222222222222222222222222222";
+
+test("Registry lists ETH, SOL and the stablecoins", () => {
+  assert.deepStrictEqual(listCurrencies(), ["ETH", "SOL", "USDC", "USDT", "USDC_SOL"]);
+  assert.strictEqual(isSupportedCurrency("usdc"), true);
+  assert.strictEqual(isSupportedCurrency("DOGE"), false);
+  assert.throws(() => getCurrency("DOGE"), /Unsupported currency/);
+
+  const usdc = getCurrency("usdc");
+  assert.strictEqual(usdc.code, "USDC");
+  assert.strictEqual(usdc.chain, "ETH");
+  assert.strictEqual(usdc.decimals, 6);
+  assert.strictEqual(usdc.token.address, "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48");
+  assert.strictEqual(getCurrency("ETH").token, null);
+
+  process.env.USDT_TOKEN_ADDRESS = " 0xAbCdEf0000000000000000000000000000000001 ";
+  try {
+    assert.strictEqual(getCurrency("USDT").token.address, "0xabcdef0000000000000000000000000000000001");
+  } finally {
+    delete process.env.USDT_TOKEN_ADDRESS;
+  }
+});
+
+test("Tokens use their own precision and Ethereum's address rules", () => {
+  assert.strictEqual(addCryptoAmounts(["10.1", "0.000001"], "USDC"), "10.100001");
+  assert.strictEqual(toBaseUnits("10.5", "USDT").toString(), "10500000");
+
+  // Amount tags land in the last kept decimal of the token
+  const tagged = applyPaymentTag({
+    totalPriceCrypto: { currency: "USDC", amount: "25", fee: "0" },
+    paymentLegs: [{ role: "seller", wallet: SELLER, amount: "25" }],
+  }, 42, "USDC");
+  assert.strictEqual(tagged.totalPriceCrypto.amount, "25.000042");
+
+  assert.strictEqual(usesPaymentMemo("USDC"), false);
+  assert.strictEqual(usesPaymentMemo("SOL"), true);
+  assert.strictEqual(normalizeChainTx("0xABC", "USDT"), "0xabc");
+  assert.strictEqual(normalizeWallet(" 0xABCD ", "USDC"), "0xabcd");
+  assert.strictEqual(normalizeWallet(" So1Wa11et ", "SOL"), "So1Wa11et");
+  assert.strictEqual(isBuyerWallet("USDC", SELLER, BUYER), false);
+  assert.strictEqual(isBuyerWallet("USDC", BUYER.toUpperCase().replace("0X", "0x"), BUYER), true);
+
+  // The creator's ETH royalty wallet receives tokens too
+  const royalty = { percent: "5", wallets: { ETH: "0xcreator", SOL: "CreatorSo1" } };
+  assert.strictEqual(getRoyaltyWallet(royalty, "USDC"), "0xcreator");
+  assert.strictEqual(getRoyaltyWallet({ ...royalty, wallets: { ...royalty.wallets, USDC: "0xother" } }, "USDC"), "0xother");
+  assert.strictEqual(getRoyaltyWallet({ percent: "5", wallets: { ETH: "0xcreator" } }, "SOL"), null);
+});
+
+test("ERC-20 Transfer logs are decoded and matched like ETH transfers", () => {
+  const topicOf = (address) => ethers.zeroPadValue(address, 32);
+  const log = {
+    address: "0xA0b86991c6218b36c1D19D4a2e9Eb0cE3606eB48",
+    topics: [ERC20_TRANSFER_TOPIC, topicOf(BUYER), topicOf(SELLER)],
+    data: ethers.toBeHex(25000042n, 32),
+  };
+  const transfer = readErc20Transfer(log);
+  assert.deepStrictEqual(transfer, {
+    token: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48",
+    from: BUYER,
+    to: SELLER,
+    amount: "25000042",
+  });
+  assert.strictEqual(readErc20Transfer({ ...log, topics: [ethers.id("Approval(address,address,uint256)"), ...log.topics.slice(1)] }), null);
+
+  const reservation = {
+    _id: "65f000000000000000000004",
+    timestamp: new Date("2026-01-01T12:00:00Z"),
+    buyerWallet: BUYER,
+    sellerWallet: SELLER,
+    totalPriceCrypto: { currency: "USDC", amount: "25.000042" },
+    paymentLegs: [{ role: "seller", wallet: SELLER, amount: "25.000042" }],
+  };
+  assert.strictEqual(matchPaymentTransfers(reservation, [{ ...transfer, chainTx: "0xpaid" }]).complete, true);
+  assert.strictEqual(
+    matchPaymentTransfers(reservation, [{ ...transfer, chainTx: "0xother", amount: "25000043" }]).complete,
+    false
+  );
+});
+
+test("SPL tokens are paid like SOL, with their own decimals", () => {
+  const usdc = getCurrency("usdc_sol");
+  assert.strictEqual(usdc.chain, "SOL");
+  assert.strictEqual(usdc.verifier, "spl");
+  // Base58 mints are case-sensitive
+  assert.strictEqual(usdc.token.address, "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v");
+
+  assert.strictEqual(usesPaymentMemo("USDC_SOL"), true);
+  assert.throws(() => applyPaymentTag({ totalPriceCrypto: { amount: "1" }, paymentLegs: [] }, 1, "USDC_SOL"), /not used/);
+  assert.strictEqual(toBaseUnits("12.345678", "USDC_SOL").toString(), "12345678");
+  assert.strictEqual(normalizeChainTx(" 5AbCsig ", "USDC_SOL"), "5AbCsig");
+  // Like SOL, the paying wallet must have proved it belongs to the buyer
+  assert.strictEqual(isBuyerWallet("USDC_SOL", "BuyerSo1", BUYER), false);
+
+  // The creator's SOL royalty wallet and the store's SOL fee wallet receive the token
+  assert.strictEqual(getRoyaltyWallet({ percent: "5", wallets: { ETH: "0xcreator", SOL: "CreatorSo1" } }, "USDC_SOL"), "CreatorSo1");
+  process.env.STORE_FEE_WALLET_SOL = "FeeSo1Wa11et";
+  try {
+    assert.strictEqual(getPlatformFeeConfig().wallets.USDC_SOL, "FeeSo1Wa11et");
+  } finally {
+    delete process.env.STORE_FEE_WALLET_SOL;
+  }
+});
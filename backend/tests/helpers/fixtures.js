@@ -0,0 +1,59 @@
+// backend/tests/helpers/fixtures.js
+/**
+ * Seed data shared by the service tests.
+ *
+ * Exports:
+ * - seedParts(db, { nftId, owner, count, listing }): Promise<Array<string>>
+ *     Inserts the NFT if missing and `count` parts of it owned by `owner`, in `listing` (or
+ *     none). Part ids are "part0", "part1", ... across the whole test database, so tests can
+ *     sort by _id. Returns the new part ids.
+ * - seedListing(db, { nftId, seller, quantity, free, ...fields }): Promise<ObjectId>
+ *     Inserts an ACTIVE fixed-price listing of `quantity` parts at 10 YRT, paid in ETH to the
+ *     seller, plus `free` more of the seller's parts that are not listed. Any other field
+ *     (expiresAt, type, auction, ...) is set on the listing as given.
+ */
+
+import { ObjectId } from "mongodb";
+import { LISTING_STATUS } from "../../utils/statusConstants.js";
+
+export async function seedParts(db, { nftId, owner, count, listing = null }) {
+  // The owner is the creator: sales of these parts owe no royalty
+  await db.collection("nfts").updateOne(
+    { _id: nftId },
+    { $setOnInsert: { name: `NFT ${nftId}`, creator: owner } },
+    { upsert: true }
+  );
+  const parts = db.collection("parts");
+  const existing = await parts.countDocuments({});
+  const ofNft = await parts.countDocuments({ parent_hash: nftId });
+  const docs = Array.from({ length: count }, (_, i) => ({
+    _id: `part${existing + i}`,
+    part_no: ofNft + i,
+    parent_hash: nftId,
+    owner,
+    listing,
+  }));
+  if (docs.length > 0) await parts.insertMany(docs);
+  return docs.map((part) => part._id);
+}
+
+export async function seedListing(db, { nftId = "nft1", seller, quantity = 1, free = 0, ...fields }) {
+  const listingId = new ObjectId();
+  await db.collection("listings").insertOne({
+    _id: listingId,
+    price: "10",
+    priceYrt: 10,
+    nftId,
+    seller,
+    quantity,
+    availableQuantity: quantity,
+    sellerWallets: { ETH: seller },
+    type: "FIXED_PRICE",
+    status: LISTING_STATUS.ACTIVE,
+    expiresAt: null,
+    ...fields,
+  });
+  await seedParts(db, { nftId, owner: seller, count: quantity, listing: listingId.toString() });
+  await seedParts(db, { nftId, owner: seller, count: free });
+  return listingId;
+}
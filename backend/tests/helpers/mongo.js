@@ -0,0 +1,79 @@
+// backend/tests/helpers/mongo.js
+/**
+ * A throwaway MongoDB server for service tests (mongodb-memory-server).
+ *
+ * Exports:
+ * - startDatabase(): Promise<Db>
+ *     Starts a mongod, creates the app's indexes (initIndexes.js) and points the services at
+ *     it through setDatabase() in db.js.
+ * - resetDatabase(): Promise<void>
+ *     Empties every collection (indexes stay), undoes patchCollection() and points the
+ *     services at the test database again, e.g. after a test swapped in a failing one.
+ * - stopDatabase(): Promise<void>
+ * - patchCollection(name, method, fn): void
+ *     Replaces a Collection method for one collection until the next reset. The driver
+ *     returns a new Collection on every db.collection() call, so the method is replaced on
+ *     Collection.prototype; `fn` is called with the original method (bound) first.
+ *
+ * Notes:
+ * - The mongod binary is downloaded on first use and cached (MONGOMS_* environment variables
+ *   of mongodb-memory-server choose the version and the cache directory).
+ *
+ * Usage:
+ *   before(async () => { db = await startDatabase(); });
+ *   beforeEach(resetDatabase);
+ *   after(stopDatabase);
+ */
+
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { MongoClient, Collection } from "mongodb";
+import { setDatabase } from "../../db.js";
+import { initIndexes } from "../../initIndexes.js";
+
+let server = null;
+let client = null;
+let db = null;
+const restores = [];
+
+export async function startDatabase() {
+  server = await MongoMemoryServer.create();
+  client = new MongoClient(server.getUri());
+  await client.connect();
+  db = client.db("nftstore-test");
+  setDatabase(db);
+  await initIndexes();
+  return db;
+}
+
+function restoreCollections() {
+  while (restores.length > 0) restores.pop()();
+}
+
+export async function resetDatabase() {
+  restoreCollections();
+  setDatabase(db);
+  for (const collection of await db.collections()) {
+    await collection.deleteMany({});
+  }
+}
+
+export async function stopDatabase() {
+  restoreCollections();
+  setDatabase(null);
+  await client?.close();
+  await server?.stop();
+  client = null;
+  server = null;
+  db = null;
+}
+
+export function patchCollection(name, method, fn) {
+  const original = Collection.prototype[method];
+  Collection.prototype[method] = function (...args) {
+    if (this.collectionName !== name) return original.apply(this, args);
+    return fn.call(this, original.bind(this), ...args);
+  };
+  restores.push(() => {
+    Collection.prototype[method] = original;
+  });
+}
@@ -0,0 +1,54 @@
+// backend/tests/listingSearch.test.js
+/**
+ * Store listing search tests
+ *
+ * Ensures query parameters are validated and turned into an index-friendly listings
+ * query, and that unknown sorts or currencies are rejected.
+ *
+ * Run with: node --test backend/tests/listingSearch.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { parseListingSearch, buildListingQuery, LISTING_SORTS } from "../utils/listingSearch.js";
+
+test("Filters map onto the listings query", async () => {
+  const filters = await parseListingSearch({
+    q: "  sunset ",
+    seller: "0xABCDEFabcdefABCDEFabcdefABCDEFabcdefABCD",
+    minPrice: "5",
+    maxPrice: "20",
+    currency: "sol",
+    type: "partial",
+    minQuantity: "3",
+    sort: "price_asc",
+  });
+  assert.strictEqual(filters.q, "sunset");
+
+  const { query, sort } = buildListingQuery(filters, ["nft1", "nft2"]);
+  assert.strictEqual(query.seller, "0xabcdefabcdefabcdefabcdefabcdefabcdefabcd");
+  assert.deepStrictEqual(query.nftId, { $in: ["nft1", "nft2"] });
+  assert.deepStrictEqual(query.priceYrt, { $gte: 5, $lte: 20 });
+  assert.deepStrictEqual(query["sellerWallets.SOL"], { $nin: [null, ""] });
+  assert.strictEqual(query.type, "PARTIAL");
+  assert.deepStrictEqual(query.availableQuantity, { $gte: 3 });
+  assert.strictEqual(query.offerId, null);
+  assert.strictEqual(query.allowedBuyers, null);
+  assert.deepStrictEqual(sort, LISTING_SORTS.price_asc);
+});
+
+test("No filters keeps the default store query sorted by newest", async () => {
+  const { query, sort } = buildListingQuery(await parseListingSearch({}));
+  assert.strictEqual(query.priceYrt, undefined);
+  assert.strictEqual(query.nftId, undefined);
+  assert.deepStrictEqual(sort, { time_created: -1 });
+});
+
+test("Invalid parameters are rejected", async () => {
+  await assert.rejects(parseListingSearch({ sort: "random" }), /Invalid sort/);
+  await assert.rejects(parseListingSearch({ currency: "DOGE" }), /Unsupported currency/);
+  await assert.rejects(parseListingSearch({ priceCurrency: "DOGE", minPrice: "1" }), /Unsupported price currency/);
+  await assert.rejects(parseListingSearch({ minPrice: "-1" }), /Invalid minPrice/);
+  await assert.rejects(parseListingSearch({ type: "AUCTION" }), /Invalid listing type/);
+  await assert.rejects(parseListingSearch({ minQuantity: "0" }), /Invalid minQuantity/);
+});
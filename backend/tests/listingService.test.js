@@ -0,0 +1,172 @@
+// backend/tests/listingService.test.js
+/**
+ * Listing service tests
+ *
+ * Ensures quantity edits lock or release the seller's free parts and put them back when the
+ * edit cannot complete, and that expired listings release their parts and are recorded as
+ * LISTING_EXPIRE, unless a buyer is paying for them.
+ *
+ * Run with: node --test backend/tests/listingService.test.js
+ */
+
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert";
+import { setDatabase } from "../db.js";
+import { startDatabase, resetDatabase, stopDatabase, patchCollection } from "./helpers/mongo.js";
+import { seedListing as seedSellerListing } from "./helpers/fixtures.js";
+import Reservation from "../Reservation.js";
+import { updateListing, refreshListingPrices } from "../services/listingService.js";
+import { cleanupExpiredListings } from "../cleanup.js";
+import { LISTING_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+
+const SELLER = "0x2222222222222222222222222222222222222222";
+const BUYER = "0x1111111111111111111111111111111111111111";
+
+let db;
+
+// A listing of `quantity` parts, with `free` more parts of the seller not listed
+function seedListing(fields) {
+  return seedSellerListing(db, { seller: SELLER, ...fields });
+}
+
+before(async () => {
+  db = await startDatabase();
+});
+beforeEach(resetDatabase);
+after(stopDatabase);
+
+async function partListings() {
+  const parts = await db.collection("parts").find({}).sort({ _id: 1 }).toArray();
+  return parts.map((p) => p.listing);
+}
+
+function edit(listingId, data) {
+  return updateListing(listingId.toString(), { seller: SELLER, ...data }, SELLER, "0xsig");
+}
+
+test("Increasing the quantity lists more of the seller's free parts", async () => {
+  const listingId = await seedListing({ quantity: 1, free: 2 });
+
+  const updated = await edit(listingId, { quantity: 3 });
+  assert.strictEqual(updated.quantity, 3);
+  assert.strictEqual(updated.availableQuantity, 3);
+  assert.strictEqual(await db.collection("parts").countDocuments({ listing: listingId.toString() }), 3);
+
+  const [tx] = await db.collection("transactions").find({}).toArray();
+  assert.deepStrictEqual([tx.type, tx.previousQuantity, tx.quantity], ["LISTING_UPDATE", 1, 3]);
+});
+
+test("Increasing the quantity past the free parts changes nothing", async () => {
+  const listingId = await seedListing({ quantity: 1, free: 1 });
+
+  await assert.rejects(edit(listingId, { quantity: 3 }), /Not enough free parts to list \(found 1, need 2\)/);
+  assert.deepStrictEqual(await partListings(), [listingId.toString(), null]);
+  assert.strictEqual((await db.collection("listings").findOne({ _id: listingId })).quantity, 1);
+  assert.strictEqual(await db.collection("transactions").countDocuments({}), 0);
+});
+
+test("Decreasing the quantity releases unreserved parts only", async () => {
+  const listingId = await seedListing({ quantity: 3 });
+  await db.collection("parts").updateOne({ _id: "part0" }, { $set: { reservation: "reservation1" } });
+  await db.collection("listings").updateOne({ _id: listingId }, { $set: { availableQuantity: 2 } });
+
+  const updated = await edit(listingId, { quantity: 1 });
+  assert.strictEqual(updated.quantity, 1);
+  assert.strictEqual(updated.availableQuantity, 0);
+  assert.deepStrictEqual(await partListings(), [listingId.toString(), null, null]);
+});
+
+test("Decreasing below the reserved parts changes nothing", async () => {
+  const listingId = await seedListing({ quantity: 3 });
+  await db.collection("parts").updateMany({ _id: { $in: ["part0", "part1"] } }, { $set: { reservation: "reservation1" } });
+
+  await assert.rejects(edit(listingId, { quantity: 1 }), /Cannot reduce quantity below parts already sold, reserved or premium/);
+  assert.deepStrictEqual(await partListings(), Array(3).fill(listingId.toString()));
+  assert.strictEqual((await db.collection("listings").findOne({ _id: listingId })).quantity, 3);
+});
+
+test("Parts taken concurrently roll the edit back", async () => {
+  const listingId = await seedListing({ quantity: 1, free: 2 });
+
+  // Another listing takes the last free part right after the first one is locked
+  let raced = false;
+  patchCollection("parts", "findOneAndUpdate", async function (findOneAndUpdate, ...args) {
+    const part = await findOneAndUpdate(...args);
+    if (!raced) {
+      raced = true;
+      await this.updateOne({ listing: null }, { $set: { listing: "other-listing" } });
+    }
+    return part;
+  });
+
+  await assert.rejects(edit(listingId, { quantity: 3 }), /Not enough free parts/);
+  assert.deepStrictEqual(await partListings(), [listingId.toString(), null, "other-listing"]);
+  assert.strictEqual((await db.collection("listings").findOne({ _id: listingId })).quantity, 1);
+});
+
+test("A listing edited concurrently rolls the edit back", async () => {
+  const listingId = await seedListing({ quantity: 2, free: 1 });
+
+  // The seller's other edit lands while this one moves parts
+  let raced = false;
+  patchCollection("parts", "findOneAndUpdate", async function (findOneAndUpdate, ...args) {
+    if (!raced) {
+      raced = true;
+      await db.collection("listings").updateOne({ _id: listingId }, { $set: { quantity: 1 } });
+    }
+    return findOneAndUpdate(...args);
+  });
+
+  await assert.rejects(edit(listingId, { quantity: 3, price: "12" }), /Listing changed while updating/);
+  assert.deepStrictEqual(await partListings(), [listingId.toString(), listingId.toString(), null]);
+  const listing = await db.collection("listings").findOne({ _id: listingId });
+  assert.deepStrictEqual([listing.quantity, listing.price], [1, "10"]);
+});
+
+test("Expired listings release their parts unless a buyer is paying", async () => {
+  const expiresAt = new Date(Date.now() - 1000);
+  const paidId = await seedListing({ quantity: 1, expiresAt });
+  const expiringId = await seedListing({ quantity: 2, expiresAt });
+
+  // Reservations are stored with the listing's ObjectId
+  const reservation = new Reservation({
+    listingId: paidId.toString(),
+    reserver: BUYER,
+    quantity: 1,
+    currency: "ETH",
+    buyerWallet: BUYER,
+    sellerWallet: SELLER,
+    totalPriceCrypto: { currency: "ETH", amount: "0.004" },
+  });
+  await db.collection("reservations").insertOne({ ...reservation, status: RESERVATION_STATUS.PAID });
+
+  await cleanupExpiredListings();
+
+  const paid = await db.collection("listings").findOne({ _id: paidId });
+  assert.strictEqual(paid.status, LISTING_STATUS.ACTIVE);
+  assert.strictEqual(await db.collection("parts").countDocuments({ listing: paidId.toString() }), 1);
+
+  const expired = await db.collection("listings").findOne({ _id: expiringId });
+  assert.strictEqual(expired.status, LISTING_STATUS.CANCELED);
+  assert.strictEqual(await db.collection("parts").countDocuments({ listing: null }), 2);
+  const txs = await db.collection("transactions").find({}).toArray();
+  assert.deepStrictEqual(txs.map((tx) => [tx.type, tx.listingId]), [["LISTING_EXPIRE", expiringId.toString()]]);
+});
+
+test("The listing cleanup job logs failures instead of throwing", async () => {
+  setDatabase({
+    collection() {
+      throw new Error("database unavailable");
+    },
+  });
+  await cleanupExpiredListings();
+});
+
+test("The listing price refresh job logs failures instead of throwing", async () => {
+  setDatabase({
+    collection() {
+      throw new Error("database unavailable");
+    },
+  });
+  assert.strictEqual(await refreshListingPrices(), 0);
+});
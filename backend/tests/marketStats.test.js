@@ -0,0 +1,60 @@
+// backend/tests/marketStats.test.js
+/**
+ * Market statistics tests
+ *
+ * Ensures NFT_BUY transactions become numeric sale records, volumes fall into the
+ * right time windows, and the daily price series is volume-weighted.
+ *
+ * Run with: node --test backend/tests/marketStats.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { toSaleRecord, summarizeVolume, dailyPriceSeries } from "../utils/marketStats.js";
+
+const NOW = new Date("2030-01-31T12:00:00.000Z");
+const HOUR = 60 * 60 * 1000;
+
+function sale(price, quantity, hoursAgo) {
+  return toSaleRecord({
+    _id: `tx-${price}-${hoursAgo}`,
+    nftId: "nft1",
+    transaction_number: 1,
+    timestamp: new Date(NOW.getTime() - hoursAgo * HOUR),
+    quantity,
+    currency: "ETH",
+    amount: "0.01",
+    price: String(price),
+  });
+}
+
+test("NFT_BUY becomes a sale record with YRT and EUR values", () => {
+  const record = sale(10, 3, 1);
+  assert.strictEqual(record.priceYrt, 10);
+  assert.strictEqual(record.priceEur, 12); // 1 YRT = 1.2 EUR
+  assert.strictEqual(record.volumeYrt, 30);
+  assert.strictEqual(record.volumeEur, 36);
+
+  assert.strictEqual(toSaleRecord({ _id: "x", nftId: "nft1", quantity: 1, price: null }), null);
+});
+
+test("Volumes are split into 24h, 7d and 30d windows", () => {
+  const sales = [sale(10, 1, 2), sale(20, 2, 3 * 24), sale(5, 4, 20 * 24), sale(100, 1, 40 * 24)];
+  const volume = summarizeVolume(sales, NOW);
+
+  assert.deepStrictEqual(volume["24h"], { volumeYrt: 10, volumeEur: 12, sales: 1, parts: 1 });
+  assert.deepStrictEqual(volume["7d"], { volumeYrt: 50, volumeEur: 60, sales: 2, parts: 3 });
+  assert.deepStrictEqual(volume["30d"], { volumeYrt: 70, volumeEur: 84, sales: 3, parts: 7 });
+});
+
+test("Daily series averages prices by volume", () => {
+  // Same UTC day (NOW is 12:00): 1 part at 10 and 3 parts at 14 -> 13 per part
+  const series = dailyPriceSeries([sale(10, 1, 2), sale(14, 3, 1), sale(8, 1, 48)]);
+
+  assert.deepStrictEqual(series.map((d) => d.day), ["2030-01-29", "2030-01-31"]);
+  assert.strictEqual(series[1].priceYrt, 13);
+  assert.strictEqual(series[1].priceEur, 15.6);
+  assert.strictEqual(series[1].lowYrt, 10);
+  assert.strictEqual(series[1].highYrt, 14);
+  assert.strictEqual(series[1].parts, 4);
+});
@@ -0,0 +1,116 @@
+// backend/tests/network.test.js
+/**
+ * Network profile tests
+ *
+ * Ensures NETWORK selects the chain ids, RPC endpoints, explorers and confirmation depths
+ * of a profile, that the Infura RPC needs a key, that environment overrides apply, that token currencies follow the network,
+ * and that the public settings do not leak the Ethereum RPC URL.
+ *
+ * Run with: node --test backend/tests/network.test.js
+ */
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert";
+import { getNetwork, getPublicNetwork, listNetworks, assertNetworkConfig } from "../utils/network.js";
+import { getCurrency, isSupportedCurrency, listCurrencies } from "../utils/currencies.js";
+
+const NETWORK_ENV = [
+  "NETWORK",
+  "INFURA_API_KEY",
+  "ETH_RPC_URL",
+  "SOLANA_RPC_URL",
+  "ETH_CHAIN_ID",
+  "ETH_CONFIRMATIONS",
+  "USDT_TOKEN_ADDRESS",
+];
+
+function setEnv(values) {
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+}
+
+afterEach(() => setEnv(Object.fromEntries(NETWORK_ENV.map((name) => [name, undefined]))));
+
+test("Profiles select chain ids, endpoints, explorers and confirmations", () => {
+  assert.deepStrictEqual(listNetworks(), ["mainnet", "testnet", "local"]);
+
+  setEnv({ NETWORK: undefined, INFURA_API_KEY: "test-key" });
+  const mainnet = getNetwork();
+  assert.strictEqual(mainnet.name, "mainnet");
+  assert.strictEqual(mainnet.eth.chainId, 1);
+  assert.strictEqual(mainnet.eth.rpcUrl, "https://mainnet.infura.io/v3/test-key");
+  assert.strictEqual(mainnet.sol.rpcUrl, "https://api.mainnet-beta.solana.com");
+
+  setEnv({ NETWORK: "testnet" });
+  const testnet = getNetwork();
+  assert.strictEqual(testnet.eth.chainId, 11155111);
+  assert.strictEqual(testnet.eth.explorerTxUrl, "https://sepolia.etherscan.io/tx/{tx}");
+  assert.strictEqual(testnet.sol.cluster, "devnet");
+  assert.strictEqual(testnet.eth.rpcUrl, "https://sepolia.infura.io/v3/test-key");
+
+  setEnv({ NETWORK: "LOCAL" });
+  const local = getNetwork();
+  assert.deepStrictEqual(
+    [local.name, local.eth.chainId, local.eth.rpcUrl, local.eth.confirmations, local.sol.rpcUrl],
+    ["local", 31337, "http://127.0.0.1:8545", 0, "http://127.0.0.1:8899"]
+  );
+  assert.strictEqual(local.eth.explorerTxUrl, null);
+
+  setEnv({ NETWORK: "ropsten" });
+  assert.throws(() => getNetwork(), /Unknown NETWORK: ropsten/);
+});
+
+test("Infura profiles need INFURA_API_KEY unless ETH_RPC_URL is set", () => {
+  setEnv({ NETWORK: "mainnet" });
+  const network = getNetwork();
+  assert.throws(() => network.eth.rpcUrl, /INFURA_API_KEY is not set/);
+  assert.throws(() => assertNetworkConfig(), /INFURA_API_KEY is not set/);
+  assert.strictEqual(network.eth.confirmations, 2);
+  assert.strictEqual(network.tokens.USDC, "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48");
+
+  setEnv({ ETH_RPC_URL: "https://eth.example.org" });
+  assert.strictEqual(getNetwork().eth.rpcUrl, "https://eth.example.org");
+  assertNetworkConfig();
+});
+
+test("Environment variables override the profile", () => {
+  setEnv({
+    NETWORK: "local",
+    ETH_RPC_URL: "http://anvil:8545",
+    SOLANA_RPC_URL: "http://validator:8899",
+    ETH_CHAIN_ID: "1337",
+    ETH_CONFIRMATIONS: "1",
+  });
+  const network = getNetwork();
+  assert.deepStrictEqual(
+    [network.eth.rpcUrl, network.eth.chainId, network.eth.confirmations, network.sol.rpcUrl],
+    ["http://anvil:8545", 1337, 1, "http://validator:8899"]
+  );
+
+  setEnv({ ETH_CONFIRMATIONS: "-1" });
+  assert.throws(() => getNetwork(), /Invalid ETH_CONFIRMATIONS/);
+});
+
+test("Public settings leave out the Ethereum RPC URL", () => {
+  setEnv({ NETWORK: "testnet" });
+  const network = getPublicNetwork();
+  assert.strictEqual(network.eth.rpcUrl, undefined);
+  assert.strictEqual(network.eth.chainId, 11155111);
+  assert.strictEqual(network.sol.rpcUrl, "https://api.devnet.solana.com");
+});
+
+test("Token currencies follow the network", () => {
+  setEnv({ NETWORK: "testnet" });
+  assert.strictEqual(getCurrency("USDC").token.address, "0x1c7d4b196cb0c7b01d743fbc6116a902379c7238");
+  assert.strictEqual(isSupportedCurrency("USDT"), false);
+  assert.deepStrictEqual(listCurrencies(), ["ETH", "SOL", "USDC", "USDC_SOL"]);
+
+  setEnv({ USDT_TOKEN_ADDRESS: "0xABCDEF0000000000000000000000000000000001" });
+  assert.strictEqual(getCurrency("USDT").token.address, "0xabcdef0000000000000000000000000000000001");
+
+  setEnv({ NETWORK: "local", USDT_TOKEN_ADDRESS: undefined });
+  assert.deepStrictEqual(listCurrencies(), ["ETH", "SOL"]);
+  assert.throws(() => getCurrency("USDC"), /Unsupported currency/);
+});
@@ -0,0 +1,169 @@
+// backend/tests/offerService.test.js
+/**
+ * Offer service tests
+ *
+ * Ensures offers move through accept, counter, reject and cancel with the right party
+ * signing, that accepting an NFT offer locks only parts that are still free, and that
+ * expired offers release their listing unless the buyer is paying for it.
+ *
+ * Run with: node --test backend/tests/offerService.test.js
+ */
+
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert";
+import { ObjectId } from "mongodb";
+import { setDatabase } from "../db.js";
+import { startDatabase, resetDatabase, stopDatabase, patchCollection } from "./helpers/mongo.js";
+import { seedParts } from "./helpers/fixtures.js";
+import {
+  createOffer,
+  acceptOffer,
+  counterOffer,
+  rejectOffer,
+  cancelOffer,
+  getOfferById,
+} from "../services/offerService.js";
+import { cleanupExpiredOffers } from "../cleanup.js";
+import { OFFER_STATUS, LISTING_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+
+const BUYER = "0x1111111111111111111111111111111111111111";
+const SELLER = "0x2222222222222222222222222222222222222222";
+const SELLER_WALLETS = { ETH: "0x3333333333333333333333333333333333333333" };
+const NFT_ID = "nft1";
+
+let db;
+
+function inOneDay() {
+  return new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+}
+
+async function makeNftOffer(quantity = 2) {
+  const data = { buyer: BUYER, seller: SELLER, price: "5", quantity, currency: "ETH", expiresAt: inOneDay() };
+  return createOffer({ nftId: NFT_ID }, data, BUYER, "0xsig");
+}
+
+async function transactionTypes() {
+  const txs = await db.collection("transactions").find({}).sort({ transaction_number: 1 }).toArray();
+  return txs.map((tx) => tx.type);
+}
+
+before(async () => {
+  db = await startDatabase();
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  await seedParts(db, { nftId: NFT_ID, owner: SELLER, count: 3 });
+});
+
+after(stopDatabase);
+
+test("The seller accepts an NFT offer into a dedicated listing", async () => {
+  const offerId = await makeNftOffer(2);
+  await assert.rejects(acceptOffer(offerId, { sellerWallets: SELLER_WALLETS }, BUYER, "0xsig"), /Only the seller/);
+
+  const offer = await acceptOffer(offerId, { sellerWallets: SELLER_WALLETS }, SELLER, "0xsig");
+  assert.strictEqual(offer.status, OFFER_STATUS.ACCEPTED);
+  assert.strictEqual(offer.acceptedPrice, "5");
+
+  const listing = await db.collection("listings").findOne({ _id: new ObjectId(offer.listingId) });
+  assert.strictEqual(listing.offerId, offerId);
+  assert.strictEqual(listing.availableQuantity, 2);
+  assert.strictEqual(await db.collection("parts").countDocuments({ listing: offer.listingId }), 2);
+  assert.deepStrictEqual(await transactionTypes(), ["OFFER_CREATE", "OFFER_ACCEPT"]);
+});
+
+test("Accepting an offer backs out when its parts are listed concurrently", async () => {
+  const offerId = await makeNftOffer(3);
+  const parts = db.collection("parts");
+
+  // Another listing takes a part between the free-part lookup and the lock
+  let raced = false;
+  patchCollection("parts", "updateMany", async function (updateMany, ...args) {
+    if (!raced) {
+      raced = true;
+      await parts.updateOne({ _id: "part1" }, { $set: { listing: "other-listing" } });
+    }
+    return updateMany(...args);
+  });
+
+  await assert.rejects(acceptOffer(offerId, { sellerWallets: SELLER_WALLETS }, SELLER, "0xsig"), /listed concurrently/);
+  assert.strictEqual(await db.collection("listings").countDocuments({}), 0);
+  assert.deepStrictEqual(
+    (await parts.find({}).sort({ _id: 1 }).toArray()).map((p) => p.listing),
+    [null, "other-listing", null]
+  );
+  assert.strictEqual((await getOfferById(offerId)).status, OFFER_STATUS.PENDING);
+});
+
+test("The buyer accepts a counter offer at the counter price", async () => {
+  const offerId = await makeNftOffer(1);
+  await assert.rejects(counterOffer(offerId, { price: "7" }, SELLER, "0xsig"), /Missing seller wallet/);
+
+  const countered = await counterOffer(offerId, { price: "7", sellerWallets: SELLER_WALLETS }, SELLER, "0xsig");
+  assert.strictEqual(countered.status, OFFER_STATUS.COUNTERED);
+  assert.strictEqual(countered.counterPrice, "7");
+  await assert.rejects(acceptOffer(offerId, {}, SELLER, "0xsig"), /Only the buyer/);
+
+  const accepted = await acceptOffer(offerId, {}, BUYER, "0xsig");
+  assert.strictEqual(accepted.acceptedPrice, "7");
+  const listing = await db.collection("listings").findOne({ _id: new ObjectId(accepted.listingId) });
+  assert.strictEqual(listing.price, "7");
+  assert.deepStrictEqual(listing.sellerWallets, SELLER_WALLETS);
+});
+
+test("Only the seller rejects an offer", async () => {
+  const offerId = await makeNftOffer(1);
+  await assert.rejects(rejectOffer(offerId, {}, BUYER, "0xsig"), /Only the seller/);
+
+  const rejected = await rejectOffer(offerId, {}, SELLER, "0xsig");
+  assert.strictEqual(rejected.status, OFFER_STATUS.REJECTED);
+  await assert.rejects(acceptOffer(offerId, { sellerWallets: SELLER_WALLETS }, SELLER, "0xsig"), /status REJECTED/);
+  assert.deepStrictEqual(await transactionTypes(), ["OFFER_CREATE", "OFFER_REJECT"]);
+});
+
+test("Cancelling an accepted offer releases its listing, unless it is being paid", async () => {
+  const offerId = await makeNftOffer(2);
+  const { listingId } = await acceptOffer(offerId, { sellerWallets: SELLER_WALLETS }, SELLER, "0xsig");
+  await assert.rejects(cancelOffer(offerId, {}, SELLER, "0xsig"), /Only the buyer/);
+
+  const reservations = db.collection("reservations");
+  await reservations.insertOne({ offerId, status: RESERVATION_STATUS.PROCESSING });
+  await assert.rejects(cancelOffer(offerId, {}, BUYER, "0xsig"), /active reservation/);
+  await reservations.deleteMany({});
+
+  const canceled = await cancelOffer(offerId, {}, BUYER, "0xsig");
+  assert.strictEqual(canceled.status, OFFER_STATUS.CANCELED);
+  const listing = await db.collection("listings").findOne({ _id: new ObjectId(listingId) });
+  assert.strictEqual(listing.status, LISTING_STATUS.CANCELED);
+  assert.strictEqual(await db.collection("parts").countDocuments({ listing: null }), 3);
+});
+
+test("Expired offers release their listing unless a reservation is in flight", async () => {
+  const paidId = await makeNftOffer(1);
+  const expiringId = await makeNftOffer(1);
+  for (const offerId of [paidId, expiringId]) {
+    await acceptOffer(offerId, { sellerWallets: SELLER_WALLETS }, SELLER, "0xsig");
+  }
+  await db.collection("offers").updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+  await db.collection("reservations").insertOne({ offerId: paidId, status: RESERVATION_STATUS.PAID });
+
+  await cleanupExpiredOffers();
+
+  const paid = await getOfferById(paidId);
+  const expired = await getOfferById(expiringId);
+  assert.strictEqual(paid.status, OFFER_STATUS.ACCEPTED);
+  assert.strictEqual(expired.status, OFFER_STATUS.EXPIRED);
+  const expiredListing = await db.collection("listings").findOne({ _id: new ObjectId(expired.listingId) });
+  assert.strictEqual(expiredListing.status, LISTING_STATUS.CANCELED);
+  assert.strictEqual(await db.collection("parts").countDocuments({ listing: paid.listingId }), 1);
+});
+
+test("The offer cleanup job logs failures instead of throwing", async () => {
+  setDatabase({
+    collection() {
+      throw new Error("database unavailable");
+    },
+  });
+  await cleanupExpiredOffers();
+});
@@ -0,0 +1,50 @@
+// backend/tests/orderBook.test.js
+/**
+ * Order book aggregation tests
+ *
+ * Ensures orders at the same per-part price share one level, levels are sorted
+ * cheapest-first for asks and highest-first for bids, and the spread is exact.
+ *
+ * Run with: node --test backend/tests/orderBook.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { groupPriceLevels, summarizeOrderBook } from "../utils/orderBook.js";
+
+test("Asks are grouped by price level, cheapest first", () => {
+  const asks = groupPriceLevels(
+    [
+      { price: "12", quantity: 3 },
+      { price: "10", quantity: 5 },
+      { price: "10.00", quantity: 2 },
+      { price: "11.5", quantity: 0 }, // sold out, not a level
+    ],
+    "asc"
+  );
+
+  assert.deepStrictEqual(asks, [
+    { price: "10", quantity: 7, orders: 2 },
+    { price: "12", quantity: 3, orders: 1 },
+  ]);
+});
+
+test("Bids are sorted highest first and the spread uses cents", () => {
+  const asks = groupPriceLevels([{ price: "10.1", quantity: 1 }], "asc");
+  const bids = groupPriceLevels(
+    [
+      { price: "9.9", quantity: 4 },
+      { price: "8", quantity: 1 },
+    ],
+    "desc"
+  );
+
+  assert.deepStrictEqual(bids.map((l) => l.price), ["9.9", "8"]);
+  assert.deepStrictEqual(summarizeOrderBook(asks, bids), { bestAsk: "10.1", bestBid: "9.9", spread: "0.2" });
+});
+
+test("Empty sides have no best price or spread", () => {
+  const asks = groupPriceLevels([{ price: "5", quantity: 1 }], "asc");
+  assert.deepStrictEqual(summarizeOrderBook(asks, []), { bestAsk: "5", bestBid: null, spread: null });
+  assert.deepStrictEqual(summarizeOrderBook([], []), { bestAsk: null, bestBid: null, spread: null });
+});
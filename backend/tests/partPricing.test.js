@@ -0,0 +1,34 @@
+// backend/tests/partPricing.test.js
+/**
+ * Part picking and premium part price tests
+ *
+ * Ensures picked part numbers and ranges are expanded and deduplicated, premium prices
+ * are validated, and picked parts are priced at their premium or the listing price.
+ *
+ * Run with: node --test backend/tests/partPricing.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { parsePartNos, parsePartPrices, getPartsPriceYrt } from "../utils/partPricing.js";
+
+test("Picked parts expand ranges and drop duplicates", () => {
+  assert.deepStrictEqual(parsePartNos([100, 1, "3-5", 4]), [1, 3, 4, 5, 100]);
+  assert.throws(() => parsePartNos([]), /No parts selected/);
+  assert.throws(() => parsePartNos([0]), /Invalid part number/);
+  assert.throws(() => parsePartNos(["9-2"]), /Invalid part range/);
+  assert.throws(() => parsePartNos(["1-5000"]), /At most/);
+});
+
+test("Premium prices cannot undercut the listing price", () => {
+  assert.deepStrictEqual(parsePartPrices({ 1: "50", "100": 20 }, "10"), { 1: "50", 100: "20" });
+  assert.strictEqual(parsePartPrices({}, "10"), null);
+  assert.throws(() => parsePartPrices({ 1: "5" }, "10"), /below the listing price/);
+  assert.throws(() => parsePartPrices({ abc: "50" }, "10"), /Invalid part number/);
+});
+
+test("Picked parts are priced at their premium or the listing price", () => {
+  const listing = { price: "10.1", partPrices: { 1: "50.25" } };
+  assert.strictEqual(getPartsPriceYrt([1, 2, 3], listing), 70.45);
+  assert.strictEqual(getPartsPriceYrt([2], listing), 10.1);
+});
@@ -0,0 +1,71 @@
+// backend/tests/paymentLegs.test.js
+/**
+ * Payment leg tests (creator royalties)
+ *
+ * Ensures royalties only apply to secondary sales, legs always add up to the total,
+ * and royalty terms are validated at mint time.
+ *
+ * Run with: node --test backend/tests/paymentLegs.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { parseRoyalty, buildPaymentLegs, getPaymentLegs } from "../utils/paymentLegs.js";
+import { hashObject, hashableNFT } from "../utils/hash.js";
+
+const CREATOR = "0x1111111111111111111111111111111111111111";
+const SELLER = "0x2222222222222222222222222222222222222222";
+
+const nft = {
+  creator: CREATOR,
+  royalty: { percent: "10", wallets: { ETH: CREATOR, SOL: "CreatorSolWallet" } },
+};
+
+test("Secondary sales pay the creator a royalty", () => {
+  const legs = buildPaymentLegs({ amount: "0.5", currency: "ETH", seller: SELLER, sellerWallet: SELLER, nft });
+  assert.deepStrictEqual(legs, [
+    { role: "seller", wallet: SELLER, amount: "0.45" },
+    { role: "creator", wallet: CREATOR, amount: "0.05" },
+  ]);
+
+  const solLegs = buildPaymentLegs({ amount: "1.000000001", currency: "SOL", seller: SELLER, sellerWallet: "SellerSol", nft });
+  // Royalty rounds down to the lamport, seller gets the rest
+  assert.strictEqual(solLegs[1].amount, "0.1");
+  assert.strictEqual(solLegs[0].amount, "0.900000001");
+});
+
+test("Primary sales and NFTs without royalties pay the seller only", () => {
+  const primary = buildPaymentLegs({ amount: "1", currency: "ETH", seller: CREATOR, sellerWallet: CREATOR, nft });
+  assert.deepStrictEqual(primary, [{ role: "seller", wallet: CREATOR, amount: "1" }]);
+
+  const plain = buildPaymentLegs({ amount: "1", currency: "ETH", seller: SELLER, sellerWallet: SELLER, nft: { creator: CREATOR } });
+  assert.strictEqual(plain.length, 1);
+
+  assert.throws(() => buildPaymentLegs({
+    amount: "1",
+    currency: "SOL",
+    seller: SELLER,
+    sellerWallet: "SellerSol",
+    nft: { creator: CREATOR, royalty: { percent: "5", wallets: { ETH: CREATOR } } },
+  }));
+});
+
+test("Royalty terms are validated and hashed into the NFT id", () => {
+  assert.strictEqual(parseRoyalty(undefined, CREATOR), null);
+  assert.strictEqual(parseRoyalty({ percent: 0 }, CREATOR), null);
+  assert.deepStrictEqual(parseRoyalty({ percent: 2.5 }, CREATOR), { percent: "2.5", wallets: { ETH: CREATOR } });
+  assert.throws(() => parseRoyalty({ percent: 51 }, CREATOR));
+  assert.throws(() => parseRoyalty({ percent: 1.234 }, CREATOR));
+
+  const base = { name: "a", description: "b", creator: CREATOR, imageurl: "u", imagehash: "h", time_created: new Date(0), part_count: 10 };
+  const withRoyalty = { ...base, royalty: { percent: "5", wallets: { ETH: CREATOR } } };
+  const changed = { ...base, royalty: { percent: "6", wallets: { ETH: CREATOR } } };
+  assert.ok(!("royalty" in hashableNFT(base)));
+  assert.notStrictEqual(hashObject(hashableNFT(withRoyalty)), hashObject(hashableNFT(base)));
+  assert.notStrictEqual(hashObject(hashableNFT(withRoyalty)), hashObject(hashableNFT(changed)));
+});
+
+test("Reservations without stored legs pay the seller the full amount", () => {
+  const legs = getPaymentLegs({ sellerWallet: SELLER, totalPriceCrypto: { currency: "ETH", amount: "0.3" } });
+  assert.deepStrictEqual(legs, [{ role: "seller", wallet: SELLER, amount: "0.3" }]);
+});
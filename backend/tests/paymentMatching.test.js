@@ -0,0 +1,176 @@
+// backend/tests/paymentMatching.test.js
+/**
+ * Payment matching tests
+ *
+ * Ensures ETH reservations are told apart by their amount tag and SOL reservations by
+ * their memo, that only the buyer's transfers count, that legs paid across
+ * several scans add up to a complete payment, that a SOL wallet only pays for a buyer it
+ * proved it belongs to, and that a payment is identified the same way however it is spelled.
+ *
+ * Run with: node --test backend/tests/paymentMatching.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { generateKeyPairSync, sign } from "crypto";
+import { PublicKey } from "@solana/web3.js";
+import {
+  pickPaymentTag,
+  applyPaymentTag,
+  getPaymentMemo,
+  matchPaymentTransfers,
+  toBaseUnits,
+  readSolMemos,
+  normalizeChainTx,
+  isBuyerWallet,
+  getSolWalletProofMessage,
+} from "../utils/paymentMatching.js";
+
+const BUYER = "0x1111111111111111111111111111111111111111";
+const SELLER = "0x2222222222222222222222222222222222222222";
+const CREATOR = "0x3333333333333333333333333333333333333333";
+const SOL_BUYER = "BuyerSo1Wa11et1111111111111111111111111111";
+const SOL_SELLER = "Se11erSo1Wa11et111111111111111111111111111";
+
+const ethReservation = {
+  _id: "65f000000000000000000001",
+  timestamp: new Date("2026-01-01T12:00:00Z"),
+  buyerWallet: BUYER,
+  sellerWallet: SELLER,
+  totalPriceCrypto: { currency: "ETH", amount: "0.10001234" },
+  paymentLegs: [
+    { role: "seller", wallet: SELLER, amount: "0.09001234" },
+    { role: "creator", wallet: CREATOR, amount: "0.01" },
+  ],
+};
+
+const wei = (amount) => toBaseUnits(amount, "ETH").toString();
+
+// A SOL wallet that can sign the proof binding it to an ETH address
+function solWallet() {
+  const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+  return {
+    address: new PublicKey(Buffer.from(publicKey.export({ format: "jwk" }).x, "base64url")).toBase58(),
+    prove: (buyer) => sign(null, Buffer.from(getSolWalletProofMessage(buyer)), privateKey).toString("base64"),
+  };
+}
+
+test("Tags are unique per wallet and added to the seller leg only", () => {
+  assert.strictEqual(pickPaymentTag([], () => 0), 1);
+  assert.strictEqual(pickPaymentTag([1, 2], () => 0), 3);
+  assert.strictEqual(pickPaymentTag([9999, 1], () => 0.99999), 2);
+
+  const tagged = applyPaymentTag({
+    totalPriceCrypto: { currency: "ETH", amount: "0.1", fee: "0" },
+    paymentLegs: [
+      { role: "seller", wallet: SELLER, amount: "0.09" },
+      { role: "creator", wallet: CREATOR, amount: "0.01" },
+    ],
+  }, 1234, "ETH");
+  assert.strictEqual(tagged.totalPriceCrypto.amount, "0.10001234");
+  assert.deepStrictEqual(tagged.paymentLegs.map((leg) => leg.amount), ["0.09001234", "0.01"]);
+  assert.throws(() => applyPaymentTag(tagged, 1, "SOL"), /not used for SOL/);
+});
+
+test("ETH legs match exact amounts from the buyer, one transaction per leg", () => {
+  const transfers = [
+    { chainTx: "0xother", from: BUYER, to: SELLER, amount: wei("0.09001235") }, // another reservation's tag
+    { chainTx: "0xstranger", from: CREATOR, to: SELLER, amount: wei("0.09001234") },
+    { chainTx: "0xseller", from: BUYER, to: SELLER.toUpperCase().replace("0X", "0x"), amount: wei("0.09001234") },
+  ];
+  const first = matchPaymentTransfers(ethReservation, transfers);
+  assert.strictEqual(first.complete, false);
+  assert.strictEqual(first.changed, true);
+  assert.deepStrictEqual(first.legs.map((leg) => leg.chainTx), ["0xseller", null]);
+
+  // The creator leg arrives on a later scan
+  const second = matchPaymentTransfers(
+    { ...ethReservation, detectedLegs: first.legs },
+    [{ chainTx: "0xcreator", from: BUYER, to: CREATOR, amount: wei("0.01") }]
+  );
+  assert.strictEqual(second.complete, true);
+  assert.deepStrictEqual(second.legs.map((leg) => leg.chainTx), ["0xseller", "0xcreator"]);
+
+  // Nothing new: no change to store
+  assert.strictEqual(matchPaymentTransfers({ ...ethReservation, detectedLegs: second.legs }, []).changed, false);
+
+  // Transfers older than the reservation are not its payment
+  const early = matchPaymentTransfers(ethReservation, [{ ...transfers[2], time: new Date("2026-01-01T11:59:00Z") }]);
+  assert.strictEqual(early.legs[0].chainTx, null);
+});
+
+test("SOL payments match by memo and cover every leg", () => {
+  const reservation = {
+    _id: "65f000000000000000000002",
+    timestamp: new Date("2026-01-01T12:00:00Z"),
+    buyerWallet: SOL_BUYER,
+    sellerWallet: SOL_SELLER,
+    totalPriceCrypto: { currency: "SOL", amount: "1.5" },
+    paymentLegs: [{ role: "seller", wallet: SOL_SELLER, amount: "1.5" }],
+  };
+  const memo = getPaymentMemo(reservation._id);
+  const lamports = toBaseUnits("1.5", "SOL").toString();
+
+  assert.strictEqual(matchPaymentTransfers(reservation, [
+    { chainTx: "sig1", from: SOL_BUYER, to: SOL_SELLER, amount: lamports, memo: getPaymentMemo("65f000000000000000000003") },
+  ]).complete, false);
+  assert.strictEqual(matchPaymentTransfers(reservation, [
+    { chainTx: "sig2", from: SOL_BUYER, to: SOL_SELLER, amount: String(BigInt(lamports) - 1n), memo },
+  ]).complete, false);
+  // Base58 addresses are case-sensitive
+  assert.strictEqual(matchPaymentTransfers(reservation, [
+    { chainTx: "sig3", from: SOL_BUYER.toLowerCase(), to: SOL_SELLER, amount: lamports, memo },
+  ]).complete, false);
+
+  const paid = matchPaymentTransfers(reservation, [{ chainTx: "sig4", from: SOL_BUYER, to: SOL_SELLER, amount: lamports, memo }]);
+  assert.strictEqual(paid.complete, true);
+  assert.strictEqual(paid.legs[0].receivedAmount, lamports);
+});
+
+test("Payments are bound to one reservation and to the buyer's wallet", () => {
+  assert.strictEqual(normalizeChainTx(" 0xABCdef ", "ETH"), "0xabcdef");
+  assert.strictEqual(normalizeChainTx("5AbCsig", "SOL"), "5AbCsig");
+
+  const memo = getPaymentMemo("65f000000000000000000002");
+  assert.deepStrictEqual(readSolMemos([
+    "Program 11111111111111111111111111111111 success",
+    `Program log: Memo (len ${memo.length}): "${memo}"`,
+  ]), [memo]);
+  assert.deepStrictEqual(readSolMemos(undefined), []);
+
+  assert.strictEqual(isBuyerWallet("ETH", BUYER.toUpperCase().replace("0X", "0x"), BUYER), true);
+  assert.strictEqual(isBuyerWallet("ETH", SELLER, BUYER), false);
+  assert.strictEqual(isBuyerWallet("SOL", "", BUYER), false);
+});
+
+test("SOL payments from a stranger's wallet are rejected", () => {
+  const buyerWallet = solWallet();
+  const stranger = solWallet();
+  const proof = buyerWallet.prove(BUYER);
+
+  assert.strictEqual(isBuyerWallet("SOL", buyerWallet.address, BUYER, proof), true);
+  assert.strictEqual(isBuyerWallet("USDC_SOL", buyerWallet.address, BUYER, proof), true);
+  // Naming a wallet is not enough: it must have signed for this buyer
+  assert.strictEqual(isBuyerWallet("SOL", stranger.address, BUYER), false);
+  assert.strictEqual(isBuyerWallet("SOL", stranger.address, BUYER, proof), false);
+  assert.strictEqual(isBuyerWallet("SOL", stranger.address, BUYER, stranger.prove(SELLER)), false);
+  assert.strictEqual(isBuyerWallet("SOL", buyerWallet.address, SELLER, proof), false);
+  assert.strictEqual(isBuyerWallet("SOL", "not-a-wallet", BUYER, proof), false);
+
+  // The watcher only counts transfers from the reservation's buyerWallet
+  const reservation = {
+    _id: "65f000000000000000000004",
+    timestamp: new Date("2026-01-01T12:00:00Z"),
+    buyerWallet: buyerWallet.address,
+    sellerWallet: SOL_SELLER,
+    totalPriceCrypto: { currency: "SOL", amount: "1.5" },
+    paymentLegs: [{ role: "seller", wallet: SOL_SELLER, amount: "1.5" }],
+  };
+  const transfer = {
+    to: SOL_SELLER,
+    amount: toBaseUnits("1.5", "SOL").toString(),
+    memo: getPaymentMemo(reservation._id),
+  };
+  assert.strictEqual(matchPaymentTransfers(reservation, [{ ...transfer, chainTx: "sig1", from: stranger.address }]).complete, false);
+  assert.strictEqual(matchPaymentTransfers(reservation, [{ ...transfer, chainTx: "sig2", from: buyerWallet.address }]).complete, true);
+});
@@ -0,0 +1,91 @@
+// backend/tests/paymentWatcher.test.js
+/**
+ * Payment watcher tests
+ *
+ * Ensures the first scan of a currency starts where its oldest open reservation was made,
+ * so a payment mined before the watcher first looks is still found.
+ *
+ * Run with: node --test backend/tests/paymentWatcher.test.js
+ */
+
+import { test, before, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert";
+import { ObjectId } from "mongodb";
+import { startDatabase, resetDatabase, stopDatabase } from "./helpers/mongo.js";
+import { firstBlockSince, setPaymentProvider } from "../services/paymentProviders.js";
+import { watchPayments } from "../services/paymentWatcher.js";
+import { RESERVATION_STATUS } from "../utils/statusConstants.js";
+
+const BUYER = "0x1111111111111111111111111111111111111111";
+const SELLER = "0x2222222222222222222222222222222222222222";
+const GENESIS = Date.parse("2026-01-01T00:00:00Z") / 1000;
+
+let db;
+let scans;
+
+// A chain with one block every 12 seconds
+const rpc = {
+  async getBlock(number) {
+    return { number, timestamp: GENESIS + number * 12 };
+  },
+};
+
+function addReservation(timestamp) {
+  return db.collection("reservations").insertOne({
+    _id: new ObjectId(),
+    currency: "ETH",
+    status: RESERVATION_STATUS.PENDING,
+    cartId: null,
+    paymentTag: 1234,
+    buyerWallet: BUYER,
+    sellerWallet: SELLER,
+    totalPriceCrypto: { currency: "ETH", amount: "0.10001234" },
+    paymentLegs: [{ role: "seller", wallet: SELLER, amount: "0.10001234" }],
+    timestamp,
+  });
+}
+
+before(async () => {
+  db = await startDatabase();
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  scans = [];
+  setPaymentProvider("ETH", {
+    async scanTransfers(args) {
+      scans.push(args);
+      return { transfers: [], cursor: { block: 100 } };
+    },
+  });
+});
+
+afterEach(() => {
+  setPaymentProvider("ETH", null);
+});
+
+after(stopDatabase);
+
+test("The first block window starts a minute before the given time", async () => {
+  // 10:00 falls on block 3000; a minute earlier is block 2995
+  const time = new Date((GENESIS + 3000 * 12) * 1000);
+  assert.strictEqual(await firstBlockSince(rpc, time, 5000), 2995);
+  assert.strictEqual(await firstBlockSince(rpc, new Date(GENESIS * 1000), 5000), 0);
+  // Newer than the last block: nothing to read yet
+  assert.strictEqual(await firstBlockSince(rpc, new Date((GENESIS + 6000 * 12) * 1000), 5000), 5001);
+});
+
+test("The first scan starts at the oldest open reservation, later scans at the cursor", async () => {
+  const oldest = new Date(Date.now() - 10 * 60 * 1000);
+  await addReservation(new Date(Date.now() - 60 * 1000));
+  await addReservation(oldest);
+
+  await watchPayments();
+  await watchPayments();
+
+  assert.strictEqual(scans.length, 2);
+  assert.deepStrictEqual(scans[0].wallets, [SELLER]);
+  assert.strictEqual(scans[0].cursor, null);
+  assert.strictEqual(scans[0].since.getTime(), oldest.getTime());
+  assert.deepStrictEqual(scans[1].cursor, { block: 100 });
+});
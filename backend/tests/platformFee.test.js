@@ -0,0 +1,33 @@
+// backend/tests/platformFee.test.js
+/**
+ * Store fee tests
+ *
+ * Ensures the fee combines its percentage and fixed parts, that a fee currency
+ * needs a configured wallet, and that the quoted total adds up exactly.
+ *
+ * Run with: node --test backend/tests/platformFee.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { computePlatformFeeYrt, getPlatformFeeWallet } from "../utils/platformFee.js";
+import { addCryptoAmounts } from "../utils/paymentLegs.js";
+
+const CONFIG = { percent: 2.5, fixedYrt: 0, wallets: { ETH: "0xfee" } };
+
+test("Fee combines the percentage and the fixed amount", () => {
+  assert.strictEqual(computePlatformFeeYrt(200, CONFIG), 5);
+  assert.strictEqual(computePlatformFeeYrt(200, { ...CONFIG, fixedYrt: 1 }), 6);
+  assert.strictEqual(computePlatformFeeYrt(3, CONFIG), 0.08); // 0.075 rounded to cents
+  assert.strictEqual(computePlatformFeeYrt(200, { ...CONFIG, percent: 0 }), 0);
+});
+
+test("Fee wallet must be configured for the currency", () => {
+  assert.strictEqual(getPlatformFeeWallet("eth", CONFIG), "0xfee");
+  assert.throws(() => getPlatformFeeWallet("SOL", CONFIG), /not configured for SOL/);
+});
+
+test("Quoted total adds the fee without float drift", () => {
+  assert.strictEqual(addCryptoAmounts(["0.1", "0.2"], "ETH"), "0.3");
+  assert.strictEqual(addCryptoAmounts(["1.000000001", "0.000000002"], "SOL"), "1.000000003");
+});
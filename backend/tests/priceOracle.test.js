@@ -0,0 +1,128 @@
+// backend/tests/priceOracle.test.js
+/**
+ * Price oracle and price quote tests
+ *
+ * Ensures rates are the median of the fresh source answers, that a source outage falls
+ * back to the other sources (or to the last rate while it is not stale), and that purchases
+ * convert at the rates of a signed quote that cannot be altered unnoticed.
+ *
+ * Run with: node --test backend/tests/priceOracle.test.js
+ */
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert";
+import { aggregateRates, getRateSnapshot, setRateSource } from "../utils/priceOracle.js";
+import { createPriceQuote, verifyPriceQuote, getQuoteSignerAddress } from "../utils/priceQuote.js";
+import { yrtToCrypto } from "../utils/currency.js";
+import { applyPlatformFee } from "../utils/platformFee.js";
+
+const NOW = Date.parse("2026-01-01T12:00:00Z");
+const POLICY = { now: NOW, maxAgeMs: 300_000, minSources: 1 };
+const SIGNER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+function setEnv(values) {
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+}
+
+afterEach(() => {
+  setEnv({
+    PRICE_ORACLE_SOURCES: undefined,
+    PRICE_ORACLE_MIN_SOURCES: undefined,
+    PRICE_ORACLE_FIXTURE_RATES: undefined,
+    PRICE_QUOTE_SIGNER_KEY: undefined,
+    NETWORK: undefined,
+  });
+  for (const name of ["coingecko", "coinbase", "kraken"]) setRateSource(name, null);
+});
+
+test("The median of the fresh answers is used", () => {
+  const answers = [
+    { source: "kraken", rate: 3010, at: NOW },
+    { source: "coingecko", rate: 2990, at: NOW - 10_000 },
+    { source: "coinbase", rate: 9000, at: NOW },
+  ];
+  assert.deepStrictEqual(aggregateRates(answers, POLICY), { rate: 3010, sources: ["coinbase", "coingecko", "kraken"] });
+  assert.strictEqual(aggregateRates(answers.slice(0, 2), POLICY).rate, 3000);
+
+  // Stale and invalid answers are dropped
+  const stale = [...answers.slice(0, 2), { source: "coinbase", rate: 9000, at: NOW - 301_000 }, { source: "x", rate: NaN, at: NOW }];
+  assert.deepStrictEqual(aggregateRates(stale, POLICY).sources, ["coingecko", "kraken"]);
+  assert.throws(() => aggregateRates(stale, { ...POLICY, minSources: 3 }), /2 fresh rate\(s\), 3 needed/);
+});
+
+test("A failing source falls back to the others, then to the last rate", async () => {
+  const up = { coinbase: true, kraken: true };
+  const fakeSource = (name, rate) => ({
+    fetchRate: async () => {
+      if (!up[name]) throw new Error("down");
+      return { rate, at: NOW };
+    },
+  });
+  // Installing the sources also drops the last rate
+  const installSources = () => {
+    setRateSource("coinbase", fakeSource("coinbase", 152));
+    setRateSource("kraken", fakeSource("kraken", 150));
+  };
+  setEnv({ PRICE_ORACLE_SOURCES: "coinbase,kraken" });
+
+  installSources();
+  assert.strictEqual((await getRateSnapshot("SOL", NOW)).rate, 151);
+
+  up.kraken = false;
+  installSources();
+  const snapshot = await getRateSnapshot("SOL", NOW);
+  assert.deepStrictEqual([snapshot.rate, snapshot.sources], [152, ["coinbase"]]);
+
+  // Nothing answers: the last rate is used until it is stale
+  up.coinbase = false;
+  assert.strictEqual((await getRateSnapshot("SOL", NOW + 60_000)).rate, 152);
+  await assert.rejects(getRateSnapshot("SOL", NOW + 301_000), /No SOL\/EUR rate available/);
+});
+
+test("Fixture rates work offline and can be overridden", async () => {
+  setEnv({ PRICE_ORACLE_SOURCES: "fixture", PRICE_ORACLE_FIXTURE_RATES: "ETH=2400" });
+  assert.strictEqual((await getRateSnapshot("eth")).rate, 2400);
+  assert.strictEqual((await getRateSnapshot("SOL")).rate, 150);
+
+  setEnv({ PRICE_ORACLE_SOURCES: "fixture,nowhere" });
+  await assert.rejects(getRateSnapshot("ETH"), /Unknown price source: nowhere/);
+});
+
+// Runs before any quote is signed: the signer is loaded once
+test("Quotes are not signed without a signer key outside local development", () => {
+  setEnv({ PRICE_QUOTE_SIGNER_KEY: undefined, NETWORK: "testnet" });
+  assert.throws(() => getQuoteSignerAddress(), /PRICE_QUOTE_SIGNER_KEY is not set/);
+});
+
+test("Purchases convert at the rates of a signed quote", async () => {
+  setEnv({ PRICE_ORACLE_SOURCES: "fixture", PRICE_ORACLE_FIXTURE_RATES: "ETH=2400", PRICE_QUOTE_SIGNER_KEY: SIGNER_KEY });
+  const expiresAt = new Date(NOW + 300_000);
+  const quote = await createPriceQuote("ETH", expiresAt, { version: 1, yrtEur: "1.2" }, new Date(NOW));
+
+  assert.strictEqual(quote.currency, "ETH");
+  assert.strictEqual(quote.rate, "2400");
+  assert.strictEqual(quote.yrtEur, "1.2");
+  assert.strictEqual(quote.pegVersion, "1");
+  assert.deepStrictEqual(quote.sources, ["fixture"]);
+  assert.strictEqual(quote.expiresAt, expiresAt.toISOString());
+  assert.strictEqual(quote.signer, getQuoteSignerAddress());
+  assert.strictEqual(verifyPriceQuote(quote), true);
+  assert.strictEqual(verifyPriceQuote({ ...quote, rate: "2500" }), false);
+  assert.strictEqual(verifyPriceQuote({ ...quote, signer: "0x1111111111111111111111111111111111111111" }), false);
+
+  // The quote's rate holds even after the market moves
+  setEnv({ PRICE_ORACLE_FIXTURE_RATES: "ETH=1000" });
+  assert.strictEqual(await yrtToCrypto(100, "ETH", quote), "0.05");
+  await assert.rejects(yrtToCrypto(100, "SOL", quote), /quote is for ETH/);
+
+  setEnv({ STORE_FEE_PERCENT: "10", STORE_FEE_WALLET_ETH: "0xfee" });
+  try {
+    const priced = await applyPlatformFee({ totalYrt: 100, currency: "ETH", amount: "0.05", paymentLegs: [], quote });
+    assert.deepStrictEqual(priced.totalPriceCrypto, { currency: "ETH", amount: "0.055", fee: "0.005" });
+  } finally {
+    setEnv({ STORE_FEE_PERCENT: undefined, STORE_FEE_WALLET_ETH: undefined });
+  }
+});
@@ -0,0 +1,59 @@
+// backend/tests/priceSchedule.test.js
+/**
+ * Declining-price schedule tests
+ *
+ * Ensures the scheduled price starts at the listing price, never drops below the floor,
+ * and moves in discrete steps when stepSeconds is set.
+ *
+ * Run with: node --test backend/tests/priceSchedule.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { parsePriceSchedule, getScheduledPrice, getListingPrice } from "../utils/priceSchedule.js";
+
+const START = new Date("2030-01-01T00:00:00.000Z");
+const END = new Date("2030-01-01T10:00:00.000Z"); // 10 hours
+
+test("Scheduled price decays linearly from start to floor", () => {
+  const schedule = parsePriceSchedule(
+    { floorPrice: "10", startTime: START.toISOString(), endTime: END.toISOString() },
+    "110"
+  );
+
+  assert.strictEqual(getScheduledPrice(schedule, new Date(START.getTime() - 1000)), "110");
+  assert.strictEqual(getScheduledPrice(schedule, START), "110");
+  assert.strictEqual(getScheduledPrice(schedule, new Date(START.getTime() + 5 * 3600 * 1000)), "60");
+  assert.strictEqual(getScheduledPrice(schedule, END), "10");
+  assert.strictEqual(getScheduledPrice(schedule, new Date(END.getTime() + 3600 * 1000)), "10");
+});
+
+test("Scheduled price drops in steps and rounds up to cents", () => {
+  const schedule = parsePriceSchedule(
+    { floorPrice: "1", startTime: START.toISOString(), endTime: END.toISOString(), stepSeconds: 3600 },
+    "2"
+  );
+
+  // 59 minutes in: still at the start price
+  assert.strictEqual(getScheduledPrice(schedule, new Date(START.getTime() + 59 * 60 * 1000)), "2");
+  // 1 hour in: one step of 0.1
+  assert.strictEqual(getScheduledPrice(schedule, new Date(START.getTime() + 3600 * 1000)), "1.9");
+
+  const continuous = parsePriceSchedule(
+    { floorPrice: "1", startTime: START.toISOString(), endTime: END.toISOString() },
+    "2"
+  );
+  // 1/3 of the way: 1.6666.. rounds up to 1.67
+  const third = new Date(START.getTime() + (END.getTime() - START.getTime()) / 3);
+  assert.strictEqual(getScheduledPrice(continuous, third), "1.67");
+});
+
+test("Invalid schedules are rejected", () => {
+  assert.throws(() => parsePriceSchedule({ floorPrice: "20", endTime: END.toISOString(), startTime: START.toISOString() }, "10"));
+  assert.throws(() => parsePriceSchedule({ floorPrice: "1", startTime: END.toISOString(), endTime: START.toISOString() }, "10"));
+  assert.throws(() => parsePriceSchedule({ floorPrice: "abc", endTime: END.toISOString() }, "10"));
+});
+
+test("Fixed-price listings keep their price", () => {
+  assert.strictEqual(getListingPrice({ price: "42" }), "42");
+});
@@ -0,0 +1,59 @@
+// backend/tests/priceTiers.test.js
+/**
+ * Volume (tiered) pricing tests
+ *
+ * Ensures tiers are validated against the listing price, and that a purchase is
+ * priced at the highest tier its quantity reaches.
+ *
+ * Run with: node --test backend/tests/priceTiers.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { parsePriceTiers, getQuantityPrice } from "../utils/priceTiers.js";
+import { getPartsPriceYrt } from "../utils/partPricing.js";
+
+const listing = {
+  price: "10",
+  priceTiers: parsePriceTiers(
+    [
+      { minQuantity: 100, price: "8" },
+      { minQuantity: 10, price: 9 },
+    ],
+    "10"
+  ),
+};
+
+test("Tiers are sorted by quantity and normalized", () => {
+  assert.deepStrictEqual(listing.priceTiers, [
+    { minQuantity: 10, price: "9" },
+    { minQuantity: 100, price: "8" },
+  ]);
+  assert.strictEqual(parsePriceTiers([], "10"), null);
+});
+
+test("The whole purchase is priced at the tier its quantity reaches", () => {
+  assert.strictEqual(getQuantityPrice(listing, 1), "10");
+  assert.strictEqual(getQuantityPrice(listing, 9), "10");
+  assert.strictEqual(getQuantityPrice(listing, 10), "9");
+  assert.strictEqual(getQuantityPrice(listing, 99), "9");
+  assert.strictEqual(getQuantityPrice(listing, 250), "8");
+  assert.strictEqual(getQuantityPrice({ price: "10" }, 500), "10");
+
+  // Picked parts use the tier for the number of parts picked
+  assert.strictEqual(getPartsPriceYrt([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], listing), 90);
+});
+
+test("Invalid tiers are rejected", () => {
+  assert.throws(() => parsePriceTiers([{ minQuantity: 1, price: "9" }], "10"), /above 1/);
+  assert.throws(() => parsePriceTiers([{ minQuantity: 10, price: "10" }], "10"), /cheaper/);
+  assert.throws(
+    () => parsePriceTiers([{ minQuantity: 10, price: "8" }, { minQuantity: 20, price: "9" }], "10"),
+    /cheaper/
+  );
+  assert.throws(
+    () => parsePriceTiers([{ minQuantity: 10, price: "9" }, { minQuantity: 10, price: "8" }], "10"),
+    /Duplicate/
+  );
+  assert.throws(() => parsePriceTiers({ minQuantity: 10 }, "10"), /Invalid price tiers/);
+});
@@ -0,0 +1,73 @@
+// backend/tests/reconciliation.test.js
+/**
+ * Stuck purchase reconciliation tests
+ *
+ * Ensures stuck reservations and carts are verified, finished, released or flagged for
+ * review depending on how far their purchase got, that failed payment checks are
+ * retried before the parts are released, and that bad settings or a failing run do not
+ * crash the job.
+ *
+ * Run with: node --test backend/tests/reconciliation.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { setDatabase } from "../db.js";
+import {
+  RECONCILE_ACTIONS,
+  getReconcileAction,
+  shouldReleaseAfterFailure,
+  validateReconcileConfig,
+} from "../utils/reconciliation.js";
+import { reconcileStuckPurchases } from "../services/reconciliationService.js";
+
+const legs = [{ role: "seller", wallet: "0xseller", amount: "0.1", chainTx: "0xabc" }];
+
+test("Stuck reservations are verified, finished, released or flagged", () => {
+  const payment = { chainTx: "0xabc", buyer: "0xbuyer" };
+  assert.strictEqual(getReconcileAction({ status: "PROCESSING", payment }, "reservation"), RECONCILE_ACTIONS.VERIFY);
+  assert.strictEqual(getReconcileAction({ status: "PROCESSING" }, "reservation"), RECONCILE_ACTIONS.RELEASE);
+  assert.strictEqual(
+    getReconcileAction({ status: "PAID", payment: { ...payment, verifiedLegs: legs } }, "reservation"),
+    RECONCILE_ACTIONS.COMPLETE
+  );
+  // Paid before payments were recorded: nothing to finish with
+  assert.strictEqual(getReconcileAction({ status: "PAID" }, "reservation"), RECONCILE_ACTIONS.REVIEW);
+});
+
+test("Stuck carts use the cart's payment and verified legs", () => {
+  const payment = { chainTxs: ["0xabc"], buyer: "0xbuyer" };
+  assert.strictEqual(getReconcileAction({ status: "PROCESSING", payment }, "cart"), RECONCILE_ACTIONS.VERIFY);
+  assert.strictEqual(getReconcileAction({ status: "PROCESSING", payment: { chainTxs: [] } }, "cart"), RECONCILE_ACTIONS.RELEASE);
+  assert.strictEqual(getReconcileAction({ status: "PAID", payment, paidLegs: legs }, "cart"), RECONCILE_ACTIONS.COMPLETE);
+  assert.strictEqual(getReconcileAction({ status: "PAID", payment }, "cart"), RECONCILE_ACTIONS.REVIEW);
+});
+
+test("Failed payment checks are retried up to the configured attempts", () => {
+  const config = { afterSeconds: 600, maxAttempts: 3 };
+  assert.strictEqual(shouldReleaseAfterFailure(1, config), false);
+  assert.strictEqual(shouldReleaseAfterFailure(2, config), false);
+  assert.strictEqual(shouldReleaseAfterFailure(3, config), true);
+});
+
+test("Bad settings are refused at startup and a failing run is logged", async () => {
+  process.env.RECONCILE_MAX_ATTEMPTS = "0";
+  try {
+    assert.throws(() => validateReconcileConfig(), /Invalid RECONCILE_MAX_ATTEMPTS/);
+    assert.strictEqual(await reconcileStuckPurchases(), null);
+  } finally {
+    delete process.env.RECONCILE_MAX_ATTEMPTS;
+  }
+  validateReconcileConfig();
+
+  setDatabase({
+    collection() {
+      throw new Error("database unavailable");
+    },
+  });
+  try {
+    assert.strictEqual(await reconcileStuckPurchases(), null);
+  } finally {
+    setDatabase(null);
+  }
+});
@@ -0,0 +1,143 @@
+// backend/tests/refunds.test.js
+/**
+ * Refund tests
+ *
+ * Ensures the seller is asked to refund only the leg they received, for the amount the
+ * buyer was charged, that the royalty and fee legs are recorded as owed to the buyer until an
+ * admin settles them, that a verified refund is recorded as a REFUND transaction, and that
+ * SOL refunds are told apart by their memo.
+ *
+ * Run with: node --test backend/tests/refunds.test.js
+ */
+
+import { test, before, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert";
+import { ObjectId } from "mongodb";
+import { startDatabase, resetDatabase, stopDatabase } from "./helpers/mongo.js";
+import { getRefundLegs, getOwedLegs, getRefundAmount, getRefundMemo } from "../utils/refunds.js";
+import { getPaymentMemo } from "../utils/paymentMatching.js";
+import { setChainVerifier } from "../utils/verifyChainTransaction.js";
+import { orphanPayment, submitRefund, getOwedRefunds, settleOwedLegs } from "../services/refundService.js";
+import { REFUND_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+
+const BUYER = "0x1111111111111111111111111111111111111111";
+const SELLER = "0x2222222222222222222222222222222222222222";
+const CREATOR = "0x3333333333333333333333333333333333333333";
+const PLATFORM = "0x4444444444444444444444444444444444444444";
+const ADMIN = "0x5555555555555555555555555555555555555555";
+
+const paymentLegs = [
+  { role: "seller", wallet: "0xseller", amount: "0.09001234" },
+  { role: "creator", wallet: "0xcreator", amount: "0.01" },
+  { role: "platform", wallet: "0xplatform", amount: "0.002" },
+];
+const verifiedLegs = [
+  { role: "seller", chainTx: "0xaaa", actualAmount: "0.09001234" },
+  { role: "creator", chainTx: "0xbbb", actualAmount: "0.01" },
+  { role: "platform", chainTx: "0xccc", actualAmount: "0.002" },
+];
+
+test("Only the seller leg is refunded by the seller", () => {
+  const legs = getRefundLegs(paymentLegs, verifiedLegs);
+  assert.deepStrictEqual(legs, [{ role: "seller", wallet: "0xseller", amount: "0.09001234", chainTx: "0xaaa" }]);
+  assert.strictEqual(getRefundAmount(legs, "ETH"), "0.09001234");
+
+  // A SOL payment pays every leg in one transaction
+  const solLegs = getRefundLegs(
+    [{ role: "seller", wallet: "Se11er", amount: "1.5" }],
+    [{ role: "seller", chainTx: "sig1" }]
+  );
+  assert.strictEqual(getRefundAmount(solLegs, "SOL"), "1.5");
+
+  assert.throws(() => getRefundAmount(getRefundLegs(paymentLegs.slice(1), verifiedLegs.slice(1)), "ETH"), /Nothing/);
+});
+
+test("The royalty and fee legs are owed to the buyer, not refunded by the seller", () => {
+  assert.deepStrictEqual(getOwedLegs(paymentLegs, verifiedLegs), [
+    { role: "creator", wallet: "0xcreator", amount: "0.01", chainTx: "0xbbb" },
+    { role: "platform", wallet: "0xplatform", amount: "0.002", chainTx: "0xccc" },
+  ]);
+});
+
+test("Refund memos differ from payment memos", () => {
+  const id = "65f000000000000000000001";
+  assert.strictEqual(getRefundMemo(id), `nomin-refund:${id}`);
+  assert.notStrictEqual(getRefundMemo(id), getPaymentMemo(id));
+});
+
+let db;
+
+before(async () => {
+  db = await startDatabase();
+});
+beforeEach(resetDatabase);
+afterEach(() => setChainVerifier("eth-native", null));
+after(stopDatabase);
+
+function chainTx(n) {
+  return `0x${String(n).padStart(64, "0")}`;
+}
+
+test("An orphaned payment is refunded by the seller and its owed legs settled by an admin", async () => {
+  const listing = { _id: new ObjectId(), nftId: "nft1", seller: SELLER };
+  const legs = [
+    { role: "seller", wallet: SELLER, amount: "0.09001234" },
+    { role: "creator", wallet: CREATOR, amount: "0.01" },
+    { role: "platform", wallet: PLATFORM, amount: "0.002" },
+  ];
+  const reservation = {
+    _id: new ObjectId(),
+    listingId: listing._id,
+    reserver: BUYER,
+    buyerWallet: BUYER,
+    sellerWallet: SELLER,
+    quantity: 1,
+    status: RESERVATION_STATUS.PAID,
+    totalPriceCrypto: { currency: "ETH", amount: "0.10201234" },
+    paymentLegs: legs,
+    payment: {
+      chainTx: chainTx(1),
+      txs: [chainTx(1), chainTx(2), chainTx(3)],
+      verifiedLegs: legs.map((leg, i) => ({ role: leg.role, chainTx: chainTx(i + 1), actualAmount: leg.amount })),
+    },
+  };
+  await db.collection("reservations").insertOne(reservation);
+  await db.collection("parts").insertOne({ _id: "nft1-part0", listing: listing._id.toString(), reservation: reservation._id.toString() });
+
+  const refund = await orphanPayment(reservation, listing, "Listing was canceled");
+  assert.strictEqual(refund.amount, "0.09001234");
+  assert.strictEqual(refund.owedAmount, "0.012");
+  assert.deepStrictEqual(refund.owedLegs.map((leg) => leg.wallet), [CREATOR, PLATFORM]);
+  assert.strictEqual(await db.collection("reservations").countDocuments({}), 0);
+  assert.strictEqual(await db.collection("parts").countDocuments({ reservation: { $exists: true } }), 0);
+  assert.deepStrictEqual((await getOwedRefunds()).map((r) => r._id.toString()), [reservation._id.toString()]);
+
+  const checked = [];
+  setChainVerifier("eth-native", async (tx, amount, currency, to, from) => {
+    checked.push({ tx, amount, to, from });
+    return { valid: true, actualAmount: amount };
+  });
+  await assert.rejects(submitRefund(refund._id.toString(), { chainTx: chainTx(4) }, BUYER, "0xsig"), /Only the seller/);
+  await assert.rejects(submitRefund(refund._id.toString(), { chainTx: chainTx(1) }, SELLER, "0xsig"), /its own refund/);
+
+  const refunded = await submitRefund(refund._id.toString(), { chainTx: chainTx(4) }, SELLER, "0xsig");
+  assert.strictEqual(refunded.status, REFUND_STATUS.REFUNDED);
+  assert.deepStrictEqual(checked, [{ tx: chainTx(4), amount: "0.09001234", to: BUYER, from: SELLER }]);
+
+  const refundTx = await db.collection("transactions").findOne({ _id: refunded.refund.transactionId });
+  assert.strictEqual(refundTx.type, "REFUND");
+  assert.strictEqual(refundTx.reservationId, reservation._id.toString());
+  assert.strictEqual(refundTx.chainTx, chainTx(4));
+  assert.strictEqual(refundTx.amount, "0.09001234");
+  assert.deepStrictEqual(refundTx.paymentLegs.map((leg) => leg.role), ["seller"]);
+  await assert.rejects(submitRefund(refund._id.toString(), { chainTx: chainTx(5) }, SELLER, "0xsig"), /already refunded/);
+
+  // The seller's refund leaves the royalty and fee owed until an admin settles them
+  assert.strictEqual((await getOwedRefunds()).length, 1);
+  await assert.rejects(settleOwedLegs(refund._id.toString(), { refundId: "other", chainTxs: [chainTx(6)] }, ADMIN), /does not match/);
+  const settled = await settleOwedLegs(refund._id.toString(), { refundId: refund._id.toString(), chainTxs: [chainTx(6)] }, ADMIN);
+  assert.deepStrictEqual(settled.owedSettled.chainTxs, [chainTx(6)]);
+  assert.strictEqual(settled.owedSettled.admin, ADMIN);
+  assert.deepStrictEqual(await getOwedRefunds(), []);
+  await assert.rejects(settleOwedLegs(refund._id.toString(), { refundId: refund._id.toString(), chainTxs: [chainTx(6)] }, ADMIN), /already settled/);
+});
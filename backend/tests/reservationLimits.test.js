@@ -0,0 +1,67 @@
+// backend/tests/reservationLimits.test.js
+/**
+ * Reservation limit tests
+ *
+ * Ensures per-address and per-IP limits on PENDING reservations and reserved parts
+ * are applied, and that the cooldown grows with each reservation that expired unpaid.
+ *
+ * Run with: node --test backend/tests/reservationLimits.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { findLimitViolation, getCooldownEnd } from "../utils/reservationLimits.js";
+
+const config = {
+  maxPendingPerAddress: 2,
+  maxPendingPerIp: 3,
+  maxPartsPerAddress: 100,
+  maxPartsPerIp: 150,
+  cooldownSeconds: 60,
+  cooldownWindowMinutes: 60,
+};
+
+test("Requests within every limit pass", () => {
+  const usage = { address: { reservations: 1, parts: 50 }, ip: { reservations: 2, parts: 100 } };
+  assert.strictEqual(findLimitViolation(usage, { reservations: 1, parts: 50 }, config), null);
+});
+
+test("The first exceeded limit is reported", () => {
+  const usage = { address: { reservations: 2, parts: 10 }, ip: { reservations: 2, parts: 10 } };
+  assert.deepStrictEqual(findLimitViolation(usage, { reservations: 1, parts: 1 }, config), {
+    scope: "address",
+    limit: "reservations",
+    max: 2,
+  });
+
+  // Several addresses behind one IP
+  const shared = { address: { reservations: 0, parts: 0 }, ip: { reservations: 1, parts: 140 } };
+  assert.deepStrictEqual(findLimitViolation(shared, { reservations: 1, parts: 20 }, config), {
+    scope: "ip",
+    limit: "parts",
+    max: 150,
+  });
+
+  // Unknown IP and disabled limits are skipped
+  assert.strictEqual(findLimitViolation({ address: { reservations: 0, parts: 0 }, ip: null }, { reservations: 1, parts: 100 }, config), null);
+  assert.strictEqual(
+    findLimitViolation(usage, { reservations: 1, parts: 1 }, { ...config, maxPendingPerAddress: 0 }),
+    null
+  );
+});
+
+test("Cooldown grows with each unpaid expiry in the window", () => {
+  const now = new Date("2026-01-01T12:00:00Z");
+  const ago = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+  assert.strictEqual(getCooldownEnd([], now, config), null);
+  assert.deepStrictEqual(getCooldownEnd([ago(30)], now, config), new Date(now.getTime() + 30 * 1000));
+  assert.strictEqual(getCooldownEnd([ago(90)], now, config), null);
+
+  // Three expiries: 3 minutes from the latest
+  assert.deepStrictEqual(getCooldownEnd([ago(600), ago(300), ago(60)], now, config), new Date(now.getTime() + 120 * 1000));
+
+  // Expiries outside the window no longer count
+  assert.strictEqual(getCooldownEnd([ago(2 * 60 * 60), ago(90)], now, config), null);
+  assert.strictEqual(getCooldownEnd([ago(30)], now, { ...config, cooldownSeconds: 0 }), null);
+});
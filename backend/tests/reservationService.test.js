@@ -0,0 +1,88 @@
+// backend/tests/reservationService.test.js
+/**
+ * Reservation service tests
+ *
+ * Ensures the public view of a reservation (GET /api/reservations/:id) keeps what the buyer
+ * needs to pay and leaves out the reserver's IP, request signature and submitted payment,
+ * and that expired reservations are released even when their expiry cannot be recorded.
+ *
+ * Run with: node --test backend/tests/reservationService.test.js
+ */
+
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert";
+import { ObjectId } from "mongodb";
+import { startDatabase, resetDatabase, stopDatabase, patchCollection } from "./helpers/mongo.js";
+import Reservation from "../Reservation.js";
+import { toPublicReservation } from "../services/reservationService.js";
+import { cleanupExpiredReservations } from "../cleanup.js";
+import { LISTING_STATUS, RESERVATION_STATUS } from "../utils/statusConstants.js";
+
+let db;
+
+before(async () => {
+  db = await startDatabase();
+});
+beforeEach(resetDatabase);
+after(stopDatabase);
+
+test("Public reservations leave out the reserver's IP, signature and payment", () => {
+  const reservation = {
+    _id: new ObjectId(),
+    ...new Reservation({
+      listingId: new ObjectId().toString(),
+      reserver: "0x1111111111111111111111111111111111111111",
+      quantity: 2,
+      currency: "SOL",
+      buyerWallet: "BuyerSolWallet",
+      sellerWallet: "SellerSolWallet",
+      totalPriceCrypto: { currency: "SOL", amount: "1.5", fee: "0" },
+      expiresAt: new Date(),
+      paymentLegs: [{ role: "seller", wallet: "SellerSolWallet", amount: "1.5" }],
+      paymentMemo: "nomin:abc",
+      reserverIp: "203.0.113.7",
+      signature: "0xsig",
+    }),
+    payment: { chainTx: "sig1", signer: "0x1111111111111111111111111111111111111111", signature: "0xsig" },
+    detectedLegs: [{ role: "seller", chainTx: "sig1" }],
+  };
+
+  const view = toPublicReservation(reservation);
+  for (const field of ["reserverIp", "signature", "payment", "detectedLegs", "reserver", "buyerWallet"]) {
+    assert.strictEqual(view[field], undefined, field);
+  }
+  assert.strictEqual(view._id, reservation._id);
+  assert.deepStrictEqual(view.totalPriceCrypto, reservation.totalPriceCrypto);
+  assert.deepStrictEqual(view.paymentLegs, reservation.paymentLegs);
+  assert.strictEqual(view.paymentMemo, "nomin:abc");
+  assert.strictEqual(view.sellerWallet, "SellerSolWallet");
+});
+
+test("Expired reservations are released even when the cooldown cannot be recorded", async () => {
+  const listingId = new ObjectId();
+  await db.collection("listings").insertOne({ _id: listingId, quantity: 2, availableQuantity: 0, status: LISTING_STATUS.ACTIVE });
+  const expiresAt = new Date(Date.now() - 24 * 3_600_000);
+  const reservationIds = [new ObjectId(), new ObjectId()];
+  await db.collection("reservations").insertMany(reservationIds.map((_id) => ({
+    _id,
+    listingId,
+    reserver: "0x1111111111111111111111111111111111111111",
+    quantity: 1,
+    status: RESERVATION_STATUS.PENDING,
+    cartId: null,
+    expiresAt,
+  })));
+  await db.collection("parts").insertMany(reservationIds.map((id, i) => ({
+    _id: `part${i}`,
+    listing: listingId.toString(),
+    reservation: id.toString(),
+  })));
+  patchCollection("abuse_log", "insertOne", async () => {
+    throw new Error("abuse log unavailable");
+  });
+
+  await cleanupExpiredReservations();
+
+  assert.strictEqual(await db.collection("reservations").countDocuments({}), 0);
+  assert.strictEqual(await db.collection("parts").countDocuments({ reservation: { $exists: true } }), 0);
+});
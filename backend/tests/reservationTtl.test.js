@@ -0,0 +1,51 @@
+// backend/tests/reservationTtl.test.js
+/**
+ * Reservation TTL tests
+ *
+ * Ensures the TTL can be set per currency, and that a reservation is extended at
+ * most once and never past the expiry of its frozen crypto quote.
+ *
+ * Run with: node --test backend/tests/reservationTtl.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { getReservationTtlConfig, getReservationExpiry, getExtendedExpiry } from "../utils/reservationTtl.js";
+
+const NOW = new Date("2026-01-01T12:00:00Z");
+const at = (seconds) => new Date(NOW.getTime() + seconds * 1000);
+
+test("TTL is configurable per currency and capped by the quote TTL", () => {
+  process.env.RESERVATION_TTL_SECONDS = "90";
+  process.env.RESERVATION_TTL_SECONDS_SOL = "180";
+  process.env.RESERVATION_QUOTE_TTL_SECONDS = "150";
+  try {
+    assert.strictEqual(getReservationTtlConfig("ETH").ttlSeconds, 90);
+    assert.strictEqual(getReservationTtlConfig("sol").ttlSeconds, 150);
+    assert.deepStrictEqual(getReservationExpiry("ETH", NOW), { expiresAt: at(90), quoteExpiresAt: at(150) });
+
+    process.env.RESERVATION_TTL_SECONDS_SOL = "soon";
+    assert.throws(() => getReservationTtlConfig("SOL"), /Invalid RESERVATION_TTL_SECONDS_SOL/);
+  } finally {
+    delete process.env.RESERVATION_TTL_SECONDS;
+    delete process.env.RESERVATION_TTL_SECONDS_SOL;
+    delete process.env.RESERVATION_QUOTE_TTL_SECONDS;
+  }
+  assert.strictEqual(getReservationTtlConfig("ETH").ttlSeconds, 60);
+});
+
+test("Extension adds time up to the quote expiry", () => {
+  const config = { ttlSeconds: 60, extendSeconds: 60, quoteTtlSeconds: 90 };
+  const reservation = { expiresAt: at(20), quoteExpiresAt: at(300) };
+  assert.deepStrictEqual(getExtendedExpiry(reservation, NOW, config), at(80));
+  assert.deepStrictEqual(getExtendedExpiry({ ...reservation, quoteExpiresAt: at(50) }, NOW, config), at(50));
+});
+
+test("Extensions are refused once used, after expiry, or without a quote", () => {
+  const config = { ttlSeconds: 60, extendSeconds: 60, quoteTtlSeconds: 300 };
+  const reservation = { expiresAt: at(20), quoteExpiresAt: at(300) };
+  assert.throws(() => getExtendedExpiry({ ...reservation, extendedAt: NOW }, NOW, config), /already been extended/);
+  assert.throws(() => getExtendedExpiry({ ...reservation, expiresAt: at(-1) }, NOW, config), /expired/);
+  assert.throws(() => getExtendedExpiry({ ...reservation, quoteExpiresAt: at(20) }, NOW, config), /quote/);
+  assert.throws(() => getExtendedExpiry({ expiresAt: at(20) }, NOW, config), /cannot be extended/);
+});
@@ -0,0 +1,98 @@
+// backend/tests/statsService.test.js
+/**
+ * Market statistics sync tests
+ *
+ * Ensures sales copied into `nftsales` are valued in EUR at the peg of their price quote,
+ * so sales made after a RATE_CHANGE keep the new peg, that sales whose quote was altered are
+ * left out, and that the sync job survives failures.
+ *
+ * Run with: node --test backend/tests/statsService.test.js
+ */
+
+import { test, before, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert";
+import { setDatabase } from "../db.js";
+import { startDatabase, resetDatabase, stopDatabase } from "./helpers/mongo.js";
+import { changePeg, getCurrentPeg } from "../services/yrtPegService.js";
+import { syncMarketStats } from "../services/statsService.js";
+import { createPriceQuote } from "../utils/priceQuote.js";
+import { TX_TYPES } from "../utils/transactionTypes.js";
+
+const ADMIN = "0x4444444444444444444444444444444444444444";
+const TEST_ENV = {
+  SUPERADMIN_ADDRESS: ADMIN,
+  PRICE_ORACLE_SOURCES: "fixture",
+  PRICE_QUOTE_SIGNER_KEY: "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+};
+
+let db;
+
+// An NFT_BUY of 2 parts at 10 YRT, priced with a quote at the peg in force
+async function recordSale(id, quoteChanges = {}) {
+  const peg = await getCurrentPeg();
+  const priceQuote = { ...(await createPriceQuote("ETH", new Date(Date.now() + 60_000), peg)), ...quoteChanges };
+  const transactions = db.collection("transactions");
+  await transactions.insertOne({
+    _id: id,
+    type: TX_TYPES.NFT_BUY,
+    transaction_number: (await transactions.countDocuments({})) + 1,
+    timestamp: new Date(),
+    nftId: "nft1",
+    quantity: 2,
+    currency: "ETH",
+    amount: "0.01",
+    price: "10",
+    priceQuote,
+    pegVersion: peg.version,
+  });
+}
+
+before(async () => {
+  db = await startDatabase();
+});
+
+beforeEach(async () => {
+  Object.assign(process.env, TEST_ENV);
+  await resetDatabase();
+});
+
+afterEach(() => {
+  for (const name of Object.keys(TEST_ENV)) delete process.env[name];
+});
+
+after(stopDatabase);
+
+test("Sales after a RATE_CHANGE are valued at the new peg", async () => {
+  await recordSale("before");
+  await changePeg({ yrtEur: "1.5", previousVersion: 1 }, ADMIN, "0xsig");
+  await recordSale("after");
+
+  assert.strictEqual(await syncMarketStats(), 2);
+
+  const before = await db.collection("nftsales").findOne({ _id: "before" });
+  const after = await db.collection("nftsales").findOne({ _id: "after" });
+  assert.deepStrictEqual([before.priceEur, before.volumeEur], [12, 24]);
+  assert.deepStrictEqual([after.priceEur, after.volumeEur], [15, 30]);
+
+  const stats = await db.collection("nftstats").findOne({ _id: "nft1" });
+  assert.deepStrictEqual(stats.allTime, { volumeYrt: 40, volumeEur: 54, sales: 2, parts: 4 });
+});
+
+test("Sales whose price quote was altered are left out", async () => {
+  await recordSale("signed");
+  await recordSale("altered", { yrtEur: "100" });
+
+  assert.strictEqual(await syncMarketStats(), 1);
+  assert.strictEqual(await db.collection("nftsales").findOne({ _id: "altered" }), null);
+  const stats = await db.collection("nftstats").findOne({ _id: "nft1" });
+  assert.deepStrictEqual(stats.allTime, { volumeYrt: 20, volumeEur: 24, sales: 1, parts: 2 });
+});
+
+test("The market stats job logs failures instead of throwing", async () => {
+  setDatabase({
+    collection() {
+      throw new Error("database unavailable");
+    },
+  });
+  assert.strictEqual(await syncMarketStats(), 0);
+});
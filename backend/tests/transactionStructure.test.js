@@ -5,14 +5,19 @@
  * 1. All transaction types include all required fields
  * 2. The transaction builder matches what hashableTransaction expects
  * 3. Adding new fields requires updating both the builder and hash function
+ * 4. Fields added later do not change the hash of transactions recorded without them
  * 
  * Run with: node --test backend/tests/transactionStructure.test.js
  */
 
 import { test } from "node:test";
 import assert from "node:assert";
-import { createTransactionDoc, getRequiredTransactionFields } from "../utils/transactionBuilder.js";
-import { hashableTransaction } from "../utils/hash.js";
+import {
+  createTransactionDoc,
+  getRequiredTransactionFields,
+  getOptionalTransactionFields,
+} from "../utils/transactionBuilder.js";
+import { hashObject, hashableTransaction } from "../utils/hash.js";
 import { TX_TYPES } from "../utils/transactionTypes.js";
 
 test("getRequiredTransactionFields returns all expected fields", () => {
@@ -116,11 +121,23 @@ test("All transaction types can be created with createTransactionDoc", () => {
     TX_TYPES.LISTING_CREATE,
     TX_TYPES.LISTING_CANCEL,
     TX_TYPES.NFT_BUY,
+    TX_TYPES.CART_CHECKOUT,
     TX_TYPES.GIFT_CREATE,
     TX_TYPES.GIFT_CLAIM,
     TX_TYPES.GIFT_REFUSE,
     TX_TYPES.GIFT_CANCEL,
     TX_TYPES.UPLOAD,
+    TX_TYPES.OFFER_CREATE,
+    TX_TYPES.OFFER_ACCEPT,
+    TX_TYPES.OFFER_REJECT,
+    TX_TYPES.OFFER_COUNTER,
+    TX_TYPES.OFFER_CANCEL,
+    TX_TYPES.AUCTION_BID,
+    TX_TYPES.AUCTION_SETTLE,
+    TX_TYPES.LISTING_EXPIRE,
+    TX_TYPES.LISTING_UPDATE,
+    TX_TYPES.REFUND,
+    TX_TYPES.RATE_CHANGE,
   ];
   
   for (const txType of transactionTypes) {
@@ -166,3 +183,45 @@ test("Transaction doc normalization matches hashableTransaction normalization",
   console.log("✓ Empty string normalization works correctly");
 });
 
+
+// A LISTING_CREATE as recorded before offers, auctions, royalties, carts and price quotes
+const BASELINE_LISTING_CREATE = {
+  type: TX_TYPES.LISTING_CREATE,
+  transaction_number: 42,
+  signer: "0x2222222222222222222222222222222222222222",
+  signature: "0xsig",
+  timestamp: new Date("2025-06-01T12:00:00.000Z"),
+  overrides: {
+    listingId: "665a00000000000000000001",
+    nftId: "nft1",
+    quantity: 3,
+    seller: "0x2222222222222222222222222222222222222222",
+    price: "10",
+    sellerWallets: { ETH: "0x2222222222222222222222222222222222222222" },
+    bundleSale: false,
+  },
+};
+const BASELINE_LISTING_CREATE_HASH = "73564f0d3d41a0ec2a59360d117089e6afe0d5631afa96541977c1f161044f28";
+
+test("Transactions recorded before the optional fields keep their hash", () => {
+  const txDoc = createTransactionDoc(BASELINE_LISTING_CREATE);
+  for (const field of getOptionalTransactionFields()) {
+    assert(!(field in txDoc), `Unset optional field '${field}' must be left out of the doc`);
+  }
+  assert.strictEqual(hashObject(hashableTransaction(txDoc)), BASELINE_LISTING_CREATE_HASH);
+
+  // A stored document with the optional fields at null hashes the same
+  const withNulls = { ...txDoc, ...Object.fromEntries(getOptionalTransactionFields().map((f) => [f, null])) };
+  assert.strictEqual(hashObject(hashableTransaction(withNulls)), BASELINE_LISTING_CREATE_HASH);
+});
+
+test("Optional fields are hashed once set", () => {
+  const txDoc = createTransactionDoc({
+    ...BASELINE_LISTING_CREATE,
+    overrides: { ...BASELINE_LISTING_CREATE.overrides, offerId: "offer1", expiresAt: "2025-07-01T00:00:00.000Z" },
+  });
+  const hashable = hashableTransaction(txDoc);
+  assert.strictEqual(hashable.offerId, "offer1");
+  assert.deepStrictEqual(hashable.expiresAt, new Date("2025-07-01T00:00:00.000Z"));
+  assert.notStrictEqual(hashObject(hashable), BASELINE_LISTING_CREATE_HASH);
+});
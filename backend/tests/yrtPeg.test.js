@@ -0,0 +1,47 @@
+// backend/tests/yrtPeg.test.js
+/**
+ * YRT peg tests
+ *
+ * Ensures peg rates are validated and normalized, conversions use the peg they are given,
+ * and sale records keep the peg of their price quote after the peg changes.
+ *
+ * Run with: node --test backend/tests/yrtPeg.test.js
+ */
+
+import { test } from "node:test";
+import assert from "node:assert";
+import { parsePegRate, yrtToEur, eurToYrt, yrtToCrypto, INITIAL_YRT_PEG } from "../utils/currency.js";
+import { toSaleRecord } from "../utils/marketStats.js";
+import { getExpectedSignerRole, TX_TYPES } from "../utils/transactionTypes.js";
+
+test("Peg rates are positive decimals in canonical form", () => {
+  assert.strictEqual(parsePegRate("1.250"), "1.25");
+  assert.strictEqual(parsePegRate(" 2.0 "), "2");
+  assert.strictEqual(parsePegRate(3), "3");
+  for (const value of ["0", "0.00", "-1", "abc", "1e3", "", null]) {
+    assert.throws(() => parsePegRate(value), /yrtEur must be a positive number/, String(value));
+  }
+});
+
+test("Conversions use the peg they are given", async () => {
+  assert.strictEqual(yrtToEur(10, INITIAL_YRT_PEG.yrtEur), 12);
+  assert.strictEqual(yrtToEur(10, "1.5"), 15);
+  assert.strictEqual(eurToYrt(15, "1.5"), 10);
+  assert.throws(() => yrtToEur(10), /Invalid YRT peg/);
+
+  const quote = { currency: "ETH", rate: "3000", yrtEur: "1.5", pegVersion: "2" };
+  assert.strictEqual(await yrtToCrypto(100, "ETH", quote), "0.05");
+});
+
+test("Sales keep the peg of their price quote", () => {
+  const tx = { _id: "tx1", nftId: "nft1", transaction_number: 7, timestamp: new Date(0), quantity: 2, price: "10" };
+  assert.strictEqual(toSaleRecord(tx).priceEur, 12); // no quote: initial peg
+
+  const repegged = toSaleRecord({ ...tx, priceQuote: { yrtEur: "1.5", pegVersion: "2" }, pegVersion: 2 });
+  assert.strictEqual(repegged.priceEur, 15);
+  assert.strictEqual(repegged.volumeEur, 30);
+});
+
+test("Only the superadmin signs peg changes", () => {
+  assert.strictEqual(getExpectedSignerRole(TX_TYPES.RATE_CHANGE), "superadmin");
+});
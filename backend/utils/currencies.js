@@ -0,0 +1,129 @@
+// backend/utils/currencies.js
+// Payment currencies accepted by the store. Whatever differs between currencies is declared
+// here, and the rest of the backend looks a currency up instead of switching on its code.
+//
+// Each currency declares:
+//   decimals     - on-chain base unit decimals (wei, lamports, token units)
+//   precision    - decimals kept in quoted amounts (rounding, payment legs, amount tags)
+//   rates        - its id on each price source (utils/priceOracle.js)
+//   chain        - "ETH" | "SOL": the wallet that pays it, and how its addresses and
+//                  transaction ids compare (ETH: case-insensitive hex, SOL: exact base58)
+//   verifier     - how a payment is checked on-chain (utils/verifyChainTransaction.js)
+//   token        - ERC-20 contract (tokens on Ethereum) or SPL mint (tokens on Solana), per
+//                  network in utils/network.js; a token without one on the current network
+//                  is not accepted there
+//   minTolerance - smallest shortfall tolerated when verifying a payment
+//
+// Configured through environment variables:
+//   USDC_TOKEN_ADDRESS - USDC contract (default: the network's)
+//   USDT_TOKEN_ADDRESS - USDT contract (default: the network's)
+//   USDC_SOL_MINT      - USDC mint on Solana (default: the network's)
+
+import { getNetwork } from "./network.js";
+
+const CURRENCIES = {
+  ETH: {
+    decimals: 18,
+    precision: 8,
+    rates: { coingecko: "ethereum", coinbase: "ETH-EUR", kraken: "ETHEUR" },
+    chain: "ETH",
+    verifier: "eth-native",
+    minTolerance: "0.000001",
+  },
+  SOL: {
+    decimals: 9,
+    precision: 9,
+    rates: { coingecko: "solana", coinbase: "SOL-EUR", kraken: "SOLEUR" },
+    chain: "SOL",
+    verifier: "sol-native",
+    minTolerance: "0.000001",
+  },
+  USDC: {
+    decimals: 6,
+    precision: 6,
+    rates: { coingecko: "usd-coin", coinbase: "USDC-EUR", kraken: "USDCEUR" },
+    chain: "ETH",
+    verifier: "erc20",
+    token: { env: "USDC_TOKEN_ADDRESS" },
+    minTolerance: "0.000001",
+  },
+  USDT: {
+    decimals: 6,
+    precision: 6,
+    rates: { coingecko: "tether", coinbase: "USDT-EUR", kraken: "USDTEUR" },
+    chain: "ETH",
+    verifier: "erc20",
+    token: { env: "USDT_TOKEN_ADDRESS" },
+    minTolerance: "0.000001",
+  },
+  // USDC on Solana: no price exposure to SOL between reservation and payment
+  USDC_SOL: {
+    decimals: 6,
+    precision: 6,
+    rates: { coingecko: "usd-coin", coinbase: "USDC-EUR", kraken: "USDCEUR" },
+    chain: "SOL",
+    verifier: "spl",
+    token: { env: "USDC_SOL_MINT" },
+    minTolerance: "0.000001",
+  },
+};
+
+// Contract or mint of a token currency on the current network, or null
+function tokenAddress(code) {
+  const { token } = CURRENCIES[code];
+  return process.env[token.env] || getNetwork().tokens[code] || null;
+}
+
+/**
+ * Whether payments in `currency` are accepted (tokens only on networks where they have
+ * a contract or mint).
+ * @param {string} currency
+ * @returns {boolean}
+ */
+export function isSupportedCurrency(currency) {
+  const code = String(currency || "").toUpperCase();
+  if (!Object.hasOwn(CURRENCIES, code)) return false;
+  return !CURRENCIES[code].token || tokenAddress(code) !== null;
+}
+
+/**
+ * Definition of a currency (token address resolved for the current network).
+ * @param {string} currency
+ * @returns {{code: string, decimals: number, precision: number, rates: Object, chain: string,
+ *   verifier: string, token: {address: string}|null, minTolerance: string}}
+ * @throws If the currency is not supported
+ */
+export function getCurrency(currency) {
+  const code = String(currency || "").toUpperCase();
+  if (!isSupportedCurrency(code)) throw new Error(`Unsupported currency: ${currency}`);
+  const { token, ...def } = CURRENCIES[code];
+  return {
+    code,
+    ...def,
+    token: token ? { address: normalizeChainAddress(tokenAddress(code), def.chain) } : null,
+  };
+}
+
+/**
+ * Every currency code accepted on the current network.
+ * @returns {string[]}
+ */
+export function listCurrencies() {
+  return Object.keys(CURRENCIES).filter(isSupportedCurrency);
+}
+
+/**
+ * Normalize a wallet address for a currency: addresses on Ethereum are lowercased,
+ * base58 Solana addresses are case-sensitive and only trimmed.
+ * @param {string} address
+ * @param {string} currency
+ * @returns {string}
+ */
+export function normalizeWallet(address, currency) {
+  return normalizeChainAddress(address, getCurrency(currency).chain);
+}
+
+function normalizeChainAddress(address, chain) {
+  const value = String(address || "").trim();
+  return chain === "ETH" ? value.toLowerCase() : value;
+}
@@ -1,145 +1,89 @@
 // backend/utils/currency.js
 // Multi-currency conversion helpers for YRT <-> Crypto with EUR as the bridge.
-// ETH and SOL are supported out of the box. Easy to extend to others.
+// EUR rates come from the price oracle (utils/priceOracle.js), rounding from each
+// currency's entry in utils/currencies.js. The YRT peg (EUR per YRT) is set by the superadmin
+// (services/yrtPegService.js) and passed in by callers. Purchases convert with a locked
+// price quote (utils/priceQuote.js), so price and fee use the rates recorded on the sale.
 
 import dotenv from "dotenv";
+import { getCurrency } from "./currencies.js";
+import { getRateSnapshot } from "./priceOracle.js";
 dotenv.config();
 
 // --- Constants ---
-const YRT_TO_EUR = 1.2; // fixed peg: 1 YRT = 1.2 EUR
-const COINGECKO_API = "https://api.coingecko.com/api/v3/simple/price";
-
-// Basic in-memory caches to avoid hammering CoinGecko
-let cachedEthEurRate = null;
-let cachedSolEurRate = null;
-let cachedAtEth = 0;
-let cachedAtSol = 0;
-
-// cache TTL in ms
-const TTL_MS = 30_000;
+// The original fixed peg (1 YRT = 1.2 EUR), stored as peg version 1. Sales recorded before
+// pegs were versioned were priced at it.
+export const INITIAL_YRT_PEG = { version: 1, yrtEur: "1.2" };
 
 // --- Helpers ---
-function now() {
-  return Date.now();
-}
-
-function fmt(n) {
-  // Return a clean string (no scientific notation),
-  // but keep precision. Consumers can round as needed.
-  return typeof n === "string" ? n : String(n);
-}
-
 // Ensure result has safe decimals for blockchain usage
+// (each currency keeps its registry `precision`, e.g. 8 of ETH's 18 decimals)
 function roundCrypto(value, currency) {
   const num = Number(value);
   if (!isFinite(num)) throw new Error(`Invalid number: ${value}`);
+  const { precision } = getCurrency(currency);
+  return num.toFixed(precision).replace(/\.?0+$/, "");
+}
 
-  switch (currency.toUpperCase()) {
-    case "ETH":
-      // ETH supports up to 18 decimals, we keep 8 for practicality
-      return num.toFixed(8).replace(/\.?0+$/, "");
-    case "SOL":
-      // SOL supports up to 9 decimals (lamports), we keep 9
-      return num.toFixed(9).replace(/\.?0+$/, "");
-    default:
-      return fmt(num);
+// --- Core: fiat bridge ---
+/**
+ * Validate a peg rate (EUR per YRT) and return it as a canonical decimal string.
+ * @param {string|number} value
+ * @returns {string}
+ */
+export function parsePegRate(value) {
+  const rate = String(value ?? "").trim();
+  if (!/^\d+(\.\d+)?$/.test(rate) || !(Number(rate) > 0)) {
+    throw new Error("yrtEur must be a positive number");
   }
+  return rate.includes(".") ? rate.replace(/0+$/, "").replace(/\.$/, "") : rate;
 }
 
-// --- Core: fiat bridge ---
-export function yrtToEur(amountYrt) {
+function pegRate(yrtEur) {
+  const rate = Number(yrtEur);
+  if (!isFinite(rate) || rate <= 0) throw new Error("Invalid YRT peg");
+  return rate;
+}
+
+export function yrtToEur(amountYrt, yrtEur) {
   const yrt = Number(amountYrt || 0);
   if (!isFinite(yrt) || yrt < 0) throw new Error("Invalid YRT amount");
-  return yrt * YRT_TO_EUR;
+  return yrt * pegRate(yrtEur);
 }
 
-export function eurToYrt(amountEur) {
+export function eurToYrt(amountEur, yrtEur) {
   const eur = Number(amountEur || 0);
   if (!isFinite(eur) || eur < 0) throw new Error("Invalid EUR amount");
-  return eur / YRT_TO_EUR;
+  return eur / pegRate(yrtEur);
 }
 
 // --- Rates (EUR per 1 unit of coin) ---
-export async function getEthEurRate() {
-  const t = now();
-  if (cachedEthEurRate && t - cachedAtEth < TTL_MS) return cachedEthEurRate;
-
-  const url = `${COINGECKO_API}?ids=ethereum&vs_currencies=eur`;
-  const res = await fetch(url, { headers: { accept: "application/json" } });
-  if (!res.ok) throw new Error("Failed fetching ETH/EUR rate");
-  const data = await res.json();
-  const rate = data?.ethereum?.eur;
-  if (!isFinite(rate)) throw new Error("Invalid ETH/EUR rate from API");
+export async function getEurRate(currency) {
+  return (await getRateSnapshot(currency)).rate; // EUR per 1 unit
+}
 
-  cachedEthEurRate = rate;
-  cachedAtEth = t;
-  return rate; // EUR per 1 ETH
+export async function getEthEurRate() {
+  return getEurRate("ETH");
 }
 
 export async function getSolEurRate() {
-  const t = now();
-  if (cachedSolEurRate && t - cachedAtSol < TTL_MS) return cachedSolEurRate;
-
-  const url = `${COINGECKO_API}?ids=solana&vs_currencies=eur`;
-  const res = await fetch(url, { headers: { accept: "application/json" } });
-  if (!res.ok) throw new Error("Failed fetching SOL/EUR rate");
-  const data = await res.json();
-  const rate = data?.solana?.eur;
-  if (!isFinite(rate)) throw new Error("Invalid SOL/EUR rate from API");
-
-  cachedSolEurRate = rate;
-  cachedAtSol = t;
-  return rate; // EUR per 1 SOL
+  return getEurRate("SOL");
 }
 
 // --- Generic YRT -> Crypto ---
-export async function yrtToCrypto(amountYrt, currency) {
+// At the rates locked in a price quote (utils/priceQuote.js)
+export async function yrtToCrypto(amountYrt, currency, quote) {
   const cur = String(currency || "").toUpperCase();
-  const eurValue = yrtToEur(amountYrt);
-
-  switch (cur) {
-    case "ETH": {
-      const eurPerEth = await getEthEurRate();
-      const eth = eurValue / eurPerEth;
-      return roundCrypto(eth, "ETH");
-    }
-    case "SOL": {
-      const eurPerSol = await getSolEurRate();
-      const sol = eurValue / eurPerSol;
-      return roundCrypto(sol, "SOL");
-    }
-    default:
-      throw new Error(`Unsupported currency: ${cur}`);
-  }
+  if (!quote) throw new Error("A price quote is required");
+  if (quote.currency !== cur) throw new Error(`Price quote is for ${quote.currency}, not ${cur}`);
+  return roundCrypto(yrtToEur(amountYrt, quote.yrtEur) / Number(quote.rate), cur);
 }
 
 // --- Generic Crypto -> YRT ---
-export async function cryptoToYrt(amountCrypto, currency) {
+export async function cryptoToYrt(amountCrypto, currency, yrtEur) {
   const cur = String(currency || "").toUpperCase();
   const amt = Number(amountCrypto || 0);
   if (!isFinite(amt) || amt < 0) throw new Error("Invalid crypto amount");
-
-  switch (cur) {
-    case "ETH": {
-      const eurPerEth = await getEthEurRate();
-      const eur = amt * eurPerEth;
-      return eurToYrt(eur);
-    }
-    case "SOL": {
-      const eurPerSol = await getSolEurRate();
-      const eur = amt * eurPerSol;
-      return eurToYrt(eur);
-    }
-    default:
-      throw new Error(`Unsupported currency: ${cur}`);
-  }
-}
-
-// --- Backward compatibility helpers (ETH-only) ---
-export async function yrtToEth(amountYrt) {
-  return yrtToCrypto(amountYrt, "ETH");
-}
-
-export async function ethToYrt(amountEth) {
-  return cryptoToYrt(amountEth, "ETH");
+  const eurPerUnit = await getEurRate(cur);
+  return eurToYrt(amt * eurPerUnit, yrtEur);
 }
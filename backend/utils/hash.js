@@ -61,10 +61,12 @@ export function hashObject(obj) {
 /**
  * Create a hashable representation of an NFT for hashing.
  * Excludes _id if present (since _id will be the hash itself).
+ * Royalty terms are part of the hash (so they cannot change after minting), but only
+ * when set, which keeps the ids of NFTs minted without royalties unchanged.
  */
 export function hashableNFT(nft) {
   const { _id, ...rest } = nft;
-  return {
+  const hashable = {
     name: String(rest.name || ""),
     description: String(rest.description || ""),
     creator: normalizeAddress(rest.creator) ?? "",
@@ -76,6 +78,17 @@ export function hashableNFT(nft) {
     part_count: Number(rest.part_count || 0),
     status: String(rest.status || NFT_STATUS.ACTIVE),
   };
+  if (rest.royalty && typeof rest.royalty === 'object') {
+    const wallets = rest.royalty.wallets || {};
+    hashable.royalty = {
+      percent: String(rest.royalty.percent),
+      wallets: Object.keys(wallets).sort().reduce((acc, key) => {
+        acc[key] = String(wallets[key]);
+        return acc;
+      }, {}),
+    };
+  }
+  return hashable;
 }
 
 /**
@@ -117,7 +130,8 @@ export function hashablePartId(part) {
  * Excludes technical metadata (_id, arweaveTxId, previous_arweave_tx).
  * 
  * IMPORTANT: Signatures are included in the hash to detect tampering.
- * All fields are included consistently for all transaction types.
+ * The original fields are included consistently for all transaction types; fields added
+ * since are only included when set.
  */
 export function hashableTransaction(transaction) {
   // Exclude technical metadata that should not be in hash
@@ -218,6 +232,86 @@ export function hashableTransaction(transaction) {
       ? String(rest.signature) 
       : null,
   };
+
+  // Fields added after transactions were first published: hashed only when set, so every
+  // transaction recorded without them keeps its id (see getOptionalTransactionFields)
+  const optional = {
+    offerId: rest.offerId !== null && rest.offerId !== undefined 
+      ? String(rest.offerId) 
+      : null,
+    expiresAt: rest.expiresAt !== null && rest.expiresAt !== undefined && rest.expiresAt !== ""
+      ? new Date(rest.expiresAt)
+      : null,
+    auction: (rest.auction && typeof rest.auction === 'object' && Object.keys(rest.auction).length > 0)
+      ? Object.keys(rest.auction).sort().reduce((acc, key) => {
+          const value = rest.auction[key];
+          acc[key] = value instanceof Date ? value.toISOString() : String(value);
+          return acc;
+        }, {})
+      : null,
+    priceSchedule: (rest.priceSchedule && typeof rest.priceSchedule === 'object' && Object.keys(rest.priceSchedule).length > 0)
+      ? Object.keys(rest.priceSchedule).sort().reduce((acc, key) => {
+          const value = rest.priceSchedule[key];
+          acc[key] = value instanceof Date ? value.toISOString() : String(value);
+          return acc;
+        }, {})
+      : null,
+    partPrices: (rest.partPrices && typeof rest.partPrices === 'object' && Object.keys(rest.partPrices).length > 0)
+      ? Object.keys(rest.partPrices).sort().reduce((acc, key) => {
+          acc[key] = String(rest.partPrices[key]);
+          return acc;
+        }, {})
+      : null,
+    priceTiers: Array.isArray(rest.priceTiers) && rest.priceTiers.length > 0
+      ? rest.priceTiers.map((tier) => ({ minQuantity: String(tier.minQuantity), price: String(tier.price) }))
+      : null,
+    allowedBuyers: Array.isArray(rest.allowedBuyers) && rest.allowedBuyers.length > 0
+      ? rest.allowedBuyers.map((b) => String(b).toLowerCase()).sort()
+      : null,
+    // Listing update fields
+    previousPrice: rest.previousPrice !== null && rest.previousPrice !== undefined
+      ? String(rest.previousPrice)
+      : null,
+    previousQuantity: rest.previousQuantity !== null && rest.previousQuantity !== undefined
+      ? Number(rest.previousQuantity)
+      : null,
+    previousSellerWallets: (rest.previousSellerWallets && typeof rest.previousSellerWallets === 'object' && Object.keys(rest.previousSellerWallets).length > 0)
+      ? Object.keys(rest.previousSellerWallets).sort().reduce((acc, key) => {
+          acc[key] = String(rest.previousSellerWallets[key]);
+          return acc;
+        }, {})
+      : null,
+    // Purchase payment split
+    paymentLegs: Array.isArray(rest.paymentLegs) && rest.paymentLegs.length > 0
+      ? rest.paymentLegs.map((leg) => Object.keys(leg).sort().reduce((acc, key) => {
+          acc[key] = leg[key] !== null && leg[key] !== undefined ? String(leg[key]) : null;
+          return acc;
+        }, {}))
+      : null,
+    fee: rest.fee !== null && rest.fee !== undefined
+      ? String(rest.fee)
+      : null,
+    priceQuote: (rest.priceQuote && typeof rest.priceQuote === 'object' && Object.keys(rest.priceQuote).length > 0)
+      ? Object.keys(rest.priceQuote).sort().reduce((acc, key) => {
+          const value = rest.priceQuote[key];
+          acc[key] = Array.isArray(value) ? value.map(String) : String(value);
+          return acc;
+        }, {})
+      : null,
+    pegVersion: rest.pegVersion !== null && rest.pegVersion !== undefined
+      ? Number(rest.pegVersion)
+      : null,
+    // Cart checkout fields
+    cartId: rest.cartId !== null && rest.cartId !== undefined
+      ? String(rest.cartId)
+      : null,
+    transactionIds: Array.isArray(rest.transactionIds) && rest.transactionIds.length > 0
+      ? rest.transactionIds.map(String)
+      : null,
+  };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value !== null) base[key] = value;
+  }
   
   return base;
 }
@@ -0,0 +1,122 @@
+// backend/utils/listingSearch.js
+// Store search: parses GET /api/listings query parameters into a Mongo query and sort.
+// Price filters and sorting use the numeric `priceYrt` field kept on every listing
+// (see refreshListingPrices in listingService for declining-price listings).
+
+import { LISTING_STATUS } from "./statusConstants.js";
+import { normalizeAddress } from "./addressUtils.js";
+import { cryptoToYrt } from "./currency.js";
+import { isSupportedCurrency } from "./currencies.js";
+
+export const LISTING_SORTS = {
+  newest: { time_created: -1 },
+  price_asc: { priceYrt: 1, time_created: -1 },
+  price_desc: { priceYrt: -1, time_created: -1 },
+  quantity_asc: { availableQuantity: 1, time_created: -1 },
+  quantity_desc: { availableQuantity: -1, time_created: -1 },
+};
+
+function parsePrice(value, name) {
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) throw new Error(`Invalid ${name}`);
+  return price;
+}
+
+/**
+ * Validate store search parameters and convert price bounds to YRT.
+ *
+ * @param {Object} params - Raw query parameters
+ * @param {string} [params.q] - Text search on NFT name and description
+ * @param {string} [params.seller] - Seller address
+ * @param {string} [params.minPrice] - Lowest price per part, in `priceCurrency`
+ * @param {string} [params.maxPrice] - Highest price per part, in `priceCurrency`
+ * @param {string} [params.priceCurrency] - "YRT" (default) or a payment currency ("ETH", "SOL", "USDC", ...)
+ * @param {string} [params.currency] - Only listings accepting this currency
+ * @param {string} [params.type] - "BUNDLE" or "PARTIAL"
+ * @param {string} [params.minQuantity] - Minimum available quantity
+ * @param {string} [params.sort] - One of LISTING_SORTS (default "newest")
+ * @param {string} [yrtEur] - YRT peg in force (EUR per YRT), for price bounds in a payment currency
+ * @returns {Promise<Object>} Normalized filters for buildListingQuery
+ */
+export async function parseListingSearch(params = {}, yrtEur) {
+  const filters = {};
+
+  const q = String(params.q || "").trim();
+  if (q) {
+    if (q.length > 100) throw new Error("Search text is too long");
+    filters.q = q;
+  }
+
+  if (params.seller) filters.seller = normalizeAddress(String(params.seller));
+
+  const priceCurrency = String(params.priceCurrency || "YRT").toUpperCase();
+  if (priceCurrency !== "YRT" && !isSupportedCurrency(priceCurrency)) {
+    throw new Error(`Unsupported price currency: ${priceCurrency}`);
+  }
+  const toYrt = (amount) => (priceCurrency === "YRT" ? amount : cryptoToYrt(amount, priceCurrency, yrtEur));
+  if (params.minPrice !== undefined && params.minPrice !== "") {
+    filters.minPriceYrt = Number(await toYrt(parsePrice(params.minPrice, "minPrice")));
+  }
+  if (params.maxPrice !== undefined && params.maxPrice !== "") {
+    filters.maxPriceYrt = Number(await toYrt(parsePrice(params.maxPrice, "maxPrice")));
+  }
+
+  if (params.currency) {
+    const currency = String(params.currency).toUpperCase();
+    if (!isSupportedCurrency(currency)) throw new Error(`Unsupported currency: ${currency}`);
+    filters.currency = currency;
+  }
+
+  if (params.type) {
+    const type = String(params.type).toUpperCase();
+    if (type !== "BUNDLE" && type !== "PARTIAL") throw new Error("Invalid listing type");
+    filters.type = type;
+  }
+
+  if (params.minQuantity !== undefined && params.minQuantity !== "") {
+    const minQuantity = parseInt(params.minQuantity, 10);
+    if (!Number.isFinite(minQuantity) || minQuantity < 1) throw new Error("Invalid minQuantity");
+    filters.minQuantity = minQuantity;
+  }
+
+  const sort = String(params.sort || "newest");
+  if (!LISTING_SORTS[sort]) throw new Error(`Invalid sort: ${sort}`);
+  filters.sort = sort;
+
+  return filters;
+}
+
+/**
+ * Build the listings query for normalized filters.
+ * Text search is resolved beforehand into the matching NFT ids.
+ *
+ * @param {Object} filters - Result of parseListingSearch
+ * @param {string[]|null} [nftIds] - NFTs matching `filters.q`
+ * @returns {{query: Object, sort: Object}}
+ */
+export function buildListingQuery(filters = {}, nftIds = null) {
+  const query = {
+    status: { $nin: [LISTING_STATUS.CANCELED, LISTING_STATUS.COMPLETED] },
+    offerId: null, // Listings created for an accepted offer are private to that offer
+    allowedBuyers: null, // Private listings are reachable by direct link only
+    $or: [
+      { availableQuantity: { $gt: 0 } },
+      { availableQuantity: { $exists: false }, quantity: { $gt: 0 } } // Fallback for old listings without availableQuantity
+    ],
+  };
+
+  if (nftIds) query.nftId = { $in: nftIds };
+  if (filters.seller) query.seller = filters.seller;
+  if (filters.type) query.type = filters.type;
+  if (filters.currency) query[`sellerWallets.${filters.currency}`] = { $nin: [null, ""] };
+
+  if (filters.minPriceYrt !== undefined || filters.maxPriceYrt !== undefined) {
+    query.priceYrt = {};
+    if (filters.minPriceYrt !== undefined) query.priceYrt.$gte = filters.minPriceYrt;
+    if (filters.maxPriceYrt !== undefined) query.priceYrt.$lte = filters.maxPriceYrt;
+  }
+
+  if (filters.minQuantity) query.availableQuantity = { $gte: filters.minQuantity };
+
+  return { query, sort: LISTING_SORTS[filters.sort || "newest"] };
+}
@@ -0,0 +1,99 @@
+// backend/utils/marketStats.js
+// Sale records and aggregates for NFT price history and market statistics
+// (see services/statsService.js). Prices are per part; volumes are price x quantity.
+
+import { yrtToEur, INITIAL_YRT_PEG } from "./currency.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STATS_WINDOWS = {
+  "24h": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Compact sale record for the `nftsales` collection, built from an NFT_BUY transaction.
+ * EUR values use the YRT peg of the sale's price quote (sales recorded before quotes
+ * existed were priced at the initial peg).
+ *
+ * @param {Object} tx - NFT_BUY transaction document
+ * @returns {Object|null} null when the transaction has no per-part price
+ */
+export function toSaleRecord(tx) {
+  const priceYrt = Number(tx.price);
+  const quantity = Number(tx.quantity || 0);
+  if (!tx.nftId || !Number.isFinite(priceYrt) || priceYrt <= 0 || quantity <= 0) return null;
+  const yrtEur = tx.priceQuote?.yrtEur ?? INITIAL_YRT_PEG.yrtEur;
+
+  return {
+    _id: tx._id,
+    nftId: String(tx.nftId),
+    transactionNumber: tx.transaction_number,
+    timestamp: new Date(tx.timestamp),
+    quantity,
+    currency: tx.currency ?? null,
+    amount: tx.amount ?? null,
+    priceYrt,
+    priceEur: round2(yrtToEur(priceYrt, yrtEur)),
+    volumeYrt: round2(priceYrt * quantity),
+    volumeEur: round2(yrtToEur(priceYrt * quantity, yrtEur)),
+  };
+}
+
+/**
+ * Volume per STATS_WINDOWS window.
+ *
+ * @param {Array<Object>} sales - Sale records
+ * @param {Date} [now]
+ * @returns {Record<string, {volumeYrt: number, volumeEur: number, sales: number, parts: number}>}
+ */
+export function summarizeVolume(sales, now = new Date()) {
+  const result = {};
+  for (const [name, ms] of Object.entries(STATS_WINDOWS)) {
+    const since = now.getTime() - ms;
+    const inWindow = sales.filter((s) => new Date(s.timestamp).getTime() >= since);
+    result[name] = {
+      volumeYrt: round2(inWindow.reduce((sum, s) => sum + s.volumeYrt, 0)),
+      volumeEur: round2(inWindow.reduce((sum, s) => sum + s.volumeEur, 0)),
+      sales: inWindow.length,
+      parts: inWindow.reduce((sum, s) => sum + s.quantity, 0),
+    };
+  }
+  return result;
+}
+
+/**
+ * Daily per-part price series (UTC days, oldest first).
+ * `priceYrt`/`priceEur` are volume-weighted averages for the day.
+ *
+ * @param {Array<Object>} sales - Sale records
+ * @returns {Array<{day: string, priceYrt: number, priceEur: number, lowYrt: number, highYrt: number, parts: number, volumeYrt: number}>}
+ */
+export function dailyPriceSeries(sales) {
+  const days = new Map();
+  for (const s of sales) {
+    const day = new Date(s.timestamp).toISOString().slice(0, 10);
+    const d = days.get(day) || { day, volumeYrt: 0, volumeEur: 0, parts: 0, lowYrt: Infinity, highYrt: 0 };
+    d.volumeYrt += s.volumeYrt;
+    d.volumeEur += s.volumeEur;
+    d.parts += s.quantity;
+    d.lowYrt = Math.min(d.lowYrt, s.priceYrt);
+    d.highYrt = Math.max(d.highYrt, s.priceYrt);
+    days.set(day, d);
+  }
+
+  return [...days.values()]
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .map((d) => ({
+      day: d.day,
+      priceYrt: round2(d.volumeYrt / d.parts),
+      priceEur: round2(d.volumeEur / d.parts),
+      lowYrt: d.lowYrt,
+      highYrt: d.highYrt,
+      parts: d.parts,
+      volumeYrt: round2(d.volumeYrt),
+    }));
+}
@@ -0,0 +1,158 @@
+// backend/utils/network.js
+// Network profiles: which Ethereum and Solana networks the store runs on. Chain ids, RPC
+// endpoints, explorer links, confirmation depths and token contracts are looked up here
+// instead of being written into each service, and the frontend reads the public part
+// through GET /api/network.
+//
+// Profiles:
+//   mainnet - Ethereum mainnet + Solana mainnet-beta
+//   testnet - Ethereum Sepolia + Solana devnet
+//   local   - Anvil/Hardhat node on :8545 (chain id 31337) + solana-test-validator on :8899,
+//             for offline development; token currencies need their contract/mint set
+//             (USDC_TOKEN_ADDRESS, USDT_TOKEN_ADDRESS, USDC_SOL_MINT) after deploying them
+//
+// Configured through environment variables:
+//   NETWORK         - mainnet | testnet | local (default mainnet)
+//   INFURA_API_KEY  - key used in the Infura RPC URLs of mainnet and testnet; required there
+//                     unless ETH_RPC_URL is set
+//   ETH_RPC_URL     - Ethereum RPC endpoint (default: the profile's)
+//   SOLANA_RPC_URL  - Solana RPC endpoint (default: the profile's)
+//   ETH_CHAIN_ID    - Ethereum chain id (default: the profile's, e.g. another local chain)
+//   ETH_CONFIRMATIONS - confirmations an Ethereum payment needs, counting the block it is
+//                       mined in (default: the profile's)
+
+function infuraUrl(network) {
+  const key = process.env.INFURA_API_KEY;
+  if (!key) throw new Error(`INFURA_API_KEY is not set (or set ETH_RPC_URL) for the ${network} Ethereum RPC`);
+  return `https://${network}.infura.io/v3/${key}`;
+}
+
+// `{tx}` in an explorer URL is replaced by the transaction id; null when there is no explorer
+const PROFILES = {
+  mainnet: {
+    eth: {
+      chainName: "Ethereum",
+      chainId: 1,
+      rpcUrl: () => infuraUrl("mainnet"),
+      explorerTxUrl: "https://etherscan.io/tx/{tx}",
+      confirmations: 2,
+    },
+    sol: {
+      cluster: "mainnet-beta",
+      rpcUrl: () => "https://api.mainnet-beta.solana.com",
+      explorerTxUrl: "https://explorer.solana.com/tx/{tx}",
+      commitment: "confirmed",
+    },
+    tokens: {
+      USDC: "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48",
+      USDT: "0xdac17f958d2ee523a2206206994597c13d831ec7",
+      USDC_SOL: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
+    },
+  },
+  testnet: {
+    eth: {
+      chainName: "Sepolia",
+      chainId: 11155111,
+      rpcUrl: () => infuraUrl("sepolia"),
+      explorerTxUrl: "https://sepolia.etherscan.io/tx/{tx}",
+      confirmations: 2,
+    },
+    sol: {
+      cluster: "devnet",
+      rpcUrl: () => "https://api.devnet.solana.com",
+      explorerTxUrl: "https://explorer.solana.com/tx/{tx}?cluster=devnet",
+      commitment: "confirmed",
+    },
+    // Circle's test USDC; there is no official USDT on Sepolia (set USDT_TOKEN_ADDRESS to use one)
+    tokens: {
+      USDC: "0x1c7d4b196cb0c7b01d743fbc6116a902379c7238",
+      USDC_SOL: "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU",
+    },
+  },
+  local: {
+    eth: {
+      chainName: "Local Ethereum",
+      chainId: 31337,
+      rpcUrl: () => "http://127.0.0.1:8545",
+      explorerTxUrl: null,
+      confirmations: 0, // local nodes mine a block per transaction
+    },
+    sol: {
+      cluster: "localnet",
+      rpcUrl: () => "http://127.0.0.1:8899",
+      explorerTxUrl: "https://explorer.solana.com/tx/{tx}?cluster=custom&customUrl=http%3A%2F%2F127.0.0.1%3A8899",
+      commitment: "confirmed",
+    },
+    tokens: {},
+  },
+};
+
+function readInt(name, fallback, min) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) throw new Error(`Invalid ${name}`);
+  return value;
+}
+
+/**
+ * Every network profile name.
+ * @returns {string[]}
+ */
+export function listNetworks() {
+  return Object.keys(PROFILES);
+}
+
+/**
+ * The network the store runs on, with environment overrides applied (read on every call so
+ * tests and scripts can switch networks). `eth.rpcUrl` is resolved when read, so token and
+ * confirmation settings stay available without an Ethereum RPC.
+ * @returns {{name: string,
+ *   eth: {chainName: string, chainId: number, rpcUrl: string, explorerTxUrl: string|null, confirmations: number},
+ *   sol: {cluster: string, rpcUrl: string, explorerTxUrl: string|null, commitment: string},
+ *   tokens: Record<string, string>}}
+ * @throws If NETWORK names no profile or an override is invalid; reading `eth.rpcUrl` throws
+ *   if the profile's Infura RPC is used without INFURA_API_KEY
+ */
+export function getNetwork() {
+  const name = String(process.env.NETWORK || "mainnet").trim().toLowerCase();
+  const profile = PROFILES[name];
+  if (!profile) throw new Error(`Unknown NETWORK: ${name} (expected ${listNetworks().join(", ")})`);
+  return {
+    name,
+    eth: {
+      ...profile.eth,
+      chainId: readInt("ETH_CHAIN_ID", profile.eth.chainId, 1),
+      get rpcUrl() {
+        return process.env.ETH_RPC_URL || profile.eth.rpcUrl();
+      },
+      confirmations: readInt("ETH_CONFIRMATIONS", profile.eth.confirmations, 0),
+    },
+    sol: {
+      ...profile.sol,
+      rpcUrl: process.env.SOLANA_RPC_URL || profile.sol.rpcUrl(),
+    },
+    tokens: { ...profile.tokens },
+  };
+}
+
+/**
+ * Check the network settings a purchase depends on, so a bad NETWORK, override or a missing
+ * Ethereum RPC key stops the server at startup instead of failing the first payment check.
+ * @throws Like getNetwork(), or if there is no Ethereum RPC endpoint
+ */
+export function assertNetworkConfig() {
+  getNetwork().eth.rpcUrl;
+}
+
+/**
+ * Network settings the frontend needs. The Ethereum RPC URL is left out (it carries the
+ * Infura key; wallets reach Ethereum through the backend's /api/eth proxy).
+ * @returns {Object}
+ */
+export function getPublicNetwork() {
+  const { name, eth, sol } = getNetwork();
+  const { chainName, chainId, explorerTxUrl, confirmations } = eth;
+  return { name, eth: { chainName, chainId, explorerTxUrl, confirmations }, sol };
+}
+
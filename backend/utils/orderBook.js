@@ -0,0 +1,48 @@
+// backend/utils/orderBook.js
+// Price-level aggregation for the per-NFT order book (see services/orderBookService.js).
+// Prices are YRT per part; levels are keyed in cents so "10" and "10.00" share a level.
+
+function toCents(price) {
+  const value = Number(price);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return Math.round(value * 100);
+}
+
+/**
+ * Group orders into price levels.
+ *
+ * @param {Array<{price: string|number, quantity: number}>} orders
+ * @param {"asc"|"desc"} order - "asc" for asks (cheapest first), "desc" for bids (highest first)
+ * @returns {Array<{price: string, quantity: number, orders: number}>}
+ */
+export function groupPriceLevels(orders, order = "asc") {
+  const levels = new Map();
+  for (const o of orders) {
+    const cents = toCents(o.price);
+    const quantity = Number(o.quantity || 0);
+    if (cents === null || quantity <= 0) continue;
+    const level = levels.get(cents) || { cents, quantity: 0, orders: 0 };
+    level.quantity += quantity;
+    level.orders += 1;
+    levels.set(cents, level);
+  }
+
+  return [...levels.values()]
+    .sort((a, b) => (order === "desc" ? b.cents - a.cents : a.cents - b.cents))
+    .map(({ cents, quantity, orders: count }) => ({ price: String(cents / 100), quantity, orders: count }));
+}
+
+/**
+ * Best ask, best bid and spread of grouped levels.
+ *
+ * @param {Array<{price: string}>} asks - Ascending
+ * @param {Array<{price: string}>} bids - Descending
+ * @returns {{bestAsk: string|null, bestBid: string|null, spread: string|null}}
+ */
+export function summarizeOrderBook(asks, bids) {
+  const bestAsk = asks[0]?.price ?? null;
+  const bestBid = bids[0]?.price ?? null;
+  const spread =
+    bestAsk !== null && bestBid !== null ? String((toCents(bestAsk) - toCents(bestBid)) / 100) : null;
+  return { bestAsk, bestBid, spread };
+}
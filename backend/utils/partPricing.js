@@ -0,0 +1,97 @@
+// backend/utils/partPricing.js
+// Picking specific part numbers from a PARTIAL listing, and premium prices sellers
+// set on chosen parts (`listing.partPrices`, part_no -> YRT price).
+
+import { getQuantityPrice } from "./priceTiers.js";
+
+export const MAX_PREMIUM_PARTS = 500;
+export const MAX_PICKED_PARTS = 1000;
+
+function parsePartNo(value) {
+  const partNo = Number(value);
+  if (!Number.isInteger(partNo) || partNo < 1) throw new Error(`Invalid part number: ${value}`);
+  return partNo;
+}
+
+/**
+ * Validate and normalize premium part prices from a listing body.
+ *
+ * @param {Record<string, string|number>} partPrices - part_no -> YRT price
+ * @param {string|number} basePrice - Listing price per part (premiums cannot be lower)
+ * @returns {Record<string, string>|null} Keys are part numbers as strings; null when empty
+ */
+export function parsePartPrices(partPrices, basePrice) {
+  if (!partPrices) return null;
+  if (typeof partPrices !== "object" || Array.isArray(partPrices)) {
+    throw new Error("Invalid part prices");
+  }
+  const entries = Object.entries(partPrices);
+  if (entries.length === 0) return null;
+  if (entries.length > MAX_PREMIUM_PARTS) {
+    throw new Error(`At most ${MAX_PREMIUM_PARTS} parts can have a premium price`);
+  }
+
+  const base = Number(basePrice);
+  const result = {};
+  for (const [key, value] of entries) {
+    const partNo = parsePartNo(key);
+    const price = Number(value);
+    if (!Number.isFinite(price) || price <= 0) throw new Error(`Invalid price for part #${partNo}`);
+    if (price < base) throw new Error(`Premium price for part #${partNo} is below the listing price`);
+    result[String(partNo)] = String(value);
+  }
+  return result;
+}
+
+/**
+ * Parse the parts a buyer picked: part numbers and "from-to" ranges.
+ *
+ * @param {Array<number|string>} partNos - e.g. [1, 100, "200-250"]
+ * @returns {number[]} Sorted, unique part numbers
+ */
+export function parsePartNos(partNos) {
+  if (!Array.isArray(partNos) || partNos.length === 0) throw new Error("No parts selected");
+
+  const picked = new Set();
+  for (const entry of partNos) {
+    const range = typeof entry === "string" ? entry.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/) : null;
+    if (range) {
+      const from = parsePartNo(range[1]);
+      const to = parsePartNo(range[2]);
+      if (to < from) throw new Error(`Invalid part range: ${entry}`);
+      if (to - from + 1 > MAX_PICKED_PARTS) throw new Error(`At most ${MAX_PICKED_PARTS} parts can be picked`);
+      for (let n = from; n <= to; n++) picked.add(n);
+    } else {
+      picked.add(parsePartNo(entry));
+    }
+    if (picked.size > MAX_PICKED_PARTS) throw new Error(`At most ${MAX_PICKED_PARTS} parts can be picked`);
+  }
+  return [...picked].sort((a, b) => a - b);
+}
+
+/**
+ * Part numbers carrying a premium price on a listing.
+ * @param {Object} listing
+ * @returns {number[]}
+ */
+export function getPremiumPartNos(listing) {
+  return Object.keys(listing?.partPrices || {}).map(Number);
+}
+
+/**
+ * Total YRT price of specific parts: premium price where set, the listing's current price
+ * (at the volume tier for the number of parts picked) otherwise.
+ *
+ * @param {number[]} partNos
+ * @param {Object} listing
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function getPartsPriceYrt(partNos, listing, now = new Date()) {
+  const base = Number(getQuantityPrice(listing, partNos.length, now));
+  const cents = partNos.reduce((sum, partNo) => {
+    const premium = listing.partPrices?.[String(partNo)];
+    return sum + Math.round(Number(premium ?? base) * 100);
+  }, 0);
+  return cents / 100;
+}
@@ -0,0 +1,150 @@
+// backend/utils/paymentLegs.js
+// Splitting a purchase payment into legs (seller, creator royalty, store fee).
+// A reservation stores its legs; createTransaction verifies every leg on-chain
+// before transferring parts.
+
+import { getCurrency, isSupportedCurrency, normalizeWallet } from "./currencies.js";
+
+export const MAX_ROYALTY_PERCENT = 50;
+
+/**
+ * Validate and normalize royalty terms from a mint body.
+ *
+ * @param {Object} royalty
+ * @param {string|number} royalty.percent - Share of each secondary sale paid to the creator (0-50)
+ * @param {Record<string,string>} [royalty.wallets] - Creator wallets per currency (ETH defaults to the creator)
+ * @param {string} creator - Creator ETH address (normalized)
+ * @returns {{percent: string, wallets: Record<string,string>}|null} null when no royalty is set
+ */
+export function parseRoyalty(royalty, creator) {
+  if (!royalty) return null;
+  if (typeof royalty !== "object") throw new Error("Invalid royalty terms");
+
+  const percent = Number(royalty.percent);
+  if (!Number.isFinite(percent) || percent < 0 || percent > MAX_ROYALTY_PERCENT) {
+    throw new Error(`Royalty must be between 0 and ${MAX_ROYALTY_PERCENT} percent`);
+  }
+  if (Math.round(percent * 100) !== percent * 100) {
+    throw new Error("Royalty can have at most 2 decimals");
+  }
+  if (percent === 0) return null;
+
+  const wallets = {};
+  for (const [cur, addr] of Object.entries(royalty.wallets || {})) {
+    const currency = cur.toUpperCase();
+    if (!isSupportedCurrency(currency)) throw new Error(`Unsupported royalty currency ${cur}`);
+    if (typeof addr === "string" && addr.trim() !== "") {
+      wallets[currency] = normalizeWallet(addr, currency);
+    }
+  }
+  if (!wallets.ETH) wallets.ETH = creator;
+
+  return { percent: String(percent), wallets };
+}
+
+// Amounts are added in the currency's smallest kept unit (its registry `precision`)
+function toUnits(amount, currency) {
+  const decimals = getCurrency(currency).precision;
+  const units = Math.round(Number(amount) * 10 ** decimals);
+  if (!Number.isFinite(units) || units <= 0) throw new Error(`Invalid amount: ${amount}`);
+  return units;
+}
+
+function fromUnits(units, currency) {
+  const decimals = getCurrency(currency).precision;
+  return (units / 10 ** decimals).toFixed(decimals).replace(/\.?0+$/, "");
+}
+
+/**
+ * Sum crypto amounts exactly (in the currency's smallest kept unit).
+ * @param {Array<string|number>} amounts
+ * @param {string} currency - "ETH", "SOL", "USDC", ...
+ * @returns {string}
+ */
+export function addCryptoAmounts(amounts, currency) {
+  const cur = String(currency).toUpperCase();
+  const units = amounts.reduce((sum, amount) => sum + toUnits(amount, cur), 0);
+  return fromUnits(units, cur);
+}
+
+/**
+ * Whether a sale of this NFT by `seller` owes the creator a royalty.
+ * Only secondary sales do: the creator selling their own parts pays nothing.
+ * @param {Object} nft
+ * @param {string} seller
+ * @returns {boolean}
+ */
+export function isRoyaltyDue(nft, seller) {
+  return !!(nft?.royalty && nft.creator && String(nft.creator).toLowerCase() !== String(seller).toLowerCase());
+}
+
+/**
+ * Creator wallet receiving the royalty in a currency. Tokens are paid to the creator's
+ * wallet on the token's chain (ETH or SOL) unless the royalty names a wallet for the token itself.
+ * @param {{wallets?: Record<string,string>}} royalty
+ * @param {string} currency
+ * @returns {string|null}
+ */
+export function getRoyaltyWallet(royalty, currency) {
+  const cur = String(currency).toUpperCase();
+  const wallets = royalty?.wallets || {};
+  if (wallets[cur]) return wallets[cur];
+  return isSupportedCurrency(cur) ? wallets[getCurrency(cur).chain] || null : null;
+}
+
+/**
+ * Split a purchase into payment legs.
+ * The creator royalty applies to secondary sales only (seller is not the creator)
+ * and is rounded down; the seller receives the remainder, so legs always sum to the total.
+ *
+ * @param {Object} params
+ * @param {string} params.amount - Total crypto amount the buyer pays
+ * @param {string} params.currency - "ETH", "SOL", "USDC", ...
+ * @param {string} params.seller - Seller ETH address
+ * @param {string} params.sellerWallet - Seller wallet on the chosen chain
+ * @param {Object} params.nft - NFT document (`creator`, optional `royalty`)
+ * @returns {Array<{role: "seller"|"creator", wallet: string, amount: string}>}
+ */
+export function buildPaymentLegs({ amount, currency, seller, sellerWallet, nft }) {
+  const cur = String(currency).toUpperCase();
+  if (!isRoyaltyDue(nft, seller)) {
+    return [{ role: "seller", wallet: sellerWallet, amount: String(amount) }];
+  }
+  const royalty = nft.royalty;
+
+  const creatorWallet = getRoyaltyWallet(royalty, cur);
+  if (!creatorWallet) {
+    const accepted = Object.keys(royalty.wallets || {}).join(", ");
+    throw new Error(`This NFT's creator royalty can only be paid in ${accepted}`);
+  }
+  if (String(creatorWallet).toLowerCase() === String(sellerWallet).toLowerCase()) {
+    return [{ role: "seller", wallet: sellerWallet, amount: String(amount) }];
+  }
+
+  const totalUnits = toUnits(amount, cur);
+  const royaltyUnits = Math.floor((totalUnits * Number(royalty.percent)) / 100);
+  if (royaltyUnits <= 0) {
+    return [{ role: "seller", wallet: sellerWallet, amount: String(amount) }];
+  }
+
+  return [
+    { role: "seller", wallet: sellerWallet, amount: fromUnits(totalUnits - royaltyUnits, cur) },
+    { role: "creator", wallet: creatorWallet, amount: fromUnits(royaltyUnits, cur) },
+  ];
+}
+
+/**
+ * Payment legs of a reservation. Reservations made before legs existed pay the seller only.
+ * @param {Object} reservation
+ * @returns {Array<{role: string, wallet: string, amount: string}>}
+ */
+export function getPaymentLegs(reservation) {
+  if (Array.isArray(reservation.paymentLegs) && reservation.paymentLegs.length > 0) {
+    return reservation.paymentLegs;
+  }
+  return [{
+    role: "seller",
+    wallet: reservation.sellerWallet,
+    amount: String(reservation.totalPriceCrypto.amount),
+  }];
+}
@@ -0,0 +1,243 @@
+// backend/utils/paymentMatching.js
+// Matching on-chain transfers to open reservations (services/paymentWatcher.js).
+//
+// The watcher only sees transfers into seller, creator and store wallets, so each
+// reservation must be recognizable from its payment alone:
+//   Ethereum (ETH, ERC-20 tokens) - the seller leg carries a small amount tag (1..MAX_PAYMENT_TAG
+//         in the last kept decimal) that is unique among the seller wallet's open reservations
+//   Solana - the payment transaction carries a memo with the reservation reference
+// Every matched transfer must also come from the reservation's buyerWallet. On Ethereum that
+// is the buyer's own address; a SOL wallet must prove it belongs to the buyer by signing
+// getSolWalletProofMessage(buyer) (buyerWalletProof on reservations, carts and bids).
+// The same rules bind client-submitted payments (verifyChainTransaction.js): a chain
+// transaction settles at most one purchase and must be sent from the buyer's wallet.
+//
+// Configured through environment variables:
+//   PAYMENT_WATCHER_GRACE_SECONDS - how long past its expiry a watched reservation is kept,
+//                                   so a payment sent at the last moment is still seen (default 120)
+
+import { createPublicKey, verify } from "crypto";
+import { ethers } from "ethers";
+import { PublicKey } from "@solana/web3.js";
+import { addCryptoAmounts, getPaymentLegs } from "./paymentLegs.js";
+import { addressesMatch, isValidAddressFormat } from "./addressUtils.js";
+import { getCurrency } from "./currencies.js";
+
+export const MAX_PAYMENT_TAG = 9999;
+const DEFAULT_GRACE_SECONDS = 120;
+
+/**
+ * Grace period before cleanup releases an expired reservation the payment watcher is watching.
+ * @returns {number} milliseconds
+ */
+export function getPaymentGraceMs() {
+  const raw = process.env.PAYMENT_WATCHER_GRACE_SECONDS;
+  if (raw === undefined || raw === "") return DEFAULT_GRACE_SECONDS * 1000;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) throw new Error("Invalid PAYMENT_WATCHER_GRACE_SECONDS");
+  return value * 1000;
+}
+
+/**
+ * Pick an amount tag not used by any other open reservation paying the same wallet.
+ * @param {Iterable<number>} usedTags
+ * @param {() => number} [random]
+ * @returns {number}
+ */
+export function pickPaymentTag(usedTags, random = Math.random) {
+  const used = new Set(usedTags);
+  if (used.size >= MAX_PAYMENT_TAG) throw new Error("Too many open payments to this wallet, try again shortly");
+  let tag = 1 + Math.floor(random() * MAX_PAYMENT_TAG);
+  while (used.has(tag)) tag = (tag % MAX_PAYMENT_TAG) + 1;
+  return tag;
+}
+
+/**
+ * Add an amount tag to the seller leg (and the total) of a quoted price.
+ * @param {{totalPriceCrypto: Object, paymentLegs: Array<Object>}} quote
+ * @param {number} tag
+ * @param {string} currency
+ * @returns {{totalPriceCrypto: Object, paymentLegs: Array<Object>}}
+ */
+export function applyPaymentTag({ totalPriceCrypto, paymentLegs }, tag, currency) {
+  const cur = String(currency).toUpperCase();
+  if (usesPaymentMemo(cur)) throw new Error(`Amount tags are not used for ${cur}`);
+  // The tag is counted in the last kept decimal
+  const decimals = getCurrency(cur).precision;
+  const tagAmount = (tag / 10 ** decimals).toFixed(decimals);
+  return {
+    totalPriceCrypto: { ...totalPriceCrypto, amount: addCryptoAmounts([totalPriceCrypto.amount, tagAmount], cur) },
+    paymentLegs: paymentLegs.map((leg) =>
+      leg.role === "seller" ? { ...leg, amount: addCryptoAmounts([leg.amount, tagAmount], cur) } : leg
+    ),
+  };
+}
+
+/**
+ * Whether payments in this currency are matched by memo rather than amount tag.
+ * @param {string} currency
+ * @returns {boolean}
+ */
+export function usesPaymentMemo(currency) {
+  return getCurrency(currency).chain === "SOL";
+}
+
+/**
+ * Memo a SOL payment must carry for the watcher to attribute it.
+ * @param {string} reservationId
+ * @returns {string}
+ */
+export function getPaymentMemo(reservationId) {
+  return `nomin:${reservationId}`;
+}
+
+/**
+ * Memos found in a Solana transaction's log messages (written by the SPL Memo program).
+ * @param {string[]} logMessages - `meta.logMessages` of the transaction
+ * @returns {string[]}
+ */
+export function readSolMemos(logMessages) {
+  return (logMessages || [])
+    .map((line) => /^Program log: Memo \(len \d+\): "(.*)"$/.exec(line)?.[1])
+    .filter((memo) => memo !== undefined);
+}
+
+// keccak256("Transfer(address,address,uint256)"), first topic of every ERC-20 Transfer event
+export const ERC20_TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+/**
+ * Decode an ERC-20 Transfer event log.
+ * @param {{address: string, topics: string[], data: string}} log - Receipt or getLogs entry
+ * @returns {{token: string, from: string, to: string, amount: string}|null}
+ *   Lowercase addresses and the amount in token units; null if the log is not a Transfer
+ */
+export function readErc20Transfer(log) {
+  if (log?.topics?.[0] !== ERC20_TRANSFER_TOPIC || log.topics.length !== 3) return null;
+  const topicAddress = (topic) => ethers.getAddress(ethers.dataSlice(topic, 12)).toLowerCase();
+  return {
+    token: String(log.address).toLowerCase(),
+    from: topicAddress(log.topics[1]),
+    to: topicAddress(log.topics[2]),
+    amount: BigInt(log.data).toString(),
+  };
+}
+
+/**
+ * Canonical form of a chain transaction id, so one payment cannot be cited twice
+ * under different spellings (Ethereum hashes are case-insensitive hex).
+ * @param {string} chainTx
+ * @param {string} currency
+ * @returns {string}
+ */
+export function normalizeChainTx(chainTx, currency) {
+  const tx = String(chainTx || "").trim();
+  return getCurrency(currency).chain === "ETH" ? tx.toLowerCase() : tx;
+}
+
+/**
+ * Message a SOL wallet signs to show it belongs to `buyer`.
+ * @param {string} buyer - Buyer ETH address
+ * @returns {string}
+ */
+export function getSolWalletProofMessage(buyer) {
+  return `nomin:sol-wallet:${String(buyer).toLowerCase()}`;
+}
+
+/**
+ * Whether a wallet may pay for `buyer`. The buyer's ETH wallet is their identity, so payments
+ * on Ethereum (ETH, tokens) must come from it; a Solana wallet (SOL, SPL tokens) must have
+ * signed getSolWalletProofMessage(buyer).
+ * @param {string} currency
+ * @param {string} wallet - Paying wallet
+ * @param {string} buyer - Buyer ETH address
+ * @param {string} [walletProof] - Base64 ed25519 signature of the proof message by a SOL wallet
+ * @returns {boolean}
+ */
+export function isBuyerWallet(currency, wallet, buyer, walletProof = null) {
+  if (!wallet) return false;
+  if (getCurrency(currency).chain === "ETH") return sameWallet(wallet, buyer, currency);
+  if (!walletProof || !buyer) return false;
+  try {
+    const x = Buffer.from(new PublicKey(String(wallet).trim()).toBytes()).toString("base64url");
+    const key = createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x }, format: "jwk" });
+    return verify(null, Buffer.from(getSolWalletProofMessage(buyer)), key, Buffer.from(String(walletProof), "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Crypto amount in on-chain base units (wei, lamports, token units).
+ * @param {string|number} amount
+ * @param {string} currency
+ * @returns {bigint}
+ */
+export function toBaseUnits(amount, currency) {
+  const { decimals } = getCurrency(currency);
+  const text = String(amount);
+  return ethers.parseUnits(/e/i.test(text) ? Number(text).toFixed(decimals) : text, decimals);
+}
+
+/**
+ * Base units back to a crypto amount string.
+ * @param {string|bigint} units
+ * @param {string} currency
+ * @returns {string}
+ */
+export function fromBaseUnits(units, currency) {
+  const { decimals } = getCurrency(currency);
+  return ethers.formatUnits(BigInt(units), decimals);
+}
+
+// Ethereum addresses compare case-insensitively; base58 SOL addresses must match exactly
+// (addressesMatch treats any two non-ETH addresses as equal)
+export function sameWallet(a, b, currency) {
+  if (!a || !b) return false;
+  if (getCurrency(currency).chain === "ETH") return isValidAddressFormat(a) && addressesMatch(a, b);
+  return String(a).trim() === String(b).trim();
+}
+
+function transferPaysLeg(transfer, leg, reservation, currency) {
+  if (!sameWallet(transfer.to, leg.wallet, currency)) return false;
+  if (!sameWallet(transfer.from, reservation.buyerWallet, currency)) return false;
+  if (transfer.time && new Date(transfer.time) < new Date(reservation.timestamp)) return false;
+
+  const received = BigInt(transfer.amount);
+  const expected = toBaseUnits(leg.amount, currency);
+  if (usesPaymentMemo(currency)) {
+    return transfer.memo === getPaymentMemo(reservation._id.toString()) && received >= expected;
+  }
+  // The tagged seller amount identifies the reservation; the other legs must be exact too
+  return received === expected;
+}
+
+/**
+ * Match transfers seen on-chain to the payment legs of a reservation.
+ * Legs matched on earlier scans (`reservation.detectedLegs`) are kept.
+ *
+ * @param {Object} reservation - Reservation document (paymentLegs, buyerWallet, timestamp)
+ * @param {Array<{chainTx: string, from: string, to: string, amount: string, memo?: string, time?: Date}>} transfers
+ *   Amounts in base units (wei, lamports, token units)
+ * @returns {{legs: Array<Object>, complete: boolean, changed: boolean}}
+ *   One entry per payment leg (`chainTx` null while unpaid)
+ */
+export function matchPaymentTransfers(reservation, transfers) {
+  const currency = String(reservation.totalPriceCrypto.currency).toUpperCase();
+  const legs = getPaymentLegs(reservation);
+  const detected = new Map((reservation.detectedLegs || []).filter((leg) => leg.chainTx).map((leg) => [leg.role, leg]));
+
+  // An Ethereum transfer has a single recipient, so it can only ever pay one leg
+  const usedTxs = new Set(usesPaymentMemo(currency) ? [] : [...detected.values()].map((leg) => leg.chainTx));
+  let changed = false;
+
+  const matched = legs.map((leg) => {
+    if (detected.has(leg.role)) return detected.get(leg.role);
+    const transfer = transfers.find((t) => !usedTxs.has(t.chainTx) && transferPaysLeg(t, leg, reservation, currency));
+    if (!transfer) return { ...leg, chainTx: null };
+    if (!usesPaymentMemo(currency)) usedTxs.add(transfer.chainTx);
+    changed = true;
+    return { ...leg, chainTx: transfer.chainTx, receivedAmount: String(transfer.amount) };
+  });
+
+  return { legs: matched, complete: matched.every((leg) => leg.chainTx), changed };
+}
@@ -0,0 +1,98 @@
+// backend/utils/platformFee.js
+// Marketplace fee charged to the buyer on every NFT_BUY, on top of the listing price.
+//
+// Configured through environment variables:
+//   STORE_FEE_PERCENT     - percentage of the purchase price (e.g. "2.5")
+//   STORE_FEE_YRT         - fixed YRT amount per purchase (e.g. "1")
+//   STORE_FEE_WALLET_<CUR> - wallet receiving fees paid in a currency, e.g. STORE_FEE_WALLET_SOL;
+//                            tokens default to the wallet of their chain (STORE_FEE_WALLET_ETH
+//                            for USDC/USDT, STORE_FEE_WALLET_SOL for USDC_SOL)
+// Set one of the two fee variables; if both are set the fee is their sum.
+// The fee is quoted as its own payment leg (role "platform") and recorded as `fee`
+// on the NFT_BUY transaction.
+
+import { yrtToCrypto } from "./currency.js";
+import { addCryptoAmounts } from "./paymentLegs.js";
+import { getCurrency, listCurrencies, normalizeWallet } from "./currencies.js";
+
+/**
+ * Current fee configuration (read on every call so it can change without code edits).
+ * @returns {{percent: number, fixedYrt: number, wallets: Record<string,string>}}
+ */
+export function getPlatformFeeConfig() {
+  const percent = Number(process.env.STORE_FEE_PERCENT || 0);
+  const fixedYrt = Number(process.env.STORE_FEE_YRT || 0);
+  if (!Number.isFinite(percent) || percent < 0 || percent >= 100) {
+    throw new Error("Invalid STORE_FEE_PERCENT");
+  }
+  if (!Number.isFinite(fixedYrt) || fixedYrt < 0) {
+    throw new Error("Invalid STORE_FEE_YRT");
+  }
+
+  const wallets = {};
+  for (const cur of listCurrencies()) {
+    const { chain } = getCurrency(cur);
+    const wallet = process.env[`STORE_FEE_WALLET_${cur}`] || process.env[`STORE_FEE_WALLET_${chain}`];
+    if (wallet) wallets[cur] = normalizeWallet(wallet, cur);
+  }
+
+  return { percent, fixedYrt, wallets };
+}
+
+/**
+ * Fee in YRT for a purchase of `totalYrt`.
+ * @param {number} totalYrt - Purchase price in YRT (price per part x quantity)
+ * @param {Object} [config] - Defaults to getPlatformFeeConfig()
+ * @returns {number}
+ */
+export function computePlatformFeeYrt(totalYrt, config = getPlatformFeeConfig()) {
+  const fee = (Number(totalYrt) * config.percent) / 100 + config.fixedYrt;
+  return Math.round(fee * 100) / 100;
+}
+
+/**
+ * Wallet that receives the fee in a currency.
+ * @param {string} currency
+ * @param {Object} [config]
+ * @returns {string}
+ */
+export function getPlatformFeeWallet(currency, config = getPlatformFeeConfig()) {
+  const wallet = config.wallets[String(currency).toUpperCase()];
+  if (!wallet) throw new Error(`Store fee wallet is not configured for ${currency}`);
+  return wallet;
+}
+
+/**
+ * Add the store fee to a purchase quote.
+ * The fee is converted separately from the price and paid to the store fee wallet
+ * as an extra leg, so seller and royalty legs are unaffected.
+ *
+ * @param {Object} params
+ * @param {number} params.totalYrt - Purchase price in YRT
+ * @param {string} params.currency - "ETH", "SOL", "USDC", ...
+ * @param {string} params.amount - Purchase price in crypto (without fee)
+ * @param {Array<{role: string, wallet: string, amount: string}>} params.paymentLegs - Seller/creator legs
+ * @param {Object} params.quote - Price quote the purchase price was converted with (utils/priceQuote.js)
+ * @returns {Promise<{totalPriceCrypto: {currency: string, amount: string, fee: string}, paymentLegs: Array}>}
+ */
+export async function applyPlatformFee({ totalYrt, currency, amount, paymentLegs, quote }) {
+  const cur = String(currency).toUpperCase();
+  const config = getPlatformFeeConfig();
+  const feeYrt = computePlatformFeeYrt(totalYrt, config);
+
+  const fee = feeYrt > 0 ? await yrtToCrypto(feeYrt, cur, quote) : "0";
+  if (Number(fee) <= 0) {
+    return {
+      totalPriceCrypto: { currency: cur, amount: String(amount), fee: "0" },
+      paymentLegs,
+    };
+  }
+
+  return {
+    totalPriceCrypto: { currency: cur, amount: addCryptoAmounts([amount, fee], cur), fee: String(fee) },
+    paymentLegs: [
+      ...paymentLegs,
+      { role: "platform", wallet: getPlatformFeeWallet(cur, config), amount: String(fee) },
+    ],
+  };
+}
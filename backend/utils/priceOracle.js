@@ -0,0 +1,221 @@
+// backend/utils/priceOracle.js
+// EUR rates of the payment currencies, read from several price sources so that one source
+// being down or wrong does not block reservations (utils/currency.js converts with them).
+//
+// Every configured source is asked in parallel. Answers older than the staleness limit are
+// dropped and the median of the others is used. When no source answers, the last rate is
+// kept for as long as it is not stale. The "fixture" source returns fixed rates, for
+// offline development and tests.
+//
+// The id each currency has on a source is declared in utils/currencies.js (`rates`).
+//
+// Configured through environment variables:
+//   PRICE_ORACLE_SOURCES         - comma-separated sources (default: coingecko,coinbase,kraken;
+//                                  "fixture" for offline development)
+//   PRICE_ORACLE_MIN_SOURCES     - fresh answers needed for a rate (default 1)
+//   PRICE_ORACLE_MAX_AGE_SECONDS - oldest source answer, and oldest last rate, used (default 300)
+//   PRICE_ORACLE_TIMEOUT_MS      - how long each source may take to answer (default 5000)
+//   PRICE_ORACLE_FIXTURE_RATES   - rates of the fixture source, e.g. "ETH=3000,SOL=150"
+//                                  (currencies left out keep the defaults below)
+
+import { getCurrency } from "./currencies.js";
+import { logInfo } from "./logger.js";
+
+const ORACLE_DEFAULTS = {
+  PRICE_ORACLE_SOURCES: "coingecko,coinbase,kraken",
+  PRICE_ORACLE_MIN_SOURCES: 1,
+  PRICE_ORACLE_MAX_AGE_SECONDS: 300,
+  PRICE_ORACLE_TIMEOUT_MS: 5000,
+};
+const FIXTURE_RATES = { ETH: 3000, SOL: 150, USDC: 0.92, USDT: 0.92, USDC_SOL: 0.92 };
+
+// Sources are asked at most this often per currency
+const CACHE_TTL_MS = 30_000;
+
+function readInt(name, min) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return ORACLE_DEFAULTS[name];
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) throw new Error(`Invalid ${name}`);
+  return value;
+}
+
+function readFixtureRates() {
+  const rates = { ...FIXTURE_RATES };
+  for (const entry of String(process.env.PRICE_ORACLE_FIXTURE_RATES || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [code, value] = entry.split("=").map((part) => part.trim());
+    const rate = Number(value);
+    if (!code || !Number.isFinite(rate) || rate <= 0) throw new Error("Invalid PRICE_ORACLE_FIXTURE_RATES");
+    rates[code.toUpperCase()] = rate;
+  }
+  return rates;
+}
+
+/**
+ * Current oracle settings (read on every call so they can change without code edits).
+ * @returns {{sources: string[], minSources: number, maxAgeMs: number, timeoutMs: number}}
+ */
+export function getPriceOracleConfig() {
+  const sources = String(process.env.PRICE_ORACLE_SOURCES || ORACLE_DEFAULTS.PRICE_ORACLE_SOURCES)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  for (const name of sources) {
+    if (!getRateSource(name)) throw new Error(`Unknown price source: ${name}`);
+  }
+  const minSources = readInt("PRICE_ORACLE_MIN_SOURCES", 1);
+  if (minSources > sources.length) throw new Error("PRICE_ORACLE_MIN_SOURCES exceeds the configured sources");
+  return {
+    sources,
+    minSources,
+    maxAgeMs: readInt("PRICE_ORACLE_MAX_AGE_SECONDS", 1) * 1000,
+    timeoutMs: readInt("PRICE_ORACLE_TIMEOUT_MS", 1),
+  };
+}
+
+// --- Sources ---
+// A source reads one currency's rate: fetchRate(currency, { signal }) => Promise<{ rate, at }>
+//   currency - registry entry (getCurrency), whose `rates[name]` is the id on this source
+//   rate     - EUR per 1 unit of the currency
+//   at       - when the source last updated the rate (ms since epoch)
+
+async function fetchJson(url, signal) {
+  const res = await fetch(url, { headers: { accept: "application/json" }, signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+function sourceId(currency, name) {
+  const id = currency.rates?.[name];
+  if (!id) throw new Error(`${currency.code} is not listed on ${name}`);
+  return id;
+}
+
+const coingeckoSource = {
+  async fetchRate(currency, { signal }) {
+    const id = sourceId(currency, "coingecko");
+    const data = await fetchJson(
+      `https://api.coingecko.com/api/v3/simple/price?ids=${id}&vs_currencies=eur&include_last_updated_at=true`,
+      signal
+    );
+    const updatedAt = Number(data?.[id]?.last_updated_at);
+    return { rate: Number(data?.[id]?.eur), at: Number.isFinite(updatedAt) ? updatedAt * 1000 : Date.now() };
+  },
+};
+
+const coinbaseSource = {
+  async fetchRate(currency, { signal }) {
+    const data = await fetchJson(`https://api.coinbase.com/v2/prices/${sourceId(currency, "coinbase")}/spot`, signal);
+    return { rate: Number(data?.data?.amount), at: Date.now() };
+  },
+};
+
+const krakenSource = {
+  async fetchRate(currency, { signal }) {
+    const data = await fetchJson(`https://api.kraken.com/0/public/Ticker?pair=${sourceId(currency, "kraken")}`, signal);
+    if (data?.error?.length) throw new Error(data.error.join(", "));
+    // Pairs come back under Kraken's own name (ETHEUR -> XETHZEUR); `c` is the last trade
+    const [ticker] = Object.values(data?.result || {});
+    return { rate: Number(ticker?.c?.[0]), at: Date.now() };
+  },
+};
+
+const fixtureSource = {
+  async fetchRate(currency) {
+    const rate = readFixtureRates()[currency.code];
+    if (!rate) throw new Error(`No fixture rate for ${currency.code}`);
+    return { rate, at: Date.now() };
+  },
+};
+
+const DEFAULT_SOURCES = {
+  coingecko: coingeckoSource,
+  coinbase: coinbaseSource,
+  kraken: krakenSource,
+  fixture: fixtureSource,
+};
+
+const sources = new Map();
+
+/**
+ * Price source registered under `name`, or null.
+ * @param {string} name
+ */
+export function getRateSource(name) {
+  return sources.get(name) || DEFAULT_SOURCES[name] || null;
+}
+
+/**
+ * Replace a price source, e.g. with a fake one in tests; null restores the default.
+ * Rates read before are forgotten.
+ * @param {string} name
+ * @param {{fetchRate: Function}|null} source
+ */
+export function setRateSource(name, source) {
+  if (source) sources.set(name, source);
+  else sources.delete(name);
+  lastRates.clear();
+}
+
+// --- Aggregation ---
+
+/**
+ * Rate to use from the sources' answers: the median of the fresh ones.
+ * @param {Array<{source: string, rate: number, at: number}>} answers - Successful answers
+ * @param {{now: number, maxAgeMs: number, minSources: number}} policy
+ * @returns {{rate: number, sources: string[]}}
+ * @throws If fewer than `minSources` answers are fresh and valid
+ */
+export function aggregateRates(answers, { now, maxAgeMs, minSources }) {
+  const fresh = answers
+    .filter((answer) => Number.isFinite(answer.rate) && answer.rate > 0 && now - answer.at <= maxAgeMs)
+    .sort((a, b) => a.rate - b.rate);
+  if (fresh.length < minSources) {
+    throw new Error(`${fresh.length} fresh rate(s), ${minSources} needed`);
+  }
+  const mid = Math.floor(fresh.length / 2);
+  const rate = fresh.length % 2 ? fresh[mid].rate : (fresh[mid - 1].rate + fresh[mid].rate) / 2;
+  return { rate, sources: fresh.map((answer) => answer.source).sort() };
+}
+
+// Last aggregated rate per currency: code -> { rate, sources, at }
+const lastRates = new Map();
+
+/**
+ * EUR rate of a currency with the sources it came from.
+ * @param {string} currency
+ * @param {number} [now] - Current time (ms since epoch)
+ * @returns {Promise<{currency: string, rate: number, sources: string[], at: number}>}
+ * @throws If no rate is available (every source failed and the last rate is stale)
+ */
+export async function getRateSnapshot(currency, now = Date.now()) {
+  const def = getCurrency(currency);
+  const config = getPriceOracleConfig();
+  const last = lastRates.get(def.code);
+  if (last && now - last.at < CACHE_TTL_MS) return { currency: def.code, ...last };
+
+  const results = await Promise.allSettled(config.sources.map(async (name) => {
+    const answer = await getRateSource(name).fetchRate(def, { signal: AbortSignal.timeout(config.timeoutMs) });
+    return { source: name, ...answer };
+  }));
+  const failures = [];
+  const answers = [];
+  results.forEach((result, i) => {
+    if (result.status === "fulfilled") answers.push(result.value);
+    else failures.push(`${config.sources[i]}: ${result.reason?.message || result.reason}`);
+  });
+
+  try {
+    const snapshot = { ...aggregateRates(answers, { now, ...config }), at: now };
+    lastRates.set(def.code, snapshot);
+    return { currency: def.code, ...snapshot };
+  } catch (err) {
+    if (failures.length) logInfo(`[priceOracle] ${def.code}/EUR sources failed: ${failures.join("; ")}`);
+    if (last && now - last.at <= config.maxAgeMs) {
+      logInfo(`[priceOracle] Using the ${def.code}/EUR rate from ${new Date(last.at).toISOString()}`);
+      return { currency: def.code, ...last };
+    }
+    throw new Error(`No ${def.code}/EUR rate available (${err.message})`);
+  }
+}
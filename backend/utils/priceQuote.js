@@ -0,0 +1,86 @@
+// backend/utils/priceQuote.js
+// Signed price quotes: the rates a purchase is priced at, locked on its reservation and
+// copied onto its NFT_BUY transaction so every sale records the exact rate used.
+//
+// A quote is { quoteId, currency, rate, yrtEur, pegVersion, sources, issuedAt, expiresAt, signer, signature }:
+//   rate      - EUR per 1 unit of `currency` (string), from the price oracle
+//   yrtEur    - EUR per 1 YRT (string), from YRT peg version `pegVersion` (services/yrtPegService.js)
+//   sources   - price sources the rate was aggregated from
+//   signature - Ethereum signed message over the keccak256 of the other fields (sorted keys),
+//               which anyone can check against `signer` (listed by GET /api/currencies)
+//
+// Configured through environment variables:
+//   PRICE_QUOTE_SIGNER_KEY - private key signing quotes; required (the server does not start
+//                            without it) except with NETWORK=local, where a key is generated
+//                            at startup and quotes of earlier runs no longer match the signer
+
+import { randomUUID } from "node:crypto";
+import { ethers } from "ethers";
+import { getRateSnapshot } from "./priceOracle.js";
+import { addressesMatch } from "./addressUtils.js";
+
+let signer = null;
+
+function getSigner() {
+  if (!signer) {
+    const key = process.env.PRICE_QUOTE_SIGNER_KEY;
+    const local = String(process.env.NETWORK || "").trim().toLowerCase() === "local";
+    if (!key && !local) throw new Error("PRICE_QUOTE_SIGNER_KEY is not set (only NETWORK=local runs without it)");
+    signer = key ? new ethers.Wallet(key) : ethers.Wallet.createRandom();
+  }
+  return signer;
+}
+
+function hashQuote(fields) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(fields, Object.keys(fields).sort())));
+}
+
+/**
+ * Address that signs the store's price quotes.
+ * @returns {string}
+ * @throws If PRICE_QUOTE_SIGNER_KEY is not set outside NETWORK=local
+ */
+export function getQuoteSignerAddress() {
+  return getSigner().address.toLowerCase();
+}
+
+/**
+ * Lock the current rates of a currency into a signed quote.
+ * @param {string} currency
+ * @param {Date} expiresAt - Until when the quote holds (the reservation's quote expiry)
+ * @param {{version: number, yrtEur: string}} peg - YRT peg in force (getCurrentPeg)
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Quote (see above)
+ * @throws If the price oracle has no rate for the currency
+ */
+export async function createPriceQuote(currency, expiresAt, peg, now = new Date()) {
+  const snapshot = await getRateSnapshot(currency);
+  const fields = {
+    quoteId: randomUUID(),
+    currency: snapshot.currency,
+    rate: String(snapshot.rate),
+    yrtEur: String(peg.yrtEur),
+    pegVersion: String(peg.version),
+    sources: snapshot.sources,
+    issuedAt: now.toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+    signer: getQuoteSignerAddress(),
+  };
+  return { ...fields, signature: getSigner().signMessageSync(hashQuote(fields)) };
+}
+
+/**
+ * Whether a quote was signed by `signerAddress` and not altered since.
+ * @param {Object} quote
+ * @param {string} [signerAddress] - Defaults to the current quote signer
+ * @returns {boolean}
+ */
+export function verifyPriceQuote(quote, signerAddress = getQuoteSignerAddress()) {
+  if (!quote?.signature || !addressesMatch(quote.signer, signerAddress)) return false;
+  const { signature: _signature, ...fields } = quote;
+  try {
+    return addressesMatch(ethers.verifyMessage(hashQuote(fields), quote.signature), signerAddress);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,90 @@
+// backend/utils/priceSchedule.js
+// Declining-price (Dutch) listing schedules.
+// The per-part YRT price falls linearly from the listing price to a floor price
+// between startTime and endTime, optionally in discrete steps.
+
+const MIN_SCHEDULE_DURATION_MS = 60 * 1000;
+const MAX_SCHEDULE_DURATION_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Validate and normalize a price schedule from a createListing body.
+ *
+ * @param {Object} schedule
+ * @param {string|number} schedule.floorPrice - Lowest price, reached at endTime
+ * @param {string} [schedule.startTime] - ISO date, defaults to now
+ * @param {string} schedule.endTime - ISO date
+ * @param {number} [schedule.stepSeconds] - Price drops every N seconds (0 = continuous)
+ * @param {string|number} startPrice - Listing price, the price at startTime
+ * @returns {{startPrice: string, floorPrice: string, startTime: Date, endTime: Date, stepSeconds: number}}
+ */
+export function parsePriceSchedule(schedule, startPrice) {
+  if (!schedule || typeof schedule !== "object") throw new Error("Invalid price schedule");
+
+  const start = Number(startPrice);
+  const floor = Number(schedule.floorPrice);
+  if (!Number.isFinite(start) || start <= 0) throw new Error("Invalid start price");
+  if (!Number.isFinite(floor) || floor <= 0) throw new Error("Invalid floor price");
+  if (floor >= start) throw new Error("Floor price must be lower than the start price");
+
+  const startTime = schedule.startTime ? new Date(schedule.startTime) : new Date();
+  const endTime = new Date(schedule.endTime);
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+    throw new Error("Invalid price schedule start or end time");
+  }
+
+  const duration = endTime.getTime() - startTime.getTime();
+  if (duration < MIN_SCHEDULE_DURATION_MS) throw new Error("Price schedule must last at least 1 minute");
+  if (duration > MAX_SCHEDULE_DURATION_MS) throw new Error("Price schedule cannot last longer than 90 days");
+
+  const stepSeconds = schedule.stepSeconds ? parseInt(schedule.stepSeconds, 10) : 0;
+  if (!Number.isFinite(stepSeconds) || stepSeconds < 0 || stepSeconds * 1000 > duration) {
+    throw new Error("Invalid price schedule step");
+  }
+
+  return {
+    startPrice: String(startPrice),
+    floorPrice: String(schedule.floorPrice),
+    startTime,
+    endTime,
+    stepSeconds,
+  };
+}
+
+/**
+ * Per-part YRT price of a schedule at a given moment.
+ * Rounded up to 2 decimals so it never drops below the floor.
+ *
+ * @param {Object} schedule - Normalized schedule (as stored on the listing)
+ * @param {Date} [at] - Moment to price (defaults to now)
+ * @returns {string}
+ */
+export function getScheduledPrice(schedule, at = new Date()) {
+  const start = Number(schedule.startPrice);
+  const floor = Number(schedule.floorPrice);
+  const startMs = new Date(schedule.startTime).getTime();
+  const endMs = new Date(schedule.endTime).getTime();
+  const nowMs = at instanceof Date ? at.getTime() : new Date(at).getTime();
+
+  if (nowMs <= startMs) return String(schedule.startPrice);
+  if (nowMs >= endMs) return String(schedule.floorPrice);
+
+  let elapsed = nowMs - startMs;
+  const stepMs = Number(schedule.stepSeconds || 0) * 1000;
+  if (stepMs > 0) {
+    elapsed = Math.floor(elapsed / stepMs) * stepMs;
+  }
+
+  const price = start - (start - floor) * (elapsed / (endMs - startMs));
+  const rounded = Math.ceil(price * 100) / 100;
+  return String(Math.max(floor, Math.min(start, rounded)));
+}
+
+/**
+ * Current per-part YRT price of a listing (fixed price or scheduled).
+ * @param {Object} listing
+ * @param {Date} [at]
+ * @returns {string}
+ */
+export function getListingPrice(listing, at = new Date()) {
+  return listing.priceSchedule ? getScheduledPrice(listing.priceSchedule, at) : String(listing.price);
+}
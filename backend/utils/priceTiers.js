@@ -0,0 +1,61 @@
+// backend/utils/priceTiers.js
+// Volume pricing on partial listings: a table of quantity tiers, each with its own
+// per-part YRT price. The whole order is priced at the tier its quantity falls in;
+// below the first tier the listing price applies.
+
+import { getListingPrice } from "./priceSchedule.js";
+
+export const MAX_PRICE_TIERS = 10;
+
+/**
+ * Validate and normalize price tiers from a createListing body.
+ *
+ * @param {Array<{minQuantity: number, price: string|number}>} tiers - e.g. [{ minQuantity: 10, price: "9" }]
+ * @param {string|number} basePrice - Listing price, applies below the first tier
+ * @returns {Array<{minQuantity: number, price: string}>|null} Sorted by minQuantity; null when empty
+ */
+export function parsePriceTiers(tiers, basePrice) {
+  if (!tiers) return null;
+  if (!Array.isArray(tiers)) throw new Error("Invalid price tiers");
+  if (tiers.length === 0) return null;
+  if (tiers.length > MAX_PRICE_TIERS) throw new Error(`At most ${MAX_PRICE_TIERS} price tiers are allowed`);
+
+  const normalized = tiers
+    .map((tier) => {
+      const minQuantity = Number(tier?.minQuantity);
+      const price = Number(tier?.price);
+      if (!Number.isInteger(minQuantity) || minQuantity < 2) {
+        throw new Error("Price tier quantities must be whole numbers above 1");
+      }
+      if (!Number.isFinite(price) || price <= 0) throw new Error(`Invalid price for tier ${minQuantity}+`);
+      return { minQuantity, price: String(tier.price) };
+    })
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+
+  let previous = Number(basePrice);
+  for (let i = 0; i < normalized.length; i++) {
+    if (i > 0 && normalized[i].minQuantity === normalized[i - 1].minQuantity) {
+      throw new Error(`Duplicate price tier ${normalized[i].minQuantity}+`);
+    }
+    const price = Number(normalized[i].price);
+    if (price >= previous) throw new Error("Each price tier must be cheaper than the one before it");
+    previous = price;
+  }
+  return normalized;
+}
+
+/**
+ * Per-part YRT price for buying `quantity` parts of a listing.
+ * Listings without tiers use their current price (see priceSchedule.js).
+ *
+ * @param {Object} listing
+ * @param {number} quantity
+ * @param {Date} [at]
+ * @returns {string}
+ */
+export function getQuantityPrice(listing, quantity, at = new Date()) {
+  const tier = (listing.priceTiers || [])
+    .filter((t) => Number(quantity) >= t.minQuantity)
+    .pop();
+  return tier ? String(tier.price) : getListingPrice(listing, at);
+}
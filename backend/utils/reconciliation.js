@@ -0,0 +1,77 @@
+// backend/utils/reconciliation.js
+// Decisions for the reconciliation job (services/reconciliationService.js), which picks up
+// purchases left PROCESSING or PAID when the request handling them died.
+//
+// Configured through environment variables:
+//   RECONCILE_AFTER_SECONDS  - how long a purchase may stay PROCESSING/PAID before it is
+//                              considered stuck (default 600)
+//   RECONCILE_MAX_ATTEMPTS   - failed payment checks before the parts are released (default 3)
+
+import { RESERVATION_STATUS, CART_STATUS } from "./statusConstants.js";
+
+export const RECONCILE_ACTIONS = {
+  VERIFY: "VERIFY",     // payment submitted but not confirmed: check it on-chain
+  COMPLETE: "COMPLETE", // payment confirmed: finish recording the purchase
+  RELEASE: "RELEASE",   // no payment was ever submitted: release the parts
+  REVIEW: "REVIEW",     // paid, but nothing to finish the purchase with: needs an admin
+};
+
+const RECONCILE_DEFAULTS = {
+  RECONCILE_AFTER_SECONDS: 600,
+  RECONCILE_MAX_ATTEMPTS: 3,
+};
+
+function readPositiveInt(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return RECONCILE_DEFAULTS[name];
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) throw new Error(`Invalid ${name}`);
+  return value;
+}
+
+/**
+ * @returns {{afterSeconds: number, maxAttempts: number}}
+ */
+export function getReconcileConfig() {
+  return {
+    afterSeconds: readPositiveInt("RECONCILE_AFTER_SECONDS"),
+    maxAttempts: readPositiveInt("RECONCILE_MAX_ATTEMPTS"),
+  };
+}
+
+/**
+ * Check the RECONCILE_* settings, so a bad value stops the server at startup instead of
+ * failing every run of the job.
+ * @throws If a setting is not a positive integer
+ */
+export function validateReconcileConfig() {
+  getReconcileConfig();
+}
+
+/**
+ * What to do with a stuck reservation or cart.
+ *
+ * @param {Object} doc - Reservation or cart document (status PROCESSING or PAID)
+ * @param {"reservation"|"cart"} kind
+ * @returns {string} One of RECONCILE_ACTIONS
+ */
+export function getReconcileAction(doc, kind) {
+  const verified = kind === "cart" ? doc.paidLegs?.length > 0 : doc.payment?.verifiedLegs?.length > 0;
+  const submitted = kind === "cart" ? doc.payment?.chainTxs?.length > 0 : !!doc.payment?.chainTx;
+
+  const paid = kind === "cart" ? CART_STATUS.PAID : RESERVATION_STATUS.PAID;
+  if (doc.status === paid) {
+    return verified && submitted ? RECONCILE_ACTIONS.COMPLETE : RECONCILE_ACTIONS.REVIEW;
+  }
+  return submitted ? RECONCILE_ACTIONS.VERIFY : RECONCILE_ACTIONS.RELEASE;
+}
+
+/**
+ * Whether a payment that failed verification `attempts` times should be given up on.
+ * @param {number} attempts - Failed checks so far, including this one
+ * @param {Object} [config] - Defaults to getReconcileConfig()
+ * @returns {boolean}
+ */
+export function shouldReleaseAfterFailure(attempts, config = getReconcileConfig()) {
+  return attempts >= config.maxAttempts;
+}
@@ -0,0 +1,62 @@
+// backend/utils/refunds.js
+// Refunds of payments that were verified on-chain but could not be turned into a purchase
+// (services/refundService.js), e.g. because the listing was canceled in between.
+//
+// Only the seller leg is refunded by the seller. The creator royalty and store fee legs went
+// to other wallets the seller cannot pay from: they are recorded on the refund as owed legs
+// (getOwedLegs), shown to the buyer and listed for an admin, who settles them.
+// A SOL refund must carry the refund's memo, like a SOL payment carries its reservation's.
+
+import { addCryptoAmounts } from "./paymentLegs.js";
+
+const REFUNDED_ROLES = new Set(["seller"]);
+
+function toPaidLegs(paymentLegs, verifiedLegs) {
+  return paymentLegs.map((leg, i) => ({
+    role: leg.role,
+    wallet: leg.wallet,
+    amount: String(leg.amount),
+    chainTx: verifiedLegs?.[i]?.chainTx ?? null,
+  }));
+}
+
+/**
+ * Payment legs the seller has to pay back, with the chain transaction that paid each.
+ * @param {Array<{role: string, wallet: string, amount: string}>} paymentLegs - Reservation payment legs
+ * @param {Array<{chainTx: string}>} verifiedLegs - Verification result per leg (same order)
+ * @returns {Array<{role: string, wallet: string, amount: string, chainTx: string|null}>}
+ */
+export function getRefundLegs(paymentLegs, verifiedLegs) {
+  return toPaidLegs(paymentLegs, verifiedLegs).filter((leg) => REFUNDED_ROLES.has(leg.role));
+}
+
+/**
+ * Payment legs still owed to the buyer that the seller does not refund (creator royalty,
+ * store fee), with the chain transaction that paid each.
+ * @param {Array<{role: string, wallet: string, amount: string}>} paymentLegs - Reservation payment legs
+ * @param {Array<{chainTx: string}>} verifiedLegs - Verification result per leg (same order)
+ * @returns {Array<{role: string, wallet: string, amount: string, chainTx: string|null}>}
+ */
+export function getOwedLegs(paymentLegs, verifiedLegs) {
+  return toPaidLegs(paymentLegs, verifiedLegs).filter((leg) => !REFUNDED_ROLES.has(leg.role));
+}
+
+/**
+ * Amount the seller must send back to the buyer's wallet.
+ * @param {Array<{amount: string}>} refundLegs - From getRefundLegs()
+ * @param {string} currency
+ * @returns {string}
+ */
+export function getRefundAmount(refundLegs, currency) {
+  if (refundLegs.length === 0) throw new Error("Nothing for the seller to refund");
+  return addCryptoAmounts(refundLegs.map((leg) => leg.amount), currency);
+}
+
+/**
+ * Memo a SOL refund must carry.
+ * @param {string} refundId
+ * @returns {string}
+ */
+export function getRefundMemo(refundId) {
+  return `nomin-refund:${refundId}`;
+}
@@ -0,0 +1,92 @@
+// backend/utils/reservationLimits.js
+// Limits on how much of the store one buyer can hold in unpaid reservations.
+//
+// Configured through environment variables (0 disables a limit):
+//   RESERVATION_MAX_PENDING_PER_ADDRESS - PENDING reservations per reserver address (default 10)
+//   RESERVATION_MAX_PENDING_PER_IP      - PENDING reservations per client IP (default 20)
+//   RESERVATION_MAX_PARTS_PER_ADDRESS   - parts held in PENDING reservations per address (default 1000)
+//   RESERVATION_MAX_PARTS_PER_IP        - parts held in PENDING reservations per IP (default 2000)
+//   RESERVATION_COOLDOWN_SECONDS        - cooldown per reservation that expired unpaid (default 60)
+//   RESERVATION_COOLDOWN_WINDOW_MINUTES - how far back expired reservations count (default 60)
+// Each unpaid expiry inside the window adds RESERVATION_COOLDOWN_SECONDS, counted from the
+// latest one, so a buyer who lets one reservation lapse waits a minute and a griefer
+// who keeps letting them lapse waits longer each time.
+
+const LIMIT_DEFAULTS = {
+  RESERVATION_MAX_PENDING_PER_ADDRESS: 10,
+  RESERVATION_MAX_PENDING_PER_IP: 20,
+  RESERVATION_MAX_PARTS_PER_ADDRESS: 1000,
+  RESERVATION_MAX_PARTS_PER_IP: 2000,
+  RESERVATION_COOLDOWN_SECONDS: 60,
+  RESERVATION_COOLDOWN_WINDOW_MINUTES: 60,
+};
+
+function readLimit(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return LIMIT_DEFAULTS[name];
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`Invalid ${name}`);
+  return value;
+}
+
+/**
+ * Current limits (read on every call so they can change without code edits).
+ * @returns {{
+ *   maxPendingPerAddress: number, maxPendingPerIp: number,
+ *   maxPartsPerAddress: number, maxPartsPerIp: number,
+ *   cooldownSeconds: number, cooldownWindowMinutes: number
+ * }}
+ */
+export function getReservationLimitConfig() {
+  return {
+    maxPendingPerAddress: readLimit("RESERVATION_MAX_PENDING_PER_ADDRESS"),
+    maxPendingPerIp: readLimit("RESERVATION_MAX_PENDING_PER_IP"),
+    maxPartsPerAddress: readLimit("RESERVATION_MAX_PARTS_PER_ADDRESS"),
+    maxPartsPerIp: readLimit("RESERVATION_MAX_PARTS_PER_IP"),
+    cooldownSeconds: readLimit("RESERVATION_COOLDOWN_SECONDS"),
+    cooldownWindowMinutes: readLimit("RESERVATION_COOLDOWN_WINDOW_MINUTES"),
+  };
+}
+
+/**
+ * Check a new request against what the address and IP already hold.
+ *
+ * @param {{address: {reservations: number, parts: number}, ip?: {reservations: number, parts: number}|null}} usage
+ *   PENDING reservations and reserved parts currently held
+ * @param {{reservations: number, parts: number}} request - What the new request would add
+ * @param {Object} [config] - Defaults to getReservationLimitConfig()
+ * @returns {{scope: "address"|"ip", limit: "reservations"|"parts", max: number}|null} First limit exceeded
+ */
+export function findLimitViolation(usage, request, config = getReservationLimitConfig()) {
+  const checks = [
+    ["address", "reservations", config.maxPendingPerAddress],
+    ["address", "parts", config.maxPartsPerAddress],
+    ["ip", "reservations", config.maxPendingPerIp],
+    ["ip", "parts", config.maxPartsPerIp],
+  ];
+  for (const [scope, limit, max] of checks) {
+    if (!max || !usage[scope]) continue;
+    if (Number(usage[scope][limit] || 0) + Number(request[limit] || 0) > max) {
+      return { scope, limit, max };
+    }
+  }
+  return null;
+}
+
+/**
+ * When the cooldown for reservations that expired unpaid ends.
+ *
+ * @param {Date[]} expiredAt - Expiry times of the address's unpaid reservations
+ * @param {Date} [now]
+ * @param {Object} [config] - Defaults to getReservationLimitConfig()
+ * @returns {Date|null} null when the address may reserve now
+ */
+export function getCooldownEnd(expiredAt, now = new Date(), config = getReservationLimitConfig()) {
+  if (!config.cooldownSeconds) return null;
+  const windowStart = now.getTime() - config.cooldownWindowMinutes * 60 * 1000;
+  const recent = expiredAt.map((d) => new Date(d).getTime()).filter((t) => t > windowStart);
+  if (recent.length === 0) return null;
+
+  const end = Math.max(...recent) + recent.length * config.cooldownSeconds * 1000;
+  return end > now.getTime() ? new Date(end) : null;
+}
@@ -0,0 +1,74 @@
+// backend/utils/reservationTtl.js
+// How long a store reservation holds its parts before cleanup releases them.
+//
+// Configured through environment variables (seconds):
+//   RESERVATION_TTL_SECONDS          - default lifetime of a reservation (default 60)
+//   RESERVATION_TTL_SECONDS_<CUR>    - per-currency lifetime, e.g. RESERVATION_TTL_SECONDS_SOL=120
+//   RESERVATION_EXTEND_SECONDS       - added by POST /api/reservations/:id/extend (default 60)
+//   RESERVATION_QUOTE_TTL_SECONDS    - how long the crypto price frozen at reservation time
+//                                      stays valid; no reservation outlives it (default 300)
+// Cart reservations share their cart's expiry and auction wins have their own payment deadline.
+
+const TTL_DEFAULTS = {
+  RESERVATION_TTL_SECONDS: 60,
+  RESERVATION_EXTEND_SECONDS: 60,
+  RESERVATION_QUOTE_TTL_SECONDS: 300,
+};
+
+function readSeconds(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) throw new Error(`Invalid ${name}`);
+  return value;
+}
+
+/**
+ * Current TTL settings for a currency (read on every call so they can change without code edits).
+ * @param {string} currency - "ETH", "SOL", ...
+ * @returns {{ttlSeconds: number, extendSeconds: number, quoteTtlSeconds: number}}
+ */
+export function getReservationTtlConfig(currency) {
+  const ttlDefault = readSeconds("RESERVATION_TTL_SECONDS", TTL_DEFAULTS.RESERVATION_TTL_SECONDS);
+  const quoteTtlSeconds = readSeconds("RESERVATION_QUOTE_TTL_SECONDS", TTL_DEFAULTS.RESERVATION_QUOTE_TTL_SECONDS);
+  const ttlSeconds = readSeconds(`RESERVATION_TTL_SECONDS_${String(currency || "").toUpperCase()}`, ttlDefault);
+  return {
+    ttlSeconds: Math.min(ttlSeconds, quoteTtlSeconds),
+    extendSeconds: readSeconds("RESERVATION_EXTEND_SECONDS", TTL_DEFAULTS.RESERVATION_EXTEND_SECONDS),
+    quoteTtlSeconds,
+  };
+}
+
+/**
+ * Expiry times for a new reservation.
+ * @param {string} currency
+ * @param {Date} [now]
+ * @param {Object} [config] - Defaults to getReservationTtlConfig(currency)
+ * @returns {{expiresAt: Date, quoteExpiresAt: Date}}
+ */
+export function getReservationExpiry(currency, now = new Date(), config = getReservationTtlConfig(currency)) {
+  return {
+    expiresAt: new Date(now.getTime() + config.ttlSeconds * 1000),
+    quoteExpiresAt: new Date(now.getTime() + config.quoteTtlSeconds * 1000),
+  };
+}
+
+/**
+ * New expiry for a one-time extension, capped at the quote's expiry.
+ * @param {{expiresAt: Date, quoteExpiresAt?: Date, extendedAt?: Date}} reservation
+ * @param {Date} [now]
+ * @param {Object} [config] - Defaults to getReservationTtlConfig(reservation.currency)
+ * @returns {Date}
+ */
+export function getExtendedExpiry(reservation, now = new Date(), config = getReservationTtlConfig(reservation.currency)) {
+  if (!reservation.quoteExpiresAt) throw new Error("This reservation cannot be extended");
+  if (reservation.extendedAt) throw new Error("Reservation has already been extended");
+
+  const expiresAt = new Date(reservation.expiresAt);
+  if (expiresAt <= now) throw new Error("Reservation has expired");
+
+  const quoteExpiresAt = new Date(reservation.quoteExpiresAt);
+  const extended = Math.min(expiresAt.getTime() + config.extendSeconds * 1000, quoteExpiresAt.getTime());
+  if (extended <= expiresAt.getTime()) throw new Error("The price quote for this reservation cannot be held any longer");
+  return new Date(extended);
+}
@@ -68,12 +68,56 @@ export const ARWEAVE_QUEUE_STATUS = {
  * Reservation statuses
  */
 export const RESERVATION_STATUS = {
-  PENDING: "PENDING",       // Just created, can expire after 60s
+  PENDING: "PENDING",       // Just created, can expire after its TTL (see reservationTtl.js)
   PROCESSING: "PROCESSING", // Transaction creation started, non-deletable
   PAID: "PAID",             // Chain transaction verified, payment confirmed, non-deletable
   COMPLETED: "COMPLETED",   // All done (parts transferred, partials created, Arweave confirmed), deletable
 };
 
+/**
+ * Offer statuses
+ */
+export const OFFER_STATUS = {
+  PENDING: "PENDING",       // Placed by buyer, waiting for seller
+  COUNTERED: "COUNTERED",   // Seller proposed a different price, waiting for buyer
+  ACCEPTED: "ACCEPTED",     // Agreed price, buyer can reserve and pay
+  REJECTED: "REJECTED",     // Seller declined
+  CANCELED: "CANCELED",     // Buyer withdrew
+  EXPIRED: "EXPIRED",       // expiresAt passed before completion
+  COMPLETED: "COMPLETED",   // Paid and parts transferred
+};
+
+/**
+ * Auction statuses (stored on listing.auction.status)
+ */
+export const AUCTION_STATUS = {
+  OPEN: "OPEN",                         // Accepting bids until endTime
+  AWAITING_PAYMENT: "AWAITING_PAYMENT", // Settled, winner has a payment reservation
+  COMPLETED: "COMPLETED",               // Winner paid, parts transferred
+  UNSOLD: "UNSOLD",                     // No bid met the reserve, or the winner did not pay
+};
+
+/**
+ * Cart statuses (multi-listing checkout)
+ */
+export const CART_STATUS = {
+  PENDING: "PENDING",       // Listings reserved, waiting for payment
+  PROCESSING: "PROCESSING", // Checkout started, verifying payments
+  PAID: "PAID",             // Every payment leg verified, purchases being recorded
+  COMPLETED: "COMPLETED",   // All NFT_BUY records and the CART_CHECKOUT written
+  FAILED: "FAILED",         // A reservation or payment leg failed, all reservations released
+  EXPIRED: "EXPIRED",       // Not paid in time, all reservations released
+};
+
+/**
+ * Refund statuses (payments verified on-chain whose purchase could not be recorded)
+ */
+export const REFUND_STATUS = {
+  PAYMENT_ORPHANED: "PAYMENT_ORPHANED", // Buyer paid, purchase failed; waiting for the seller to refund
+  REFUNDING: "REFUNDING",               // Seller submitted a refund, verifying it
+  REFUNDED: "REFUNDED",                 // Refund verified and REFUND transaction written
+};
+
 /**
  * Helper function to check if a status is valid for a given type
  */
@@ -86,6 +130,10 @@ export function isValidStatus(status, statusType) {
     NFT: NFT_STATUS,
     ARWEAVE_QUEUE: ARWEAVE_QUEUE_STATUS,
     RESERVATION: RESERVATION_STATUS,
+    OFFER: OFFER_STATUS,
+    AUCTION: AUCTION_STATUS,
+    CART: CART_STATUS,
+    REFUND: REFUND_STATUS,
   };
   
   const validStatuses = statusMap[statusType];
@@ -108,6 +156,10 @@ export function getValidStatuses(statusType) {
     NFT: NFT_STATUS,
     ARWEAVE_QUEUE: ARWEAVE_QUEUE_STATUS,
     RESERVATION: RESERVATION_STATUS,
+    OFFER: OFFER_STATUS,
+    AUCTION: AUCTION_STATUS,
+    CART: CART_STATUS,
+    REFUND: REFUND_STATUS,
   };
   
   return statusMap[statusType] || {};
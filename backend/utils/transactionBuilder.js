@@ -5,7 +5,8 @@
  * preventing hash mismatches when fields are missing.
  * 
  * IMPORTANT: When adding new fields to transactions, update:
- * 1. This function (add field to base structure)
+ * 1. getOptionalTransactionFields() and the override normalization below (new fields are
+ *    never added to the base structure: a null default would change every existing hash)
  * 2. hashableTransaction() in hash.js (add normalization logic)
  * 3. Run the test in transactionStructure.test.js to verify consistency
  */
@@ -63,6 +64,37 @@ export function getRequiredTransactionFields() {
   ];
 }
 
+/**
+ * Get the field names added to transactions after the first ones were published.
+ * They are only present (and hashed) when set, so existing transaction ids stay valid.
+ */
+export function getOptionalTransactionFields() {
+  return [
+    // Entity references
+    'offerId',
+    // Listing fields
+    'expiresAt',
+    'auction',
+    'priceSchedule',
+    'partPrices',
+    'priceTiers',
+    'allowedBuyers',
+    // Listing update fields (values before a LISTING_UPDATE)
+    'previousPrice',
+    'previousQuantity',
+    'previousSellerWallets',
+    // Purchase payment split (seller, creator royalty, store fee)
+    'paymentLegs',
+    'fee',
+    'priceQuote',
+    // YRT peg version in force (listings, purchases, RATE_CHANGE)
+    'pegVersion',
+    // Cart checkout fields
+    'cartId',
+    'transactionIds',
+  ];
+}
+
 /**
  * Create a base transaction document with all fields initialized to null/defaults.
  * This ensures consistency across all transaction types.
@@ -228,6 +260,9 @@ export function createTransactionDoc({
   if (normalizedOverrides.uploadId !== undefined) {
     normalizedOverrides.uploadId = normalizedOverrides.uploadId !== null ? String(normalizedOverrides.uploadId) : null;
   }
+  if (normalizedOverrides.offerId !== undefined) {
+    normalizedOverrides.offerId = normalizedOverrides.offerId !== null ? String(normalizedOverrides.offerId) : null;
+  }
   if (normalizedOverrides.nftId !== undefined) {
     normalizedOverrides.nftId = normalizedOverrides.nftId !== null ? String(normalizedOverrides.nftId) : null;
   }
@@ -237,19 +272,121 @@ export function createTransactionDoc({
   if (normalizedOverrides.price !== undefined) {
     normalizedOverrides.price = normalizedOverrides.price !== null ? String(normalizedOverrides.price) : null;
   }
+  if (normalizedOverrides.previousPrice !== undefined) {
+    normalizedOverrides.previousPrice = normalizedOverrides.previousPrice !== null ? String(normalizedOverrides.previousPrice) : null;
+  }
+  if (normalizedOverrides.pegVersion !== undefined) {
+    normalizedOverrides.pegVersion = normalizedOverrides.pegVersion !== null ? Number(normalizedOverrides.pegVersion) : null;
+  }
+  if (normalizedOverrides.previousQuantity !== undefined) {
+    normalizedOverrides.previousQuantity = normalizedOverrides.previousQuantity !== null ? Number(normalizedOverrides.previousQuantity) : null;
+  }
   
-  // Normalize sellerWallets object
-  if (normalizedOverrides.sellerWallets !== undefined) {
-    if (normalizedOverrides.sellerWallets && typeof normalizedOverrides.sellerWallets === 'object' && Object.keys(normalizedOverrides.sellerWallets).length > 0) {
-      normalizedOverrides.sellerWallets = Object.keys(normalizedOverrides.sellerWallets).sort().reduce((acc, key) => {
-        acc[key] = String(normalizedOverrides.sellerWallets[key]);
-        return acc;
-      }, {});
-    } else {
-      normalizedOverrides.sellerWallets = null;
+  // Normalize date fields
+  if (normalizedOverrides.expiresAt !== undefined) {
+    normalizedOverrides.expiresAt = normalizedOverrides.expiresAt !== null && normalizedOverrides.expiresAt !== ""
+      ? new Date(normalizedOverrides.expiresAt)
+      : null;
+  }
+  
+  // Normalize auction config and price schedule objects (sorted keys, string values)
+  for (const field of ['auction', 'priceSchedule']) {
+    if (normalizedOverrides[field] !== undefined) {
+      const obj = normalizedOverrides[field];
+      if (obj && typeof obj === 'object' && Object.keys(obj).length > 0) {
+        normalizedOverrides[field] = Object.keys(obj).sort().reduce((acc, key) => {
+          const value = obj[key];
+          acc[key] = value instanceof Date ? value.toISOString() : String(value);
+          return acc;
+        }, {});
+      } else {
+        normalizedOverrides[field] = null;
+      }
+    }
+  }
+  
+  if (normalizedOverrides.fee !== undefined) {
+    normalizedOverrides.fee = normalizedOverrides.fee !== null ? String(normalizedOverrides.fee) : null;
+  }
+  
+  // Normalize premium part prices (part_no -> price, sorted keys, string values)
+  if (normalizedOverrides.partPrices !== undefined) {
+    const prices = normalizedOverrides.partPrices;
+    normalizedOverrides.partPrices = prices && typeof prices === 'object' && Object.keys(prices).length > 0
+      ? Object.keys(prices).sort().reduce((acc, key) => {
+          acc[key] = String(prices[key]);
+          return acc;
+        }, {})
+      : null;
+  }
+  
+  // Normalize volume price tiers (ordered by quantity, string values)
+  if (normalizedOverrides.priceTiers !== undefined) {
+    const tiers = normalizedOverrides.priceTiers;
+    normalizedOverrides.priceTiers = Array.isArray(tiers) && tiers.length > 0
+      ? tiers.map((tier) => ({ minQuantity: String(tier.minQuantity), price: String(tier.price) }))
+      : null;
+  }
+  
+  // Normalize private listing allowlist (lowercase addresses, sorted)
+  if (normalizedOverrides.allowedBuyers !== undefined) {
+    const buyers = normalizedOverrides.allowedBuyers;
+    normalizedOverrides.allowedBuyers = Array.isArray(buyers) && buyers.length > 0
+      ? buyers.map((b) => String(b).toLowerCase()).sort()
+      : null;
+  }
+  
+  if (normalizedOverrides.cartId !== undefined) {
+    normalizedOverrides.cartId = normalizedOverrides.cartId !== null ? String(normalizedOverrides.cartId) : null;
+  }
+  
+  if (normalizedOverrides.transactionIds !== undefined) {
+    const ids = normalizedOverrides.transactionIds;
+    normalizedOverrides.transactionIds = Array.isArray(ids) && ids.length > 0 ? ids.map(String) : null;
+  }
+  
+  // Normalize payment legs (array of objects with sorted keys, string values)
+  if (normalizedOverrides.paymentLegs !== undefined) {
+    const legs = normalizedOverrides.paymentLegs;
+    normalizedOverrides.paymentLegs = Array.isArray(legs) && legs.length > 0
+      ? legs.map((leg) => Object.keys(leg).sort().reduce((acc, key) => {
+          acc[key] = leg[key] !== null && leg[key] !== undefined ? String(leg[key]) : null;
+          return acc;
+        }, {}))
+      : null;
+  }
+  
+  // Normalize the price quote (sorted keys, string values, `sources` stays a list)
+  if (normalizedOverrides.priceQuote !== undefined) {
+    const quote = normalizedOverrides.priceQuote;
+    normalizedOverrides.priceQuote = quote && typeof quote === 'object' && Object.keys(quote).length > 0
+      ? Object.keys(quote).sort().reduce((acc, key) => {
+          acc[key] = Array.isArray(quote[key]) ? quote[key].map(String) : String(quote[key]);
+          return acc;
+        }, {})
+      : null;
+  }
+  
+  // Normalize sellerWallets objects
+  for (const field of ['sellerWallets', 'previousSellerWallets']) {
+    if (normalizedOverrides[field] !== undefined) {
+      const wallets = normalizedOverrides[field];
+      if (wallets && typeof wallets === 'object' && Object.keys(wallets).length > 0) {
+        normalizedOverrides[field] = Object.keys(wallets).sort().reduce((acc, key) => {
+          acc[key] = String(wallets[key]);
+          return acc;
+        }, {});
+      } else {
+        normalizedOverrides[field] = null;
+      }
     }
   }
 
-  return { ...base, ...normalizedOverrides };
+  // Fields added since the first transactions are left out unless set (see hashableTransaction)
+  const doc = { ...base, ...normalizedOverrides };
+  for (const field of getOptionalTransactionFields()) {
+    if (doc[field] === null || doc[field] === undefined) delete doc[field];
+  }
+  return doc;
 }
 
@@ -8,10 +8,11 @@
  * IMPORTANT: Do not introduce:
  * - Generic TRANSFER transactions
  * - ADMIN_ADJUST or similar admin-only transactions
+ *   (RATE_CHANGE, signed by the superadmin, only publishes a new YRT peg and moves nothing)
  */
 
 /**
- * @typedef {"MINT" | "LISTING_CREATE" | "LISTING_CANCEL" | "NFT_BUY" | "GIFT_CREATE" | "GIFT_CLAIM" | "GIFT_REFUSE" | "GIFT_CANCEL" | "UPLOAD"} TransactionType
+ * @typedef {"MINT" | "LISTING_CREATE" | "LISTING_CANCEL" | "LISTING_EXPIRE" | "LISTING_UPDATE" | "NFT_BUY" | "CART_CHECKOUT" | "GIFT_CREATE" | "GIFT_CLAIM" | "GIFT_REFUSE" | "GIFT_CANCEL" | "UPLOAD" | "OFFER_CREATE" | "OFFER_ACCEPT" | "OFFER_REJECT" | "OFFER_COUNTER" | "OFFER_CANCEL" | "AUCTION_BID" | "AUCTION_SETTLE" | "REFUND" | "RATE_CHANGE"} TransactionType
  */
 
 /**
@@ -21,12 +22,24 @@ export const TX_TYPES = {
   MINT: "MINT",
   LISTING_CREATE: "LISTING_CREATE",
   LISTING_CANCEL: "LISTING_CANCEL",
+  LISTING_EXPIRE: "LISTING_EXPIRE",
+  LISTING_UPDATE: "LISTING_UPDATE",
   NFT_BUY: "NFT_BUY",
+  CART_CHECKOUT: "CART_CHECKOUT",
   GIFT_CREATE: "GIFT_CREATE",
   GIFT_CLAIM: "GIFT_CLAIM",
   GIFT_REFUSE: "GIFT_REFUSE",
   GIFT_CANCEL: "GIFT_CANCEL",
   UPLOAD: "UPLOAD",
+  OFFER_CREATE: "OFFER_CREATE",
+  OFFER_ACCEPT: "OFFER_ACCEPT",
+  OFFER_REJECT: "OFFER_REJECT",
+  OFFER_COUNTER: "OFFER_COUNTER",
+  OFFER_CANCEL: "OFFER_CANCEL",
+  AUCTION_BID: "AUCTION_BID",
+  AUCTION_SETTLE: "AUCTION_SETTLE",
+  REFUND: "REFUND",
+  RATE_CHANGE: "RATE_CHANGE",
 };
 
 /**
@@ -46,7 +59,7 @@ export function isValidTransactionType(type) {
 /**
  * Get the expected signer role for a transaction type
  * @param {TransactionType} type
- * @returns {"seller" | "buyer" | "giver" | "recipient" | "minter"}
+ * @returns {"seller" | "buyer" | "giver" | "recipient" | "minter" | "counterparty" | "superadmin"}
  */
 export function getExpectedSignerRole(type) {
   switch (type) {
@@ -54,8 +67,10 @@ export function getExpectedSignerRole(type) {
       return "minter";
     case TX_TYPES.LISTING_CREATE:
     case TX_TYPES.LISTING_CANCEL:
+    case TX_TYPES.LISTING_UPDATE:
       return "seller";
     case TX_TYPES.NFT_BUY:
+    case TX_TYPES.CART_CHECKOUT:
       return "buyer";
     case TX_TYPES.GIFT_CREATE:
     case TX_TYPES.GIFT_CANCEL:
@@ -63,6 +78,27 @@ export function getExpectedSignerRole(type) {
     case TX_TYPES.GIFT_CLAIM:
     case TX_TYPES.GIFT_REFUSE:
       return "recipient";
+    case TX_TYPES.OFFER_CREATE:
+    case TX_TYPES.OFFER_CANCEL:
+      return "buyer";
+    case TX_TYPES.OFFER_REJECT:
+    case TX_TYPES.OFFER_COUNTER:
+      return "seller";
+    case TX_TYPES.AUCTION_BID:
+      return "buyer";
+    case TX_TYPES.REFUND:
+      // Seller returns a payment whose purchase could not be recorded
+      return "seller";
+    case TX_TYPES.AUCTION_SETTLE:
+    case TX_TYPES.LISTING_EXPIRE:
+      // Executed by the server on the seller's signed listing terms
+      return "seller";
+    case TX_TYPES.OFFER_ACCEPT:
+      // Seller accepts an offer, or buyer accepts the seller's counter
+      return "counterparty";
+    case TX_TYPES.RATE_CHANGE:
+      // New YRT peg (services/yrtPegService.js)
+      return "superadmin";
     default:
       throw new Error(`Unknown transaction type: ${type}`);
   }
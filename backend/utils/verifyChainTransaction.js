@@ -5,32 +5,60 @@
  * This prevents users from creating transactions that pay less than expected
  * and still having them accepted by the backend.
  * 
- * Supports:
+ * Supports (per currency `verifier` in utils/currencies.js):
  * - ETH (Ethereum) transactions
+ * - ERC-20 token transfers (USDC, USDT), read from the receipt's Transfer event logs
  * - SOL (Solana) transactions
+ * - SPL token transfers (USDC_SOL), read from the transaction's token balance changes
+ *
+ * The sender must be the buyer's wallet (for SOL: one of the transaction's signers), and a
+ * SOL payment for a reservation must carry its memo (utils/paymentMatching.js) so the same
+ * transaction cannot be cited for another reservation.
  * 
- * Includes tolerance for rounding errors (0.01% or minimum 0.000001 units).
+ * Includes tolerance for rounding errors (0.01% or the currency's minTolerance).
+ *
+ * Chains are reached through the network profile (utils/network.js): an ETH payment must have
+ * the network's number of confirmations, a SOL payment reach its commitment. An Ethereum
+ * payment that is on-chain but short of its confirmations is not waited for: verification
+ * fails with code PAYMENT_PENDING (isPaymentPending) and the caller leaves the purchase to the
+ * payment watcher or the reconciliation job.
+ * setChainVerifier() replaces the verifier of a kind of currency, e.g. with a fake one in tests.
  */
 
 import { ethers } from "ethers";
 import { Connection } from "@solana/web3.js";
 import { normalizeAddress, addressesMatch } from "./addressUtils.js";
+import { readSolMemos, sameWallet, readErc20Transfer } from "./paymentMatching.js";
+import { getCurrency } from "./currencies.js";
+import { getNetwork } from "./network.js";
 
 // Tolerance for rounding errors:
 // - 0.01% of the expected amount, OR
-// - Minimum 0.000001 units (to handle very small amounts)
+// - The currency's minTolerance (to handle very small amounts)
 // Whichever is larger
 const TOLERANCE_PERCENT = 0.0001; // 0.01%
-const MIN_TOLERANCE_ETH = "0.000001"; // 0.000001 ETH
-const MIN_TOLERANCE_SOL = "0.000001"; // 0.000001 SOL
 
-// Ethereum provider
-const ethProvider = new ethers.JsonRpcProvider(
-  process.env.ETH_RPC_URL || 'https://mainnet.infura.io/v3/e81c5a9ece954b7d9c39bbbf0a17afa7'
-);
+// A just-broadcast Ethereum transaction may take a few seconds to reach the RPC endpoint
+const ETH_RETRY_DELAY_MS = 3000;
+const ETH_PROPAGATION_RETRIES = 5; // up to 12 seconds to appear
 
-// Solana RPC endpoint
-const SOL_RPC_URL = process.env.SOLANA_RPC_URL || "https://api.mainnet-beta.solana.com";
+// Error code of a payment that is on-chain but not confirmed yet
+export const PAYMENT_PENDING = "PAYMENT_PENDING";
+
+/**
+ * Whether a verification error only means the payment is not confirmed yet.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isPaymentPending(err) {
+  return err?.code === PAYMENT_PENDING;
+}
+
+// Ethereum provider for the current network
+function createEthProvider() {
+  const { rpcUrl, chainId } = getNetwork().eth;
+  return new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+}
 
 /**
  * Calculate the tolerance amount for a given expected amount and currency
@@ -45,78 +73,65 @@ function calculateTolerance(expectedAmount, currency) {
   const percentTolerance = expected * TOLERANCE_PERCENT;
 
   // Get minimum tolerance for currency
-  const minTolerance = currency.toUpperCase() === "SOL" 
-    ? parseFloat(MIN_TOLERANCE_SOL)
-    : parseFloat(MIN_TOLERANCE_ETH);
+  const minTolerance = parseFloat(getCurrency(currency).minTolerance);
 
   // Use whichever is larger
   return Math.max(percentTolerance, minTolerance);
 }
 
 /**
- * Verify an Ethereum transaction amount
+ * Fetch a confirmed, successful Ethereum transaction with its receipt
+ * @throws If it is not found after the retries or was reverted; with code PAYMENT_PENDING
+ *   if it is not mined yet or short of the network's confirmations
  */
-async function verifyETHTransaction(chainTx, expectedAmount, expectedToAddress, expectedFromAddress = null) {
-  try {
-    // Retry logic for pending transactions
-    // Transactions may not be immediately available after broadcast
-    // They need time to propagate through the network and be included in a block
-    const MAX_RETRIES = 15; // Try up to 15 times (up to 60 seconds)
-    const RETRY_DELAY_MS = 4000; // Wait 4 seconds between retries
-    let tx = null;
-    let retries = 0;
-
-    // Try to fetch the transaction, retrying if not found or pending
-    while (retries < MAX_RETRIES) {
-      tx = await ethProvider.getTransaction(chainTx);
-      
-      if (!tx) {
-        // Transaction not found yet - it might still be propagating
-        if (retries < MAX_RETRIES - 1) {
-          retries++;
-          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
-          continue;
-        } else {
-          const totalWaitSeconds = (MAX_RETRIES * RETRY_DELAY_MS) / 1000;
-          throw new Error(
-            `Transaction ${chainTx} not found on Ethereum blockchain after ${MAX_RETRIES} attempts (${totalWaitSeconds}s). ` +
-            `The transaction may still be propagating through the network, may not exist, or the RPC endpoint may be slow. ` +
-            `Please wait a moment and try again. If the transaction was just broadcast, it may take 15-60 seconds to appear.`
-          );
-        }
-      }
-
-      // Transaction found - check if it's confirmed
-      if (tx.blockNumber) {
-        // Transaction is confirmed, break out of retry loop
-        break;
-      }
-
-      // Transaction exists but is still pending
-      if (retries < MAX_RETRIES - 1) {
-        retries++;
-        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
-        continue;
-      } else {
-        const totalWaitSeconds = (MAX_RETRIES * RETRY_DELAY_MS) / 1000;
-        throw new Error(
-          `Transaction ${chainTx} is still pending after ${MAX_RETRIES} attempts (${totalWaitSeconds}s). ` +
-          `Please wait for blockchain confirmation. This usually takes 15-30 seconds on Ethereum mainnet, ` +
-          `but can take longer during network congestion.`
-        );
-      }
+async function fetchEthTransaction(chainTx) {
+  // Transactions may not be immediately available after broadcast: they need time to
+  // propagate to the RPC endpoint
+  const ethProvider = createEthProvider();
+  const { confirmations } = getNetwork().eth;
+  let tx = null;
+  for (let attempt = 1; attempt <= ETH_PROPAGATION_RETRIES; attempt++) {
+    tx = await ethProvider.getTransaction(chainTx);
+    if (tx) break;
+    if (attempt < ETH_PROPAGATION_RETRIES) {
+      await new Promise(resolve => setTimeout(resolve, ETH_RETRY_DELAY_MS));
     }
+  }
+  if (!tx) {
+    const totalWaitSeconds = ((ETH_PROPAGATION_RETRIES - 1) * ETH_RETRY_DELAY_MS) / 1000;
+    throw new Error(
+      `Transaction ${chainTx} not found on Ethereum blockchain after ${ETH_PROPAGATION_RETRIES} attempts (${totalWaitSeconds}s). ` +
+      `The transaction may not exist, or the RPC endpoint may be slow.`
+    );
+  }
 
-    // At this point, tx should be confirmed
-    if (!tx || !tx.blockNumber) {
-      throw new Error(`Transaction ${chainTx} could not be confirmed`);
-    }
+  // Mined and buried under the network's confirmations?
+  // (ethers counts the block including it as the first confirmation)
+  const confirmed = tx.blockNumber ? await tx.confirmations() : 0;
+  if (confirmed < confirmations) {
+    throw Object.assign(
+      new Error(
+        `Transaction ${chainTx} is not confirmed yet (${confirmed} of ${confirmations} confirmation(s)). ` +
+        `The payment will be checked again once it is.`
+      ),
+      { code: PAYMENT_PENDING }
+    );
+  }
 
-    // Get transaction receipt to confirm it was successful
-    const receipt = await ethProvider.getTransactionReceipt(chainTx);
-    if (!receipt || receipt.status !== 1) {
-      throw new Error(`Transaction ${chainTx} failed or was reverted`);
-    }
+  // Get transaction receipt to confirm it was successful
+  const receipt = await ethProvider.getTransactionReceipt(chainTx);
+  if (!receipt || receipt.status !== 1) {
+    throw new Error(`Transaction ${chainTx} failed or was reverted`);
+  }
+  return { tx, receipt };
+}
+
+/**
+ * Verify an Ethereum transaction amount
+ */
+async function verifyETHTransaction(chainTx, expectedAmount, expectedToAddress, expectedFromAddress = null) {
+  try {
+    const { tx } = await fetchEthTransaction(chainTx);
 
     // Verify the transaction was sent to the expected address
     const toAddress = normalizeAddress(tx.to);
@@ -164,93 +179,173 @@ async function verifyETHTransaction(chainTx, expectedAmount, expectedToAddress,
       currency: "ETH"
     };
   } catch (error) {
+    if (isPaymentPending(error)) throw error;
     throw new Error(`Failed to verify ETH transaction ${chainTx}: ${error.message}`);
   }
 }
 
 /**
- * Verify a Solana transaction amount
+ * Verify an ERC-20 token transfer amount.
+ * The transaction calls the token contract, so the payment is read from the Transfer
+ * events the contract emitted: every Transfer to the recipient (from the buyer, when given)
+ * counts towards the amount.
  */
-async function verifySOLTransaction(chainTx, expectedAmount, expectedToAddress, expectedFromAddress = null) {
+async function verifyERC20Transaction(chainTx, expectedAmount, currency, expectedToAddress, expectedFromAddress = null) {
+  const { code, decimals, token } = getCurrency(currency);
   try {
-    const connection = new Connection(SOL_RPC_URL, {
-      commitment: "confirmed"
-    });
+    const { receipt } = await fetchEthTransaction(chainTx);
 
-    // Retry logic: Solana transactions may not be immediately available after broadcast
-    const MAX_RETRIES = 12; // Try up to 12 times (up to 60 seconds)
-    const RETRY_DELAY_MS = 5000; // Wait 5 seconds between retries
-    let tx = null;
-    let retries = 0;
-
-    // Try to fetch the transaction, retrying if not found
-    while (retries < MAX_RETRIES) {
-      tx = await connection.getTransaction(chainTx, {
-        commitment: "confirmed",
-        maxSupportedTransactionVersion: 0
-      });
-
-      if (!tx) {
-        // Transaction not found yet - it might still be propagating
-        if (retries < MAX_RETRIES - 1) {
-          retries++;
-          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
-          continue;
-        } else {
-          const totalWaitSeconds = (MAX_RETRIES * RETRY_DELAY_MS) / 1000;
-          throw new Error(
-            `Transaction ${chainTx} not found on Solana blockchain after ${MAX_RETRIES} attempts (${totalWaitSeconds}s). ` +
-            `The transaction may still be propagating through the network or may not exist. ` +
-            `Please wait a moment and try again. Solana transactions are usually confirmed within 30-60 seconds.`
-          );
-        }
-      }
+    const transfers = receipt.logs
+      .map(readErc20Transfer)
+      .filter((transfer) => transfer && transfer.token === token.address);
+    if (transfers.length === 0) {
+      throw new Error(`Transaction does not transfer ${code} (token ${token.address})`);
+    }
+
+    const toRecipient = transfers.filter((t) => sameWallet(t.to, expectedToAddress, code));
+    if (toRecipient.length === 0) {
+      throw new Error(`Transaction recipient mismatch: no ${code} transfer to ${expectedToAddress}`);
+    }
 
-      // Transaction found - break out of retry loop
-      break;
+    // Optionally verify the tokens came from the expected buyer
+    const paid = expectedFromAddress
+      ? toRecipient.filter((t) => sameWallet(t.from, expectedFromAddress, code))
+      : toRecipient;
+    if (paid.length === 0) {
+      throw new Error(`Transaction sender mismatch: no ${code} transfer from ${expectedFromAddress}`);
     }
 
+    const actualUnits = paid.reduce((sum, t) => sum + BigInt(t.amount), 0n);
+    const actualAmount = parseFloat(ethers.formatUnits(actualUnits, decimals));
+    const expected = parseFloat(expectedAmount);
+
+    // Calculate tolerance
+    const tolerance = calculateTolerance(expected, code);
+
+    // Verify: actual amount must be >= (expected - tolerance)
+    const minAcceptable = expected - tolerance;
+
+    if (actualAmount < minAcceptable) {
+      throw new Error(
+        `Insufficient payment: expected at least ${expected} ${code} ` +
+        `(with ${tolerance} tolerance), but transaction only sent ${actualAmount} ${code}`
+      );
+    }
+
+    return {
+      verified: true,
+      actualAmount: actualAmount.toString(),
+      expectedAmount: expected.toString(),
+      tolerance: tolerance.toString(),
+      currency: code
+    };
+  } catch (error) {
+    if (isPaymentPending(error)) throw error;
+    throw new Error(`Failed to verify ${code} transaction ${chainTx}: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch a confirmed, successful Solana transaction with its account keys (base58)
+ * @throws If it is not found after the retries, or failed
+ */
+async function fetchSolTransaction(chainTx) {
+  const { rpcUrl, commitment } = getNetwork().sol;
+  const connection = new Connection(rpcUrl, { commitment });
+
+  // Retry logic: Solana transactions may not be immediately available after broadcast
+  const MAX_RETRIES = 12; // Try up to 12 times (up to 60 seconds)
+  const RETRY_DELAY_MS = 5000; // Wait 5 seconds between retries
+  let tx = null;
+  let retries = 0;
+
+  // Try to fetch the transaction, retrying if not found
+  while (retries < MAX_RETRIES) {
+    tx = await connection.getTransaction(chainTx, {
+      commitment,
+      maxSupportedTransactionVersion: 0
+    });
+
     if (!tx) {
-      throw new Error(`Transaction ${chainTx} could not be found on Solana blockchain`);
+      // Transaction not found yet - it might still be propagating
+      if (retries < MAX_RETRIES - 1) {
+        retries++;
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+        continue;
+      } else {
+        const totalWaitSeconds = (MAX_RETRIES * RETRY_DELAY_MS) / 1000;
+        throw new Error(
+          `Transaction ${chainTx} not found on Solana blockchain after ${MAX_RETRIES} attempts (${totalWaitSeconds}s). ` +
+          `The transaction may still be propagating through the network or may not exist. ` +
+          `Please wait a moment and try again. Solana transactions are usually confirmed within 30-60 seconds.`
+        );
+      }
     }
 
-    // Check if transaction was successful
-    if (tx.meta?.err) {
-      throw new Error(`Transaction ${chainTx} failed: ${JSON.stringify(tx.meta.err)}`);
+    // Transaction found - break out of retry loop
+    break;
+  }
+
+  if (!tx) {
+    throw new Error(`Transaction ${chainTx} could not be found on Solana blockchain`);
+  }
+
+  // Check if transaction was successful
+  if (tx.meta?.err) {
+    throw new Error(`Transaction ${chainTx} failed: ${JSON.stringify(tx.meta.err)}`);
+  }
+
+  // Handle different transaction versions
+  let accountKeys = [];
+  if (tx.transaction.message.accountKeys) {
+    // For versioned transactions, accountKeys might be an array of PublicKey objects
+    accountKeys = tx.transaction.message.accountKeys.map(key => 
+      typeof key === 'string' ? key : key.toBase58()
+    );
+  } else if (tx.transaction.message.staticAccountKeys) {
+    // Fallback for older transaction format
+    accountKeys = tx.transaction.message.staticAccountKeys.map(key =>
+      typeof key === 'string' ? key : key.toBase58()
+    );
+  } else {
+    throw new Error("Could not extract account keys from Solana transaction");
+  }
+
+  return { tx, accountKeys };
+}
+
+/**
+ * Check that a Solana payment was signed by the expected sender and carries the expected memo
+ */
+function checkSolSenderAndMemo(tx, accountKeys, expectedFromAddress, expectedMemo) {
+  // Optionally verify the sender address matches expected buyer: it must have signed
+  if (expectedFromAddress) {
+    const signers = accountKeys.slice(0, tx.transaction.message.header.numRequiredSignatures);
+    if (!signers.some((key) => sameWallet(key, expectedFromAddress, "SOL"))) {
+      throw new Error(`Transaction sender mismatch: ${expectedFromAddress} did not sign this transaction`);
     }
+  }
+
+  // A reservation's payment must name it in a memo
+  if (expectedMemo && !readSolMemos(tx.meta?.logMessages).includes(expectedMemo)) {
+    throw new Error(`Transaction memo does not match this purchase (expected "${expectedMemo}")`);
+  }
+}
+
+/**
+ * Verify a Solana transaction amount
+ */
+async function verifySOLTransaction(chainTx, expectedAmount, expectedToAddress, expectedFromAddress = null, expectedMemo = null) {
+  try {
+    const { tx, accountKeys } = await fetchSolTransaction(chainTx);
 
     // Get the actual amount transferred
     // In Solana, we need to look at the pre/post balances and account keys
     const preBalances = tx.meta?.preBalances || [];
     const postBalances = tx.meta?.postBalances || [];
-    
-    // Handle different transaction versions
-    let accountKeys = [];
-    if (tx.transaction.message.accountKeys) {
-      // For versioned transactions, accountKeys might be an array of PublicKey objects
-      accountKeys = tx.transaction.message.accountKeys.map(key => 
-        typeof key === 'string' ? key : key.toBase58()
-      );
-    } else if (tx.transaction.message.staticAccountKeys) {
-      // Fallback for older transaction format
-      accountKeys = tx.transaction.message.staticAccountKeys.map(key =>
-        typeof key === 'string' ? key : key.toBase58()
-      );
-    } else {
-      throw new Error("Could not extract account keys from Solana transaction");
-    }
 
-    // Find the recipient account index
-    let recipientIndex = -1;
-    const expectedToLower = expectedToAddress.toLowerCase();
-    for (let i = 0; i < accountKeys.length; i++) {
-      const key = accountKeys[i];
-      const keyStr = typeof key === 'string' ? key : key.toBase58();
-      if (addressesMatch(keyStr, expectedToLower)) {
-        recipientIndex = i;
-        break;
-      }
-    }
+    // Find the recipient account index (base58 addresses are case-sensitive)
+    const recipientIndex = accountKeys.findIndex((key) => sameWallet(key, expectedToAddress, "SOL"));
 
     if (recipientIndex === -1) {
       throw new Error(`Recipient address ${expectedToAddress} not found in transaction`);
@@ -266,29 +361,7 @@ async function verifySOLTransaction(chainTx, expectedAmount, expectedToAddress,
       throw new Error(`Recipient ${expectedToAddress} did not receive any funds in this transaction`);
     }
 
-    // Optionally verify the sender address matches expected buyer
-    if (expectedFromAddress) {
-      // Find sender account index (usually index 0 for the fee payer)
-      let senderIndex = -1;
-      const expectedFromLower = normalizeAddress(expectedFromAddress);
-      for (let i = 0; i < accountKeys.length; i++) {
-        const key = accountKeys[i];
-        const keyStr = typeof key === 'string' ? key : key.toBase58();
-        if (addressesMatch(keyStr, expectedFromLower)) {
-          senderIndex = i;
-          break;
-        }
-      }
-
-      if (senderIndex === -1) {
-        // Sender might not be in account keys if they're just the fee payer
-        // Check if the transaction was signed by the expected sender
-        const _signers = tx.transaction.message.staticAccountKeys || accountKeys;
-        const _isSigner = tx.transaction.message.header.numRequiredSignatures > 0;
-        // For now, we'll be lenient - if sender is not found, we'll still verify amount
-        // This is because Solana transactions can have complex account structures
-      }
-    }
+    checkSolSenderAndMemo(tx, accountKeys, expectedFromAddress, expectedMemo);
 
     // Convert to SOL (1 SOL = 1e9 lamports)
     const actualAmountSol = receivedLamports / 1e9;
@@ -319,13 +392,93 @@ async function verifySOLTransaction(chainTx, expectedAmount, expectedToAddress,
   }
 }
 
+/**
+ * Verify an SPL token transfer amount (e.g. USDC on Solana).
+ * Tokens are received by the recipient's token account, so the payment is read from the
+ * transaction's token balance changes: every account of the currency's mint owned by the
+ * recipient counts towards the amount.
+ */
+async function verifySPLTransaction(chainTx, expectedAmount, currency, expectedToAddress, expectedFromAddress = null, expectedMemo = null) {
+  const { code, decimals, token } = getCurrency(currency);
+  try {
+    const { tx, accountKeys } = await fetchSolTransaction(chainTx);
+
+    // Token units received by the recipient's accounts of this mint
+    const ownedByRecipient = (balance) =>
+      balance.mint === token.address && sameWallet(balance.owner, expectedToAddress, "SOL");
+    const preUnits = new Map(
+      (tx.meta?.preTokenBalances || []).filter(ownedByRecipient)
+        .map((balance) => [balance.accountIndex, BigInt(balance.uiTokenAmount.amount)])
+    );
+    const postBalances = (tx.meta?.postTokenBalances || []).filter(ownedByRecipient);
+    if (postBalances.length === 0) {
+      throw new Error(`Recipient ${expectedToAddress} has no ${code} account in this transaction`);
+    }
+    if (postBalances.some((balance) => balance.uiTokenAmount.decimals !== decimals)) {
+      throw new Error(`Token ${token.address} does not have ${decimals} decimals`);
+    }
+    const receivedUnits = postBalances.reduce(
+      (sum, balance) => sum + BigInt(balance.uiTokenAmount.amount) - (preUnits.get(balance.accountIndex) ?? 0n),
+      0n
+    );
+
+    // Verify that the recipient actually received tokens (not just a balance check)
+    if (receivedUnits <= 0n) {
+      throw new Error(`Recipient ${expectedToAddress} did not receive any ${code} in this transaction`);
+    }
+
+    checkSolSenderAndMemo(tx, accountKeys, expectedFromAddress, expectedMemo);
+
+    const actualAmount = parseFloat(ethers.formatUnits(receivedUnits, decimals));
+    const expected = parseFloat(expectedAmount);
+
+    // Calculate tolerance
+    const tolerance = calculateTolerance(expected, code);
+
+    // Verify: actual amount must be >= (expected - tolerance)
+    const minAcceptable = expected - tolerance;
+
+    if (actualAmount < minAcceptable) {
+      throw new Error(
+        `Insufficient payment: expected at least ${expected} ${code} ` +
+        `(with ${tolerance} tolerance), but transaction only sent ${actualAmount} ${code}`
+      );
+    }
+
+    return {
+      verified: true,
+      actualAmount: actualAmount.toString(),
+      expectedAmount: expected.toString(),
+      tolerance: tolerance.toString(),
+      currency: code
+    };
+  } catch (error) {
+    throw new Error(`Failed to verify ${code} transaction ${chainTx}: ${error.message}`);
+  }
+}
+
+const verifierOverrides = new Map();
+
+/**
+ * Replace the verifier for currencies of one `verifier` kind ("eth-native", "erc20",
+ * "sol-native", "spl"), e.g. with a fake one in tests; null restores the default.
+ * @param {string} verifier
+ * @param {Function|null} verify - Called like verifyChainTransaction, with the currency code
+ */
+export function setChainVerifier(verifier, verify) {
+  if (verify) verifierOverrides.set(verifier, verify);
+  else verifierOverrides.delete(verifier);
+}
+
 /**
  * Verify a chain transaction amount
  * @param {string} chainTx - Transaction hash/ID on the blockchain
  * @param {string} expectedAmount - Expected amount (as string, e.g. "1.5")
- * @param {string} currency - Currency code ("ETH" or "SOL")
+ * @param {string} currency - Currency code ("ETH", "SOL", "USDC", ...; see utils/currencies.js)
  * @param {string} expectedToAddress - Expected recipient address
  * @param {string} expectedFromAddress - Expected sender address (optional, for additional verification)
+ * @param {Object} [options]
+ * @param {string} [options.memo] - Memo a Solana transaction (SOL, SPL tokens) must carry
  * @returns {Promise<Object>} Verification result
  */
 export async function verifyChainTransaction(
@@ -333,23 +486,71 @@ export async function verifyChainTransaction(
   expectedAmount,
   currency,
   expectedToAddress,
-  expectedFromAddress = null
+  expectedFromAddress = null,
+  { memo = null } = {}
 ) {
   if (!chainTx || !expectedAmount || !currency || !expectedToAddress) {
     throw new Error("Missing required parameters for chain transaction verification");
   }
 
-  const currencyUpper = String(currency).toUpperCase();
+  const { code, verifier } = getCurrency(currency);
 
-  switch (currencyUpper) {
-    case "ETH":
+  const override = verifierOverrides.get(verifier);
+  if (override) {
+    return await override(chainTx, expectedAmount, code, expectedToAddress, expectedFromAddress, { memo });
+  }
+
+  switch (verifier) {
+    case "eth-native":
       return await verifyETHTransaction(chainTx, expectedAmount, expectedToAddress, expectedFromAddress);
-    
-    case "SOL":
-      return await verifySOLTransaction(chainTx, expectedAmount, expectedToAddress, expectedFromAddress);
-    
+
+    case "erc20":
+      return await verifyERC20Transaction(chainTx, expectedAmount, code, expectedToAddress, expectedFromAddress);
+
+    case "sol-native":
+      return await verifySOLTransaction(chainTx, expectedAmount, expectedToAddress, expectedFromAddress, memo);
+
+    case "spl":
+      return await verifySPLTransaction(chainTx, expectedAmount, code, expectedToAddress, expectedFromAddress, memo);
+
     default:
       throw new Error(`Unsupported currency for chain verification: ${currency}`);
   }
 }
 
+
+/**
+ * Verify every payment leg of a purchase (seller, creator royalty, store fee).
+ *
+ * ETH and token transfers have a single recipient, so each leg is paid by its own transaction:
+ * `chainTxs[leg.role]`, falling back to `chainTx` for the seller leg.
+ * A Solana transaction can carry several transfers, so all legs may share `chainTx`.
+ *
+ * @param {Array<{role: string, wallet: string, amount: string}>} legs
+ * @param {string} chainTx - Main transaction (seller leg)
+ * @param {Record<string,string>} chainTxs - Per-leg transactions keyed by role
+ * @param {string} currency - "ETH", "SOL", "USDC", ...
+ * @param {string} expectedFromAddress - Expected sender address
+ * @param {Object} [options]
+ * @param {string} [options.memo] - Memo a Solana transaction (SOL, SPL tokens) must carry
+ * @returns {Promise<Array<Object>>} Verification result per leg, with the chainTx that paid it
+ */
+export async function verifyPaymentLegs(legs, chainTx, chainTxs = {}, currency, expectedFromAddress = null, { memo = null } = {}) {
+  const results = [];
+  const usedEthTxs = new Set();
+  for (const leg of legs) {
+    const legTx = chainTxs?.[leg.role] || chainTx;
+    if (getCurrency(currency).chain === "ETH") {
+      if (leg.role !== "seller" && legTx === chainTx) {
+        throw new Error(`Missing ${currency} transaction for the ${leg.role} payment`);
+      }
+      if (usedEthTxs.has(legTx)) {
+        throw new Error(`${currency} transaction ${legTx} cannot pay more than one leg`);
+      }
+      usedEthTxs.add(legTx);
+    }
+    const result = await verifyChainTransaction(legTx, leg.amount, currency, leg.wallet, expectedFromAddress, { memo });
+    results.push({ ...result, role: leg.role, wallet: leg.wallet, chainTx: legTx });
+  }
+  return results;
+}
@@ -40,6 +40,15 @@ export class Listing {
   type: string;
   quantity : number;
   availableQuantity?: number; // Cached count of actually available parts (not reserved)
+  currentPrice?: string; // Price right now (differs from price for declining-price listings)
+  priceSchedule?: {
+    startPrice: string;
+    floorPrice: string;
+    startTime: string;
+    endTime: string;
+    stepSeconds: number;
+  } | null;
+  expiresAt?: string | null; // Listing is canceled automatically after this time
 
   constructor(data: any) {
     this._id = data._id;
@@ -51,5 +60,8 @@ export class Listing {
     this.type = data.type;   // ✅ ensure type is preserved
     this.quantity = data.quantity; // ✅ ensure quantity is preserved
     this.availableQuantity = data.availableQuantity; // ✅ ensure availableQuantity is preserved
+    this.currentPrice = data.currentPrice;
+    this.priceSchedule = data.priceSchedule ?? null;
+    this.expiresAt = data.expiresAt ?? null;
   }
 }
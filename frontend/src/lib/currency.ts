@@ -1,6 +1,32 @@
 // backend/utils/currency.js
+import { apiFetch } from "./api";
 
-const YRT_TO_EUR = 1.2; // fixed peg: 1 YRT = 1.2 EUR
+export interface YrtPeg {
+  version: number;
+  yrtEur: string; // EUR per 1 YRT
+}
+
+let pegPromise: Promise<YrtPeg> | null = null;
+
+/**
+ * YRT peg in force, set by the superadmin on the backend (GET /api/currencies/peg).
+ * Fetched once per page load.
+ */
+export async function getYrtPeg(): Promise<YrtPeg> {
+  if (!pegPromise) {
+    pegPromise = apiFetch("currencies/peg")
+      .then((res) => res.json())
+      .then((data) => {
+        if (!data.peg) throw new Error(data.error || "Failed to load the YRT peg");
+        return { version: data.peg.version, yrtEur: data.peg.yrtEur };
+      })
+      .catch((err) => {
+        pegPromise = null;
+        throw err;
+      });
+  }
+  return pegPromise;
+}
 
 let cachedEthEurRate: number | null = null;
 let lastFetch = 0;
@@ -26,15 +52,17 @@ export async function getEthEurRate(): Promise<number> {
 /**
  * Convert YRT → EUR.
  */
-export function yrtToEur(amountYrt: number): number {
-  return amountYrt * YRT_TO_EUR;
+export async function yrtToEur(amountYrt: number): Promise<number> {
+  const { yrtEur } = await getYrtPeg();
+  return amountYrt * Number(yrtEur);
 }
 
 /**
  * Convert EUR → YRT.
  */
-export function eurToYrt(amountEur: number): number {
-  return amountEur / YRT_TO_EUR;
+export async function eurToYrt(amountEur: number): Promise<number> {
+  const { yrtEur } = await getYrtPeg();
+  return amountEur / Number(yrtEur);
 }
 
 /**
@@ -43,7 +71,7 @@ export function eurToYrt(amountEur: number): number {
  */
 export async function yrtToEth(amountYrt: number): Promise<number> {
   const rate = await getEthEurRate(); // EUR per 1 ETH
-  const eurValue = yrtToEur(amountYrt);
+  const eurValue = await yrtToEur(amountYrt);
   return eurValue / rate;
 }
 
@@ -55,3 +83,53 @@ export async function ethToYrt(amountEth: number): Promise<number> {
   const eurValue = amountEth * rate;
   return eurToYrt(eurValue);
 }
+
+/**
+ * Payment currencies and the chain whose wallet pays them (mirrors backend/utils/currencies.js).
+ * ERC-20 tokens (USDC, USDT) are paid from the ETH wallet, SPL tokens (USDC_SOL) from the SOL wallet.
+ */
+export const PAYMENT_CURRENCIES: Record<string, "ETH" | "SOL"> = {
+  ETH: "ETH",
+  SOL: "SOL",
+  USDC: "ETH",
+  USDT: "ETH",
+  USDC_SOL: "SOL",
+};
+
+export interface CurrencyInfo {
+  code: string;
+  chain: "ETH" | "SOL";
+  decimals: number;
+  precision: number;
+  token: { address: string } | null; // ERC-20 contract or SPL mint
+}
+
+let currenciesPromise: Promise<Record<string, CurrencyInfo>> | null = null;
+
+/**
+ * On-chain details of a payment currency (token contract or mint, decimals), as configured
+ * on the backend. Fetched once per page load.
+ */
+export async function getCurrencyInfo(currency: string): Promise<CurrencyInfo> {
+  if (!currenciesPromise) {
+    currenciesPromise = apiFetch("currencies")
+      .then((res) => res.json())
+      .then((data) => Object.fromEntries((data.currencies ?? []).map((c: CurrencyInfo) => [c.code, c])))
+      .catch((err) => {
+        currenciesPromise = null;
+        throw err;
+      });
+  }
+  const info = (await currenciesPromise)[currency.toUpperCase()];
+  if (!info) throw new Error(`Unsupported currency: ${currency}`);
+  return info;
+}
+
+/**
+ * Chain of a payment currency ("ETH" for ETH and ERC-20 tokens, "SOL" for SOL and SPL tokens).
+ */
+export function getPaymentChain(currency: string): "ETH" | "SOL" {
+  const chain = PAYMENT_CURRENCIES[currency.toUpperCase()];
+  if (!chain) throw new Error(`Unsupported currency: ${currency}`);
+  return chain;
+}
@@ -2,6 +2,12 @@
 import { ethers, HDNodeWallet, Mnemonic } from 'ethers';
 import { get } from 'svelte/store';
 import { apiFetch } from './api';
+import { getCurrencyInfo } from './currency';
+import { getNetwork } from './network';
+
+// Token transfers cost more gas than a plain ETH transfer (USDT needs ~63k)
+const ERC20_TRANSFER_GAS_LIMIT = 100000n;
+const ERC20_INTERFACE = new ethers.Interface(['function transfer(address to, uint256 amount) returns (bool)']);
 
 /**
  * Get the ETH balance for an address via backend proxy.
@@ -51,25 +57,10 @@ export async function createETHTransaction(
         ]);
         
         const balanceData = await balanceRes.json();
-        const feeData = await feeRes.json();
+        const { maxFeePerGas, maxPriorityFeePerGas } = readGasFees(await feeRes.json());
         
         const balance = ethers.parseEther(balanceData.balance);
         
-        // Use the same gas price calculation as backend (maxFeePerGas ?? gasPrice)
-        // Backend uses: gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice
-        const gasPriceWei = feeData.feeData.maxFeePerGas 
-            ? BigInt(feeData.feeData.maxFeePerGas)
-            : (feeData.feeData.gasPrice ? BigInt(feeData.feeData.gasPrice) : null);
-        
-        if (!gasPriceWei) {
-            throw new Error('Failed to get gas price data');
-        }
-        
-        const maxFeePerGas = gasPriceWei; // Use the same value backend uses for estimate
-        const maxPriorityFeePerGas = feeData.feeData.maxPriorityFeePerGas 
-            ? BigInt(feeData.feeData.maxPriorityFeePerGas)
-            : gasPriceWei;
-        
         // Estimate gas limit
         let gasLimit = 21000n; // Default for simple transfer
         try {
@@ -109,28 +100,14 @@ export async function createETHTransaction(
             maxPriorityFeePerGas,
             type: 2,
             nonce: await getNonce(wallet.address), // We need to get nonce
-            chainId: 1 // Sepolia testnet
+            chainId: (await getNetwork()).eth.chainId
         };
         
-        // Sign transaction locally
-        const signedTx = await wallet.signTransaction(transaction);
-        
-        // Send signed transaction to backend for broadcasting
-        const res = await apiFetch('eth/transaction', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                signedTransaction: signedTx
-            })
-        });
-        
-        const data = await res.json();
-        if (!data.success) {
-            throw new Error(data.error || 'Transaction failed');
-        }
+        // Sign transaction locally, only the signed transaction is sent to backend
+        const txHash = await broadcastSignedTransaction(await wallet.signTransaction(transaction));
         
         return {
-            txHash: data.txHash,
+            txHash,
             txCost: txCost
         };
     } catch (err) {
@@ -139,6 +116,115 @@ export async function createETHTransaction(
     }
 }
 
+/**
+ * Create and broadcast an ERC-20 token transfer (e.g. USDC) via backend proxy.
+ * Calls the token contract's `transfer(to, amount)`; gas is paid in ETH by the same wallet.
+ * Returns both transaction hash and transaction cost (in ETH).
+ */
+export async function createERC20Transaction(
+    currency: string,
+    to: string,
+    amount: string,
+    mnemonic: string,
+    expectedFromAddress?: string // Optional: verify this matches the wallet address
+): Promise<{ txHash: string; txCost: string }> {
+    try {
+        const { chain, token, decimals } = await getCurrencyInfo(currency);
+        if (chain !== 'ETH' || !token) throw new Error(`Unsupported token: ${currency}`);
+
+        const wallet = getEthWalletFromMnemonic(mnemonic);
+        if (!wallet) throw new Error('Invalid wallet mnemonic');
+        if (expectedFromAddress && wallet.address.toLowerCase() !== expectedFromAddress.toLowerCase()) {
+            throw new Error(`Wallet address mismatch: expected ${expectedFromAddress}, got ${wallet.address}`);
+        }
+
+        const units = ethers.parseUnits(amount, decimals);
+        const [tokenBalanceRes, balanceRes, feeRes] = await Promise.all([
+            apiFetch(`eth/token-balance/${currency.toUpperCase()}/${wallet.address}`),
+            apiFetch(`eth/balance/${wallet.address}`),
+            apiFetch('eth/gas-price')
+        ]);
+        const tokenBalance = ethers.parseUnits((await tokenBalanceRes.json()).balance, decimals);
+        const balance = ethers.parseEther((await balanceRes.json()).balance);
+        const { maxFeePerGas, maxPriorityFeePerGas } = readGasFees(await feeRes.json());
+
+        const maxGasCost = ERC20_TRANSFER_GAS_LIMIT * maxFeePerGas;
+        const txCost = parseFloat(ethers.formatEther(maxGasCost)).toFixed(6);
+        if (tokenBalance < units) {
+            throw new Error(
+                `Insufficient ${currency} balance.\n` +
+                `Balance: ${ethers.formatUnits(tokenBalance, decimals)} ${currency}\n` +
+                `Required: ${amount} ${currency}`
+            );
+        }
+        if (balance < maxGasCost) {
+            throw new Error(
+                `Insufficient ETH for gas.\n` +
+                `Balance: ${parseFloat(ethers.formatEther(balance)).toFixed(6)} ETH\n` +
+                `Required: ${txCost} ETH (gas)`
+            );
+        }
+
+        const transaction = {
+            to: token.address,
+            value: 0n,
+            data: ERC20_INTERFACE.encodeFunctionData('transfer', [to, units]),
+            gasLimit: ERC20_TRANSFER_GAS_LIMIT,
+            maxFeePerGas,
+            maxPriorityFeePerGas,
+            type: 2,
+            nonce: await getNonce(wallet.address),
+            chainId: (await getNetwork()).eth.chainId
+        };
+
+        const txHash = await broadcastSignedTransaction(await wallet.signTransaction(transaction));
+        return { txHash, txCost };
+    } catch (err) {
+        console.error(`Failed to create ${currency} transaction:`, err);
+        throw err;
+    }
+}
+
+/**
+ * Gas fees from the backend's gas-price response.
+ * Uses the same gas price calculation as backend (maxFeePerGas ?? gasPrice).
+ */
+function readGasFees(feeData: any): { maxFeePerGas: bigint; maxPriorityFeePerGas: bigint } {
+    const gasPriceWei = feeData.feeData.maxFeePerGas 
+        ? BigInt(feeData.feeData.maxFeePerGas)
+        : (feeData.feeData.gasPrice ? BigInt(feeData.feeData.gasPrice) : null);
+    
+    if (!gasPriceWei) {
+        throw new Error('Failed to get gas price data');
+    }
+    
+    return {
+        maxFeePerGas: gasPriceWei, // Use the same value backend uses for estimate
+        maxPriorityFeePerGas: feeData.feeData.maxPriorityFeePerGas 
+            ? BigInt(feeData.feeData.maxPriorityFeePerGas)
+            : gasPriceWei
+    };
+}
+
+/**
+ * Send a locally signed transaction to backend for broadcasting.
+ */
+async function broadcastSignedTransaction(signedTx: string): Promise<string> {
+    const res = await apiFetch('eth/transaction', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            signedTransaction: signedTx
+        })
+    });
+    
+    const data = await res.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Transaction failed');
+    }
+    return data.txHash;
+}
+
 /**
  * Get nonce for an address via backend proxy
  */
@@ -153,6 +239,15 @@ async function getNonce(address: string): Promise<number> {
     }
 }
 
+/**
+ * Estimate the current cost of an ERC-20 token transfer, paid in ETH.
+ */
+export async function getCurrentTokenTxCost(): Promise<string> {
+    const res = await apiFetch('eth/gas-price');
+    const { maxFeePerGas } = readGasFees(await res.json());
+    return parseFloat(ethers.formatEther(ERC20_TRANSFER_GAS_LIMIT * maxFeePerGas)).toFixed(6);
+}
+
 /**
  * Estimate the current cost of a simple ETH transfer (21000 gas) via backend proxy.
  */
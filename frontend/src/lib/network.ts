@@ -0,0 +1,51 @@
+// src/lib/network.ts
+import { apiFetch } from "./api";
+
+/**
+ * Network the store runs on (mirrors backend/utils/network.js, GET /api/network).
+ * `{tx}` in an explorerTxUrl is the transaction id; null when the network has no explorer.
+ */
+export interface NetworkInfo {
+  name: "mainnet" | "testnet" | "local";
+  eth: {
+    chainName: string;
+    chainId: number;
+    explorerTxUrl: string | null;
+    confirmations: number;
+  };
+  sol: {
+    cluster: string;
+    rpcUrl: string;
+    explorerTxUrl: string | null;
+    commitment: "processed" | "confirmed" | "finalized";
+  };
+}
+
+let networkPromise: Promise<NetworkInfo> | null = null;
+
+/**
+ * Network settings, as configured on the backend. Fetched once per page load.
+ */
+export async function getNetwork(): Promise<NetworkInfo> {
+  if (!networkPromise) {
+    networkPromise = apiFetch("network")
+      .then((res) => res.json())
+      .then((data) => {
+        if (!data.eth || !data.sol) throw new Error(data.error || "Failed to load the network settings");
+        return data as NetworkInfo;
+      })
+      .catch((err) => {
+        networkPromise = null;
+        throw err;
+      });
+  }
+  return networkPromise;
+}
+
+/**
+ * Explorer link for a chain transaction, or null when the network has no explorer.
+ */
+export function explorerTxUrl(network: NetworkInfo, chain: "ETH" | "SOL", chainTx: string): string | null {
+  const template = chain === "SOL" ? network.sol.explorerTxUrl : network.eth.explorerTxUrl;
+  return template ? template.replace("{tx}", encodeURIComponent(chainTx)) : null;
+}
@@ -3,6 +3,7 @@ import { keccak256, toUtf8Bytes } from 'ethers';
 import { HDNodeWallet } from 'ethers';
 import { apiFetch } from './api';
 import { getEthWalletFromMnemonic } from './ethService';
+import { getSolAddress, signSolWalletProof } from './solService';
 import { getMnemonicFromSession } from './walletActions';
 
 function deterministicStringify(obj: any): string {
@@ -19,8 +20,6 @@ export async function signAndWrapPayload(wallet: HDNodeWallet, payload: any) {
   return { address: wallet.address, timestamp, signature, data: payload };
 }
 
-const excludedPaths = ['/reservations'];
-
 export async function signedFetch(
   input: string | Request | URL,
   init: RequestInit = {},
@@ -39,7 +38,7 @@ export async function signedFetch(
   const url = typeof input === 'string' ? input : (input instanceof Request ? input.url : input.toString());
   const method = ((init.method || 'GET') as string).toUpperCase();
 
-  if (method === 'GET' || excludedPaths.some(path => url === path)) {
+  if (method === 'GET') {
     return apiFetch(url, init);
   }
 
@@ -53,6 +52,11 @@ export async function signedFetch(
     }
   }
 
+  // Paying from the SOL wallet (reservations, carts, bids): prove it is the signer's own
+  if (payload?.buyerWallet && payload.buyerWallet === getSolAddress(mnemonic)) {
+    payload.buyerWalletProof = signSolWalletProof(mnemonic, wallet.address);
+  }
+
   const signedPayload = await signAndWrapPayload(wallet, payload);
 
   return apiFetch(url, {
@@ -1,30 +1,33 @@
+import { Buffer } from "buffer";
 import { mnemonicToSeedSync } from "@scure/bip39";
 import { HDKey } from "@scure/bip32";
+import { ed25519 } from "@noble/curves/ed25519";
 import {
     Keypair,
     Connection,
     Transaction,
     SystemProgram,
     PublicKey,
+    TransactionInstruction,
     sendAndConfirmTransaction,
 } from "@solana/web3.js";
+import { getNetwork } from "./network";
 
-const SOLANA_DERIVATION_PATH = "m/44'/501'/0'/0'";
+// SPL Memo program: binds a payment to its reservation (payment watcher and verification)
+const MEMO_PROGRAM_ID = new PublicKey("MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr");
+// SPL Token and Associated Token Account programs (token payments such as USDC_SOL)
+const TOKEN_PROGRAM_ID = new PublicKey("TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA");
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey("ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL");
 
-// Solana RPC endpoints (try in order, fallback if one fails)
-const RPC_ENDPOINTS = [
-  "https://api.mainnet-beta.solana.com",
-  "https://solana-api.projectserum.com",
-  "https://rpc.ankr.com/solana",
-];
-
-// Get RPC URL from environment or use default
-function getRpcUrl(): string {
-  const envUrl = import.meta.env.VITE_SOLANA_RPC_URL;
-  if (envUrl) return envUrl;
-  return RPC_ENDPOINTS[0];
+/** SPL token to send instead of SOL: its mint, decimals and a name for messages (e.g. "USDC") */
+export interface SplToken {
+    mint: string;
+    decimals: number;
+    symbol: string;
 }
 
+const SOLANA_DERIVATION_PATH = "m/44'/501'/0'/0'";
+
 // --- Wallet derivation ---
 export function getSolWalletFromMnemonic(mnemonic: string): InstanceType<typeof Keypair> {
     const seed = mnemonicToSeedSync(mnemonic); // Uint8Array
@@ -42,16 +45,26 @@ export function getSolAddress(mnemonic: string): string {
     return getSolWalletFromMnemonic(mnemonic).publicKey.toBase58();
 }
 
+/**
+ * Prove the SOL wallet belongs to the buyer's ETH address: the backend only accepts a SOL
+ * buyerWallet with this signature (backend utils/paymentMatching.js getSolWalletProofMessage)
+ */
+export function signSolWalletProof(mnemonic: string, buyer: string): string {
+    const keypair = getSolWalletFromMnemonic(mnemonic);
+    const message = new TextEncoder().encode(`nomin:sol-wallet:${buyer.toLowerCase()}`);
+    return Buffer.from(ed25519.sign(message, keypair.secretKey.slice(0, 32))).toString("base64");
+}
+
 // --- Balance ---
 export async function getSolBalance(
     address: string,
 ): Promise<number> {
-    // Use configured RPC URL or default
-    const rpcUrl = getRpcUrl();
+    // RPC endpoint and commitment of the store's network (backend NETWORK profile)
+    const { rpcUrl, commitment } = (await getNetwork()).sol;
     
     try {
         const connection = new Connection(rpcUrl, {
-            commitment: "confirmed",
+            commitment,
         });
         
         // Set a timeout for the request (10 seconds)
@@ -87,32 +100,122 @@ export async function getSolBalance(
     }
 }
 
+// --- SPL tokens ---
+// Tokens are held in each wallet's associated token account for the mint
+function getAssociatedTokenAddress(owner: any, mint: any): any {
+    return PublicKey.findProgramAddressSync(
+        [owner.toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+    )[0];
+}
+
+// Create `owner`'s token account if it does not exist yet (paid by `payer`, no-op otherwise)
+function createAssociatedTokenAccountIdempotentInstruction(payer: any, account: any, owner: any, mint: any) {
+    return new TransactionInstruction({
+        keys: [
+            { pubkey: payer, isSigner: true, isWritable: true },
+            { pubkey: account, isSigner: false, isWritable: true },
+            { pubkey: owner, isSigner: false, isWritable: false },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        ],
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        data: Buffer.from([1]), // CreateIdempotent
+    });
+}
+
+// Token program TransferChecked: the mint's decimals are checked on-chain
+function createTransferCheckedInstruction(
+    source: any, mint: any, destination: any, owner: any, amount: bigint, decimals: number,
+) {
+    const data = Buffer.alloc(10);
+    data.writeUInt8(12, 0); // TransferChecked
+    data.writeBigUInt64LE(amount, 1);
+    data.writeUInt8(decimals, 9);
+    return new TransactionInstruction({
+        keys: [
+            { pubkey: source, isSigner: false, isWritable: true },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: destination, isSigner: false, isWritable: true },
+            { pubkey: owner, isSigner: true, isWritable: false },
+        ],
+        programId: TOKEN_PROGRAM_ID,
+        data,
+    });
+}
+
 /**
- * Send SOL from mnemonic to address
+ * Send SOL (or an SPL token) from mnemonic to address
+ * @param lamports Amount in lamports, or in token base units when `token` is given
+ * @param memo Reservation payment reference (`reservation.paymentMemo`); the backend only
+ *             accepts a reservation payment that carries it
+ * @param token SPL token to send instead of SOL (e.g. USDC); the recipient's token account
+ *              is created if needed, at the sender's expense
  * @throws Error with user-friendly message if balance is insufficient
  */
 export async function createSolTransaction(
     fromMnemonic: string,
     toAddress: string,
-    lamports: number,
+    lamports: number | bigint,
+    memo?: string,
+    token?: SplToken,
 ): Promise<string> {
-    // Use the configured RPC URL or default
-    const rpcUrl = getRpcUrl();
+    return createSolMultiTransferTransaction(fromMnemonic, [{ toAddress, lamports }], memo, token);
+}
+
+/**
+ * Send SOL (or an SPL token) to several addresses in one transaction (e.g. seller + creator royalty)
+ * @param memo Optional memo attached to the transaction (reservation payment reference)
+ * @param token SPL token to send instead of SOL; amounts are then in token base units
+ * @throws Error with user-friendly message if balance is insufficient
+ */
+export async function createSolMultiTransferTransaction(
+    fromMnemonic: string,
+    transfers: { toAddress: string; lamports: number | bigint }[],
+    memo?: string,
+    token?: SplToken,
+): Promise<string> {
+    // RPC endpoint and commitment of the store's network (backend NETWORK profile)
+    const { rpcUrl, commitment } = (await getNetwork()).sol;
     const connection = new Connection(rpcUrl, {
-        commitment: "confirmed",
+        commitment,
         httpHeaders: {
             "User-Agent": "Nomin/1.0"
         }
     });
     const fromWallet = getSolWalletFromMnemonic(fromMnemonic);
 
-    const tx = new Transaction().add(
-        SystemProgram.transfer({
-            fromPubkey: fromWallet.publicKey,
-            toPubkey: new PublicKey(toAddress),
-            lamports,
-        })
-    );
+    const tx = new Transaction();
+    if (token) {
+        const mint = new PublicKey(token.mint);
+        const source = getAssociatedTokenAddress(fromWallet.publicKey, mint);
+        for (const { toAddress, lamports } of transfers) {
+            const owner = new PublicKey(toAddress);
+            const destination = getAssociatedTokenAddress(owner, mint);
+            tx.add(createAssociatedTokenAccountIdempotentInstruction(fromWallet.publicKey, destination, owner, mint));
+            tx.add(createTransferCheckedInstruction(source, mint, destination, fromWallet.publicKey, BigInt(lamports), token.decimals));
+        }
+    } else {
+        for (const { toAddress, lamports } of transfers) {
+            tx.add(
+                SystemProgram.transfer({
+                    fromPubkey: fromWallet.publicKey,
+                    toPubkey: new PublicKey(toAddress),
+                    lamports,
+                })
+            );
+        }
+    }
+    if (memo) {
+        tx.add(
+            new TransactionInstruction({
+                keys: [{ pubkey: fromWallet.publicKey, isSigner: true, isWritable: false }],
+                programId: MEMO_PROGRAM_ID,
+                data: Buffer.from(memo, "utf8"),
+            })
+        );
+    }
 
     try {
         const signature = await sendAndConfirmTransaction(connection, tx, [fromWallet], {
@@ -120,8 +223,17 @@ export async function createSolTransaction(
         });
         return signature;
     } catch (err: any) {
-        // Try to extract "insufficient lamports" message
         const msg = String(err.message || "");
+
+        // Token program errors: InsufficientFunds (0x1), or no token account to pay from
+        if (token && /custom program error: 0x1\b|insufficient funds/i.test(msg)) {
+            throw new Error(`Not enough ${token.symbol} to complete this transaction.`);
+        }
+        if (token && /AccountNotFound|could not find account|invalid account data/i.test(msg)) {
+            throw new Error(`This wallet holds no ${token.symbol}.`);
+        }
+
+        // Try to extract "insufficient lamports" message
         const match = msg.match(/insufficient lamports (\d+), need (\d+)/);
 
         if (match) {
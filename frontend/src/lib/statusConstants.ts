@@ -56,6 +56,50 @@ export const NFT_STATUS = {
   ACTIVE: "ACTIVE",
 } as const;
 
+/**
+ * Offer statuses
+ */
+export const OFFER_STATUS = {
+  PENDING: "PENDING",
+  COUNTERED: "COUNTERED",
+  ACCEPTED: "ACCEPTED",
+  REJECTED: "REJECTED",
+  CANCELED: "CANCELED",
+  EXPIRED: "EXPIRED",
+  COMPLETED: "COMPLETED",
+} as const;
+
+/**
+ * Auction statuses (listing.auction.status)
+ */
+export const AUCTION_STATUS = {
+  OPEN: "OPEN",
+  AWAITING_PAYMENT: "AWAITING_PAYMENT",
+  COMPLETED: "COMPLETED",
+  UNSOLD: "UNSOLD",
+} as const;
+
+/**
+ * Cart statuses
+ */
+export const CART_STATUS = {
+  PENDING: "PENDING",
+  PROCESSING: "PROCESSING",
+  PAID: "PAID",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+  EXPIRED: "EXPIRED",
+} as const;
+
+/**
+ * Refund statuses
+ */
+export const REFUND_STATUS = {
+  PAYMENT_ORPHANED: "PAYMENT_ORPHANED",
+  REFUNDING: "REFUNDING",
+  REFUNDED: "REFUNDED",
+} as const;
+
 /**
  * Type helpers for TypeScript
  */
@@ -64,13 +108,17 @@ export type ProfileStatus = typeof PROFILE_STATUS[keyof typeof PROFILE_STATUS];
 export type GiftStatus = typeof GIFT_STATUS[keyof typeof GIFT_STATUS];
 export type ListingStatus = typeof LISTING_STATUS[keyof typeof LISTING_STATUS];
 export type NftStatus = typeof NFT_STATUS[keyof typeof NFT_STATUS];
+export type OfferStatus = typeof OFFER_STATUS[keyof typeof OFFER_STATUS];
+export type AuctionStatus = typeof AUCTION_STATUS[keyof typeof AUCTION_STATUS];
+export type CartStatus = typeof CART_STATUS[keyof typeof CART_STATUS];
+export type RefundStatus = typeof REFUND_STATUS[keyof typeof REFUND_STATUS];
 
 /**
  * Helper function to check if a status is valid for a given type
  */
 export function isValidStatus(
   status: string,
-  statusType: "UPLOAD" | "PROFILE" | "GIFT" | "LISTING" | "NFT"
+  statusType: "UPLOAD" | "PROFILE" | "GIFT" | "LISTING" | "NFT" | "OFFER" | "AUCTION" | "CART" | "REFUND"
 ): boolean {
   const statusMap = {
     UPLOAD: UPLOAD_STATUS,
@@ -78,6 +126,10 @@ export function isValidStatus(
     GIFT: GIFT_STATUS,
     LISTING: LISTING_STATUS,
     NFT: NFT_STATUS,
+    OFFER: OFFER_STATUS,
+    AUCTION: AUCTION_STATUS,
+    CART: CART_STATUS,
+    REFUND: REFUND_STATUS,
   };
 
   const validStatuses = statusMap[statusType];
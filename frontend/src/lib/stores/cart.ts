@@ -0,0 +1,52 @@
+import { writable } from "svelte/store";
+import { browser } from "$app/environment";
+
+export interface CartItem {
+  listingId: string;
+  quantity: number;
+  partNos?: string[]; // picked part numbers or "from-to" ranges
+  nftName?: string;
+  price?: string;
+  bundle?: boolean;
+}
+
+// --- Store ---
+let initialItems: CartItem[] = [];
+
+if (browser) {
+  // Load from localStorage
+  try {
+    const raw = localStorage.getItem("cart");
+    if (raw) {
+      initialItems = JSON.parse(raw);
+    }
+  } catch {
+    /* ignore */
+  }
+}
+
+export const cart = writable<CartItem[]>(initialItems);
+
+if (browser) {
+  // Persist on every change
+  cart.subscribe((items) => {
+    try {
+      localStorage.setItem("cart", JSON.stringify(items));
+    } catch {
+      /* ignore */
+    }
+  });
+}
+
+/** Add a listing to the cart, or replace its quantity if it is already there. */
+export function addToCart(item: CartItem) {
+  cart.update((items) => [...items.filter((i) => i.listingId !== item.listingId), item]);
+}
+
+export function removeFromCart(listingId: string) {
+  cart.update((items) => items.filter((i) => i.listingId !== listingId));
+}
+
+export function clearCart() {
+  cart.set([]);
+}
@@ -19,6 +19,7 @@ export class UserWallet {
   addresses: AddressEntry[] = [];
   balances: BalanceEntry[] = [];
   gifts: any[] = [];
+  refunds: any[] = []; // orphaned payments this user must refund as a seller
   isAdmin: boolean = false;
 
 // Convenience fields
@@ -74,6 +75,10 @@ export class UserWallet {
   setGifts(g: any[]) {
     this.gifts = g;
   }
+
+  setRefunds(r: any[]) {
+    this.refunds = r;
+  }
 }
 
 // --- Store ---
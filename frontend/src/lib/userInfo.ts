@@ -4,6 +4,7 @@
  * Handles fetching and caching user information including:
  * - ETH and SOL balances
  * - Gift information
+ * - Payments waiting for a refund from the user (as seller)
  * 
  * Implements a 10-minute cache to avoid excessive API calls.
  */
@@ -13,11 +14,12 @@ import { getETHBalance } from "./ethService";
 import { apiFetch } from "./api";
 import { get } from "svelte/store";
 import { getSolBalance } from "./solService";
+import { REFUND_STATUS } from "./statusConstants";
 
 let lastUpdate: number | null = null;
 
 /**
- * Update user information (balances, gifts).
+ * Update user information (balances, gifts, refunds owed).
  * Uses a 10-minute cache unless force=true.
  * 
  * @param address - User's ETH address
@@ -77,6 +79,14 @@ export async function updateUserInfo(address: string, force = false) {
       return w;
     });
 
+    // --- Refunds owed as a seller (payments for purchases that could not be recorded) ---
+    const refundsRes = await apiFetch(`/refunds?seller=${address}&status=${REFUND_STATUS.PAYMENT_ORPHANED}`);
+    const refundsData = await refundsRes.json().catch(() => ({}));
+    wallet.update((w) => {
+      w.setRefunds(refundsRes.ok ? refundsData.refunds || [] : []);
+      return w;
+    });
+
     lastUpdate = now;
   } catch (err) {
     console.error("[USER INFO] Failed to update user info:", err);
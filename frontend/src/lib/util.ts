@@ -44,3 +44,47 @@ export function shorten(addr: string, chars = 6) {
     ? addr.slice(0, chars) + "…" + addr.slice(-chars)
     : addr;
 }
+
+/**
+ * Human-readable time left until a deadline, e.g. "2d 4h" or "3h 12m 5s".
+ * Returns "expired" once the deadline has passed.
+ */
+export function formatTimeLeft(until: string | Date, now: number = Date.now()): string {
+  const ms = new Date(until).getTime() - now;
+  if (ms <= 0) return "expired";
+  const s = Math.floor(ms / 1000);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d > 0) return `${d}d ${h}h`;
+  return `${h}h ${m}m ${s % 60}s`;
+}
+
+/**
+ * Compress part numbers into "from-to" ranges, e.g. [1, 3, 4, 5] -> ["1", "3-5"].
+ * The backend accepts the result as `partNos`.
+ */
+export function toPartRanges(partNos: number[]): string[] {
+  const sorted = [...new Set(partNos)].sort((a, b) => a - b);
+  const ranges: string[] = [];
+  let start = sorted[0];
+  let prev = sorted[0];
+  for (const n of sorted.slice(1).concat([NaN])) {
+    if (n === prev + 1) {
+      prev = n;
+      continue;
+    }
+    if (start !== undefined) ranges.push(start === prev ? String(start) : `${start}-${prev}`);
+    start = n;
+    prev = n;
+  }
+  return ranges;
+}
+
+/** Number of parts covered by part numbers and "from-to" ranges. */
+export function countParts(ranges: string[]): number {
+  return ranges.reduce((sum, r) => {
+    const [from, to] = r.split("-").map((n) => parseInt(n, 10));
+    return sum + (to >= from ? to - from + 1 : 1);
+  }, 0);
+}
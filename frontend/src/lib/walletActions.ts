@@ -4,18 +4,26 @@
  * Core wallet management functions including:
  * - Login/logout with mnemonic
  * - Wallet creation
- * - Payment processing for reservations
+ * - Payment processing for reservations and carts
+ * - Refunds of orphaned payments (seller)
  * - Transaction cost estimation
  */
 
 import { wallet, UserWallet } from "./stores/wallet";
 import { goto } from "$app/navigation";
-import { getETHBalance, createETHTransaction, getCurrentEthTxCost, getEthWalletFromMnemonic } from "./ethService";
+import {
+  getETHBalance,
+  createETHTransaction,
+  createERC20Transaction,
+  getCurrentEthTxCost,
+  getCurrentTokenTxCost,
+  getEthWalletFromMnemonic
+} from "./ethService";
 import { updateUserInfo } from "./userInfo";
-import { HDNodeWallet, Mnemonic } from "ethers";
+import { HDNodeWallet, Mnemonic, parseUnits } from "ethers";
 import { randomBytes } from "ethers/crypto";
 import { get } from "svelte/store";
-import { getSolWalletFromMnemonic, createSolTransaction } from "./solService";
+import { getSolWalletFromMnemonic, createSolTransaction, createSolMultiTransferTransaction, type SplToken } from "./solService";
 import { 
   encryptMnemonic, 
   decryptMnemonic, 
@@ -24,6 +32,8 @@ import {
   updateActivity 
 } from "./sessionManager";
 import { normalizeAddress } from "./utils/addressUtils";
+import { REFUND_STATUS } from "./statusConstants";
+import { getPaymentChain, getCurrencyInfo } from "./currency";
 
 /**
  * Login with a mnemonic phrase.
@@ -196,16 +206,19 @@ export function mnemonicMatchesLoggedInWallet(mnemonic: string): boolean {
 
 /**
  * Pay for a reservation.
+ * Pays every payment leg (seller, creator royalty on secondary sales, store fee).
+ * ETH and tokens (USDC, USDT) send one transaction per leg; SOL pays all legs in a single transaction.
  * @param reservation The reservation object returned by backend
  * @param mnemonicOrPassword User's 12-word mnemonic (string) or session password
  * @param expectedBuyerAddress Optional: Expected buyer address (for verification)
- * @returns chainTx hash/string
+ * SOL payments carry the reservation's paymentMemo so the backend can attribute them.
+ * @returns chainTx of the seller payment, plus chainTxs for any other legs paid separately
  */
 export async function payForReservation(
   reservation: any, 
   mnemonicOrPassword: string,
   expectedBuyerAddress?: string
-): Promise<string> {
+): Promise<{ chainTx: string; chainTxs: Record<string, string> }> {
   // If mnemonicOrPassword is a mnemonic (12 words), use it directly
   // Otherwise, treat it as a session password and get mnemonic from session
   let mnemonic: string;
@@ -222,19 +235,181 @@ export async function payForReservation(
   const sellerWallet = reservation.sellerWallet;
   if (!sellerWallet) throw new Error("Reservation missing sellerWallet");
 
-  switch (currency.toUpperCase()) {
+  const legs: { role: string; wallet: string; amount: string }[] =
+    reservation.paymentLegs?.length
+      ? reservation.paymentLegs
+      : [{ role: "seller", wallet: sellerWallet, amount }];
+
+  switch (getPaymentChain(currency)) {
     case "ETH": {
-      // amount in ETH string
+      // amount in ETH (or token) string, one transaction per leg (seller first)
       // Pass expectedBuyerAddress to verify wallet matches logged-in user
-      const result = await createETHTransaction(sellerWallet, amount, mnemonic, expectedBuyerAddress);
-      return result.txHash; // Return only the transaction hash
+      let chainTx = "";
+      const chainTxs: Record<string, string> = {};
+      for (const leg of legs) {
+        const result = await sendEthereumPayment(currency, leg.wallet, leg.amount, mnemonic, expectedBuyerAddress);
+        if (leg.role === "seller") chainTx = result.txHash;
+        else chainTxs[leg.role] = result.txHash;
+      }
+      return { chainTx, chainTxs };
+    }
+    case "SOL": {
+      // All legs in one transaction; the memo binds the payment to this reservation
+      // (required by the backend)
+      const chainTx = await sendSolanaPayment(currency, legs, mnemonic, reservation.paymentMemo ?? undefined);
+      return { chainTx, chainTxs: {} };
+    }
+    default:
+      throw new Error(`Unsupported currency: ${currency}`);
+  }
+}
+
+/**
+ * Wait until the backend's payment watcher has picked up a reservation's payment
+ * and recorded the purchase.
+ * @param reservationId Reservation that was paid
+ * @param timeoutMs How long to wait before giving up
+ * @returns The NFT_BUY transaction id, or null if the payment was not confirmed in time
+ * @throws If the payment was seen but the purchase could not be recorded (it is refunded instead)
+ */
+export async function waitForReservationPayment(
+  reservationId: string,
+  timeoutMs = 5 * 60 * 1000,
+): Promise<string | null> {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const res = await fetch(`/api/reservations/${reservationId}/payment`);
+    if (res.ok) {
+      const { payment } = await res.json();
+      if (payment?.status === "COMPLETED" && payment.transactionId) return payment.transactionId;
+      if (payment?.status === REFUND_STATUS.PAYMENT_ORPHANED) {
+        const owed = payment.owedAmount
+          ? ` The royalty and store fee (${payment.owedAmount} ${payment.currency}) will be refunded by the store.`
+          : "";
+        throw new Error(`${payment.reason || "The purchase could not be completed"}. Your payment was recorded and the seller has been asked to refund it.${owed}`);
+      }
+    } else if (res.status === 404) {
+      throw new Error("Reservation expired before the payment was seen");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5000));
+  }
+  return null;
+}
+
+/**
+ * Pay for a cart.
+ * The backend combines legs across listings, so each seller is paid once.
+ * ETH and tokens send one transaction per leg; SOL pays all legs in a single transaction.
+ * @param cart The cart object returned by backend
+ * @param mnemonicOrPassword User's 12-word mnemonic (string) or session password
+ * @param expectedBuyerAddress Optional: Expected buyer address (for verification)
+ * @returns chainTxs[i] pays cart.paymentLegs[i]
+ */
+export async function payForCart(
+  cart: any,
+  mnemonicOrPassword: string,
+  expectedBuyerAddress?: string
+): Promise<string[]> {
+  let mnemonic: string;
+  if (mnemonicOrPassword.split(' ').length === 12) {
+    mnemonic = mnemonicOrPassword;
+  } else {
+    mnemonic = await getMnemonicFromSession(mnemonicOrPassword);
+  }
+
+  const currency: string | undefined = cart.currency;
+  const legs: { role: string; wallet: string; amount: string }[] = cart.paymentLegs ?? [];
+  if (!currency || legs.length === 0) throw new Error("Cart has nothing to pay");
+
+  switch (getPaymentChain(currency)) {
+    case "ETH": {
+      const chainTxs: string[] = [];
+      for (const leg of legs) {
+        const result = await sendEthereumPayment(currency, leg.wallet, leg.amount, mnemonic, expectedBuyerAddress);
+        chainTxs.push(result.txHash);
+      }
+      return chainTxs;
     }
     case "SOL": {
-      // amount in SOL -> convert to lamports (1 SOL = 1e9 lamports)
-      const lamports = Math.floor(Number(amount) * 1e9);
-      const chainTx = await createSolTransaction(mnemonic, sellerWallet, lamports);
-      return chainTx;
+      const chainTx = await sendSolanaPayment(currency, legs, mnemonic);
+      return legs.map(() => chainTx);
+    }
+    default:
+      throw new Error(`Unsupported currency: ${currency}`);
+  }
+}
+
+/**
+ * Send one payment on Ethereum: native ETH, or an ERC-20 token transfer (USDC, USDT).
+ */
+function sendEthereumPayment(
+  currency: string,
+  to: string,
+  amount: string,
+  mnemonic: string,
+  expectedFromAddress?: string
+): Promise<{ txHash: string; txCost: string }> {
+  return currency.toUpperCase() === "ETH"
+    ? createETHTransaction(to, amount, mnemonic, expectedFromAddress)
+    : createERC20Transaction(currency, to, amount, mnemonic, expectedFromAddress);
+}
+
+/**
+ * Send one payment on Solana to every leg at once: native SOL, or an SPL token transfer (USDC_SOL).
+ * Amounts are converted to lamports (1 SOL = 1e9 lamports) or to the token's base units.
+ */
+async function sendSolanaPayment(
+  currency: string,
+  legs: { wallet: string; amount: string }[],
+  mnemonic: string,
+  memo?: string
+): Promise<string> {
+  let token: SplToken | undefined;
+  let toUnits = (amount: string): number | bigint => Math.round(Number(amount) * 1e9);
+  if (currency.toUpperCase() !== "SOL") {
+    const info = await getCurrencyInfo(currency);
+    if (!info.token) throw new Error(`${currency} is not a token on Solana`);
+    token = { mint: info.token.address, decimals: info.decimals, symbol: info.code };
+    toUnits = (amount) => parseUnits(amount, info.decimals);
+  }
+
+  const transfers = legs.map((leg) => ({ toAddress: leg.wallet, lamports: toUnits(String(leg.amount)) }));
+  return transfers.length === 1
+    ? createSolTransaction(mnemonic, transfers[0].toAddress, transfers[0].lamports, memo, token)
+    : createSolMultiTransferTransaction(mnemonic, transfers, memo, token);
+}
+
+/**
+ * Pay back an orphaned payment (a purchase that was paid but could not be recorded).
+ * Sends the refund amount from the seller's wallet to the buyer's payment wallet.
+ * SOL refunds carry the refund's memo (required by the backend).
+ * @param refund The refund object returned by backend
+ * @param mnemonicOrPassword Seller's 12-word mnemonic (string) or session password
+ * @param expectedSellerAddress Optional: Expected seller address (for verification)
+ * @returns chainTx of the refund
+ */
+export async function payRefund(
+  refund: any,
+  mnemonicOrPassword: string,
+  expectedSellerAddress?: string
+): Promise<string> {
+  let mnemonic: string;
+  if (mnemonicOrPassword.split(' ').length === 12) {
+    mnemonic = mnemonicOrPassword;
+  } else {
+    mnemonic = await getMnemonicFromSession(mnemonicOrPassword);
+  }
+
+  const { currency, amount, buyerWallet } = refund;
+  if (!currency || !amount || !buyerWallet) throw new Error("Refund missing currency/amount/wallet");
+
+  switch (getPaymentChain(currency)) {
+    case "ETH": {
+      const result = await sendEthereumPayment(currency, buyerWallet, amount, mnemonic, expectedSellerAddress);
+      return result.txHash;
     }
+    case "SOL":
+      return sendSolanaPayment(currency, [{ wallet: buyerWallet, amount }], mnemonic, refund.refundMemo ?? undefined);
     default:
       throw new Error(`Unsupported currency: ${currency}`);
   }
@@ -242,15 +417,23 @@ export async function payForReservation(
 
 /**
  * Estimate current tx cost (network fee).
- * @param currency "ETH" or "SOL"
+ * @param currency "ETH", "SOL" or a token ("USDC", "USDT", "USDC_SOL"), whose fee is paid in
+ *                 its chain's coin
+ * @returns Fee in the currency's chain coin (see getPaymentChain)
  */
 export async function getCurrentTxCost(currency: string): Promise<string> {
   switch (currency.toUpperCase()) {
     case "ETH":
       return getCurrentEthTxCost(); // returns ETH string
+    case "USDC":
+    case "USDT":
+      return getCurrentTokenTxCost(); // returns ETH string
     case "SOL":
       // rough fixed fee for simple transfer: ~5000 lamports = 0.000005 SOL
       return "0.000005";
+    case "USDC_SOL":
+      // fee plus rent for the recipient's token account when it has none yet (~0.00204 SOL)
+      return "0.00205";
     default:
       throw new Error(`Unsupported currency: ${currency}`);
   }
@@ -4,5 +4,6 @@ declare module "@solana/web3.js" {
   export const Transaction: any;
   export const SystemProgram: any;
   export const PublicKey: any;
+  export const TransactionInstruction: any;
   export const sendAndConfirmTransaction: any;
 }